@@ -218,6 +218,22 @@ contract Slash is System {
         return slashValidators;
     }
 
+    // Up to `limit` slash records from `offset`, with their missed block counters, and the number of records
+    function getSlashRecords(uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory validators, uint256[] memory missedBlocksCounters, uint256 total)
+    {
+        total = slashValidators.length;
+        uint256 count = _pageSize(total, offset, limit);
+        validators = new address[](count);
+        missedBlocksCounters = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            validators[i] = slashValidators[offset + i];
+            missedBlocksCounters[i] = slashRecords[validators[i]].missedBlocksCounter;
+        }
+    }
+
     function blocksUntilSlash(address validator) public view returns (uint256) {
         uint256 missedCount = slashRecords[validator].missedBlocksCounter;
         if (missedCount >= slashThreshold) {
@@ -24,7 +24,7 @@ abstract contract System {
     }
 
     modifier whenNotPaused() {
-        require(!paused, "Contract is paused");
+        _checkNotPaused();
         _;
     }
 
@@ -39,7 +39,7 @@ abstract contract System {
     }
 
     modifier onlyInitialized() {
-        require(initialized, "the contract not init yet");
+        _checkInitialized();
         _;
     }
 
@@ -58,6 +58,15 @@ abstract contract System {
         _;
     }
 
+    // Modifiers used on many functions call these, so their checks are in the bytecode once
+    function _checkNotPaused() internal view {
+        require(!paused, "Contract is paused");
+    }
+
+    function _checkInitialized() internal view {
+        require(initialized, "the contract not init yet");
+    }
+
     function pause() external onlyAdmin {
         require(!paused, "Already paused");
         paused = true;
@@ -75,4 +84,11 @@ abstract contract System {
         emit AdminChanged(admin, newAdmin);
         admin = newAdmin;
     }
+
+    // Number of entries a paginated view returns from `offset` of `total`, at most `limit`
+    function _pageSize(uint256 total, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+        uint256 remaining = total - offset;
+        return remaining < limit ? remaining : limit;
+    }
 }
\ No newline at end of file
@@ -20,6 +20,7 @@ contract Validators is System {
     uint256 public constant VALIDATOR_SLASH_PENALTY = 500 ether;
     uint256 public constant MAX_COMMISSION_RATE = 1000;
     uint256 public constant DEFAULT_COMMISSION_RATE = 500;
+    uint256 public constant MAX_UNBONDING_ENTRIES = 7;
     uint256 private constant PRECISION_FACTOR = 1e18;
     uint256 private constant COMMISSION_BASE = 10000;
     uint256 private constant REMAINDER_THRESHOLD = 1e15;
@@ -52,24 +53,50 @@ contract Validators is System {
         uint256 commissionRate;
         uint256 delegatorRewardPool;
         uint256 accRewardPerStake;
-        uint256 accSlashPerStake;
+        // Share of the stake the slashes of the current slash epoch left, scaled by PRECISION_FACTOR.
+        // A new epoch starts at PRECISION_FACTOR with the first stake when nothing is left.
+        uint256 slashFactor;
+        uint256 slashEpoch;
         uint256 lastRewardUpdateBlock;
     }
 
+    // An unstaked amount waiting out STAKING_LOCK_PERIOD
+    struct UnbondingEntry {
+        uint256 amount;
+        uint256 unlockTimestamp;
+    }
+
     struct DelegatorInfo {
         uint256 delegatedAmount;
-        uint256 unstakeTimestamp;
+        UnbondingEntry[] unbonding;
         uint256 index;
         uint256 rewardDebt;
         uint256 pendingRewards;
-        uint256 slashDebt;
+        // The validator's slashFactor and slashEpoch when delegatedAmount was last brought up to date
+        uint256 slashFactor;
+        uint256 slashEpoch;
         uint256 lastInteractionBlock;
+        // Until then none of this delegation can be redelegated, including stake it held before redelegate() moved more here
+        uint256 redelegationLockEnd;
     }
 
     struct ReentrancyGuard {
         uint256 status;
     }
 
+    // One validator in getCandidates() and getValidatorSummaries()
+    struct ValidatorSummary {
+        address validator;
+        address rewardAddr;
+        Status status;
+        uint256 totalStaked;
+        uint256 rewardAmount;
+        uint256 slashAmount;
+        uint256 commissionRate;
+        uint256 delegatorCount;
+        bool candidate;
+    }
+
     // --- State Variables ---
     mapping(address => Validator) private validatorInfo;
     mapping(address => mapping(address => DelegatorInfo)) private delegatorInfo;
@@ -96,6 +123,7 @@ contract Validators is System {
     event ValidatorUnjailed(address indexed validator);
     event Unstake(address indexed staker, address indexed validator, uint256 amount, uint256 unlockTimestamp);
     event Staking(address indexed staker, address indexed validator, uint256 amount);
+    event Redelegate(address indexed staker, address indexed fromValidator, address indexed toValidator, uint256 amount);
     event WithdrawStaking(address indexed staker, address indexed validator, uint256 amount);
     event WithdrawRewards(address indexed validator, address indexed rewardAddress, uint256 amount, uint256 nextWithdrawTimestamp);
     event ClaimDelegatorRewards(address indexed delegator, address indexed validator, uint256 amount);
@@ -109,8 +137,7 @@ contract Validators is System {
 
     // --- Modifiers ---
     modifier nonReentrant() {
-        require(_guard.status != 2, "ReentrancyGuard: reentrant call");
-        _guard.status = 2;
+        _enterGuard();
         _;
         _guard.status = 1;
     }
@@ -128,7 +155,7 @@ contract Validators is System {
     }
 
     modifier whenNotEmergencyPaused() {
-        require(!emergencyPaused, "Contract emergency paused");
+        _checkNotEmergencyPaused();
         _;
     }
 
@@ -138,7 +165,7 @@ contract Validators is System {
     }
 
     modifier validAddress(address addr) {
-        require(addr != address(0), "Invalid address");
+        _checkAddress(addr);
         _;
     }
 
@@ -148,10 +175,28 @@ contract Validators is System {
     }
 
     modifier validValidator(address validator) {
-        require(validatorInfo[validator].status != Status.NotExist, "Validator does not exist");
+        _checkValidatorExists(validator);
         _;
     }
 
+    // Out-of-line bodies of the modifiers above: inlined at every use, they cost too much code size
+    function _enterGuard() private {
+        require(_guard.status != 2, "ReentrancyGuard: reentrant call");
+        _guard.status = 2;
+    }
+
+    function _checkAddress(address addr) private pure {
+        require(addr != address(0), "Invalid address");
+    }
+
+    function _checkNotEmergencyPaused() private view {
+        require(!emergencyPaused, "Contract emergency paused");
+    }
+
+    function _checkValidatorExists(address validator) private view {
+        require(validatorInfo[validator].status != Status.NotExist, "Validator does not exist");
+    }
+
     // --- Core Functions Split into Smaller Functions ---
     
     function initialize(address[] calldata validators) 
@@ -248,17 +293,28 @@ contract Validators is System {
         string calldata details,
         uint256 commissionRate
     ) private {
-        require(validateDescription(moniker, website, email, details), "Invalid description");
-        
         Validator storage val = validatorInfo[validator];
+        _setDescription(val, rewardAddr, moniker, website, email, details);
         val.status = Status.Created;
-        val.rewardAddr = rewardAddr;
-        val.description = Description(moniker, website, email, details);
         val.commissionRate = commissionRate;
         
         emit ValidatorCreated(validator, rewardAddr, commissionRate);
     }
 
+    // Shared by create and edit, so the description copy is in the bytecode once
+    function _setDescription(
+        Validator storage val,
+        address payable rewardAddr,
+        string calldata moniker,
+        string calldata website,
+        string calldata email,
+        string calldata details
+    ) private {
+        require(validateDescription(moniker, website, email, details), "Invalid description");
+        val.rewardAddr = rewardAddr;
+        val.description = Description(moniker, website, email, details);
+    }
+
     // Stake function optimized
     function stake(address validator) 
         external 
@@ -277,30 +333,34 @@ contract Validators is System {
     {
         require(staker != address(0) && validator != address(0), "Invalid address");
         require(amount > 0, "Amount must be greater than 0");
-        require(validatorInfo[validator].status != Status.NotExist, "Validator does not exist");
-        
-        DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
-        require(delInfo.unstakeTimestamp == 0, "Cannot stake while unstaking");
-
-        if (delInfo.delegatedAmount == 0) {
-            require(amount >= MIN_DELEGATOR_STAKE, "Initial stake below minimum");
-        }
+        _checkValidatorExists(validator);
 
         _processStaking(staker, validator, amount);
+        totalNetworkStaked += amount;
+        emit Staking(staker, validator, amount);
         return true;
     }
 
+    // Adds `amount` to the staker's delegation with `validator`, for stake() and redelegate()
     function _processStaking(address staker, address validator, uint256 amount) private {
         Validator storage val = validatorInfo[validator];
         DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
-        
+
+        if (val.slashFactor == 0) {
+            // Nothing was staked yet or slashes took all of it: delegations from before are worth nothing
+            val.slashFactor = PRECISION_FACTOR;
+            val.slashEpoch++;
+        }
+        _applyPendingSlash(staker, validator);
+
+        if (delInfo.delegatedAmount == 0) {
+            require(amount >= MIN_DELEGATOR_STAKE, "Initial stake below minimum");
+        }
         require(
             val.totalStaked + amount >= MIN_VALIDATOR_TOTAL_STAKE,
             "Total stake below minimum threshold"
         );
 
-        _applyPendingSlash(staker, validator);
-
         if (delInfo.delegatedAmount == 0) {
             _addNewDelegator(staker, validator, amount);
         } else {
@@ -310,14 +370,11 @@ contract Validators is System {
         val.totalStaked += amount;
         delInfo.delegatedAmount += amount;
         delInfo.lastInteractionBlock = block.number;
-        totalNetworkStaked += amount;
 
         if (val.status != Status.Staked && val.status != Status.Jailed) {
             val.status = Status.Staked;
         }
 
-        emit Staking(staker, validator, amount);
-
         if (val.status == Status.Staked) {
             addToValidatorCandidate(validator, val.totalStaked);
         }
@@ -327,10 +384,12 @@ contract Validators is System {
         Validator storage val = validatorInfo[validator];
         DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
         
-        delInfo.index = val.delegators.length;
-        val.delegators.push(staker);
+        // A delegation that slashes took to 0 is still on the list
+        if (delInfo.index >= val.delegators.length || val.delegators[delInfo.index] != staker) {
+            delInfo.index = val.delegators.length;
+            val.delegators.push(staker);
+        }
         delInfo.rewardDebt = (val.accRewardPerStake * amount) / PRECISION_FACTOR;
-        delInfo.slashDebt = val.accSlashPerStake;
     }
 
     function _updateExistingDelegator(address staker, address validator, uint256 amount) private {
@@ -344,11 +403,11 @@ contract Validators is System {
         
         _updatePendingRewards(staker, validator);
         delInfo.rewardDebt += (val.accRewardPerStake * amount) / PRECISION_FACTOR;
-        delInfo.slashDebt = val.accSlashPerStake;
     }
 
-    // Unstake function optimized
-    function unstake(address validator) 
+    // Moves `amount` of the sender's stake with `validator` into a new unbonding entry,
+    // withdrawable after STAKING_LOCK_PERIOD. The rest keeps earning rewards and bearing slashes.
+    function unstake(address validator, uint256 amount)
         external 
         onlyInitialized 
         whenNotPaused 
@@ -356,50 +415,92 @@ contract Validators is System {
         validValidator(validator) 
         returns (bool) 
     {
-        address staker = msg.sender;
-        DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
-        
-        require(delInfo.unstakeTimestamp == 0, "Already unstaking");
-        require(delInfo.delegatedAmount > 0, "No stake to unstake");
+        require(amount > 0, "Amount must be greater than 0");
+        require(
+            delegatorInfo[msg.sender][validator].unbonding.length < MAX_UNBONDING_ENTRIES,
+            "Too many unbonding entries"
+        );
 
-        _processUnstaking(staker, validator);
+        _processUnstaking(msg.sender, validator, amount);
         return true;
     }
 
-    function _processUnstaking(address staker, address validator) private {
+    function _processUnstaking(address staker, address validator, uint256 amount) private {
+        _removeStake(staker, validator, amount);
+        totalNetworkStaked -= amount;
+
+        uint256 unlockTimestamp = block.timestamp + STAKING_LOCK_PERIOD;
+        delegatorInfo[staker][validator].unbonding.push(UnbondingEntry(amount, unlockTimestamp));
+        emit Unstake(staker, validator, amount, unlockTimestamp);
+    }
+
+    // Takes `amount` off the staker's delegation with `validator`, for unstake() and redelegate()
+    function _removeStake(address staker, address validator, uint256 amount) private {
         DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
         Validator storage val = validatorInfo[validator];
-        uint256 unstakeAmount = delInfo.delegatedAmount;
-        
+
+        _updatePendingRewards(staker, validator);
+        require(amount <= delInfo.delegatedAmount, "Amount exceeds stake");
+        uint256 remaining = delInfo.delegatedAmount - amount;
+        require(remaining == 0 || remaining >= MIN_DELEGATOR_STAKE, "Remaining stake below minimum");
+
         require(
             !(validatorSet.length == 1 && 
               isValidatorActivated(validator) && 
-              val.totalStaked - unstakeAmount < MIN_VALIDATOR_TOTAL_STAKE),
+              val.totalStaked - amount < MIN_VALIDATOR_TOTAL_STAKE),
             "Cannot unstake: would disable last validator"
         );
 
-        _updatePendingRewards(staker, validator);
-        _applyPendingSlash(staker, validator);
-        _removeDelegatorFromList(staker, validator);
+        if (remaining == 0) {
+            _removeDelegatorFromList(staker, validator);
+        }
 
-        val.totalStaked -= unstakeAmount;
-        delInfo.unstakeTimestamp = block.timestamp;
+        // Rewards up to now were settled above; only the remaining stake accrues from here
+        delInfo.delegatedAmount = remaining;
+        delInfo.rewardDebt = (val.accRewardPerStake * remaining) / PRECISION_FACTOR;
         delInfo.lastInteractionBlock = block.number;
-        totalNetworkStaked -= unstakeAmount;
+        val.totalStaked -= amount;
 
-        if (val.totalStaked < MIN_VALIDATOR_TOTAL_STAKE) {
+        // A jailed validator stays jailed until unjailValidator()
+        if (val.status == Status.Staked && val.totalStaked < MIN_VALIDATOR_TOTAL_STAKE) {
             val.status = Status.Unstake;
         }
 
-        uint256 unlockTimestamp = block.timestamp + STAKING_LOCK_PERIOD;
-        emit Unstake(staker, validator, unstakeAmount, unlockTimestamp);
-
         if (val.status != Status.Staked) {
             removeFromValidatorCandidate(validator);
         }
     }
 
-    // Withdrawal functions
+    // Moves `amount` of the sender's stake from `fromValidator` to `toValidator` without waiting out
+    // STAKING_LOCK_PERIOD. Pending rewards and slashes with `fromValidator` are settled first. So that
+    // stake cannot hop away from a coming slash, `fromValidator` must have no missed blocks on record,
+    // and the sender's whole delegation with `toValidator` cannot be redelegated for STAKING_LOCK_PERIOD.
+    function redelegate(address fromValidator, address toValidator, uint256 amount)
+        external
+        onlyInitialized
+        whenNotPaused
+        whenNotEmergencyPaused
+        validValidator(fromValidator)
+        validValidator(toValidator)
+        returns (bool)
+    {
+        require(amount > 0, "Amount must be greater than 0");
+        require(fromValidator != toValidator, "Redelegation to same validator");
+        require(
+            block.timestamp >= delegatorInfo[msg.sender][fromValidator].redelegationLockEnd,
+            "Redelegated stake still locked"
+        );
+        require(slashContract.getSlashRecord(fromValidator) == 0, "Source validator missed blocks");
+
+        _removeStake(msg.sender, fromValidator, amount);
+        _processStaking(msg.sender, toValidator, amount);
+        delegatorInfo[msg.sender][toValidator].redelegationLockEnd = block.timestamp + STAKING_LOCK_PERIOD;
+
+        emit Redelegate(msg.sender, fromValidator, toValidator, amount);
+        return true;
+    }
+
+    // Withdraws every unbonding entry of the sender with `validator` that has unlocked
     function withdrawStaking(address validator) 
         external 
         nonReentrant 
@@ -410,17 +511,23 @@ contract Validators is System {
     {
         address payable staker = payable(msg.sender);
         DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
-        
-        require(delInfo.unstakeTimestamp != 0, "Must unstake first");
-        require(
-            block.timestamp >= delInfo.unstakeTimestamp + STAKING_LOCK_PERIOD,
-            "Tokens still locked"
-        );
-        require(delInfo.delegatedAmount > 0, "No tokens to withdraw");
-
-        uint256 amount = delInfo.delegatedAmount;
-        delInfo.delegatedAmount = 0;
-        delInfo.unstakeTimestamp = 0;
+        UnbondingEntry[] storage unbonding = delInfo.unbonding;
+        require(unbonding.length > 0, "Must unstake first");
+
+        // Keeps the locked entries, in order
+        uint256 amount = 0;
+        uint256 kept = 0;
+        for (uint256 i = 0; i < unbonding.length; i++) {
+            if (block.timestamp >= unbonding[i].unlockTimestamp) {
+                amount += unbonding[i].amount;
+            } else {
+                unbonding[kept++] = unbonding[i];
+            }
+        }
+        require(amount > 0, "Tokens still locked");
+        while (unbonding.length > kept) {
+            unbonding.pop();
+        }
         delInfo.lastInteractionBlock = block.number;
 
         _safeTransfer(staker, amount);
@@ -439,7 +546,7 @@ contract Validators is System {
         address payable delegator = payable(msg.sender);
         DelegatorInfo storage delInfo = delegatorInfo[delegator][validator];
         
-        require(delInfo.delegatedAmount > 0, "No stake with validator");
+        require(delInfo.delegatedAmount > 0 || delInfo.pendingRewards > 0, "No stake with validator");
 
         _updatePendingRewards(delegator, validator);
         
@@ -623,8 +730,9 @@ contract Validators is System {
         }
 
         uint256 preStake = val.totalStaked;
-        
-        val.accSlashPerStake += (slashAmount * PRECISION_FACTOR) / preStake;
+
+        // Each slash takes its share of what the earlier ones left
+        val.slashFactor = (val.slashFactor * (preStake - slashAmount)) / preStake;
         val.totalStaked -= slashAmount;
         totalNetworkStaked -= slashAmount;
         val.slashAmount += slashAmount;
@@ -670,33 +778,24 @@ contract Validators is System {
         DelegatorInfo storage delInfo = delegatorInfo[staker][validator];
         Validator storage val = validatorInfo[validator];
 
-        if (delInfo.delegatedAmount == 0) {
-            delInfo.slashDebt = val.accSlashPerStake;
-            return;
-        }
-
-        if (val.accSlashPerStake <= delInfo.slashDebt) return;
-
-        uint256 deltaSlash = val.accSlashPerStake - delInfo.slashDebt;
-        uint256 pendingSlash = (delInfo.delegatedAmount * deltaSlash) / PRECISION_FACTOR;
-        
-        if (pendingSlash == 0) {
-            delInfo.slashDebt = val.accSlashPerStake;
-            return;
+        uint256 amount = _slashedAmount(delInfo, val);
+        if (amount != delInfo.delegatedAmount) {
+            // totalStaked and totalNetworkStaked were already reduced by slashValidator()
+            delInfo.delegatedAmount = amount;
+            delInfo.rewardDebt = (val.accRewardPerStake * amount) / PRECISION_FACTOR;
         }
+        delInfo.slashFactor = val.slashFactor;
+        delInfo.slashEpoch = val.slashEpoch;
+    }
 
-        if (pendingSlash >= delInfo.delegatedAmount) {
-            totalNetworkStaked -= delInfo.delegatedAmount;
-            val.totalStaked -= delInfo.delegatedAmount;
-            delInfo.delegatedAmount = 0;
-        } else {
-            delInfo.delegatedAmount -= pendingSlash;
-            totalNetworkStaked -= pendingSlash;
-            val.totalStaked -= pendingSlash;
-        }
+    // delInfo.delegatedAmount less the slashes of `val` since the delegation's slashFactor, which
+    // _applyPendingSlash() takes off at the next interaction; nothing is left from an earlier slash epoch.
+    // Rounded down, so together the delegations never exceed totalStaked.
+    function _slashedAmount(DelegatorInfo storage delInfo, Validator storage val) private view returns (uint256) {
+        uint256 amount = delInfo.delegatedAmount;
+        if (amount == 0 || delInfo.slashEpoch != val.slashEpoch) return 0;
 
-        delInfo.rewardDebt = (val.accRewardPerStake * delInfo.delegatedAmount) / PRECISION_FACTOR;
-        delInfo.slashDebt = val.accSlashPerStake;
+        return (amount * val.slashFactor) / delInfo.slashFactor;
     }
 
     function _updatePendingRewards(address staker, address validator) private {
@@ -823,7 +922,7 @@ contract Validators is System {
             uint256 commissionRate
         ) 
     {
-        Validator memory val = validatorInfo[validator];
+        Validator storage val = validatorInfo[validator];
         
         string memory statusStr;
         if (val.status == Status.NotExist) statusStr = "NotExist";
@@ -876,6 +975,78 @@ contract Validators is System {
         return totalNetworkStaked;
     }
 
+    // Unstaked amounts of `delegator` with `validator` not withdrawn yet, oldest first. They are out of
+    // totalStaked, so they earn no rewards and later slashes do not touch them.
+    function getUnbondingEntries(address delegator, address validator) external view returns (UnbondingEntry[] memory) {
+        return delegatorInfo[delegator][validator].unbonding;
+    }
+
+    // The stake of `delegator` with `validator` after any pending slash, which is what unstake() and redelegate()
+    // can move, and until when it cannot be redelegated (0 when it never received a redelegation)
+    function getDelegation(address delegator, address validator)
+        external
+        view
+        returns (uint256 delegatedAmount, uint256 redelegationLockEnd)
+    {
+        DelegatorInfo storage delInfo = delegatorInfo[delegator][validator];
+        return (_slashedAmount(delInfo, validatorInfo[validator]), delInfo.redelegationLockEnd);
+    }
+
+    // Up to `limit` delegators of `validator` from `offset`, with their delegated amounts after any pending slash
+    // as getDelegation() reports them, and the number of delegators. Delegators leave the list when they unstake
+    // all of their stake.
+    function getDelegators(address validator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory delegators, uint256[] memory amounts, uint256 total)
+    {
+        address[] storage all = validatorInfo[validator].delegators;
+        total = all.length;
+        uint256 count = _pageSize(total, offset, limit);
+        delegators = new address[](count);
+        amounts = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            delegators[i] = all[offset + i];
+            amounts[i] = _slashedAmount(delegatorInfo[delegators[i]][validator], validatorInfo[validator]);
+        }
+    }
+
+    // Up to `limit` validator candidates from `offset`, with their stake and status, and the number of candidates
+    function getCandidates(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ValidatorSummary[] memory candidates, uint256 total)
+    {
+        total = validatorCandidateSet.length;
+        candidates = new ValidatorSummary[](_pageSize(total, offset, limit));
+        for (uint256 i = 0; i < candidates.length; i++) {
+            candidates[i] = _summary(validatorCandidateSet[offset + i]);
+        }
+    }
+
+    // getValidatorInfo() for many validators in one call, plus their delegator count and candidacy
+    function getValidatorSummaries(address[] calldata validators) external view returns (ValidatorSummary[] memory summaries) {
+        summaries = new ValidatorSummary[](validators.length);
+        for (uint256 i = 0; i < validators.length; i++) {
+            summaries[i] = _summary(validators[i]);
+        }
+    }
+
+    function _summary(address validator) private view returns (ValidatorSummary memory) {
+        Validator storage val = validatorInfo[validator];
+        return ValidatorSummary({
+            validator: validator,
+            rewardAddr: val.rewardAddr,
+            status: val.status,
+            totalStaked: val.totalStaked,
+            rewardAmount: val.rewardAmount,
+            slashAmount: val.slashAmount,
+            commissionRate: val.commissionRate,
+            delegatorCount: val.delegators.length,
+            candidate: validatorCandidateExists[validator]
+        });
+    }
+
     function validateDescription(
         string memory moniker,
         string memory website,
@@ -915,12 +1086,7 @@ contract Validators is System {
         string calldata details
     ) external onlyInitialized whenNotEmergencyPaused validValidator(msg.sender) returns (bool) {
         address payable validator = payable(msg.sender);
-        
-        require(validateDescription(moniker, website, email, details), "Invalid description");
-        
-        Validator storage val = validatorInfo[validator];
-        val.rewardAddr = rewardAddr;
-        val.description = Description(moniker, website, email, details);
+        _setDescription(validatorInfo[validator], rewardAddr, moniker, website, email, details);
         
         emit ValidatorUpdated(validator, rewardAddr);
         
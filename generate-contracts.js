@@ -0,0 +1,282 @@
+// generate-contracts.js - Genesis generator
+// Renders genesis-template.json with the runtime bytecode of the compiled
+// system contracts, placed at the addresses hard-wired in System.sol.
+// When the config has a `systemContracts` section, the storage that
+// Validators.initialize() and Slash.initialize() would write is emitted too,
+// so the chain starts with both contracts already initialized.
+//
+// Usage:
+//   node generate-contracts.js [--config genesis-config.json] [--template genesis-template.json]
+//                              [--out genesis.json] [--check]
+//
+// --check renders the genesis in memory and fails if it differs from --out,
+// so CI can detect a genesis.json that is out of date with the artifacts.
+
+const fs = require("fs");
+const path = require("path");
+const nunjucks = require("nunjucks");
+const { StorageBuilder, readStorageLayout } = require("./scripts/lib/storage-layout");
+
+const ROOT = __dirname;
+const DEFAULTS = {
+  config: path.join(ROOT, "genesis-config.json"),
+  template: path.join(ROOT, "genesis-template.json"),
+  out: path.join(ROOT, "genesis.json"),
+  artifacts: path.join(ROOT, "artifacts/contracts"),
+  system: path.join(ROOT, "contracts/System.sol"),
+  sources: path.join(ROOT, "contracts")
+};
+
+const EXTRA_VANITY_BYTES = 32;
+const EXTRA_SEAL_BYTES = 65;
+
+// Validators.Status.Staked
+const STATUS_STAKED = 2;
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--check":
+        options.check = true;
+        break;
+      case "--config":
+      case "--template":
+      case "--out":
+        if (i + 1 >= argv.length) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+        options[arg.slice(2)] = path.resolve(argv[++i]);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function readConstant(sourcePath, name) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const match = source.match(new RegExp(`constant\\s+${name}\\s*=\\s*([0-9a-fA-Fx]+)(\\s+ether)?\\s*;`));
+  if (!match) {
+    throw new Error(`Could not find ${name} in ${path.relative(ROOT, sourcePath)}`);
+  }
+  return match[1];
+}
+
+function readSystemAddresses(systemPath = DEFAULTS.system) {
+  const addresses = {};
+
+  for (const name of ["ValidatorContractAddr", "SlashContractAddr"]) {
+    const value = readConstant(systemPath, name);
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      throw new Error(`${name} in ${path.relative(ROOT, systemPath)} is not an address`);
+    }
+    addresses[name] = value;
+  }
+
+  return addresses;
+}
+
+function readArtifact(contractName, artifactsPath = DEFAULTS.artifacts) {
+  const artifactPath = path.join(artifactsPath, `${contractName}.sol`, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Artifact for ${contractName} not found. Run 'npx hardhat compile' first.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+  if (!artifact.deployedBytecode || artifact.deployedBytecode === "0x") {
+    throw new Error(`${contractName} artifact has no deployed bytecode`);
+  }
+
+  return artifact;
+}
+
+function buildExtraData(signers) {
+  if (!Array.isArray(signers) || signers.length === 0) {
+    throw new Error("Genesis config must list at least one signer");
+  }
+
+  const body = signers.map((signer) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(signer)) {
+      throw new Error(`Invalid signer address: ${signer}`);
+    }
+    return signer.slice(2);
+  });
+
+  return "0x" + "00".repeat(EXTRA_VANITY_BYTES) + body.join("") + "00".repeat(EXTRA_SEAL_BYTES);
+}
+
+function parseExtraData(extraData) {
+  const hex = (extraData || "").replace(/^0x/, "");
+  const signersHex = hex.slice(EXTRA_VANITY_BYTES * 2, hex.length - EXTRA_SEAL_BYTES * 2);
+
+  if (hex.length < (EXTRA_VANITY_BYTES + EXTRA_SEAL_BYTES) * 2 || signersHex.length % 40 !== 0) {
+    throw new Error(`extraData must be ${EXTRA_VANITY_BYTES} vanity bytes, 20 bytes per signer and a ${EXTRA_SEAL_BYTES}-byte seal`);
+  }
+
+  return signersHex.match(/.{40}/g)?.map((signer) => "0x" + signer) || [];
+}
+
+function validatePremine(premine = {}) {
+  for (const [address, balance] of Object.entries(premine)) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      throw new Error(`Invalid premine address: ${address}`);
+    }
+    if (typeof balance !== "string" || !/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(balance)) {
+      throw new Error(`Invalid premine balance for ${address}: ${balance}`);
+    }
+  }
+  return Object.entries(premine);
+}
+
+function buildValidatorsStorage(settings, addresses, options) {
+  const source = path.join(options.sources, "Validators.sol");
+  const maxValidators = Number(readConstant(source, "MAX_VALIDATOR_NUM"));
+  const commissionRate = BigInt(readConstant(source, "DEFAULT_COMMISSION_RATE"));
+  const { validators, admin } = settings;
+  const emergencyAdmin = settings.emergencyAdmin || admin;
+
+  if (!Array.isArray(validators) || validators.length === 0 || validators.length > maxValidators) {
+    throw new Error("Invalid validator count");
+  }
+
+  const storage = new StorageBuilder(readStorageLayout("Validators", options.artifacts));
+
+  // Mirrors Validators.initialize(validators) called by `admin`
+  storage.set(storage.variable("slashContract"), addresses.SlashContractAddr);
+  storage.set(storage.variable("admin"), admin);
+  storage.set(storage.variable("emergencyAdmin"), emergencyAdmin);
+  storage.set(storage.member(storage.variable("_guard"), "status"), 1);
+
+  const unique = [];
+  for (const validator of validators) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(validator) || BigInt(validator) === 0n) {
+      throw new Error(`Invalid validator address: ${validator}`);
+    }
+    if (unique.some((existing) => existing.toLowerCase() === validator.toLowerCase())) {
+      continue;
+    }
+    unique.push(validator);
+
+    storage.set(storage.entry(storage.variable("validatorCandidateExists"), validator), true);
+
+    const info = storage.entry(storage.variable("validatorInfo"), validator);
+    storage.set(storage.member(info, "rewardAddr"), validator);
+    storage.set(storage.member(info, "status"), STATUS_STAKED);
+    storage.set(storage.member(info, "commissionRate"), commissionRate);
+  }
+
+  storage.setArray(storage.variable("validatorCandidateSet"), unique);
+  storage.setArray(storage.variable("validatorSet"), unique);
+  storage.set(storage.variable("initialized"), true);
+
+  return storage.toGenesisStorage();
+}
+
+function buildSlashStorage(settings, addresses, options) {
+  const source = path.join(options.sources, "Slash.sol");
+  const storage = new StorageBuilder(readStorageLayout("Slash", options.artifacts));
+
+  // Mirrors Slash.initialize() called by `admin`
+  storage.set(storage.variable("validatorContract"), addresses.ValidatorContractAddr);
+  storage.set(storage.variable("slashThreshold"), BigInt(readConstant(source, "DEFAULT_SLASH_THRESHOLD")));
+  storage.set(storage.variable("decreaseRate"), BigInt(readConstant(source, "DEFAULT_DECREASE_RATE")));
+  storage.set(storage.variable("admin"), settings.admin);
+  storage.set(storage.variable("initialized"), true);
+
+  return storage.toGenesisStorage();
+}
+
+function buildContext(config, options = {}) {
+  const addresses = readSystemAddresses(options.system);
+  const validators = readArtifact("Validators", options.artifacts);
+  const slash = readArtifact("Slash", options.artifacts);
+
+  let validatorsStorage;
+  let slashStorage;
+  if (config.systemContracts) {
+    const settings = {
+      validators: config.signers,
+      ...config.systemContracts
+    };
+    if (!/^0x[0-9a-fA-F]{40}$/.test(settings.admin || "")) {
+      throw new Error("systemContracts.admin must be an address");
+    }
+    validatorsStorage = buildValidatorsStorage(settings, addresses, options);
+    slashStorage = buildSlashStorage(settings, addresses, options);
+  }
+
+  return {
+    chainId: config.chainId,
+    senatus: config.senatus,
+    timestamp: config.timestamp,
+    gasLimit: config.gasLimit,
+    extraData: buildExtraData(config.signers),
+    validatorContract: {
+      address: addresses.ValidatorContractAddr,
+      code: validators.deployedBytecode,
+      storage: validatorsStorage
+    },
+    slashContract: {
+      address: addresses.SlashContractAddr,
+      code: slash.deployedBytecode,
+      storage: slashStorage
+    },
+    premine: validatePremine(config.premine)
+  };
+}
+
+function renderGenesis(options = {}) {
+  const { config: configPath, template: templatePath } = { ...DEFAULTS, ...options };
+  const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const template = fs.readFileSync(templatePath, "utf8");
+
+  const env = new nunjucks.Environment(null, { autoescape: false, throwOnUndefined: true });
+  const rendered = env.renderString(template, buildContext(config, { ...DEFAULTS, ...options }));
+
+  // Round-trip through JSON so the output is valid and formatted the same way every time
+  return JSON.stringify(JSON.parse(rendered), null, 4) + "\n";
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const genesis = renderGenesis(options);
+  const outName = path.relative(process.cwd(), options.out);
+
+  if (options.check) {
+    const current = fs.existsSync(options.out) ? fs.readFileSync(options.out, "utf8") : "";
+    if (current !== genesis) {
+      console.error(`❌ ${outName} is out of date. Run 'npm run genesis:generate' and commit the result.`);
+      process.exit(1);
+    }
+    console.log(`✅ ${outName} is up to date`);
+    return;
+  }
+
+  fs.writeFileSync(options.out, genesis);
+  console.log(`✅ Genesis written to ${outName}`);
+}
+
+module.exports = {
+  buildExtraData,
+  buildSlashStorage,
+  buildValidatorsStorage,
+  parseExtraData,
+  readArtifact,
+  readConstant,
+  readSystemAddresses,
+  renderGenesis
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌ Genesis generation failed:", error.message);
+    process.exit(1);
+  }
+}
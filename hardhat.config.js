@@ -19,13 +19,19 @@ module.exports = {
             evmVersion: "istanbul", // IMPORTANT: Target Istanbul EVM
             metadata: {
                 bytecodeHash: "none" // Reduce bytecode size
+            },
+            outputSelection: {
+                "*": {
+                    "*": ["storageLayout"] // Needed to pre-initialize genesis storage
+                }
             }
         }
     }, networks: {
         hardhat: {
             accounts: {
                 count: 10,
-                accountsBalance: "10000000000000000000000" // 10,000 ETH per account
+                // 100,000 ETH per account: enough to create a validator with MIN_VALIDATOR_TOTAL_STAKE and pay for gas
+                accountsBalance: "100000000000000000000000"
             }
         },
         localhost: {
@@ -37,14 +43,16 @@ module.exports = {
         oxt: {
             url: "https://rpc-data.oorthnexus.xyz",
             chainId: 982025,
-            accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+            // Deployer first, then the keys of validators configured by the deployment plan
+            accounts: [process.env.PRIVATE_KEY, ...(process.env.PRIVATE_KEYS || "").split(",")].filter(Boolean),
             gas: 6721975,
             gasPrice: 20000000000,
         }
     },
     etherscan: {
         apiKey: {
-            oxt: 'process.env.ETHERSCAN_API_KEY'
+            // Blockscout does not need a key; set ETHERSCAN_API_KEY for explorers that do
+            oxt: process.env.ETHERSCAN_API_KEY || ""
         },
         customChains: [
             {
@@ -75,6 +83,13 @@ module.exports = {
         artifacts: "./artifacts"
     },
 
+    // Typed contract bindings for the staking SDK (sdk/), regenerated on every compile
+    typechain: {
+        outDir: "sdk/types",
+        target: "ethers-v6",
+        dontOverrideCompile: false // hardhat-toolbox skips typechain for .js configs otherwise
+    },
+
     // Mocha timeout
     mocha: {
         timeout: 100000
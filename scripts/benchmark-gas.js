@@ -0,0 +1,144 @@
+// scripts/benchmark-gas.js
+// Measures the gas of the epoch-block system calls (updateActivatedValidators,
+// decreaseMissedBlocksCounter, distributeBlockReward) as validators,
+// delegators per validator and slash records grow, and fails when an
+// operation is over its budget, the epoch block is over its share of the
+// block gas limit, or gas grew past the regression budget.
+//
+// Usage:
+//   node scripts/benchmark-gas.js [--validators 1,26,51,76,101] [--delegators 0,5]
+//                                 [--slash-records 0,101] [--epochs 2]
+//                                 [--budgets gas-budgets.json] [--baseline <report.json>]
+//                                 [--out gas-benchmark.md]
+//
+// Every combination of the counts is measured on a fresh in-process Hardhat
+// chain. The table goes to --out; a passing run also writes the JSON report to
+// gas-benchmark-report.json, which is the default --baseline.
+// The block gas limit is the budgets file's blockGasLimit, or genesis.json's.
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  checkGas,
+  formatTable,
+  measureScenario,
+  readGasBudgets,
+  readPreviousGas,
+  scenarioGrid,
+  scenarioKey
+} = require("./lib/gas-benchmark");
+
+const REPORT_PATH = path.join(__dirname, "../gas-benchmark-report.json");
+const GENESIS_PATH = path.join(__dirname, "../genesis.json");
+
+function parseCounts(arg, value) {
+  const counts = value.split(",").map(Number);
+  if (counts.some(count => !Number.isInteger(count) || count < 0)) {
+    throw new Error(`${arg} expects comma-separated counts, got ${value}`);
+  }
+  return counts;
+}
+
+function parseArgs(argv) {
+  const options = {
+    validators: [1, 26, 51, 76, 101],
+    delegators: [0, 5],
+    slashRecords: [0, 101],
+    epochs: 2,
+    budgets: path.join(__dirname, "../gas-budgets.json"),
+    baseline: undefined,
+    out: path.join(__dirname, "../gas-benchmark.md")
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+
+    if (arg === "--validators") {
+      options.validators = parseCounts(arg, value);
+    } else if (arg === "--delegators") {
+      options.delegators = parseCounts(arg, value);
+    } else if (arg === "--slash-records") {
+      options.slashRecords = parseCounts(arg, value);
+    } else if (arg === "--epochs") {
+      options.epochs = parseCounts(arg, value)[0];
+    } else if (arg === "--budgets") {
+      options.budgets = path.resolve(value);
+    } else if (arg === "--baseline") {
+      options.baseline = path.resolve(value);
+    } else if (arg === "--out") {
+      options.out = path.resolve(value);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    i++;
+  }
+
+  if (options.validators.some(count => count === 0)) {
+    throw new Error("--validators counts must be at least 1");
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // Each scenario resets the chain
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`The benchmark runs on the in-process hardhat network, not ${hre.network.name}`);
+  }
+
+  const budgets = readGasBudgets(options.budgets);
+  if (budgets.blockGasLimit === undefined && fs.existsSync(GENESIS_PATH)) {
+    budgets.blockGasLimit = Number(JSON.parse(fs.readFileSync(GENESIS_PATH, "utf8")).gasLimit);
+  }
+  const baseline = options.baseline || (fs.existsSync(REPORT_PATH) ? REPORT_PATH : undefined);
+  const previous = baseline ? readPreviousGas(baseline) : undefined;
+
+  await hre.run("compile", { quiet: true });
+  const scenarios = scenarioGrid(options);
+  console.log(`\n⛽ Benchmarking epoch system calls over ${scenarios.length} scenarios`);
+  if (baseline) {
+    console.log(`   Baseline: ${path.relative(process.cwd(), baseline)}`);
+  }
+  console.log("");
+
+  const results = [];
+  let errors = 0;
+  for (const scenario of scenarios) {
+    const result = await measureScenario(hre, scenario, { epochs: options.epochs });
+    const issues = checkGas(result, budgets, previous);
+    results.push({ ...result, issues });
+    errors += issues.length;
+
+    console.log(`${issues.length > 0 ? "❌" : "✅"} ${scenarioKey(scenario).padEnd(14)} epoch block ${result.total} gas`);
+    issues.forEach(issue => console.log(`   ${issue.message}`));
+  }
+
+  const table = formatTable(results, { blockGasLimit: budgets.blockGasLimit, previous });
+  fs.writeFileSync(options.out, `# Epoch system call gas\n\n${table}`);
+  console.log(`\n📄 Table written to ${path.relative(process.cwd(), options.out)}`);
+
+  if (errors > 0) {
+    console.log(`\n❌ ${errors} gas budget issue(s); ${path.basename(REPORT_PATH)} was left as it was`);
+    process.exitCode = 1;
+    return;
+  }
+  // A failing run does not become the next baseline; scenarios this run skipped keep their previous results
+  const merged = new Map(fs.existsSync(REPORT_PATH)
+    ? JSON.parse(fs.readFileSync(REPORT_PATH, "utf8")).results.map(result => [scenarioKey(result.scenario), result])
+    : []);
+  results.forEach(result => merged.set(scenarioKey(result.scenario), result));
+  const report = { blockGasLimit: budgets.blockGasLimit, epochs: options.epochs, results: [...merged.values()] };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + "\n");
+  console.log(`📄 Report written to ${path.relative(process.cwd(), REPORT_PATH)}`);
+  console.log("\n✅ Every scenario is within its gas budgets");
+}
+
+main().catch((error) => {
+  console.error("\n❌ Benchmark failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+// scripts/build-sdk.js - Writes the contract data the staking SDK (sdk/) ships with
+// For Validators and Slash: the canonical address and the ABI. The typed
+// bindings in sdk/types are generated by typechain on every compile.
+//
+// Usage:
+//   npx hardhat compile && node scripts/build-sdk.js [--check]
+//   npm run sdk:build
+//
+// --check fails if sdk/abi differs from what the current artifacts give, so
+// CI can detect an SDK that is out of date with the contracts.
+
+const fs = require("fs");
+const path = require("path");
+const { readArtifact } = require("../generate-contracts");
+const { canonicalAddresses } = require("./lib/system-contracts");
+
+const ARTIFACTS_PATH = path.join(__dirname, "../artifacts/contracts");
+const SDK_ABI_PATH = path.join(__dirname, "../sdk/abi");
+
+// File name → content of every file in sdk/abi
+function renderSdkArtifacts(artifactsPath = ARTIFACTS_PATH) {
+  const addresses = canonicalAddresses();
+  const files = {};
+  for (const name of ["Validators", "Slash"]) {
+    const data = { contractName: name, address: addresses[name], abi: readArtifact(name, artifactsPath).abi };
+    files[`${name}.json`] = JSON.stringify(data, null, 2) + "\n";
+  }
+  return files;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.find(arg => arg !== "--check");
+  if (unknown) {
+    throw new Error(`Unknown argument: ${unknown}`);
+  }
+
+  const files = renderSdkArtifacts();
+  const outName = path.relative(process.cwd(), SDK_ABI_PATH);
+  if (args.includes("--check")) {
+    const stale = Object.entries(files).filter(([file, content]) => {
+      const filePath = path.join(SDK_ABI_PATH, file);
+      return !fs.existsSync(filePath) || fs.readFileSync(filePath, "utf8") !== content;
+    });
+    if (stale.length > 0) {
+      console.error(`❌ ${stale.map(([file]) => path.join(outName, file)).join(", ")} out of date. Run 'npm run sdk:build' and commit the result.`);
+      process.exit(1);
+    }
+    console.log(`✅ ${outName} is up to date`);
+    return;
+  }
+
+  fs.mkdirSync(SDK_ABI_PATH, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(SDK_ABI_PATH, file), content);
+  }
+  console.log(`✅ SDK contract data written to ${outName}`);
+}
+
+module.exports = {
+  renderSdkArtifacts
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
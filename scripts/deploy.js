@@ -1,95 +1,151 @@
 // scripts/deploy.js - Main deployment script
+//
+// DEPLOY_MODE selects where Validators and Slash end up:
+//   canonical - runtime code is installed at ValidatorContractAddr (0x...1000) and
+//               SlashContractAddr (0x...1001) with hardhat_setCode, anvil_setCode or
+//               evm_setAccountCode, or taken from genesis.json on a geth dev chain.
+//               Default on the hardhat and localhost networks.
+//   factory   - regular contract creation at whatever addresses the deployer gets.
+//               Slashing, Slash.clean, unjailValidator and redelegate cannot work there, because
+//               the contracts only accept each other's calls at the canonical addresses.
+//
+// Each step (deploy:<Contract>, initialize:<Contract>) is written to
+// deployments/<network>_deployment.json with its tx hash, block, code hash, args
+// and compiler settings as soon as it completes. Re-running skips completed steps
+// after checking the on-chain code still matches the artifact, and picks up
+// transactions that were sent but not yet recorded as mined.
+//
+// DEPLOY_PLAN points at a JSON or YAML plan (see deploy-plan.example.json) with
+// the initial validators, their reward addresses, commission rates and
+// descriptions, and the admin / emergency admin to hand the contracts over to.
+// It is validated against the limits in Validators.sol before any transaction.
+// Validators are configured with their own keys (PRIVATE_KEYS on oxt); a
+// validator without a key here is left to send edit()/updateCommissionRate() itself.
+// Without a plan, the deployer is the only validator and stays admin.
+//
+// Dry run: `node scripts/deploy.js --dry-run oxt` (or DRY_RUN=oxt) runs the whole
+// plan on an in-process fork of the network as its configured accounts, then
+// prints every transaction with its gas against the network's `gas` cap, the
+// cost at its `gasPrice` and whether the senders' balances cover it. Nothing is
+// broadcast and deployments/ is left untouched.
 const hre = require("hardhat");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { defaultPlan, loadPlan, validatePlan } = require("./lib/deploy-plan");
+const { DeploymentManifest } = require("./lib/deployment-manifest");
+const { disassemble } = require("./lib/disassembler");
+const { checkDryRun, collectTransactions, prepareDryRun } = require("./lib/dry-run");
+const { canonicalAddresses, installCode } = require("./lib/system-contracts");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const DEPLOY_MODES = ["canonical", "factory"];
+
+// Network to dry-run against, from --dry-run [network] or DRY_RUN=<network>
+function dryRunTarget() {
+  const index = process.argv.indexOf("--dry-run");
+  if (index !== -1) {
+    const value = process.argv[index + 1];
+    return value && !value.startsWith("--") ? value : hre.network.name;
+  }
+  if (process.env.DRY_RUN) {
+    return ["1", "true"].includes(process.env.DRY_RUN) ? hre.network.name : process.env.DRY_RUN;
+  }
+  return undefined;
+}
 
 async function main() {
   console.log("🚀 Starting deployment with Solidity 0.8.19 for pre-Shanghai Geth...\n");
   
-  // Get deployer account
-  const [deployer] = await hre.ethers.getSigners();
-  console.log("Deploying contracts with account:", deployer.address);
-  
-  const balance = await deployer.getBalance();
-  console.log("Account balance:", hre.ethers.utils.formatEther(balance), "ETH\n");
-  
-  // Contract addresses (update these if you have specific addresses)
-  const VALIDATOR_CONTRACT_ADDR = "0x0000000000000000000000000000000000001000";
-  const SLASH_CONTRACT_ADDR = "0x0000000000000000000000000000000000001001";
-  
   try {
-    // Skip System contract as it's abstract
-    // Only deploy concrete contracts: Validators and Slash
+    const dryRunNetwork = dryRunTarget();
+    const dryRun = dryRunNetwork ? await prepareDryRun(hre, dryRunNetwork) : undefined;
+    const networkName = dryRun ? dryRun.networkName : hre.network.name;
+    if (dryRun) {
+      console.log(`🧪 DRY RUN against ${networkName} (forked in-process at ${dryRun.hardfork}, nothing is broadcast)`);
+    }
+
+    const mode = process.env.DEPLOY_MODE || (LOCAL_NETWORKS.includes(networkName) ? "canonical" : "factory");
+    if (!DEPLOY_MODES.includes(mode)) {
+      throw new Error(`Unknown DEPLOY_MODE: ${mode} (expected ${DEPLOY_MODES.join(" or ")})`);
+    }
+    console.log("Deployment mode:", mode);
+
+    // Get deployer account
+    const signers = dryRun ? dryRun.signers : await hre.ethers.getSigners();
+    const [deployer] = signers;
+    console.log("Deploying contracts with account:", deployer.address);
+    
+    const balance = dryRun ? dryRun.balances.get(deployer.address) : await hre.ethers.provider.getBalance(deployer.address);
+    console.log("Account balance:", hre.ethers.formatEther(balance), "ETH\n");
     
-    // 1. Deploy Validators contract
-    console.log("📝 Deploying Validators contract...");
-    const Validators = await hre.ethers.getContractFactory("Validators");
-    const validators = await Validators.deploy();
-    await validators.deployed();
-    console.log("✅ Validators deployed to:", validators.address);
+    const plan = process.env.DEPLOY_PLAN ? loadPlan(process.env.DEPLOY_PLAN) : defaultPlan(deployer.address);
+    const planIssues = validatePlan(plan);
+    if (planIssues.length > 0) {
+      throw new Error(`Invalid deployment plan ${process.env.DEPLOY_PLAN || ""}:\n  - ${planIssues.join("\n  - ")}`);
+    }
+    console.log(`📋 Plan: ${plan.validators.length} initial validator(s)` +
+      `, admin ${plan.admin || deployer.address}, emergency admin ${plan.emergencyAdmin || plan.admin || deployer.address}\n`);
+
+    // Every step is recorded as it completes; a re-run skips the steps already done.
+    // The in-process hardhat network starts empty each run, so it always starts over.
+    // A dry run works on a scratch copy, so it only shows the steps still to do.
+    const filename = `${networkName}_deployment.json`;
+    let manifestPath = path.join(__dirname, "../deployments", filename);
+    if (dryRun) {
+      const scratchPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "deploy-dry-run-")), filename);
+      if (fs.existsSync(manifestPath)) {
+        fs.copyFileSync(manifestPath, scratchPath);
+      }
+      manifestPath = scratchPath;
+    }
+    const manifest = DeploymentManifest.load(manifestPath, {
+      network: networkName,
+      ...(dryRun ? dryRun.chain : {
+        chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+        genesisHash: (await hre.ethers.provider.getBlock(0)).hash
+      }),
+      deployer: deployer.address,
+      mode
+    }, { fresh: networkName === "hardhat" });
     
-    // 2. Deploy Slash contract
-    console.log("\n📝 Deploying Slash contract...");
-    const Slash = await hre.ethers.getContractFactory("Slash");
-    const slash = await Slash.deploy();
-    await slash.deployed();
-    console.log("✅ Slash deployed to:", slash.address);
+    // Skip System contract as it's abstract
+    // Only deploy concrete contracts: Validators and Slash
+    const validators = await deployStep(manifest, "Validators", mode, deployer);
+    const slash = await deployStep(manifest, "Slash", mode, deployer);
     
     // 3. Verify bytecode compatibility
     console.log("\n🔍 Verifying bytecode compatibility...");
-    await verifyBytecodeCompatibility(validators.address, "Validators");
-    await verifyBytecodeCompatibility(slash.address, "Slash");
+    await verifyBytecodeCompatibility(await validators.getAddress(), "Validators");
+    await verifyBytecodeCompatibility(await slash.getAddress(), "Slash");
     
     // 4. Initialize contracts
     console.log("\n⚙️  Initializing contracts...");
     
-    // Initial validators list (update with your validators)
-    const initialValidators = [
-      deployer.address, // Use deployer as initial validator for testing
-      // Add more validator addresses as needed
-    ];
-    
-    // Initialize Validators contract
-    console.log("Initializing Validators with", initialValidators.length, "validators...");
-    const initValidatorsTx = await validators.initialize(initialValidators);
-    await initValidatorsTx.wait();
-    console.log("✅ Validators initialized");
-    
-    // Initialize Slash contract
-    console.log("Initializing Slash contract...");
-    const initSlashTx = await slash.initialize();
-    await initSlashTx.wait();
-    console.log("✅ Slash initialized");
-    
-    // 5. Save deployment info
-    const deploymentInfo = {
-      network: hre.network.name,
-      chainId: hre.network.config.chainId,
-      deployer: deployer.address,
-      contracts: {
-        validators: {
-          address: validators.address,
-          blockNumber: validators.deployTransaction.blockNumber,
-        },
-        slash: {
-          address: slash.address,
-          blockNumber: slash.deployTransaction.blockNumber,
-        }
-      },
-      timestamp: new Date().toISOString()
-    };
-    
-    const deploymentsDir = path.join(__dirname, "../deployments");
-    if (!fs.existsSync(deploymentsDir)) {
-      fs.mkdirSync(deploymentsDir);
+    await initializeStep(manifest, "Validators", validators, [plan.validators.map(v => v.address)]);
+    await initializeStep(manifest, "Slash", slash, []);
+
+    // 5. Validator profiles, then hand the admin roles over
+    for (const entry of plan.validators) {
+      await configureStep(manifest, validators, entry, signers);
+    }
+    if (plan.admin || plan.emergencyAdmin) {
+      console.log("\n🔑 Handing over admin roles...");
+      await handoverStep(manifest, "Validators", validators, deployer, plan);
+      await handoverStep(manifest, "Slash", slash, deployer, plan);
+    }
+
+    if (mode === "factory") {
+      console.log("\n⚠️  Factory addresses are not the canonical system addresses:");
+      console.log("   slashing, Slash.clean, unjailValidator and redelegate will revert in this deployment.");
     }
     
-    const filename = `${hre.network.name}_deployment.json`;
-    fs.writeFileSync(
-      path.join(deploymentsDir, filename),
-      JSON.stringify(deploymentInfo, null, 2)
-    );
-    
+    if (dryRun) {
+      fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+      const ok = await printDryRun(dryRun);
+      process.exit(ok ? 0 : 1);
+    }
+
     console.log("\n✅ Deployment complete!");
     console.log("📄 Deployment info saved to:", `deployments/${filename}`);
     
@@ -97,10 +153,11 @@ async function main() {
     console.log("\n" + "=".repeat(60));
     console.log("DEPLOYMENT SUMMARY");
     console.log("=".repeat(60));
-    console.log("Network:", hre.network.name);
-    console.log("Chain ID:", hre.network.config.chainId);
-    console.log("Validators Contract:", validators.address);
-    console.log("Slash Contract:", slash.address);
+    console.log("Network:", networkName);
+    console.log("Chain ID:", manifest.data.chainId);
+    console.log("Mode:", mode);
+    console.log("Validators Contract:", manifest.data.contracts.validators.address);
+    console.log("Slash Contract:", manifest.data.contracts.slash.address);
     console.log("=".repeat(60));
     
   } catch (error) {
@@ -109,227 +166,253 @@ async function main() {
   }
 }
 
-async function verifyBytecodeCompatibility(address, contractName) {
-  const bytecode = await hre.ethers.provider.getCode(address);
-  
-  // Check for PUSH0 opcode (0x5f)
-  if (bytecode.toLowerCase().includes("5f")) {
-    // More thorough check - 5f could be part of data, not opcode
-    const opcodeCheck = checkForPush0Opcode(bytecode);
-    if (opcodeCheck) {
-      console.warn(`⚠️  WARNING: ${contractName} bytecode might contain PUSH0 opcode!`);
-      console.warn("   This may not work on pre-Shanghai Geth nodes.");
-      return false;
-    }
+// Transactions the dry run sent on the fork, checked against the target's gas cap and balances
+async function printDryRun(dryRun) {
+  const { gasCap, gasPrice } = dryRun;
+  const transactions = await collectTransactions(hre, dryRun.startBlock, ["Validators", "Slash"], gasPrice);
+  const { accounts, issues } = checkDryRun(transactions, dryRun);
+
+  console.log("\n" + "=".repeat(60));
+  console.log(`DRY RUN: ${transactions.length} transaction(s) for ${dryRun.networkName}`);
+  console.log("=".repeat(60));
+  console.log(`Gas cap: ${gasCap !== undefined ? gasCap : "auto"}, gas price: ${hre.ethers.formatUnits(gasPrice, "gwei")} gwei\n`);
+
+  transactions.forEach((tx, i) => {
+    const overCap = gasCap !== undefined && tx.gasUsed > gasCap;
+    const share = gasCap !== undefined ? ` (${(Number(tx.gasUsed) * 100 / Number(gasCap)).toFixed(1)}% of cap)` : "";
+    console.log(`${overCap ? "❌" : "✅"} #${i + 1} ${tx.action}`);
+    console.log(`     from ${tx.from}, gas ${tx.gasUsed}${share}, cost ${hre.ethers.formatEther(tx.cost)} ETH`);
+  });
+
+  console.log();
+  for (const account of accounts) {
+    const covered = account.balance >= account.required;
+    console.log(`${covered ? "✅" : "❌"} ${account.address}: needs ${hre.ethers.formatEther(account.required)} ETH` +
+      ` (${hre.ethers.formatEther(account.cost)} ETH spent), holds ${hre.ethers.formatEther(account.balance)} ETH`);
   }
-  
-  console.log(`✅ ${contractName} bytecode is compatible with pre-Shanghai EVM`);
+
+  if (issues.length > 0) {
+    console.log("\n❌ The deployment would not go through:");
+    issues.forEach(issue => console.log(`   - ${issue}`));
+    return false;
+  }
+  console.log("\n✅ Dry run passed; nothing was broadcast.");
   return true;
 }
 
-function checkForPush0Opcode(bytecode) {
-  // Remove 0x prefix if present
-  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
-  
-  // PUSH0 opcode is 0x5f
-  // We need to check if 5f appears as an opcode, not as data
-  // This is a simplified check - a full check would require parsing the entire bytecode
-  
-  let i = 0;
-  while (i < code.length) {
-    const opcode = code.substr(i, 2);
-    
-    if (opcode === "5f") {
-      // Found potential PUSH0
-      return true;
-    }
-    
-    // Skip PUSH operations and their data
-    const opcodeNum = parseInt(opcode, 16);
-    if (opcodeNum >= 0x60 && opcodeNum <= 0x7f) {
-      // PUSH1 to PUSH32
-      const dataLength = (opcodeNum - 0x60 + 1) * 2; // Each byte is 2 hex chars
-      i += 2 + dataLength;
-    } else {
-      i += 2;
+// Solidity version and the settings that affect the deployed code
+async function compilerSettings(name) {
+  const build = await hre.artifacts.getBuildInfo(`contracts/${name}.sol:${name}`);
+  const { optimizer, evmVersion, metadata } = build.input.settings;
+  return { version: build.solcVersion, optimizer, evmVersion, metadata };
+}
+
+// Fails unless the code at `address` is exactly the artifact's runtime code
+async function verifyCode(name, address) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`No code at ${address} for ${name}`);
+  }
+
+  const codeHash = hre.ethers.keccak256(code);
+  if (codeHash !== hre.ethers.keccak256(artifact.deployedBytecode)) {
+    throw new Error(`Code at ${address} does not match the ${name} artifact (code hash ${codeHash}); recompile or start over`);
+  }
+  return codeHash;
+}
+
+// Receipt of a transaction recorded as pending, or null when it was dropped or reverted
+async function pendingReceipt(record) {
+  const tx = record?.status === "pending" && record.txHash
+    ? await hre.ethers.provider.getTransaction(record.txHash)
+    : null;
+  if (!tx) {
+    return null;
+  }
+
+  console.log(`⏳ Waiting for pending transaction ${record.txHash}...`);
+  try {
+    return await tx.wait();
+  } catch (error) {
+    console.log(`⚠️  ${record.txHash} failed (${error.shortMessage || error.message}), sending it again`);
+    return null;
+  }
+}
+
+async function deployStep(manifest, name, mode, deployer) {
+  const step = `deploy:${name}`;
+  const record = manifest.step(step);
+  const key = name.toLowerCase();
+  console.log(`${name === "Validators" ? "" : "\n"}📝 ${mode === "canonical" ? "Installing" : "Deploying"} ${name}...`);
+
+  // Canonical code can simply be installed again, e.g. after the node restarted
+  const recordedCode = record?.status === "done"
+    && (mode === "factory" || (await hre.ethers.provider.getCode(record.address)) !== "0x");
+  if (recordedCode) {
+    await verifyCode(name, record.address);
+    console.log(`⏭️  ${name} already at ${record.address}, code matches the artifact`);
+    return hre.ethers.getContractAt(name, record.address, deployer);
+  }
+
+  const base = {
+    contract: name,
+    args: [],
+    compiler: await compilerSettings(name)
+  };
+  let done;
+
+  if (mode === "canonical") {
+    const address = canonicalAddresses()[name];
+    const result = await installCode(hre.ethers.provider, address, await hre.artifacts.readArtifact(name));
+    console.log(result === "present"
+      ? `✅ ${name} code already present at ${address}`
+      : `✅ ${name} code ${result} at ${address}`);
+    done = { ...base, address, install: result, txHash: null, blockNumber: await hre.ethers.provider.getBlockNumber() };
+  } else {
+    let receipt = await pendingReceipt(record);
+    if (!receipt) {
+      const factory = await hre.ethers.getContractFactory(name, deployer);
+      const contract = await factory.deploy();
+      manifest.pending(step, { ...base, txHash: contract.deploymentTransaction().hash });
+      receipt = await contract.deploymentTransaction().wait();
     }
+    console.log(`✅ ${name} deployed to:`, receipt.contractAddress);
+    done = { ...base, address: receipt.contractAddress, txHash: receipt.hash, blockNumber: receipt.blockNumber };
   }
-  
-  return false;
+
+  done.codeHash = await verifyCode(name, done.address);
+  manifest.complete(step, done);
+  manifest.setContract(key, { address: done.address, blockNumber: done.blockNumber, codeHash: done.codeHash });
+  return hre.ethers.getContractAt(name, done.address, deployer);
 }
 
-// Run deployment
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+// Reward address, description and commission rate, sent with the validator's own key
+async function configureStep(manifest, validators, entry, signers) {
+  const step = `configure:${entry.address}`;
+  const wantsEdit = entry.rewardAddr !== undefined || entry.description !== undefined;
+  const wantsCommission = entry.commissionRate !== undefined;
+  if (manifest.isDone(step) || (!wantsEdit && !wantsCommission)) {
+    return;
+  }
 
-// scripts/verify-contracts.js - Verification script
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+  const signer = signers.find(s => s.address.toLowerCase() === entry.address.toLowerCase());
+  if (!signer) {
+    console.log(`⚠️  No key for validator ${entry.address}; it has to call ` +
+      [wantsEdit && "edit()", wantsCommission && `updateCommissionRate(${entry.commissionRate})`].filter(Boolean).join(" and ") + " itself");
+    return;
+  }
 
-async function main() {
-  console.log("🔍 Verifying deployed contracts...\n");
-  
-  // Load deployment info
-  const deploymentFile = path.join(
-    __dirname,
-    `../deployments/${hre.network.name}_deployment.json`
-  );
-  
-  if (!fs.existsSync(deploymentFile)) {
-    console.error("❌ Deployment file not found. Run deploy script first.");
-    process.exit(1);
+  console.log(`Configuring validator ${entry.address}...`);
+  const contract = validators.connect(signer);
+  const txHashes = [];
+
+  if (wantsEdit) {
+    const description = { moniker: "", website: "", email: "", details: "", ...entry.description };
+    const tx = await contract.edit(
+      entry.rewardAddr || entry.address,
+      description.moniker,
+      description.website,
+      description.email,
+      description.details
+    );
+    txHashes.push((await tx.wait()).hash);
   }
-  
-  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-  
-  console.log("Network:", deployment.network);
-  console.log("Validators:", deployment.contracts.validators.address);
-  console.log("Slash:", deployment.contracts.slash.address);
-  console.log();
-  
-  // Verify each contract
-  await verifyContract(deployment.contracts.validators.address, "Validators");
-  await verifyContract(deployment.contracts.slash.address, "Slash");
-  
-  console.log("\n✅ Verification complete!");
+  if (wantsCommission) {
+    const tx = await contract.updateCommissionRate(entry.commissionRate);
+    txHashes.push((await tx.wait()).hash);
+  }
+
+  console.log(`✅ Validator ${entry.address} configured`);
+  manifest.complete(step, { ...entry, txHashes });
 }
 
-async function verifyContract(address, name) {
-  console.log(`\nVerifying ${name} at ${address}...`);
-  
-  // Get contract instance
-  const contract = await hre.ethers.getContractAt(name, address);
-  
-  // Check basic functionality
-  try {
-    const initialized = await contract.initialized();
-    console.log(`  ✓ Contract initialized: ${initialized}`);
-    
-    const paused = await contract.paused();
-    console.log(`  ✓ Contract paused: ${paused}`);
-    
-    const admin = await contract.admin();
-    console.log(`  ✓ Admin address: ${admin}`);
-    
-    // Check bytecode
-    const bytecode = await hre.ethers.provider.getCode(address);
-    const hasCode = bytecode && bytecode !== "0x";
-    console.log(`  ✓ Has bytecode: ${hasCode}`);
-    
-    // Check for PUSH0
-    const hasPush0 = bytecode.toLowerCase().includes("5f");
-    if (hasPush0) {
-      console.warn(`  ⚠️  WARNING: Bytecode contains "5f" - verify this is not PUSH0 opcode`);
-    } else {
-      console.log(`  ✓ No PUSH0 opcode detected`);
+// changeAdmin() and, on Validators, updateEmergencyAdmin() from the deployer
+async function handoverStep(manifest, name, contract, deployer, plan) {
+  const step = `handover:${name}`;
+  if (manifest.isDone(step)) {
+    console.log(`⏭️  ${name} admin roles already handed over`);
+    return;
+  }
+
+  const roles = [["admin", plan.admin, "changeAdmin"]];
+  if (name === "Validators") {
+    roles.unshift(["emergencyAdmin", plan.emergencyAdmin || plan.admin, "updateEmergencyAdmin"]);
+  }
+
+  const record = { txHashes: [] };
+  for (const [role, target, method] of roles) {
+    if (!target) {
+      continue;
     }
-    
-  } catch (error) {
-    console.error(`  ✗ Error verifying ${name}:`, error.message);
+    record[role] = target;
+
+    const current = await contract[role]();
+    if (current.toLowerCase() === target.toLowerCase()) {
+      continue;
+    }
+    if (current.toLowerCase() !== deployer.address.toLowerCase()) {
+      throw new Error(`${name} ${role} is ${current}, so ${deployer.address} cannot hand it over to ${target}`);
+    }
+
+    const tx = await contract[method](target);
+    record.txHashes.push((await tx.wait()).hash);
+    console.log(`✅ ${name} ${role} set to ${target}`);
   }
+
+  manifest.complete(step, record);
 }
 
-main().catch((error) => {
-  console.error(error);
-  process.exitCode = 1;
-});
+async function initializeStep(manifest, name, contract, args) {
+  const step = `initialize:${name}`;
+  const record = manifest.step(step);
 
-// scripts/test-deployment.js - Test basic functionality
-const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+  if (record?.status === "done") {
+    if (!(await contract.initialized())) {
+      throw new Error(`${step} is recorded as done, but ${name} is not initialized on chain; move the manifest away to start over`);
+    }
+    if (JSON.stringify(record.args) !== JSON.stringify(args)) {
+      console.log(`⚠️  ${name} was initialized with ${JSON.stringify(record.args)}, not ${JSON.stringify(args)}`);
+    }
+    console.log(`⏭️  ${name} already initialized (${record.txHash || "before this deployment"})`);
+    return;
+  }
 
-async function main() {
-  console.log("🧪 Testing deployed contracts...\n");
-  
-  const [deployer, user1, user2] = await hre.ethers.getSigners();
-  
-  // Load deployment info
-  const deploymentFile = path.join(
-    __dirname,
-    `../deployments/${hre.network.name}_deployment.json`
-  );
-  
-  if (!fs.existsSync(deploymentFile)) {
-    console.error("❌ Deployment file not found. Run deploy script first.");
-    process.exit(1);
+  let receipt = await pendingReceipt(record);
+  if (!receipt && (await contract.initialized())) {
+    // Pre-initialized in genesis, or initialized outside this script
+    console.log(`✅ ${name} already initialized, admin`, await contract.admin());
+    manifest.complete(step, { args, txHash: null, blockNumber: null, admin: await contract.admin() });
+    return;
   }
-  
-  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
-  
-  // Get contract instances
-  const validators = await hre.ethers.getContractAt(
-    "Validators",
-    deployment.contracts.validators.address
-  );
-  
-  const slash = await hre.ethers.getContractAt(
-    "Slash",
-    deployment.contracts.slash.address
-  );
-  
-  console.log("Testing Validators contract...");
-  
-  try {
-    // Test 1: Check initial state
-    console.log("\n1. Checking initial state:");
-    const initialized = await validators.initialized();
-    console.log(`   ✓ Initialized: ${initialized}`);
-    
-    const totalStaked = await validators.getTotalNetworkStaked();
-    console.log(`   ✓ Total network staked: ${hre.ethers.utils.formatEther(totalStaked)} ETH`);
-    
-    const activeValidators = await validators.getActivatedValidators();
-    console.log(`   ✓ Active validators: ${activeValidators.length}`);
-    
-    // Test 2: Create a validator
-    console.log("\n2. Creating a validator:");
-    const tx = await validators.connect(user1).create(
-      user1.address,
-      "TestValidator",
-      "https://test.com",
-      "test@test.com",
-      "Test validator",
-      { value: hre.ethers.utils.parseEther("10000") }
-    );
-    await tx.wait();
-    console.log(`   ✓ Validator created by ${user1.address}`);
-    
-    // Test 3: Check validator info
-    console.log("\n3. Checking validator info:");
-    const validatorInfo = await validators.getValidatorInfo(user1.address);
-    console.log(`   ✓ Status: ${validatorInfo.status}`);
-    console.log(`   ✓ Total staked: ${hre.ethers.utils.formatEther(validatorInfo.totalStaked)} ETH`);
-    
-    // Test 4: Stake to validator
-    console.log("\n4. Staking to validator:");
-    const stakeTx = await validators.connect(user2).stake(
-      user1.address,
-      { value: hre.ethers.utils.parseEther("1000") }
-    );
-    await stakeTx.wait();
-    console.log(`   ✓ ${user2.address} staked 1000 ETH`);
-    
-    // Test 5: Check slash contract
-    console.log("\n5. Testing Slash contract:");
-    const slashThreshold = await slash.slashThreshold();
-    console.log(`   ✓ Slash threshold: ${slashThreshold.toString()}`);
-    
-    const decreaseRate = await slash.decreaseRate();
-    console.log(`   ✓ Decrease rate: ${decreaseRate.toString()}`);
-    
-    console.log("\n✅ All tests passed!");
-    
-  } catch (error) {
-    console.error("\n❌ Test failed:", error);
-    process.exit(1);
+
+  if (!receipt) {
+    console.log(`Initializing ${name}${args.length > 0 ? " with " + JSON.stringify(args) : ""}...`);
+    const tx = await contract.initialize(...args);
+    manifest.pending(step, { args, txHash: tx.hash });
+    receipt = await tx.wait();
   }
+  console.log(`✅ ${name} initialized`);
+  manifest.complete(step, { args, txHash: receipt.hash, blockNumber: receipt.blockNumber, admin: await contract.admin() });
 }
 
+// Disassembles the deployed code, so PUSH data and the metadata are not taken for opcodes
+async function verifyBytecodeCompatibility(address, contractName, fork = "istanbul") {
+  const { findings } = disassemble(await hre.ethers.provider.getCode(address), { fork });
+  const unsupported = findings.filter(f => f.reason === "unsupported");
+  if (unsupported.length > 0) {
+    const names = [...new Set(unsupported.map(f => f.name))].join(", ");
+    console.warn(`⚠️  WARNING: ${contractName} bytecode uses ${names}, which ${fork} does not support!`);
+    console.warn("   This may not work on pre-Shanghai Geth nodes.");
+    return false;
+  }
+
+  console.log(`✅ ${contractName} bytecode is compatible with ${fork} EVM`);
+  return true;
+}
+
+// Run deployment
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
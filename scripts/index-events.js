@@ -0,0 +1,166 @@
+// scripts/index-events.js - Off-chain index of the staking state
+//
+// Follows the Validators and Slash events and keeps each validator's and
+// delegator's state and history in deployments/<network>_index.json. The
+// last --reorg-depth blocks (default 12) are re-checked on every sync and
+// re-scanned when their hashes changed.
+//
+//   sync [--from <block>] [--fresh]   index up to the latest block
+//   reconcile                         sync, then compare with getValidatorSummaries(),
+//                                     getDelegators(), getDelegation(), getPendingRewards(),
+//                                     getUnbondingEntries() and getSlashRecords();
+//                                     exits with 1 on any difference
+//   show <address>                    indexed state and history of a validator
+//                                     or delegator
+//
+// Scanning starts at the block the contracts were deployed in, from
+// deployments/<network>_deployment.json, or at genesis.
+//
+// Usage: npm run hardhat:index:local -- sync
+//        HARDHAT_NETWORK=oxt node scripts/index-events.js reconcile
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { EventIndexer, reconcile } = require("./lib/event-indexer");
+const { formatAmount } = require("./lib/staking");
+const { delegatedAmount } = require("./lib/staking-ledger");
+const { readStakingConstants } = require("./lib/staking-model");
+const { deployedAddresses } = require("./lib/system-contracts");
+
+const { ethers } = hre;
+
+const DEPLOYMENTS_PATH = path.join(__dirname, "../deployments");
+const USAGE = "index-events.js sync [--from <block>] [--fresh] | reconcile | show <address> [--reorg-depth <n>]";
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--fresh") {
+      options.fresh = true;
+    } else if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function parseBlock(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a block number, got ${value}`);
+  }
+  return Number(value);
+}
+
+// Block the system contracts were deployed in according to the manifest
+function deploymentBlock(network) {
+  const manifestPath = path.join(DEPLOYMENTS_PATH, `${network}_deployment.json`);
+  if (!fs.existsSync(manifestPath)) {
+    return 0;
+  }
+  const { contracts = {} } = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const blocks = [contracts.validators, contracts.slash]
+    .map(contract => contract?.blockNumber)
+    .filter(number => Number.isInteger(number));
+  return blocks.length > 0 ? Math.min(...blocks) : 0;
+}
+
+async function sync(indexer) {
+  const result = await indexer.sync();
+  if (result.reorgAt !== undefined) {
+    console.log(`🔀 Reorg detected, re-scanned from block ${result.reorgAt}`);
+  }
+  if (result.to >= result.from) {
+    console.log(`📥 Indexed blocks ${result.from}-${result.to}: ${result.events} events`);
+  } else {
+    console.log(`✅ Index is at the latest block ${result.to}`);
+  }
+
+  const ledger = indexer.state();
+  console.log(`   ${Object.keys(ledger.validators).length} validators, ${Object.keys(ledger.delegations).length} delegations, ${formatAmount(ledger.totalNetworkStaked)} staked`);
+  for (const issue of ledger.inconsistencies) {
+    console.warn(`⚠️  Block ${issue.block}: ${issue.event} paid ${issue.validator} ${issue.emitted}, the ledger expected ${issue.expected}`);
+  }
+  return ledger;
+}
+
+function printHistory(history) {
+  for (const { event, block, tx, ...args } of history) {
+    const details = Object.entries(args)
+      .map(([key, value]) => `${key}=${typeof value === "bigint" && value >= 10n ** 15n ? formatAmount(value) : value}`)
+      .join(" ");
+    console.log(`    #${block} ${event} ${details} (${tx})`);
+  }
+}
+
+function show(ledger, address) {
+  const validator = Object.keys(ledger.validators).find(v => v.toLowerCase() === address.toLowerCase());
+  const delegations = Object.values(ledger.delegations)
+    .filter(del => del.delegator.toLowerCase() === address.toLowerCase() || del.validator.toLowerCase() === address.toLowerCase());
+  if (!validator && delegations.length === 0) {
+    throw new Error(`${address} does not appear in the index`);
+  }
+
+  if (validator) {
+    const { history, ...state } = ledger.validators[validator];
+    console.log(`\n🏛️  Validator ${validator}`);
+    console.log(`    status ${state.status}, staked ${formatAmount(state.totalStaked)}, commission ${state.commissionRate} bp, reward ${formatAmount(state.rewardAmount)}, slashed ${formatAmount(state.slashAmount)}, missed blocks ${state.missedBlocks}`);
+    printHistory(history);
+  }
+  for (const { delegator, validator: target, history } of delegations) {
+    const amount = delegatedAmount(ledger, delegator, target);
+    console.log(`\n👤 ${delegator} with ${target}: ${formatAmount(amount)} delegated`);
+    printHistory(history);
+  }
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+  if (!["sync", "reconcile", "show"].includes(command)) {
+    throw new Error(`Unknown command${command ? ` "${command}"` : ""}\nUsage: ${USAGE}`);
+  }
+
+  const addresses = deployedAddresses(hre.network.name);
+  const storePath = path.join(DEPLOYMENTS_PATH, `${hre.network.name}_index.json`);
+  if (options.fresh && fs.existsSync(storePath)) {
+    fs.unlinkSync(storePath);
+  }
+  const constants = readStakingConstants();
+  const indexer = new EventIndexer(ethers.provider, addresses, {
+    storePath,
+    startBlock: options.from !== undefined ? parseBlock(options.from, "--from") : deploymentBlock(hre.network.name),
+    reorgDepth: options["reorg-depth"] !== undefined ? parseBlock(options["reorg-depth"], "--reorg-depth") : undefined,
+    constants
+  });
+  console.log(`🔗 Indexing Validators ${addresses.Validators} and Slash ${addresses.Slash} on ${hre.network.name}\n`);
+
+  const ledger = await sync(indexer);
+  if (command === "show") {
+    if (!args[0]) {
+      throw new Error(`Missing <address>\nUsage: ${USAGE}`);
+    }
+    return show(ledger, args[0]);
+  }
+  if (command === "reconcile") {
+    const validators = await ethers.getContractAt("Validators", addresses.Validators);
+    const slash = await ethers.getContractAt("Slash", addresses.Slash);
+    const blockTag = indexer.data.head.number;
+    const differences = await reconcile(ledger, { validators, slash }, blockTag, constants);
+    if (differences.length > 0) {
+      console.error(`\n❌ ${differences.length} differences at block ${blockTag}:`);
+      differences.forEach(d => console.error(`  - ${d.subject} ${d.field}: indexed ${d.indexed}, on-chain ${d.onchain}`));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`\n✅ Index matches the contracts at block ${blockTag}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌", error.shortMessage || error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,306 @@
+// scripts/interact.js - Staking CLI for the Validators contract
+//
+// Usage: HARDHAT_NETWORK=<network> node scripts/interact.js <command> [args] [options]
+//        npm run hardhat:interact:local -- <command> [args] [options]
+//
+// Options:
+//   --from <address|index>   signer to send with (default: the first configured account)
+//   --contract <address>     Validators address (default: deployments/<network>_deployment.json,
+//                            then the canonical ValidatorContractAddr)
+//   --moniker, --website, --email, --details   description fields for create/edit
+//
+// Every command that sends a transaction first reads the contract state and
+// checks the same conditions Validators does (MIN_DELEGATOR_STAKE, the staking
+// lock period, WITHDRAW_REWARD_PERIOD, pauses, ...). When one fails it explains
+// why and when the action becomes possible, and nothing is sent.
+//
+// unstake without an amount unstakes the whole delegation; withdraw-staking
+// pays out every unstaked amount whose STAKING_LOCK_PERIOD has passed.
+// redelegate moves stake to another validator at once, the whole delegation
+// when no amount is given.
+const hre = require("hardhat");
+const { StakingClient, decodeError } = require("../sdk");
+const { DESCRIPTION_FIELDS, readLimits } = require("./lib/deploy-plan");
+const { CHECKS, formatAmount, formatTime, formatWait, readStakingState } = require("./lib/staking");
+const { deployedAddresses } = require("./lib/system-contracts");
+
+const { ethers } = hre;
+
+const COMMANDS = {
+  create: { usage: "create <rewardAddr> [stakeAmount]" },
+  "create-with-commission": { usage: "create-with-commission <rewardAddr> <commissionRate> [stakeAmount]" },
+  stake: { usage: "stake <validator> <amount>" },
+  unstake: { usage: "unstake <validator> [amount]" },
+  redelegate: { usage: "redelegate <fromValidator> <toValidator> [amount]" },
+  "withdraw-staking": { usage: "withdraw-staking <validator>" },
+  "claim-rewards": { usage: "claim-rewards <validator>" },
+  "withdraw-rewards": { usage: "withdraw-rewards <validator>" },
+  edit: { usage: "edit <rewardAddr>" },
+  "set-commission": { usage: "set-commission <commissionRate>" },
+  unjail: { usage: "unjail" },
+  info: { usage: "info <validator>" },
+  pending: { usage: "pending <validator> [delegator]" },
+  validators: { usage: "validators" }
+};
+
+function usage() {
+  return "Usage: node scripts/interact.js <command> [args] [--from <address|index>] [--contract <address>]\n\nCommands:\n" +
+    Object.values(COMMANDS).map(({ usage }) => `  ${usage}`).join("\n");
+}
+
+// Splits argv into positional arguments and --name value options
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+function requireArg(args, index, name, command) {
+  if (args[index] === undefined) {
+    throw new Error(`Missing <${name}>\nUsage: ${COMMANDS[command].usage}`);
+  }
+  return args[index];
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`${name} is not an address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseRate(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Commission rate must be an integer in basis points, got ${value}`);
+  }
+  return BigInt(value);
+}
+
+function validatorsAddress(options) {
+  return options.contract
+    ? parseAddress(options.contract, "--contract")
+    : deployedAddresses(hre.network.name).Validators;
+}
+
+async function selectSigner(from) {
+  const signers = await ethers.getSigners();
+  if (from === undefined) {
+    return signers[0];
+  }
+  if (/^\d+$/.test(from)) {
+    if (!signers[Number(from)]) {
+      throw new Error(`No signer #${from}; ${signers.length} accounts are configured for ${hre.network.name}`);
+    }
+    return signers[Number(from)];
+  }
+  const signer = signers.find(s => s.address.toLowerCase() === from.toLowerCase());
+  if (!signer) {
+    throw new Error(`${from} is not one of the accounts configured for ${hre.network.name}`);
+  }
+  return signer;
+}
+
+function description(options) {
+  return Object.fromEntries(DESCRIPTION_FIELDS.map(field => [field, options[field] ?? ""]));
+}
+
+// The validator a command acts on and the parameters its check and transaction need
+function prepare(command, args, options, signer) {
+  const descriptionFields = description(options);
+  switch (command) {
+    case "create":
+      return {
+        validator: signer.address,
+        params: {
+          rewardAddr: parseAddress(requireArg(args, 0, "rewardAddr", command), "rewardAddr"),
+          stake: args[1] === undefined ? 0n : ethers.parseEther(args[1]),
+          description: descriptionFields
+        }
+      };
+    case "create-with-commission":
+      return {
+        validator: signer.address,
+        params: {
+          rewardAddr: parseAddress(requireArg(args, 0, "rewardAddr", command), "rewardAddr"),
+          commissionRate: parseRate(requireArg(args, 1, "commissionRate", command)),
+          stake: args[2] === undefined ? 0n : ethers.parseEther(args[2]),
+          description: descriptionFields
+        }
+      };
+    case "stake":
+      return {
+        validator: parseAddress(requireArg(args, 0, "validator", command), "validator"),
+        params: { amount: ethers.parseEther(requireArg(args, 1, "amount", command)) }
+      };
+    case "unstake":
+      return {
+        validator: parseAddress(requireArg(args, 0, "validator", command), "validator"),
+        params: { amount: args[1] === undefined ? undefined : ethers.parseEther(args[1]) }
+      };
+    case "redelegate":
+      return {
+        validator: parseAddress(requireArg(args, 0, "fromValidator", command), "fromValidator"),
+        params: {
+          toValidator: parseAddress(requireArg(args, 1, "toValidator", command), "toValidator"),
+          amount: args[2] === undefined ? undefined : ethers.parseEther(args[2])
+        }
+      };
+    case "edit":
+      return {
+        validator: signer.address,
+        params: {
+          rewardAddr: parseAddress(requireArg(args, 0, "rewardAddr", command), "rewardAddr"),
+          description: descriptionFields
+        }
+      };
+    case "set-commission":
+      return {
+        validator: signer.address,
+        params: { commissionRate: parseRate(requireArg(args, 0, "commissionRate", command)) }
+      };
+    case "unjail":
+      return { validator: signer.address, params: {} };
+    default:
+      return { validator: parseAddress(requireArg(args, 0, "validator", command), "validator"), params: {} };
+  }
+}
+
+function send(validators, command, validator, params) {
+  const { rewardAddr, description: d } = params;
+  switch (command) {
+    case "create":
+      return validators.create(rewardAddr, d.moniker, d.website, d.email, d.details, { value: params.stake });
+    case "create-with-commission":
+      return validators.createWithCommission(rewardAddr, d.moniker, d.website, d.email, d.details, params.commissionRate,
+        { value: params.stake });
+    case "stake":
+      return validators.stake(validator, { value: params.amount });
+    case "unstake":
+      return validators.unstake(validator, params.amount);
+    case "redelegate":
+      return validators.redelegate(validator, params.toValidator, params.amount);
+    case "withdraw-staking":
+      return validators.withdrawStaking(validator);
+    case "claim-rewards":
+      return validators.claimDelegatorRewards(validator);
+    case "withdraw-rewards":
+      return validators.withdrawRewards(validator);
+    case "edit":
+      return validators.edit(rewardAddr, d.moniker, d.website, d.email, d.details);
+    case "set-commission":
+      return validators.updateCommissionRate(params.commissionRate);
+    case "unjail":
+      return validators.unjailValidator();
+  }
+}
+
+async function printInfo(validators, validator) {
+  const state = await readStakingState(validators, { validator });
+  const v = state.validator;
+  console.log(`📋 Validator ${validator}`);
+  console.log("  Status:", v.status, v.activated ? "(active)" : "");
+  console.log("  Reward address:", v.rewardAddr);
+  console.log("  Total staked:", formatAmount(v.totalStaked));
+  console.log("  Commission rate:", `${v.commissionRate} bps`);
+  console.log("  Unwithdrawn rewards:", formatAmount(v.rewardAmount));
+  console.log("  Slashed:", formatAmount(v.slashAmount));
+  if (v.status !== "NotExist") {
+    const next = v.lastWithdrawRewardTimestamp + state.constants.WITHDRAW_REWARD_PERIOD;
+    console.log("  Next reward withdrawal:", state.now >= next ? "now" : `${formatTime(next)} (in ${formatWait(next - state.now)})`);
+  }
+}
+
+async function printPending(validators, validator, delegator) {
+  const state = await readStakingState(validators, { account: delegator, validator });
+  const { delegatedAmount, unbonding, pendingRewards, redelegationLockEnd } = state.delegation;
+  console.log(`📋 ${delegator} with validator ${validator}`);
+  console.log("  Delegated:", formatAmount(delegatedAmount));
+  console.log("  Pending rewards:", formatAmount(pendingRewards));
+  for (const { amount, unlockTimestamp } of unbonding) {
+    console.log(`  Unstaked ${formatAmount(amount)}, withdrawable`,
+      state.now >= unlockTimestamp ? "now" : `at ${formatTime(unlockTimestamp)} (in ${formatWait(unlockTimestamp - state.now)})`);
+  }
+  if (state.now < redelegationLockEnd) {
+    console.log("  Redelegated here, can be redelegated again",
+      `at ${formatTime(redelegationLockEnd)} (in ${formatWait(redelegationLockEnd - state.now)})`);
+  }
+}
+
+async function printValidators(validators) {
+  const client = new StakingClient(validators.runner, { Validators: await validators.getAddress() });
+  const list = await client.listValidators();
+  const active = list.filter(v => v.activated).length;
+  console.log(`📋 ${active} active validators, ${list.length - active} other candidates, ${formatAmount(await validators.getTotalNetworkStaked())} staked in total`);
+  for (const v of list) {
+    console.log(`  ${v.address}  ${v.status.padEnd(7)}  ${formatAmount(v.totalStaked).padStart(12)} staked  ${v.commissionRate} bps${v.activated ? "" : "  (candidate)"}`);
+  }
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
+  if (!COMMANDS[command]) {
+    console.error((command ? `Unknown command: ${command}\n\n` : "") + usage());
+    process.exitCode = 1;
+    return;
+  }
+
+  const signer = await selectSigner(options.from);
+  const address = validatorsAddress(options);
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`No contract at ${address} on ${hre.network.name}; deploy first or pass --contract`);
+  }
+  const validators = await ethers.getContractAt("Validators", address, signer);
+  console.log(`🔗 Validators at ${address} on ${hre.network.name}\n`);
+
+  if (command === "info") {
+    return printInfo(validators, parseAddress(requireArg(args, 0, "validator", command), "validator"));
+  }
+  if (command === "pending") {
+    const validator = parseAddress(requireArg(args, 0, "validator", command), "validator");
+    return printPending(validators, validator, args[1] ? parseAddress(args[1], "delegator") : signer.address);
+  }
+  if (command === "validators") {
+    return printValidators(validators);
+  }
+
+  const { validator, params } = prepare(command, args, options, signer);
+  if (command === "edit" && DESCRIPTION_FIELDS.every(field => options[field] === undefined)) {
+    console.warn("⚠️  No --moniker/--website/--email/--details given; the description will be cleared");
+  }
+  const state = await readStakingState(validators, { account: signer.address, validator });
+  // The whole delegation after any pending slash, which the contract applies before checking the amount
+  if ((command === "unstake" || command === "redelegate") && params.amount === undefined) {
+    params.amount = state.delegation.delegatedAmount;
+  }
+  if (command === "redelegate") {
+    params.destination = await readStakingState(validators, { account: signer.address, validator: params.toValidator });
+  }
+  const reasons = CHECKS[command](state, { ...params, descriptionLimits: readLimits().description });
+  if (reasons.length > 0) {
+    console.error(`❌ Cannot ${command} as ${signer.address}:`);
+    reasons.forEach(reason => console.error(`  - ${reason}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Sending ${command} from ${signer.address}...`);
+  const tx = await send(validators, command, validator, params);
+  const receipt = await tx.wait();
+  console.log(`✅ ${command} confirmed in block ${receipt.blockNumber} (${receipt.hash})`);
+}
+
+main().catch((error) => {
+  // Reverts come back as StakingErrors carrying the contract's reason
+  error = decodeError(error);
+  console.error("❌", error.shortMessage || error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,181 @@
+// scripts/lib/block-producer.js
+// Plays the senatus consensus engine on a Hardhat network: every block is
+// mined with the in-turn validator as coinbase, and the system calls a real
+// producer makes are sent from it in that block with a zero gas price.
+//
+//   every block   Slash.slash(inTurn) when the in-turn validator missed its
+//                 slot; the next online validator in turn order produces it
+//   epoch blocks  Validators.updateActivatedValidators(),
+//                 Slash.decreaseMissedBlocksCounter(),
+//                 Validators.distributeBlockReward() with `epochReward` as value
+//
+// Turn order is the active validator set sorted by address, refreshed after
+// each epoch block; the validator for block N is order[N % order.length].
+// Contracts must be at the canonical addresses (see system-contracts.js).
+
+const { canonicalAddresses } = require("./system-contracts");
+
+function byAddress(a, b) {
+  const x = BigInt(a);
+  const y = BigInt(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+class BlockProducer {
+  /**
+   * Producer for the contracts at the canonical addresses. Options:
+   *   epochReward - wei sent with distributeBlockReward() (default 0)
+   *   offline     - validators that miss every slot until setOnline()
+   */
+  static async attach(hre, { epochReward = 0n, offline = [] } = {}) {
+    const addresses = canonicalAddresses();
+    const validators = await hre.ethers.getContractAt("Validators", addresses.Validators);
+    const slash = await hre.ethers.getContractAt("Slash", addresses.Slash);
+
+    const producer = new BlockProducer(hre, validators, slash, { epochReward, offline });
+    producer.epoch = Number(await validators.BlockEpoch());
+    await producer.refreshTurnOrder();
+    return producer;
+  }
+
+  constructor(hre, validators, slash, { epochReward, offline }) {
+    this.hre = hre;
+    this.validators = validators;
+    this.slash = slash;
+    this.epochReward = epochReward;
+    this.offline = new Set(offline.map(address => address.toLowerCase()));
+    this.turnOrder = [];
+    // One record per produced block: { number, inTurn, coinbase, missed, calls }
+    this.history = [];
+  }
+
+  setOffline(address) {
+    this.offline.add(address.toLowerCase());
+  }
+
+  setOnline(address) {
+    this.offline.delete(address.toLowerCase());
+  }
+
+  isOffline(address) {
+    return this.offline.has(address.toLowerCase());
+  }
+
+  async refreshTurnOrder() {
+    const active = await this.validators.getActivatedValidators();
+    if (active.length === 0) {
+      throw new Error("Validators has no active validators; initialize it first");
+    }
+    this.turnOrder = [...active].sort(byAddress);
+  }
+
+  inTurn(number) {
+    return this.turnOrder[number % this.turnOrder.length];
+  }
+
+  // The in-turn validator, or when it is offline the next online one in turn order
+  producerFor(number) {
+    for (let i = 0; i < this.turnOrder.length; i++) {
+      const candidate = this.turnOrder[(number + i) % this.turnOrder.length];
+      if (!this.isOffline(candidate)) {
+        return candidate;
+      }
+    }
+    throw new Error(`Block ${number}: every validator is offline, the chain halts`);
+  }
+
+  // Hardhat would give each transaction the whole block gas limit; the block holds several
+  async send(signer, contract, method, args, value = 0n) {
+    const fn = contract.connect(signer)[method];
+    const gasLimit = await fn.estimateGas(...args, { value });
+    const tx = await fn(...args, { value, gasPrice: 0, gasLimit });
+    return { method, args, tx };
+  }
+
+  async mineBlock() {
+    const { ethers, network } = this.hre;
+    const number = (await ethers.provider.getBlockNumber()) + 1;
+    const inTurn = this.inTurn(number);
+    const coinbase = this.producerFor(number);
+    const missed = coinbase !== inTurn;
+    const isEpoch = number % this.epoch === 0;
+
+    // System transactions are free, as in the engine; the block carries only what the producer sends
+    await network.provider.send("evm_setAutomine", [false]);
+    const calls = [];
+    try {
+      await network.provider.send("hardhat_setCoinbase", [coinbase]);
+      await network.provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+      const signer = await ethers.getImpersonatedSigner(coinbase);
+      if (this.epochReward > 0n) {
+        const balance = await ethers.provider.getBalance(coinbase);
+        await network.provider.send("hardhat_setBalance", [coinbase, ethers.toQuantity(balance + this.epochReward)]);
+      }
+
+      if (missed) {
+        calls.push(await this.send(signer, this.slash, "slash", [inTurn]));
+      }
+      if (isEpoch) {
+        calls.push(await this.send(signer, this.validators, "updateActivatedValidators", []));
+        calls.push(await this.send(signer, this.slash, "decreaseMissedBlocksCounter", []));
+        calls.push(await this.send(signer, this.validators, "distributeBlockReward", [], this.epochReward));
+      }
+      await network.provider.send("evm_mine");
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+
+    for (const call of calls) {
+      const receipt = await ethers.provider.getTransactionReceipt(call.tx.hash);
+      if (!receipt || receipt.blockNumber !== number || receipt.status !== 1) {
+        throw new Error(`Block ${number}: ${call.method} from ${coinbase} failed`);
+      }
+      call.receipt = receipt;
+    }
+
+    if (isEpoch) {
+      await this.refreshTurnOrder();
+    }
+    // Blocks mined outside the producer (automined test transactions) get the next in-turn validator
+    await network.provider.send("hardhat_setCoinbase", [this.producerFor(number + 1)]);
+
+    const record = { number, inTurn, coinbase, missed, calls: calls.map(({ method, args, receipt }) => ({ method, args, receipt })) };
+    this.history.push(record);
+    return record;
+  }
+
+  async mineBlocks(count) {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push(await this.mineBlock());
+    }
+    return records;
+  }
+
+  // Mines up to and including the next epoch block
+  async mineToEpoch() {
+    const { ethers, network } = this.hre;
+    const current = await ethers.provider.getBlockNumber();
+    const target = (Math.floor(current / this.epoch) + 1) * this.epoch;
+
+    // Nothing happens in between unless a validator misses its slot
+    const allOnline = this.turnOrder.every(address => !this.isOffline(address));
+    if (allOnline && target - current > 1) {
+      await network.provider.send("hardhat_mine", [ethers.toQuantity(target - current - 1)]);
+    }
+    const records = await this.mineBlocks(target - (await ethers.provider.getBlockNumber()));
+    return records[records.length - 1];
+  }
+
+  async mineEpochs(count) {
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push(await this.mineToEpoch());
+    }
+    return records;
+  }
+}
+
+module.exports = {
+  BlockProducer
+};
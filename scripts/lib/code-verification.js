@@ -0,0 +1,77 @@
+// scripts/lib/code-verification.js
+// Compares runtime code read from a chain with an artifact's deployedBytecode.
+// The CBOR metadata solc appends is ignored, so code built from the same
+// sources with a different metadata hash or compiler metadata still matches;
+// immutable values are masked out as they are only known after deployment.
+
+// solc's CBOR metadata is a map (0xa1-0xbf) whose length sits in the last two bytes
+function metadataLength(code) {
+  const hex = code.replace(/^0x/, "");
+  if (hex.length < 4) {
+    return 0;
+  }
+
+  const length = parseInt(hex.slice(-4), 16) + 2;
+  const start = hex.length - length * 2;
+  if (start < 0) {
+    return 0;
+  }
+  const head = parseInt(hex.slice(start, start + 2), 16);
+  return head >= 0xa1 && head <= 0xbf ? length : 0;
+}
+
+function stripMetadata(code) {
+  const hex = code.replace(/^0x/, "").toLowerCase();
+  return "0x" + hex.slice(0, hex.length - metadataLength(hex) * 2);
+}
+
+// Zeroes the bytes at `immutableReferences` ({ id: [{ start, length }] } from solc)
+function maskImmutables(code, immutableReferences = {}) {
+  let hex = code.replace(/^0x/, "").toLowerCase();
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      hex = hex.slice(0, start * 2) + "00".repeat(length) + hex.slice((start + length) * 2);
+    }
+  }
+  return "0x" + hex;
+}
+
+/**
+ * Result of comparing `onchain` code with `expected` runtime code:
+ *   exact    - byte for byte identical
+ *   match    - identical apart from metadata and immutables
+ *   mismatch - different code; `offset` is the first differing byte
+ *   missing  - no code on chain
+ */
+function compareRuntimeCode(onchain, expected, { immutableReferences } = {}) {
+  if (!onchain || onchain === "0x") {
+    return { status: "missing" };
+  }
+  if (onchain.toLowerCase() === expected.toLowerCase()) {
+    return { status: "exact" };
+  }
+
+  const actual = stripMetadata(maskImmutables(onchain, immutableReferences));
+  const wanted = stripMetadata(maskImmutables(expected, immutableReferences));
+  if (actual === wanted) {
+    return { status: "match" };
+  }
+
+  let offset = 2;
+  while (offset < actual.length && actual[offset] === wanted[offset]) {
+    offset++;
+  }
+  return {
+    status: "mismatch",
+    offset: Math.floor((offset - 2) / 2),
+    actualSize: (actual.length - 2) / 2,
+    expectedSize: (wanted.length - 2) / 2
+  };
+}
+
+module.exports = {
+  compareRuntimeCode,
+  maskImmutables,
+  metadataLength,
+  stripMetadata
+};
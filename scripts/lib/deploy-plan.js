@@ -0,0 +1,119 @@
+// scripts/lib/deploy-plan.js
+// Deployment plan for deploy.js: the initial validator set with reward
+// addresses, commission rates and descriptions, plus the admin and emergency
+// admin the contracts are handed over to. Read from JSON or YAML and checked
+// against the limits in Validators.sol before anything is sent.
+
+const fs = require("fs");
+const path = require("path");
+const { readConstant } = require("../../generate-contracts");
+
+const VALIDATORS_SOURCE = path.join(__dirname, "../../contracts/Validators.sol");
+const DESCRIPTION_FIELDS = ["moniker", "website", "email", "details"];
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function loadPlan(planPath) {
+  const content = fs.readFileSync(planPath, "utf8");
+  if (/\.ya?ml$/i.test(planPath)) {
+    return require("js-yaml").load(content);
+  }
+  return JSON.parse(content);
+}
+
+// MAX_VALIDATOR_NUM, MAX_COMMISSION_RATE and the validateDescription() length limits
+function readLimits(sourcePath = VALIDATORS_SOURCE) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const body = source.match(/function validateDescription\([\s\S]*?\{([\s\S]*?)\n\s*\}/);
+  if (!body) {
+    throw new Error(`validateDescription not found in ${path.basename(sourcePath)}`);
+  }
+
+  const description = {};
+  for (const [, field, max] of body[1].matchAll(/bytes\((\w+)\)\.length\s*<=\s*(\d+)/g)) {
+    description[field] = Number(max);
+  }
+
+  return {
+    maxValidators: Number(readConstant(sourcePath, "MAX_VALIDATOR_NUM")),
+    maxCommissionRate: Number(readConstant(sourcePath, "MAX_COMMISSION_RATE")),
+    description
+  };
+}
+
+function checkAddress(issues, label, value, { optional = false } = {}) {
+  if (value === undefined && optional) {
+    return;
+  }
+  if (typeof value !== "string" || !ADDRESS_PATTERN.test(value)) {
+    issues.push(`${label} is not an address: ${value}`);
+  } else if (value === ZERO_ADDRESS) {
+    issues.push(`${label} must not be the zero address`);
+  }
+}
+
+/**
+ * Returns the problems that would make initialize(), edit(),
+ * updateCommissionRate() or the admin handover revert; empty when the plan is valid.
+ */
+function validatePlan(plan, limits = readLimits()) {
+  const issues = [];
+  if (!plan || typeof plan !== "object") {
+    return ["plan must be an object"];
+  }
+
+  checkAddress(issues, "admin", plan.admin, { optional: true });
+  checkAddress(issues, "emergencyAdmin", plan.emergencyAdmin, { optional: true });
+
+  const validators = plan.validators;
+  if (!Array.isArray(validators) || validators.length === 0) {
+    issues.push("validators must list at least one validator");
+    return issues;
+  }
+  if (validators.length > limits.maxValidators) {
+    issues.push(`validators lists ${validators.length} entries, MAX_VALIDATOR_NUM is ${limits.maxValidators}`);
+  }
+
+  const seen = new Set();
+  validators.forEach((validator, i) => {
+    const label = `validators[${i}]`;
+    checkAddress(issues, `${label}.address`, validator.address);
+    checkAddress(issues, `${label}.rewardAddr`, validator.rewardAddr, { optional: true });
+
+    const key = String(validator.address).toLowerCase();
+    if (seen.has(key)) {
+      issues.push(`${label}.address ${validator.address} is listed twice`);
+    }
+    seen.add(key);
+
+    const rate = validator.commissionRate;
+    if (rate !== undefined && !(Number.isInteger(rate) && rate >= 0 && rate <= limits.maxCommissionRate)) {
+      issues.push(`${label}.commissionRate must be an integer between 0 and MAX_COMMISSION_RATE (${limits.maxCommissionRate}), got ${rate}`);
+    }
+
+    for (const [field, value] of Object.entries(validator.description || {})) {
+      if (!DESCRIPTION_FIELDS.includes(field)) {
+        issues.push(`${label}.description.${field} is not a description field (${DESCRIPTION_FIELDS.join(", ")})`);
+      } else if (typeof value !== "string") {
+        issues.push(`${label}.description.${field} must be a string`);
+      } else if (Buffer.byteLength(value, "utf8") > limits.description[field]) {
+        issues.push(`${label}.description.${field} is ${Buffer.byteLength(value, "utf8")} bytes, validateDescription allows ${limits.description[field]}`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+// The plan deploy.js used before plan files: the deployer as the only validator
+function defaultPlan(deployer) {
+  return { validators: [{ address: deployer }] };
+}
+
+module.exports = {
+  DESCRIPTION_FIELDS,
+  defaultPlan,
+  loadPlan,
+  readLimits,
+  validatePlan
+};
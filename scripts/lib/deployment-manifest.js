@@ -0,0 +1,80 @@
+// scripts/lib/deployment-manifest.js
+// Step-by-step record of a deployment in deployments/<network>_deployment.json.
+// Every step is written as soon as it completes, so a failed run can be resumed
+// from the first step that is not marked done.
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_VERSION = 1;
+
+class DeploymentManifest {
+  /**
+   * Loads the manifest at `filePath`, or starts an empty one. `chain` is
+   * { network, chainId, genesisHash, deployer, mode }; an existing manifest
+   * must have been written for the same chain and mode.
+   */
+  static load(filePath, chain, { fresh = false } = {}) {
+    if (fresh || !fs.existsSync(filePath)) {
+      return new DeploymentManifest(filePath, { version: MANIFEST_VERSION, ...chain, contracts: {}, steps: {} });
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const name = path.relative(process.cwd(), filePath);
+    if (!data.steps) {
+      throw new Error(`${name} was written by an older deploy.js without step records; move it away to start over`);
+    }
+    for (const key of ["chainId", "genesisHash", "mode"]) {
+      if (data[key] !== chain[key]) {
+        throw new Error(`${name} records ${key} ${data[key]}, but this run has ${chain[key]}; move it away to start over`);
+      }
+    }
+
+    return new DeploymentManifest(filePath, data);
+  }
+
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  step(name) {
+    return this.data.steps[name];
+  }
+
+  isDone(name) {
+    return this.step(name)?.status === "done";
+  }
+
+  // Records a sent transaction before waiting for it, so a re-run can pick up its receipt
+  pending(name, record) {
+    this.data.steps[name] = { status: "pending", ...record, sentAt: new Date().toISOString() };
+    this.save();
+  }
+
+  complete(name, record) {
+    const { sentAt, ...previous } = this.step(name) || {};
+    this.data.steps[name] = { ...previous, status: "done", ...record, completedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  setContract(key, contract) {
+    this.data.contracts[key] = contract;
+    this.save();
+  }
+
+  save() {
+    this.data.timestamp = new Date().toISOString();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write-then-rename keeps the previous manifest intact if the process dies mid-write
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2) + "\n");
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = {
+  DeploymentManifest,
+  MANIFEST_VERSION
+};
@@ -0,0 +1,235 @@
+// scripts/lib/disassembler.js
+// EVM disassembler: decodes bytecode into instructions, splits it into basic
+// blocks, marks unreachable bytes as data and checks every reachable opcode
+// against the set of opcodes available on a target hardfork.
+
+const { HARDFORKS, hardforkIndex } = require("./hardforks");
+
+// [opcode, name, hardfork that introduced it]
+const OPCODE_LIST = [
+  [0x00, "STOP", "homestead"],
+  [0x01, "ADD", "homestead"],
+  [0x02, "MUL", "homestead"],
+  [0x03, "SUB", "homestead"],
+  [0x04, "DIV", "homestead"],
+  [0x05, "SDIV", "homestead"],
+  [0x06, "MOD", "homestead"],
+  [0x07, "SMOD", "homestead"],
+  [0x08, "ADDMOD", "homestead"],
+  [0x09, "MULMOD", "homestead"],
+  [0x0a, "EXP", "homestead"],
+  [0x0b, "SIGNEXTEND", "homestead"],
+  [0x10, "LT", "homestead"],
+  [0x11, "GT", "homestead"],
+  [0x12, "SLT", "homestead"],
+  [0x13, "SGT", "homestead"],
+  [0x14, "EQ", "homestead"],
+  [0x15, "ISZERO", "homestead"],
+  [0x16, "AND", "homestead"],
+  [0x17, "OR", "homestead"],
+  [0x18, "XOR", "homestead"],
+  [0x19, "NOT", "homestead"],
+  [0x1a, "BYTE", "homestead"],
+  [0x1b, "SHL", "constantinople"],
+  [0x1c, "SHR", "constantinople"],
+  [0x1d, "SAR", "constantinople"],
+  [0x20, "SHA3", "homestead"],
+  [0x30, "ADDRESS", "homestead"],
+  [0x31, "BALANCE", "homestead"],
+  [0x32, "ORIGIN", "homestead"],
+  [0x33, "CALLER", "homestead"],
+  [0x34, "CALLVALUE", "homestead"],
+  [0x35, "CALLDATALOAD", "homestead"],
+  [0x36, "CALLDATASIZE", "homestead"],
+  [0x37, "CALLDATACOPY", "homestead"],
+  [0x38, "CODESIZE", "homestead"],
+  [0x39, "CODECOPY", "homestead"],
+  [0x3a, "GASPRICE", "homestead"],
+  [0x3b, "EXTCODESIZE", "homestead"],
+  [0x3c, "EXTCODECOPY", "homestead"],
+  [0x3d, "RETURNDATASIZE", "byzantium"],
+  [0x3e, "RETURNDATACOPY", "byzantium"],
+  [0x3f, "EXTCODEHASH", "constantinople"],
+  [0x40, "BLOCKHASH", "homestead"],
+  [0x41, "COINBASE", "homestead"],
+  [0x42, "TIMESTAMP", "homestead"],
+  [0x43, "NUMBER", "homestead"],
+  [0x44, "DIFFICULTY", "homestead"],
+  [0x45, "GASLIMIT", "homestead"],
+  [0x46, "CHAINID", "istanbul"],
+  [0x47, "SELFBALANCE", "istanbul"],
+  [0x48, "BASEFEE", "london"],
+  [0x49, "BLOBHASH", "cancun"],
+  [0x4a, "BLOBBASEFEE", "cancun"],
+  [0x50, "POP", "homestead"],
+  [0x51, "MLOAD", "homestead"],
+  [0x52, "MSTORE", "homestead"],
+  [0x53, "MSTORE8", "homestead"],
+  [0x54, "SLOAD", "homestead"],
+  [0x55, "SSTORE", "homestead"],
+  [0x56, "JUMP", "homestead"],
+  [0x57, "JUMPI", "homestead"],
+  [0x58, "PC", "homestead"],
+  [0x59, "MSIZE", "homestead"],
+  [0x5a, "GAS", "homestead"],
+  [0x5b, "JUMPDEST", "homestead"],
+  [0x5c, "TLOAD", "cancun"],
+  [0x5d, "TSTORE", "cancun"],
+  [0x5e, "MCOPY", "cancun"],
+  [0x5f, "PUSH0", "shanghai"],
+  ...Array.from({ length: 32 }, (_, i) => [0x60 + i, `PUSH${i + 1}`, "homestead"]),
+  ...Array.from({ length: 16 }, (_, i) => [0x80 + i, `DUP${i + 1}`, "homestead"]),
+  ...Array.from({ length: 16 }, (_, i) => [0x90 + i, `SWAP${i + 1}`, "homestead"]),
+  ...Array.from({ length: 5 }, (_, i) => [0xa0 + i, `LOG${i}`, "homestead"]),
+  [0xf0, "CREATE", "homestead"],
+  [0xf1, "CALL", "homestead"],
+  [0xf2, "CALLCODE", "homestead"],
+  [0xf3, "RETURN", "homestead"],
+  [0xf4, "DELEGATECALL", "homestead"],
+  [0xf5, "CREATE2", "constantinople"],
+  [0xfa, "STATICCALL", "byzantium"],
+  [0xfd, "REVERT", "byzantium"],
+  [0xfe, "INVALID", "homestead"],
+  [0xff, "SELFDESTRUCT", "homestead"]
+];
+
+const OPCODES = new Map(OPCODE_LIST.map(([opcode, name, since]) => [opcode, { opcode, name, since }]));
+
+// Opcodes after which execution never falls through to the next byte
+const TERMINATORS = new Set([0x00, 0x56, 0xf3, 0xfd, 0xfe, 0xff]);
+const JUMPDEST = 0x5b;
+const JUMPI = 0x57;
+
+function toBytes(code) {
+  const hex = (code || "").replace(/^0x/, "");
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    throw new Error("Bytecode is not valid hex");
+  }
+  return Buffer.from(hex, "hex");
+}
+
+function pushSize(opcode) {
+  return opcode >= 0x60 && opcode <= 0x7f ? opcode - 0x5f : 0;
+}
+
+// Length of the solc CBOR metadata trailer, or 0 when there is none
+function metadataLength(bytes) {
+  if (bytes.length < 2) {
+    return 0;
+  }
+  const length = bytes.readUInt16BE(bytes.length - 2);
+  const start = bytes.length - 2 - length;
+  if (length === 0 || start < 0) {
+    return 0;
+  }
+
+  // The trailer is a CBOR map with one to seven entries (ipfs, bzzr0/1, experimental, solc)
+  const head = bytes[start];
+  return head >= 0xa1 && head <= 0xa7 ? length + 2 : 0;
+}
+
+function decode(bytes, end) {
+  const instructions = [];
+  let offset = 0;
+
+  while (offset < end) {
+    const opcode = bytes[offset];
+    const size = pushSize(opcode);
+    const info = OPCODES.get(opcode);
+
+    instructions.push({
+      index: instructions.length,
+      offset,
+      opcode,
+      name: info ? info.name : `UNKNOWN_0x${opcode.toString(16).padStart(2, "0")}`,
+      since: info ? info.since : undefined,
+      immediate: size > 0 ? "0x" + bytes.subarray(offset + 1, Math.min(offset + 1 + size, end)).toString("hex") : undefined,
+      truncated: offset + 1 + size > end
+    });
+    offset += 1 + size;
+  }
+
+  return instructions;
+}
+
+function splitBlocks(instructions) {
+  const blocks = [];
+  let current;
+
+  for (const instruction of instructions) {
+    if (!current || instruction.opcode === JUMPDEST) {
+      current = { start: instruction.offset, instructions: [] };
+      blocks.push(current);
+    }
+
+    current.instructions.push(instruction);
+
+    if (TERMINATORS.has(instruction.opcode) || instruction.opcode === JUMPI) {
+      current = undefined;
+    }
+  }
+
+  // A block is reachable when it is the entry point, a jump target, or the
+  // previous block can fall through into it
+  blocks.forEach((block, i) => {
+    const first = block.instructions[0];
+    const last = i > 0 ? blocks[i - 1].instructions[blocks[i - 1].instructions.length - 1] : undefined;
+    const fallsThrough = last !== undefined && !TERMINATORS.has(last.opcode) && blocks[i - 1].reachable;
+
+    block.reachable = block.start === 0 || first.opcode === JUMPDEST || fallsThrough;
+    const end = block.instructions[block.instructions.length - 1];
+    block.end = end.offset + 1 + pushSize(end.opcode);
+  });
+
+  return blocks;
+}
+
+/**
+ * Disassembles `code` (hex string) and checks it against `fork`.
+ * Returns the instructions, basic blocks, data ranges and the findings for
+ * reachable opcodes that `fork` does not support.
+ */
+function disassemble(code, { fork = "istanbul" } = {}) {
+  const target = hardforkIndex(fork);
+  const bytes = toBytes(code);
+  const metadata = metadataLength(bytes);
+  const codeEnd = bytes.length - metadata;
+
+  const instructions = decode(bytes, codeEnd);
+  const blocks = splitBlocks(instructions);
+
+  const data = blocks
+    .filter((block) => !block.reachable)
+    .map((block) => ({ start: block.start, end: block.end }));
+  if (metadata > 0) {
+    data.push({ start: codeEnd, end: bytes.length, metadata: true });
+  }
+
+  const findings = [];
+  for (const block of blocks.filter((item) => item.reachable)) {
+    for (const instruction of block.instructions) {
+      if (instruction.since === undefined) {
+        if (instruction.opcode !== 0xfe) {
+          findings.push({ ...instruction, block: block.start, reason: "undefined" });
+        }
+      } else if (hardforkIndex(instruction.since) > target) {
+        findings.push({ ...instruction, block: block.start, reason: "unsupported" });
+      }
+    }
+  }
+
+  return {
+    size: bytes.length,
+    metadataSize: metadata,
+    instructions,
+    blocks,
+    data,
+    findings
+  };
+}
+
+module.exports = {
+  HARDFORKS,
+  OPCODES,
+  disassemble
+};
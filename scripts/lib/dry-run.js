@@ -0,0 +1,197 @@
+// scripts/lib/dry-run.js
+// Dry runs for deploy.js: the deployment runs on the in-process Hardhat network
+// forked from the target network, as the target's accounts (impersonated).
+// Nothing is signed for or sent to the target itself; it is only read from.
+
+const fs = require("fs");
+const path = require("path");
+const { activeGenesisHardfork } = require("./hardforks");
+
+const TOP_UP_BALANCE = 10n ** 24n;
+const GENESIS_PATH = path.join(__dirname, "../../genesis.json");
+// Hardhat's names for hardforks that hardforks.js names after the solc evmVersion
+const HARDHAT_HARDFORKS = { paris: "merge" };
+
+// Addresses of the accounts configured for a network, without using their keys
+async function configuredAccounts(ethers, networkConfig, target) {
+  const accounts = networkConfig.accounts;
+  if (Array.isArray(accounts)) {
+    return accounts.map(account => new ethers.Wallet(typeof account === "string" ? account : account.privateKey).address);
+  }
+  if (accounts === "remote") {
+    return (await target.send("eth_accounts", [])).map(address => ethers.getAddress(address));
+  }
+
+  const { mnemonic, passphrase = "", path = "m/44'/60'/0'/0", initialIndex = 0, count = 20 } = accounts;
+  return Array.from({ length: count }, (_, i) =>
+    ethers.HDNodeWallet.fromPhrase(mnemonic, passphrase, `${path}/${initialIndex + i}`).address);
+}
+
+/**
+ * The Hardhat hardfork of the chain `genesis` describes, when `chainId` is that
+ * chain's; undefined for other chains.
+ */
+function chainHardfork(genesis, chainId) {
+  if (!genesis?.config || genesis.config.chainId !== chainId) {
+    return undefined;
+  }
+  const fork = activeGenesisHardfork(genesis.config);
+  return fork && (HARDHAT_HARDFORKS[fork] || fork);
+}
+
+/**
+ * Forks `targetName` into the in-process network and impersonates its
+ * accounts. The fork runs the hardfork genesis.json activates when the target
+ * is that chain, so code the chain cannot run fails in the dry run too.
+ * Returns the signers, the target's chain identity and hardfork, gas cap and
+ * gas price, the accounts' real balances and the block the dry run starts after.
+ */
+async function prepareDryRun(hre, targetName) {
+  const { ethers } = hre;
+  const networkConfig = hre.config.networks[targetName];
+  if (!networkConfig) {
+    throw new Error(`Unknown network: ${targetName}`);
+  }
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Dry runs execute on the in-process network; run 'node scripts/deploy.js --dry-run ${targetName}'`);
+  }
+
+  let target = ethers.provider;
+  if (networkConfig.url) {
+    target = new ethers.JsonRpcProvider(networkConfig.url);
+    const genesis = fs.existsSync(GENESIS_PATH) ? JSON.parse(fs.readFileSync(GENESIS_PATH, "utf8")) : undefined;
+    const hardfork = chainHardfork(genesis, Number((await target.getNetwork()).chainId));
+    if (hardfork) {
+      // Read when the in-process network starts on its first request; hardhat_reset keeps it
+      hre.config.networks.hardhat.hardfork = hardfork;
+    }
+    const blockNumber = await target.getBlockNumber();
+    await hre.network.provider.send("hardhat_reset", [{ forking: { jsonRpcUrl: networkConfig.url, blockNumber } }]);
+  }
+
+  const addresses = targetName === "hardhat"
+    ? (await ethers.getSigners()).map(signer => signer.address)
+    : await configuredAccounts(ethers, networkConfig, target);
+  if (addresses.length === 0) {
+    throw new Error(`No accounts configured for ${targetName}; set PRIVATE_KEY`);
+  }
+
+  // Real balances are reported; the fork gets enough to run every step regardless
+  const balances = new Map();
+  for (const address of addresses) {
+    balances.set(address, await target.getBalance(address));
+    await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+    await hre.network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(TOP_UP_BALANCE)]);
+  }
+
+  const gasPrice = typeof networkConfig.gasPrice === "number"
+    ? BigInt(networkConfig.gasPrice)
+    : (await target.getFeeData()).gasPrice;
+
+  return {
+    networkName: targetName,
+    chain: {
+      chainId: Number((await target.getNetwork()).chainId),
+      genesisHash: (await target.getBlock(0)).hash
+    },
+    hardfork: hre.config.networks.hardhat.hardfork,
+    signers: await Promise.all(addresses.map(address => ethers.getSigner(address))),
+    gasCap: typeof networkConfig.gas === "number" ? BigInt(networkConfig.gas) : undefined,
+    gasPrice,
+    balances,
+    startBlock: await ethers.provider.getBlockNumber()
+  };
+}
+
+function formatArg(arg) {
+  return typeof arg === "bigint" ? arg.toString() : JSON.stringify(arg, (_, v) => typeof v === "bigint" ? v.toString() : v);
+}
+
+// What a transaction does: "deploy <Contract>" or "<Contract>.<method>(<args>)"
+function describeTransaction(tx, contracts) {
+  if (!tx.to) {
+    const created = contracts.find(({ artifact }) => tx.data.startsWith(artifact.bytecode));
+    return `deploy ${created ? created.name : "contract"}`;
+  }
+
+  for (const { name, iface } of contracts) {
+    const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+    if (parsed) {
+      return `${name}.${parsed.name}(${parsed.args.map(formatArg).join(", ")})`;
+    }
+  }
+  return `call ${tx.to}`;
+}
+
+/**
+ * Every transaction mined on the fork since `startBlock`, with its gas use and
+ * cost at `gasPrice`. `contractNames` are used to decode calls.
+ */
+async function collectTransactions(hre, startBlock, contractNames, gasPrice) {
+  const { ethers } = hre;
+  const contracts = await Promise.all(contractNames.map(async name => {
+    const artifact = await hre.artifacts.readArtifact(name);
+    return { name, artifact, iface: new ethers.Interface(artifact.abi) };
+  }));
+
+  const transactions = [];
+  const latest = await ethers.provider.getBlockNumber();
+  for (let number = startBlock + 1; number <= latest; number++) {
+    const block = await ethers.provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      transactions.push({
+        from: tx.from,
+        to: tx.to,
+        action: describeTransaction(tx, contracts),
+        gasUsed: receipt.gasUsed,
+        cost: receipt.gasUsed * gasPrice + tx.value
+      });
+    }
+  }
+  return transactions;
+}
+
+/**
+ * Checks `transactions` against the gas cap and each sender's balance. With a
+ * fixed gas limit, a sender must also hold gasCap * gasPrice when it sends its
+ * last transaction, so that reservation is part of what it needs.
+ */
+function checkDryRun(transactions, { gasCap, gasPrice, balances }) {
+  const issues = [];
+  transactions.forEach((tx, i) => {
+    if (gasCap !== undefined && tx.gasUsed > gasCap) {
+      issues.push(`#${i + 1} ${tx.action} needs ${tx.gasUsed} gas, over the ${gasCap} gas cap`);
+    }
+  });
+
+  const senders = new Map();
+  for (const tx of transactions) {
+    const sender = senders.get(tx.from) || { cost: 0n, last: undefined };
+    sender.cost += tx.cost;
+    sender.last = tx;
+    senders.set(tx.from, sender);
+  }
+
+  const accounts = [];
+  for (const [address, { cost, last }] of senders) {
+    const reservation = gasCap !== undefined && gasCap > last.gasUsed ? (gasCap - last.gasUsed) * gasPrice : 0n;
+    const required = cost + reservation;
+    const balance = balances.get(address) ?? 0n;
+    accounts.push({ address, cost, required, balance });
+    if (balance < required) {
+      issues.push(`${address} holds ${balance} wei but needs ${required} wei`);
+    }
+  }
+
+  return { accounts, issues };
+}
+
+module.exports = {
+  chainHardfork,
+  checkDryRun,
+  collectTransactions,
+  configuredAccounts,
+  describeTransaction,
+  prepareDryRun
+};
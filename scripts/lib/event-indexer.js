@@ -0,0 +1,286 @@
+// scripts/lib/event-indexer.js
+// Scans the Validators and Slash logs in block ranges and keeps the staking
+// ledger (staking-ledger.js) in a JSON store.
+//
+// Reorgs: blocks more than `reorgDepth` below the head are final and folded
+// into a checkpoint ledger. Newer logs are kept as they are, together with
+// their block hashes; every sync compares those hashes with the chain, drops
+// the logs from the first block that changed and scans again from there.
+//
+// initialize() emits nothing, so the initial validators are read with
+// getActivatedValidators() just before the first event that changes the set.
+
+const fs = require("fs");
+const path = require("path");
+const { Contract } = require("ethers");
+const { STATUSES, decodeLog, readAllPages } = require("../../sdk");
+const { addInitialValidators, applyEvent, delegatedAmount, emptyLedger, pendingRewards } = require("./staking-ledger");
+
+const STORE_VERSION = 1;
+// The only events that change getActivatedValidators() after initialize()
+const SET_EVENTS = ["ValidatorSetUpdated", "ValidatorSlashed"];
+// Entries read per call of the paginated views by reconcile()
+const PAGE_SIZE = 100;
+
+// JSON with bigints, written as "<digits>n"
+function stringify(value) {
+  return JSON.stringify(value, (_, v) => typeof v === "bigint" ? `${v}n` : v, 2);
+}
+
+function parse(text) {
+  return JSON.parse(text, (_, v) => typeof v === "string" && /^-?\d+n$/.test(v) ? BigInt(v.slice(0, -1)) : v);
+}
+
+function clone(value) {
+  return parse(stringify(value));
+}
+
+class EventIndexer {
+  /**
+   * `addresses` is { Validators, Slash }. Options: storePath (JSON store; in
+   * memory only when omitted), startBlock, reorgDepth, batchSize, constants
+   * (from readStakingConstants()).
+   */
+  constructor(provider, addresses, { storePath, startBlock = 0, reorgDepth = 12, batchSize = 2000, constants }) {
+    this.provider = provider;
+    this.addresses = addresses;
+    this.storePath = storePath;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+    this.constants = constants;
+    this.data = storePath && fs.existsSync(storePath)
+      ? parse(fs.readFileSync(storePath, "utf8"))
+      : this.emptyStore(startBlock);
+    this.ledger = undefined;
+  }
+
+  emptyStore(startBlock) {
+    return {
+      version: STORE_VERSION,
+      addresses: this.addresses,
+      // Everything up to `finalized.number` is folded into `finalized.ledger`
+      finalized: { number: startBlock - 1, hash: null, ledger: emptyLedger() },
+      head: { number: startBlock - 1, hash: null },
+      initialValidators: null,
+      blocks: {},
+      logs: []
+    };
+  }
+
+  async checkChain() {
+    const chainId = Number((await this.provider.getNetwork()).chainId);
+    if (this.data.chainId === undefined) {
+      this.data.chainId = chainId;
+    } else if (this.data.chainId !== chainId) {
+      throw new Error(`The index was built for chainId ${this.data.chainId}, this provider is on ${chainId}`);
+    }
+    for (const name of ["Validators", "Slash"]) {
+      if (this.data.addresses[name].toLowerCase() !== this.addresses[name].toLowerCase()) {
+        throw new Error(`The index was built for ${name} at ${this.data.addresses[name]}, not ${this.addresses[name]}`);
+      }
+    }
+  }
+
+  // Rolls back to before the first recorded block whose hash changed; returns that block or undefined
+  async detectReorg() {
+    const { finalized } = this.data;
+    if (finalized.hash && (await this.provider.getBlock(finalized.number))?.hash !== finalized.hash) {
+      throw new Error(`Block ${finalized.number} changed although it is ${this.reorgDepth} blocks deep; rebuild the index with --fresh`);
+    }
+
+    const numbers = Object.keys(this.data.blocks).map(Number).sort((a, b) => a - b);
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      if (block?.hash !== this.data.blocks[number]) {
+        this.rollback(number);
+        return number;
+      }
+    }
+    return undefined;
+  }
+
+  rollback(number) {
+    this.data.logs = this.data.logs.filter(log => log.blockNumber < number);
+    for (const recorded of Object.keys(this.data.blocks)) {
+      if (Number(recorded) >= number) {
+        delete this.data.blocks[recorded];
+      }
+    }
+    const previous = number - 1;
+    this.data.head = { number: previous, hash: this.data.blocks[previous] || (previous === this.data.finalized.number ? this.data.finalized.hash : null) };
+  }
+
+  async scan(fromBlock, toBlock) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, toBlock);
+      const batch = await this.provider.getLogs({
+        address: [this.addresses.Validators, this.addresses.Slash],
+        fromBlock: start,
+        toBlock: end
+      });
+      for (const log of batch) {
+        const event = decodeLog(log, this.addresses);
+        if (event) {
+          logs.push(event);
+        }
+      }
+    }
+    return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Brings the index up to `toBlock` (default: latest). Returns the scanned
+   * range, the number of events and the block a reorg was detected at.
+   */
+  async sync(toBlock) {
+    await this.checkChain();
+    const reorgAt = await this.detectReorg();
+    const target = toBlock ?? await this.provider.getBlockNumber();
+    const from = this.data.head.number + 1;
+    const logs = from <= target ? await this.scan(from, target) : [];
+
+    // Hashes of the blocks that can still change, to notice reorgs next time
+    const unfinalizedFrom = Math.max(from, target - this.reorgDepth + 1, 0);
+    for (let number = unfinalizedFrom; number <= target; number++) {
+      this.data.blocks[number] = (await this.provider.getBlock(number)).hash;
+    }
+    const changed = logs.find(log => this.data.blocks[log.blockNumber] && this.data.blocks[log.blockNumber] !== log.blockHash);
+    if (changed) {
+      // The chain moved while scanning; start over from that block
+      this.rollback(changed.blockNumber);
+      return this.sync(toBlock);
+    }
+
+    if (!this.data.initialValidators) {
+      await this.readInitialValidators(logs, target);
+    }
+    this.data.logs.push(...logs);
+    if (target >= from) {
+      this.data.head = { number: target, hash: this.data.blocks[target] ?? (await this.provider.getBlock(target)).hash };
+    }
+    await this.finalize(this.data.head.number - this.reorgDepth);
+    this.ledger = undefined;
+    this.save();
+    return { from, to: target, events: logs.length, reorgAt };
+  }
+
+  // Stays unset until Validators has been initialized
+  async readInitialValidators(logs, target) {
+    if ((await this.provider.getCode(this.addresses.Validators, target)) === "0x") {
+      return;
+    }
+    const first = logs.find(log => SET_EVENTS.includes(log.name));
+    const validators = new Contract(this.addresses.Validators, ["function getActivatedValidators() view returns (address[])"], this.provider);
+    const initial = await validators.getActivatedValidators({ blockTag: first ? first.blockNumber - 1 : target });
+    if (initial.length > 0) {
+      this.data.initialValidators = [...initial];
+      addInitialValidators(this.data.finalized.ledger, this.data.initialValidators, this.constants);
+    }
+  }
+
+  async finalize(number) {
+    const { finalized } = this.data;
+    if (number <= finalized.number) {
+      return;
+    }
+    for (const log of this.data.logs.filter(l => l.blockNumber <= number)) {
+      applyEvent(finalized.ledger, log, this.constants);
+    }
+    this.data.logs = this.data.logs.filter(log => log.blockNumber > number);
+    for (const recorded of Object.keys(this.data.blocks)) {
+      if (Number(recorded) <= number) {
+        delete this.data.blocks[recorded];
+      }
+    }
+    finalized.number = number;
+    finalized.hash = number >= 0 ? (await this.provider.getBlock(number)).hash : null;
+  }
+
+  // Ledger as of the indexed head: the checkpoint plus the logs above it
+  state() {
+    if (!this.ledger) {
+      this.ledger = clone(this.data.finalized.ledger);
+      for (const log of this.data.logs) {
+        applyEvent(this.ledger, log, this.constants);
+      }
+    }
+    return this.ledger;
+  }
+
+  save() {
+    if (!this.storePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tmpPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tmpPath, stringify(this.data) + "\n");
+    fs.renameSync(tmpPath, this.storePath);
+  }
+}
+
+/**
+ * Compares the indexed ledger with the contracts at the indexed head block,
+ * reading the validators in one getValidatorSummaries() call and the
+ * delegators and slash records a page at a time.
+ * Returns one { subject, field, indexed, onchain } per difference.
+ */
+async function reconcile(ledger, { validators, slash }, blockTag, constants) {
+  const differences = [];
+  const compare = (subject, field, indexed, onchain) => {
+    if (indexed !== onchain) {
+      differences.push({ subject, field, indexed, onchain });
+    }
+  };
+
+  const addresses = Object.keys(ledger.validators);
+  const summaries = addresses.length > 0 ? await validators.getValidatorSummaries(addresses, { blockTag }) : [];
+  const missedBlocks = new Map(await readAllPages(async (offset, limit) => {
+    const [recorded, counters, total] = await slash.getSlashRecords(offset, limit, { blockTag });
+    return [recorded.map((validator, i) => [validator, counters[i]]), total];
+  }, PAGE_SIZE));
+
+  for (const [i, address] of addresses.entries()) {
+    const val = ledger.validators[address];
+    const summary = summaries[i];
+    compare(address, "rewardAddr", val.rewardAddr, summary.rewardAddr);
+    compare(address, "status", val.status, STATUSES[Number(summary.status)]);
+    for (const field of ["totalStaked", "rewardAmount", "slashAmount", "commissionRate"]) {
+      compare(address, field, val[field], summary[field]);
+    }
+    compare(address, "missedBlocks", val.missedBlocks, missedBlocks.get(address) ?? 0n);
+
+    // Delegators with stake left, in any order. A pending slash does not take them off the list, even when it leaves nothing.
+    const indexed = Object.values(ledger.delegations)
+      .filter(del => del.validator === address && del.delegatedAmount > 0n)
+      .map(del => `${del.delegator}:${delegatedAmount(ledger, del.delegator, address)}`);
+    const onchain = await readAllPages(async (offset, limit) => {
+      const [delegators, amounts, total] = await validators.getDelegators(address, offset, limit, { blockTag });
+      return [delegators.map((delegator, j) => `${delegator}:${amounts[j]}`), total];
+    }, PAGE_SIZE);
+    compare(address, "delegators", indexed.sort().join(","), onchain.sort().join(","));
+  }
+
+  const entries = list => list.map(({ amount, unlockTimestamp }) => `${amount}@${unlockTimestamp}`).join(",");
+  for (const { delegator, validator, unbonding } of Object.values(ledger.delegations)) {
+    const [onchainAmount] = await validators.getDelegation(delegator, validator, { blockTag });
+    compare(`${delegator} with ${validator}`, "delegatedAmount",
+      delegatedAmount(ledger, delegator, validator), onchainAmount);
+    compare(`${delegator} with ${validator}`, "pendingRewards",
+      pendingRewards(ledger, delegator, validator, constants),
+      await validators.getPendingRewards(delegator, validator, { blockTag }));
+    compare(`${delegator} with ${validator}`, "unbonding",
+      entries(unbonding), entries(await validators.getUnbondingEntries(delegator, validator, { blockTag })));
+  }
+
+  compare("network", "totalNetworkStaked", ledger.totalNetworkStaked, await validators.getTotalNetworkStaked({ blockTag }));
+  const active = [...await validators.getActivatedValidators({ blockTag })].sort();
+  compare("network", "activeSet", [...ledger.activeSet].sort().join(","), active.join(","));
+
+  return differences;
+}
+
+module.exports = {
+  EventIndexer,
+  reconcile
+};
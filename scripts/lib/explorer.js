@@ -0,0 +1,121 @@
+// scripts/lib/explorer.js
+// Source verification through an Etherscan-compatible explorer API, as served
+// by Blockscout: the endpoint comes from `etherscan.customChains` in
+// hardhat.config.js and the source is submitted as the standard JSON input from
+// the Hardhat build-info the artifact was compiled with.
+
+const STATUS = {
+  pending: "Pending in queue",
+  pass: "Pass - Verified"
+};
+const ALREADY_VERIFIED = [
+  // Blockscout
+  "Smart-contract already verified",
+  // Etherscan
+  "Contract source code already verified",
+  "Already Verified"
+];
+
+// apiURL, browserURL and API key configured for `network` (matched by name, then chainId)
+function explorerEndpoint(etherscanConfig = {}, network, chainId) {
+  const chains = etherscanConfig.customChains || [];
+  const chain = chains.find(c => c.network === network) || chains.find(c => c.chainId === chainId);
+  if (!chain) {
+    throw new Error(`No etherscan.customChains entry for ${network} (chainId ${chainId}) in hardhat.config.js`);
+  }
+
+  const { apiKey } = etherscanConfig;
+  return {
+    network: chain.network,
+    apiURL: chain.urls.apiURL,
+    browserURL: chain.urls.browserURL,
+    apiKey: (typeof apiKey === "string" ? apiKey : apiKey?.[chain.network]) || ""
+  };
+}
+
+async function request(endpoint, params, { method = "GET" } = {}) {
+  const body = new URLSearchParams({ module: "contract", ...params });
+  if (endpoint.apiKey) {
+    body.set("apikey", endpoint.apiKey);
+  }
+
+  const url = new URL(endpoint.apiURL);
+  let response;
+  if (method === "POST") {
+    response = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: body.toString()
+    });
+  } else {
+    url.search = body.toString();
+    response = await fetch(url);
+  }
+
+  if (!response.ok) {
+    throw new Error(`${endpoint.apiURL} answered ${params.action} with HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function isVerified(endpoint, address) {
+  const json = await request(endpoint, { action: "getsourcecode", address });
+  const source = Array.isArray(json.result) ? json.result[0]?.SourceCode : undefined;
+  return json.status === "1" && Boolean(source);
+}
+
+/**
+ * Submits the standard JSON input for `sourceName:contractName` at `address`.
+ * Returns the GUID to poll with verificationStatus(), or undefined when the
+ * explorer reports the contract as verified already.
+ */
+async function submitSource(endpoint, { address, buildInfo, sourceName, contractName, constructorArguments = "" }) {
+  const json = await request(endpoint, {
+    action: "verifysourcecode",
+    contractaddress: address,
+    sourceCode: JSON.stringify(buildInfo.input),
+    codeformat: "solidity-standard-json-input",
+    contractname: `${sourceName}:${contractName}`,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    // Spelled this way by the Etherscan API
+    constructorArguements: constructorArguments.replace(/^0x/, "")
+  }, { method: "POST" });
+
+  if (ALREADY_VERIFIED.some(message => String(json.result).startsWith(message))) {
+    return undefined;
+  }
+  if (json.status !== "1") {
+    throw new Error(`${endpoint.apiURL} rejected ${contractName} at ${address}: ${json.result || json.message}`);
+  }
+  return json.result;
+}
+
+// Polls a submission until the explorer stops reporting it as pending
+async function verificationStatus(endpoint, guid, { interval = 3000, attempts = 20 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const json = await request(endpoint, { action: "checkverifystatus", guid });
+    const message = String(json.result);
+    if (message !== STATUS.pending) {
+      return {
+        verified: message === STATUS.pass || ALREADY_VERIFIED.some(m => message.startsWith(m)),
+        message
+      };
+    }
+    if (attempt >= attempts) {
+      return { verified: false, message: `still pending after ${attempts} checks` };
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+function contractUrl(endpoint, address) {
+  return `${endpoint.browserURL.replace(/\/$/, "")}/address/${address}#code`;
+}
+
+module.exports = {
+  contractUrl,
+  explorerEndpoint,
+  isVerified,
+  submitSource,
+  verificationStatus
+};
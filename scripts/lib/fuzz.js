@@ -0,0 +1,94 @@
+// scripts/lib/fuzz.js
+// Seeded random sequences and shrinking for stateful property tests.
+//
+// A sequence is an array of plain operation objects generated up front from
+// a seed, so it can be replayed; operations that need the current state
+// (which delegation to unstake, ...) carry a random number and resolve it when
+// they run. When a sequence fails, shrink() removes operations for as long as
+// the failure still reproduces, ending with a sequence in which every single
+// operation is needed.
+
+// mulberry32: tiny, fast and good enough to drive tests
+function generator(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = n => Math.floor(next() * n);
+  return {
+    next,
+    int,
+    pick: list => list[int(list.length)],
+    // Key of `weights` ({ name: weight }) drawn in proportion to its weight
+    weighted: weights => {
+      let roll = next() * Object.values(weights).reduce((a, b) => a + b, 0);
+      return Object.keys(weights).find(key => (roll -= weights[key]) < 0) ?? Object.keys(weights).pop();
+    }
+  };
+}
+
+function generateSequence(seed, length, generate) {
+  const rand = generator(seed);
+  return Array.from({ length }, (_, i) => generate(rand, i));
+}
+
+/**
+ * Smallest failing sub-sequence found by removing chunks of decreasing size
+ * (ddmin without complements). `run(sequence)` resolves to a failure object
+ * ({ step, error }) or undefined; it must start from the same state each time.
+ */
+async function shrink(sequence, failure, run) {
+  let current = sequence.slice(0, failure.step + 1);
+  let last = failure;
+  let chunk = Math.max(1, Math.floor(current.length / 2));
+  while (chunk >= 1) {
+    let removed = false;
+    for (let start = 0; start < current.length; start += chunk) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+      if (candidate.length === 0) {
+        continue;
+      }
+      const result = await run(candidate);
+      if (result) {
+        current = candidate.slice(0, result.step + 1);
+        last = result;
+        removed = true;
+        start -= chunk;
+      }
+    }
+    if (!removed) {
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+  return { sequence: current, failure: last };
+}
+
+/**
+ * Runs the sequence generated from `seed`; when it fails, shrinks it and
+ * throws an error listing the minimal sequence (formatted by `describe`).
+ */
+async function checkSequence({ seed, length, generate, run, describe = op => JSON.stringify(op) }) {
+  const sequence = generateSequence(seed, length, generate);
+  const failure = await run(sequence);
+  if (!failure) {
+    return sequence;
+  }
+
+  const minimal = await shrink(sequence, failure, run);
+  const steps = minimal.sequence.map((op, i) => `  ${i + 1}. ${describe(op)}`).join("\n");
+  const error = new Error(`Seed ${seed} failed at step ${failure.step + 1} of ${length}; shrunk to ${minimal.sequence.length} steps:\n${steps}\n${minimal.failure.error.message}`);
+  error.sequence = minimal.sequence;
+  error.cause = minimal.failure.error;
+  throw error;
+}
+
+module.exports = {
+  checkSequence,
+  generateSequence,
+  generator,
+  shrink
+};
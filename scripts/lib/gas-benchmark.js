@@ -0,0 +1,220 @@
+// scripts/lib/gas-benchmark.js
+// Gas used by the system calls of an epoch block as the staking state grows.
+//
+// A scenario is { validators, delegators, slashRecords }: that many active
+// validators, each staked with MIN_VALIDATOR_TOTAL_STAKE plus
+// MIN_DELEGATOR_STAKE from `delegators` accounts, and slash records for the
+// first `slashRecords` of them. Each one is built on a fresh Hardhat chain with
+// the contracts at the canonical addresses, then BlockProducer mines epoch
+// blocks and the highest gas each call used is kept.
+//
+// Budgets (gas-budgets.json) bound every operation and the epoch block as a
+// share of the block gas limit, and maxGrowth is the regression budget against
+// a previous report.
+
+const fs = require("fs");
+const { BlockProducer } = require("./block-producer");
+const { readStakingConstants } = require("./staking-model");
+const { canonicalAddresses, installCode } = require("./system-contracts");
+
+const EPOCH_OPERATIONS = ["updateActivatedValidators", "decreaseMissedBlocksCounter", "distributeBlockReward"];
+
+const DEFAULT_BUDGETS = {
+  blockGasLimit: undefined,
+  maxBlockShare: 0.5,
+  maxGrowth: 0.05,
+  operations: {}
+};
+
+function readGasBudgets(budgetsPath) {
+  if (!budgetsPath || !fs.existsSync(budgetsPath)) {
+    return { ...DEFAULT_BUDGETS };
+  }
+
+  const budgets = { ...DEFAULT_BUDGETS, ...JSON.parse(fs.readFileSync(budgetsPath, "utf8")) };
+  if (!(budgets.maxBlockShare > 0 && budgets.maxBlockShare <= 1)) {
+    throw new Error(`${budgetsPath}: maxBlockShare must be a fraction of the block gas limit between 0 and 1`);
+  }
+  if (!(budgets.maxGrowth >= 0)) {
+    throw new Error(`${budgetsPath}: maxGrowth must be a non-negative fraction`);
+  }
+  for (const [name, budget] of Object.entries(budgets.operations)) {
+    if (!EPOCH_OPERATIONS.includes(name)) {
+      throw new Error(`${budgetsPath}: unknown operation ${name} (expected ${EPOCH_OPERATIONS.join(", ")})`);
+    }
+    if (!Number.isInteger(budget) || budget <= 0) {
+      throw new Error(`${budgetsPath}: budget for ${name} must be a positive amount of gas`);
+    }
+  }
+  return budgets;
+}
+
+function scenarioKey({ validators, delegators, slashRecords }) {
+  return `${validators}v/${delegators}d/${slashRecords}s`;
+}
+
+// Every combination of the given counts; slash records are capped at the validators that can have one
+function scenarioGrid({ validators, delegators, slashRecords }) {
+  const scenarios = new Map();
+  for (const v of validators) {
+    for (const d of delegators) {
+      for (const s of slashRecords) {
+        const scenario = { validators: v, delegators: d, slashRecords: Math.min(s, v) };
+        scenarios.set(scenarioKey(scenario), scenario);
+      }
+    }
+  }
+  return [...scenarios.values()];
+}
+
+// Gas by "<scenario key>/<operation>" from a report written by benchmark-gas.js
+function readPreviousGas(reportPath) {
+  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  const previous = new Map();
+  for (const result of report.results || []) {
+    for (const [operation, gas] of Object.entries(result.gas)) {
+      previous.set(`${scenarioKey(result.scenario)}/${operation}`, gas);
+    }
+  }
+  return previous;
+}
+
+// Funded, impersonated account for `label`, the same on every run
+async function benchmarkAccount(hre, label, balance) {
+  const { ethers, network } = hre;
+  const { address } = new ethers.Wallet(ethers.id(`gas benchmark ${label}`));
+  await network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(balance)]);
+  return ethers.getImpersonatedSigner(address);
+}
+
+async function setupScenario(hre, { validators: validatorCount, delegators: delegatorCount, slashRecords }, { epochReward }) {
+  const { artifacts, ethers, network } = hre;
+  const constants = readStakingConstants();
+  const addresses = canonicalAddresses();
+
+  await network.provider.send("hardhat_reset");
+  for (const name of ["Validators", "Slash"]) {
+    await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+  }
+  const validators = await ethers.getContractAt("Validators", addresses.Validators);
+  const slash = await ethers.getContractAt("Slash", addresses.Slash);
+
+  const stake = constants.MIN_VALIDATOR_TOTAL_STAKE;
+  const signers = [];
+  for (let i = 0; i < validatorCount; i++) {
+    signers.push(await benchmarkAccount(hre, `validator ${i}`, stake * 2n));
+  }
+  await validators.initialize(signers.map(s => s.address));
+  await slash.initialize();
+
+  for (const signer of signers) {
+    await validators.connect(signer).stake(signer.address, { value: stake });
+  }
+  for (let i = 0; i < delegatorCount; i++) {
+    const delegator = await benchmarkAccount(hre, `delegator ${i}`, constants.MIN_DELEGATOR_STAKE * BigInt(validatorCount + 1));
+    for (const signer of signers) {
+      await validators.connect(delegator).stake(signer.address, { value: constants.MIN_DELEGATOR_STAKE });
+    }
+  }
+
+  // Slash.slash() records one missed block per call and only one call per block
+  const producer = await benchmarkAccount(hre, "producer", ethers.parseEther("1"));
+  await network.provider.send("hardhat_setCoinbase", [producer.address]);
+  for (const signer of signers.slice(0, slashRecords)) {
+    await slash.connect(producer).slash(signer.address);
+  }
+
+  return BlockProducer.attach(hre, { epochReward });
+}
+
+/**
+ * Builds `scenario` and mines `epochs` epoch blocks. Returns
+ * { scenario, gas: { operation: highest gasUsed }, total } where total is the
+ * highest gas of all system calls in one epoch block.
+ */
+async function measureScenario(hre, scenario, { epochs = 2, epochReward = hre.ethers.parseEther("1") } = {}) {
+  const producer = await setupScenario(hre, scenario, { epochReward });
+  const gas = Object.fromEntries(EPOCH_OPERATIONS.map(operation => [operation, 0]));
+  let total = 0;
+
+  for (const record of await producer.mineEpochs(epochs)) {
+    let block = 0;
+    for (const call of record.calls) {
+      const used = Number(call.receipt.gasUsed);
+      gas[call.method] = Math.max(gas[call.method], used);
+      block += used;
+    }
+    total = Math.max(total, block);
+  }
+  return { scenario, gas, total };
+}
+
+/**
+ * Checks a measured scenario and returns [{ level, message }]. Errors: an
+ * operation over its budget, the epoch block over maxBlockShare of the block
+ * gas limit, or an operation that grew by more than maxGrowth since `previous`.
+ */
+function checkGas(result, budgets, previous) {
+  const key = scenarioKey(result.scenario);
+  const issues = [];
+  const percent = share => `${(share * 100).toFixed(1)}%`;
+
+  for (const [operation, gas] of Object.entries(result.gas)) {
+    const budget = budgets.operations[operation];
+    if (budget !== undefined && gas > budget) {
+      issues.push({ level: "error", message: `${key} ${operation}: ${gas} gas exceeds its ${budget}-gas budget by ${gas - budget}` });
+    }
+
+    const before = previous ? previous.get(`${key}/${operation}`) : undefined;
+    if (before !== undefined && gas > before * (1 + budgets.maxGrowth)) {
+      issues.push({ level: "error", message: `${key} ${operation}: ${gas} gas is ${percent(gas / before - 1)} more than the previous ${before}, over the ${percent(budgets.maxGrowth)} regression budget` });
+    }
+  }
+
+  if (budgets.blockGasLimit !== undefined && result.total > budgets.blockGasLimit * budgets.maxBlockShare) {
+    issues.push({ level: "error", message: `${key}: the epoch block's system calls use ${result.total} gas, ${percent(result.total / budgets.blockGasLimit)} of the ${budgets.blockGasLimit} block gas limit (budget ${percent(budgets.maxBlockShare)})` });
+  }
+  return issues;
+}
+
+// Markdown table with one row per scenario and, for a regression, the change since `previous`
+function formatTable(results, { blockGasLimit, previous } = {}) {
+  const headers = ["Validators", "Delegators", "Slash records", ...EPOCH_OPERATIONS, "Epoch block"];
+  if (blockGasLimit !== undefined) {
+    headers.push("Of block limit");
+  }
+
+  const cell = (key, operation, gas) => {
+    const before = previous ? previous.get(`${key}/${operation}`) : undefined;
+    if (before === undefined || before === gas) {
+      return String(gas);
+    }
+    const change = (gas / before - 1) * 100;
+    return `${gas} (${change > 0 ? "+" : ""}${change.toFixed(1)}%)`;
+  };
+  const rows = results.map(({ scenario, gas, total }) => {
+    const key = scenarioKey(scenario);
+    const row = [scenario.validators, scenario.delegators, scenario.slashRecords, ...EPOCH_OPERATIONS.map(operation => cell(key, operation, gas[operation])), total];
+    if (blockGasLimit !== undefined) {
+      row.push(`${(total / blockGasLimit * 100).toFixed(2)}%`);
+    }
+    return row.map(String);
+  });
+
+  return [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---:").join(" | ")} |`,
+    ...rows.map(row => `| ${row.join(" | ")} |`)
+  ].join("\n") + "\n";
+}
+
+module.exports = {
+  EPOCH_OPERATIONS,
+  checkGas,
+  formatTable,
+  measureScenario,
+  readGasBudgets,
+  readPreviousGas,
+  scenarioGrid,
+  scenarioKey
+};
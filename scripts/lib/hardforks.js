@@ -0,0 +1,73 @@
+// scripts/lib/hardforks.js
+// EVM hardforks in activation order, with the solc `evmVersion` name and the
+// geth genesis `config` key that activates each one.
+
+const HARDFORKS = [
+  { name: "homestead", genesisKey: "homesteadBlock" },
+  { name: "tangerineWhistle", genesisKey: "eip150Block" },
+  { name: "spuriousDragon", genesisKey: "eip158Block" },
+  { name: "byzantium", genesisKey: "byzantiumBlock" },
+  { name: "constantinople", genesisKey: "constantinopleBlock" },
+  { name: "petersburg", genesisKey: "petersburgBlock" },
+  { name: "istanbul", genesisKey: "istanbulBlock" },
+  { name: "berlin", genesisKey: "berlinBlock" },
+  { name: "london", genesisKey: "londonBlock" },
+  { name: "paris", genesisKey: "mergeNetsplitBlock" },
+  { name: "shanghai", genesisKey: "shanghaiTime" },
+  { name: "cancun", genesisKey: "cancunTime" }
+];
+
+// Default evmVersion of solc releases that changed it (older releases are not used here)
+const SOLC_DEFAULT_EVM_VERSION = [
+  { since: "0.8.25", evmVersion: "cancun" },
+  { since: "0.8.20", evmVersion: "shanghai" },
+  { since: "0.8.18", evmVersion: "paris" },
+  { since: "0.8.7", evmVersion: "london" },
+  { since: "0.8.5", evmVersion: "berlin" },
+  { since: "0.5.14", evmVersion: "istanbul" }
+];
+
+function hardforkIndex(name) {
+  const index = HARDFORKS.findIndex((fork) => fork.name === name);
+  if (index === -1) {
+    throw new Error(`Unknown hardfork: ${name}`);
+  }
+  return index;
+}
+
+function compareVersions(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+function defaultEvmVersion(solcVersion) {
+  const entry = SOLC_DEFAULT_EVM_VERSION.find((item) => compareVersions(solcVersion, item.since) >= 0);
+  return entry ? entry.evmVersion : "byzantium";
+}
+
+// Latest hardfork whose genesis key, and every earlier one, is active at block/time 0
+function activeGenesisHardfork(chainConfig) {
+  let active;
+  for (const fork of HARDFORKS) {
+    if (chainConfig[fork.genesisKey] !== 0) {
+      break;
+    }
+    active = fork.name;
+  }
+  return active;
+}
+
+module.exports = {
+  HARDFORKS,
+  activeGenesisHardfork,
+  compareVersions,
+  defaultEvmVersion,
+  hardforkIndex
+};
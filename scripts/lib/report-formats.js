@@ -0,0 +1,189 @@
+// scripts/lib/report-formats.js
+// Serializers for bytecode verification results: plain JSON, SARIF 2.1.0 for
+// code-scanning dashboards and JUnit XML for test-report dashboards.
+
+const TOOL_NAME = "verify-bytecode";
+
+const RULES = {
+  unsupported: {
+    id: "EVM001",
+    name: "UnsupportedOpcode",
+    description: "Reachable opcode is not available on the target hardfork",
+    level: "error"
+  },
+  undefined: {
+    id: "EVM002",
+    name: "UndefinedOpcode",
+    description: "Reachable byte is not a defined opcode and executes as INVALID",
+    level: "warning"
+  },
+  compiler: {
+    id: "EVM003",
+    name: "CompilerSettings",
+    description: "Artifact was compiled with settings the target chain cannot run or that no longer match hardhat.config.js",
+    level: "error"
+  },
+  size: {
+    id: "EVM004",
+    name: "ContractSize",
+    description: "Deployed code is over, or close to, the EIP-170 limit or its size budget, or grew more than the review threshold",
+    level: "warning"
+  }
+};
+
+// Every finding, compiler and size issue of `results`, flattened with its rule
+function allFindings(results) {
+  const findings = [];
+
+  for (const result of results) {
+    result.findings.forEach(finding => findings.push({ rule: RULES[finding.reason], result, finding }));
+    (result.compiler ? result.compiler.issues : []).forEach(issue => findings.push({
+      rule: RULES.compiler,
+      result,
+      finding: { contract: result.name, message: issue, sourceFile: result.sourceName }
+    }));
+    (result.size ? result.size.issues : []).forEach(issue => findings.push({
+      rule: RULES.size,
+      level: issue.level,
+      result,
+      finding: { contract: result.name, message: issue.message, sourceFile: result.sourceName }
+    }));
+  }
+
+  return findings;
+}
+
+function findingMessage({ rule, result, finding }) {
+  if (rule === RULES.compiler || rule === RULES.size) {
+    return `${finding.contract}: ${finding.message}`;
+  }
+  const detail = finding.reason === "unsupported" ? `, introduced in ${finding.since}` : "";
+  return `${finding.contract}: ${finding.name} (${finding.opcode}${detail}) at ${finding.location} offset ${finding.offset} is not supported on ${result.fork}`;
+}
+
+function formatJson(results, { fork }) {
+  return JSON.stringify({
+    tool: TOOL_NAME,
+    fork,
+    incompatible: results.filter(r => r.incompatible).map(r => r.name),
+    results
+  }, null, 2) + "\n";
+}
+
+function sarifLocation({ result, finding }) {
+  const source = finding.sourceLocation;
+  if (source) {
+    return {
+      physicalLocation: {
+        artifactLocation: { uri: source.file },
+        region: {
+          startLine: source.startLine,
+          startColumn: source.startColumn,
+          endLine: source.endLine,
+          endColumn: source.endColumn
+        }
+      },
+      logicalLocations: [{ name: finding.contract, kind: "type" }]
+    };
+  }
+
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: finding.sourceFile || result.file || result.sourceName || result.name }
+    },
+    logicalLocations: [{ name: result.account || finding.contract, kind: result.account ? "variable" : "type" }]
+  };
+}
+
+function formatSarif(results, { fork }) {
+  const rules = Object.values(RULES);
+
+  return JSON.stringify({
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.level }
+          }))
+        }
+      },
+      properties: { fork },
+      results: allFindings(results).map(item => ({
+        ruleId: item.rule.id,
+        ruleIndex: rules.indexOf(item.rule),
+        level: item.level || item.rule.level,
+        message: { text: findingMessage(item) },
+        locations: [sarifLocation(item)],
+        properties: {
+          contract: item.finding.contract,
+          codeSection: item.finding.location,
+          offset: item.finding.offset,
+          opcode: item.finding.opcode,
+          mnemonic: item.finding.name
+        }
+      }))
+    }]
+  }, null, 2) + "\n";
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatJunit(results, { fork }) {
+  const findings = allFindings(results);
+  const failures = results.filter(r => r.incompatible).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${results.length}" failures="${failures}">`,
+    `  <testsuite name="${escapeXml(`${TOOL_NAME} (${fork})`)}" tests="${results.length}" failures="${failures}">`
+  ];
+
+  for (const result of results) {
+    const own = findings.filter(item => item.result === result);
+    const errors = own.filter(item => (item.level || item.rule.level) === "error");
+    const testcase = `    <testcase classname="${escapeXml(`${TOOL_NAME}.${result.source}`)}" name="${escapeXml(result.name)}"`;
+
+    if (errors.length === 0) {
+      lines.push(`${testcase}/>`);
+      continue;
+    }
+
+    const details = own.map(item => {
+      const source = item.finding.sourceLocation;
+      const where = source ? ` [${source.file}:${source.startLine}:${source.startColumn}]` : "";
+      return findingMessage(item) + where;
+    });
+    lines.push(`${testcase}>`);
+    lines.push(`      <failure message="${escapeXml(`${errors.length} incompatibility(ies) for ${fork}`)}" type="${escapeXml(errors[0].rule.name)}">${escapeXml(details.join("\n"))}</failure>`);
+    lines.push("    </testcase>");
+  }
+
+  lines.push("  </testsuite>", "</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  sarif: formatSarif,
+  junit: formatJunit
+};
+
+module.exports = {
+  FORMATTERS,
+  RULES,
+  formatJson,
+  formatJunit,
+  formatSarif
+};
@@ -0,0 +1,80 @@
+// scripts/lib/size-budget.js
+// Deployed-size budgets: checks runtime code against the EIP-170 limit, a
+// per-contract budget and the size recorded in a previous verification report.
+
+const fs = require("fs");
+
+// EIP-170 maximum runtime code size
+const EIP170_LIMIT = 24576;
+
+const DEFAULT_BUDGETS = {
+  limit: EIP170_LIMIT,
+  warnAt: 0.9,
+  maxGrowth: 1024,
+  contracts: {}
+};
+
+function readBudgets(budgetsPath) {
+  if (!budgetsPath || !fs.existsSync(budgetsPath)) {
+    return { ...DEFAULT_BUDGETS };
+  }
+
+  const budgets = { ...DEFAULT_BUDGETS, ...JSON.parse(fs.readFileSync(budgetsPath, "utf8")) };
+  if (!(budgets.warnAt > 0 && budgets.warnAt <= 1)) {
+    throw new Error(`${budgetsPath}: warnAt must be a fraction of the limit between 0 and 1`);
+  }
+  for (const [name, budget] of Object.entries(budgets.contracts)) {
+    if (!Number.isInteger(budget) || budget < 0) {
+      throw new Error(`${budgetsPath}: budget for ${name} must be a non-negative number of bytes`);
+    }
+  }
+  return budgets;
+}
+
+// Deployed sizes by result name from a report written by verify-bytecode.js.
+// Accepts the current { results } shape and the older plain array.
+function readPreviousSizes(reportPath) {
+  const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+  const results = Array.isArray(report) ? report : report.results || [];
+  return new Map(results
+    .filter(result => Number.isInteger(result.deployedSize))
+    .map(result => [result.name, result.deployedSize]));
+}
+
+/**
+ * Checks `deployedSize` of contract `name` and returns
+ * { deployedSize, limit, budget, previous, delta, issues: [{ level, message }] }.
+ * Errors: over the limit or over budget. Warnings: past warnAt of the limit, or
+ * grown by more than maxGrowth bytes since `previousSizes`.
+ */
+function checkSize(name, deployedSize, budgets, previousSizes) {
+  const limit = budgets.limit;
+  const budget = budgets.contracts[name];
+  const previous = previousSizes ? previousSizes.get(name) : undefined;
+  const delta = previous === undefined ? undefined : deployedSize - previous;
+  const issues = [];
+  const percent = (size, of) => `${(size / of * 100).toFixed(1)}%`;
+
+  if (deployedSize > limit) {
+    issues.push({ level: "error", message: `deployed size ${deployedSize} bytes exceeds the ${limit}-byte limit by ${deployedSize - limit} bytes` });
+  } else if (deployedSize >= limit * budgets.warnAt) {
+    issues.push({ level: "warning", message: `deployed size ${deployedSize} bytes is ${percent(deployedSize, limit)} of the ${limit}-byte limit (${limit - deployedSize} bytes left)` });
+  }
+
+  if (budget !== undefined && deployedSize > budget) {
+    issues.push({ level: "error", message: `deployed size ${deployedSize} bytes exceeds its ${budget}-byte budget by ${deployedSize - budget} bytes` });
+  }
+
+  if (delta !== undefined && delta > budgets.maxGrowth) {
+    issues.push({ level: "warning", message: `deployed size grew by ${delta} bytes (${previous} -> ${deployedSize}), more than the ${budgets.maxGrowth}-byte review threshold` });
+  }
+
+  return { deployedSize, limit, budget, previous, delta, issues };
+}
+
+module.exports = {
+  EIP170_LIMIT,
+  checkSize,
+  readBudgets,
+  readPreviousSizes
+};
@@ -0,0 +1,82 @@
+// scripts/lib/source-map.js
+// Maps instruction indexes back to Solidity source locations using the
+// compressed sourceMap from a Hardhat build-info file.
+
+const fs = require("fs");
+const path = require("path");
+
+function readBuildInfo(artifactPath) {
+  const dbgPath = artifactPath.replace(/\.json$/, ".dbg.json");
+  if (!fs.existsSync(dbgPath)) {
+    return undefined;
+  }
+
+  const { buildInfo } = JSON.parse(fs.readFileSync(dbgPath, "utf8"));
+  return JSON.parse(fs.readFileSync(path.resolve(path.dirname(dbgPath), buildInfo), "utf8"));
+}
+
+// Expands "s:l:f:j:m;..." where empty fields repeat the previous entry
+function parseSourceMap(sourceMap) {
+  const entries = [];
+  let previous = { start: -1, length: -1, file: -1, jump: "-" };
+
+  for (const item of (sourceMap || "").split(";")) {
+    const [start, length, file, jump] = item.split(":");
+    const entry = {
+      start: start ? Number(start) : previous.start,
+      length: length ? Number(length) : previous.length,
+      file: file ? Number(file) : previous.file,
+      jump: jump || previous.jump
+    };
+    entries.push(entry);
+    previous = entry;
+  }
+
+  return entries;
+}
+
+function lineColumn(content, offset) {
+  const before = content.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Returns a function mapping an instruction index of the contract's creation
+ * ("bytecode") or runtime ("deployed") code to { file, startLine, startColumn,
+ * endLine, endColumn }, or undefined when the instruction has no user source.
+ */
+function createSourceLocator(build, sourceName, contractName, location) {
+  const contract = build?.output?.contracts?.[sourceName]?.[contractName];
+  const evm = contract?.evm?.[location === "deployed" ? "deployedBytecode" : "bytecode"];
+  if (!evm || !evm.sourceMap) {
+    return undefined;
+  }
+
+  const entries = parseSourceMap(evm.sourceMap);
+  const files = new Map(Object.entries(build.output.sources).map(([name, { id }]) => [id, name]));
+
+  return (index) => {
+    const entry = entries[index];
+    const file = entry && files.get(entry.file);
+    if (!file || entry.start < 0) {
+      return undefined;
+    }
+
+    const content = build.input.sources[file]?.content || "";
+    const start = lineColumn(content, entry.start);
+    const end = lineColumn(content, entry.start + entry.length);
+    return {
+      file,
+      startLine: start.line,
+      startColumn: start.column,
+      endLine: end.line,
+      endColumn: end.column
+    };
+  };
+}
+
+module.exports = {
+  createSourceLocator,
+  parseSourceMap,
+  readBuildInfo
+};
@@ -0,0 +1,314 @@
+// scripts/lib/staking-ledger.js
+// Off-chain copy of the Validators/Slash staking state, rebuilt from their
+// events. applyEvent() follows the contracts' own bookkeeping (reward
+// accumulators, slash factors, reward remainders, delegators' pending slashes)
+// with the helpers of staking-model.js, so the result can be compared with
+// getValidatorInfo() and getPendingRewards().
+//
+// Validators passed to initialize() get no event; addInitialValidators()
+// records them, and a validator first seen in any other event than
+// ValidatorCreated is taken to be one of them as well.
+
+const {
+  applyPendingSlash,
+  deactivate,
+  delegationKey,
+  emptyState,
+  newValidator,
+  removeSwap,
+  slashedAmount,
+  splitReward,
+  startSlashEpoch,
+  updatePendingRewards
+} = require("./staking-model");
+
+function emptyLedger() {
+  return {
+    ...emptyState(),
+    // Events whose amounts differ from what the ledger computed
+    inconsistencies: []
+  };
+}
+
+// The model's validator without its delegator list, which no event reveals
+function ledgerValidator(address, constants, fields = {}) {
+  const { delegators, ...val } = newValidator(address, constants);
+  return { ...val, ...fields, missedBlocks: 0n, history: [] };
+}
+
+function getValidator(ledger, address, constants) {
+  if (!ledger.validators[address]) {
+    // Only initialize() creates a validator without ValidatorCreated; it is active right away
+    ledger.validators[address] = ledgerValidator(address, constants);
+    ledger.activeSet.push(address);
+    ledger.candidates.push(address);
+  }
+  return ledger.validators[address];
+}
+
+// The validators initialize() was called with, in its order
+function addInitialValidators(ledger, addresses, constants) {
+  addresses.forEach(address => getValidator(ledger, address, constants));
+}
+
+function getDelegation(ledger, delegator, validator) {
+  const key = delegationKey(delegator, validator);
+  if (!ledger.delegations[key]) {
+    ledger.delegations[key] = {
+      delegator,
+      validator,
+      delegatedAmount: 0n,
+      unbonding: [],
+      rewardDebt: 0n,
+      pendingRewards: 0n,
+      slashFactor: 0n,
+      slashEpoch: 0n,
+      history: []
+    };
+  }
+  return ledger.delegations[key];
+}
+
+// RewardDistributed: the split is recomputed and compared with the emitted rewards
+function distributeRewards(ledger, event, constants) {
+  const { validators: addresses, rewards, totalAmount } = event.args;
+  addresses.forEach(address => getValidator(ledger, address, constants));
+  const expected = splitReward(ledger, addresses, totalAmount, event.blockNumber, constants);
+
+  addresses.forEach((address, i) => {
+    if (expected[i] !== rewards[i]) {
+      ledger.inconsistencies.push({ ...eventRef(event), validator: address, expected: expected[i], emitted: rewards[i] });
+    }
+    ledger.validators[address].history.push({ ...eventRef(event), reward: rewards[i] });
+  });
+}
+
+// Redelegate: _removeStake on the source and _processStaking on the destination,
+// recorded in the history of both validators and both delegations
+function redelegate(ledger, event, constants) {
+  const { staker, fromValidator, toValidator, amount } = event.args;
+  removeStake(ledger, staker, fromValidator, amount, constants);
+  addStake(ledger, staker, toValidator, amount, constants);
+
+  const entry = { ...eventRef(event), ...event.args };
+  for (const validator of [fromValidator, toValidator]) {
+    ledger.validators[validator].history.push(entry);
+    ledger.delegations[delegationKey(staker, validator)].history.push(entry);
+  }
+}
+
+// The stake and delegation changes of Staking and Redelegate, without totalNetworkStaked
+function addStake(ledger, staker, validator, amount, constants) {
+  const val = getValidator(ledger, validator, constants);
+  const del = getDelegation(ledger, staker, validator);
+  startSlashEpoch(val, constants);
+  applyPendingSlash(val, del, constants);
+  if (del.delegatedAmount === 0n) {
+    del.rewardDebt = (val.accRewardPerStake * amount) / constants.PRECISION_FACTOR;
+  } else {
+    updatePendingRewards(val, del, constants);
+    del.rewardDebt += (val.accRewardPerStake * amount) / constants.PRECISION_FACTOR;
+  }
+
+  val.totalStaked += amount;
+  del.delegatedAmount += amount;
+  if (val.status !== "Staked" && val.status !== "Jailed") {
+    val.status = "Staked";
+  }
+}
+
+// The stake and delegation changes of Unstake and Redelegate, without totalNetworkStaked
+function removeStake(ledger, staker, validator, amount, constants) {
+  const val = getValidator(ledger, validator, constants);
+  const del = getDelegation(ledger, staker, validator);
+  updatePendingRewards(val, del, constants);
+
+  del.delegatedAmount -= amount;
+  del.rewardDebt = (val.accRewardPerStake * del.delegatedAmount) / constants.PRECISION_FACTOR;
+  val.totalStaked -= amount;
+  if (val.status === "Staked" && val.totalStaked < constants.MIN_VALIDATOR_TOTAL_STAKE) {
+    val.status = "Unstake";
+  }
+  return del;
+}
+
+function eventRef(event) {
+  return { event: event.name, block: event.blockNumber, tx: event.transactionHash };
+}
+
+const HANDLERS = {
+  ValidatorCreated(ledger, { validator, rewardAddr, commissionRate }, constants) {
+    ledger.validators[validator] = ledgerValidator(validator, constants, { status: "Created", rewardAddr, commissionRate });
+    return { validator };
+  },
+
+  Staking(ledger, { staker, validator, amount }, constants) {
+    addStake(ledger, staker, validator, amount, constants);
+    ledger.totalNetworkStaked += amount;
+    return { validator, delegator: staker };
+  },
+
+  Unstake(ledger, { staker, validator, amount, unlockTimestamp }, constants) {
+    const del = removeStake(ledger, staker, validator, amount, constants);
+    del.unbonding.push({ amount, unlockTimestamp });
+    ledger.totalNetworkStaked -= amount;
+    return { validator, delegator: staker };
+  },
+
+  // Every entry gets the same STAKING_LOCK_PERIOD, so the unlocked ones are the oldest and add up to `amount`
+  WithdrawStaking(ledger, { staker, validator, amount }, constants) {
+    getValidator(ledger, validator, constants);
+    const del = getDelegation(ledger, staker, validator);
+    let withdrawn = 0n;
+    while (del.unbonding.length > 0 && withdrawn + del.unbonding[0].amount <= amount) {
+      withdrawn += del.unbonding.shift().amount;
+    }
+    return { validator, delegator: staker };
+  },
+
+  ClaimDelegatorRewards(ledger, { delegator, validator, amount }, constants) {
+    const val = getValidator(ledger, validator, constants);
+    const del = getDelegation(ledger, delegator, validator);
+    updatePendingRewards(val, del, constants);
+    del.pendingRewards = 0n;
+    del.rewardDebt = (val.accRewardPerStake * del.delegatedAmount) / constants.PRECISION_FACTOR;
+    val.delegatorRewardPool = val.delegatorRewardPool >= amount ? val.delegatorRewardPool - amount : 0n;
+    return { validator, delegator };
+  },
+
+  WithdrawRewards(ledger, { validator, nextWithdrawTimestamp }, constants) {
+    const val = getValidator(ledger, validator, constants);
+    val.rewardAmount = 0n;
+    val.lastWithdrawRewardTimestamp = nextWithdrawTimestamp - constants.WITHDRAW_REWARD_PERIOD;
+    return { validator };
+  },
+
+  ValidatorSlash(ledger, { validator, amount, newTotalStake }, constants) {
+    const val = getValidator(ledger, validator, constants);
+    val.slashFactor = (val.slashFactor * newTotalStake) / (newTotalStake + amount);
+    val.totalStaked = newTotalStake;
+    val.slashAmount += amount;
+    ledger.totalNetworkStaked -= amount;
+    return { validator };
+  },
+
+  ValidatorUnjailed(ledger, { validator }, constants) {
+    const val = getValidator(ledger, validator, constants);
+    val.status = val.totalStaked >= constants.MIN_VALIDATOR_TOTAL_STAKE ? "Staked" : "Unstake";
+    return { validator };
+  },
+
+  ValidatorUpdated(ledger, { validator, rewardAddr }, constants) {
+    getValidator(ledger, validator, constants).rewardAddr = rewardAddr;
+    return { validator };
+  },
+
+  CommissionRateUpdated(ledger, { validator, newRate }, constants) {
+    getValidator(ledger, validator, constants).commissionRate = newRate;
+    return { validator };
+  },
+
+  ValidatorSetUpdated(ledger, { validators }, constants) {
+    validators.forEach(address => getValidator(ledger, address, constants));
+    ledger.activeSet = [...validators];
+    return {};
+  },
+
+  AddToValidatorCandidate(ledger, { validator }, constants) {
+    getValidator(ledger, validator, constants);
+    if (!ledger.candidates.includes(validator)) {
+      ledger.candidates.push(validator);
+    }
+    return { validator };
+  },
+
+  RemoveFromValidatorCandidate(ledger, { validator }, constants) {
+    getValidator(ledger, validator, constants);
+    removeSwap(ledger.candidates, validator);
+    return { validator };
+  },
+
+  ValidatorMissedBlock(ledger, { validator, missedCount }, constants) {
+    getValidator(ledger, validator, constants).missedBlocks = missedCount;
+    return { validator };
+  },
+
+  // Emitted by Slash after Validators.slashValidator() jailed the validator
+  ValidatorSlashed(ledger, { validator }, constants) {
+    const val = getValidator(ledger, validator, constants);
+    val.status = "Jailed";
+    val.missedBlocks = 0n;
+    deactivate(ledger, validator);
+    removeSwap(ledger.candidates, validator);
+    return { validator };
+  },
+
+  ValidatorDecreasedMissedBlockCounter(ledger, { validators, missedBlockCounters, decreasedCount }, constants) {
+    for (let i = 0; i < Number(decreasedCount); i++) {
+      getValidator(ledger, validators[i], constants).missedBlocks = missedBlockCounters[i];
+    }
+    return {};
+  },
+
+  SlashRecordCleared(ledger, { validator }, constants) {
+    getValidator(ledger, validator, constants).missedBlocks = 0n;
+    return { validator };
+  }
+};
+
+/**
+ * Applies one decoded log ({ name, args, blockNumber, transactionHash, logIndex })
+ * to `ledger` and records it in the history of the validator and delegation it
+ * concerns. Events that do not change staking state are ignored.
+ */
+function applyEvent(ledger, event, constants) {
+  if (event.name === "RewardDistributed") {
+    distributeRewards(ledger, event, constants);
+    return;
+  }
+  if (event.name === "Redelegate") {
+    redelegate(ledger, event, constants);
+    return;
+  }
+
+  const handler = HANDLERS[event.name];
+  if (!handler) {
+    return;
+  }
+  const { validator, delegator } = handler(ledger, event.args, constants);
+  const entry = { ...eventRef(event), ...event.args };
+  if (validator) {
+    ledger.validators[validator].history.push(entry);
+  }
+  if (delegator) {
+    ledger.delegations[delegationKey(delegator, validator)].history.push(entry);
+  }
+}
+
+// getDelegation()'s delegatedAmount: after the slashes not applied to the delegation yet
+function delegatedAmount(ledger, delegator, validator) {
+  const del = ledger.delegations[delegationKey(delegator, validator)];
+  return del ? slashedAmount(ledger.validators[validator], del) : 0n;
+}
+
+// getPendingRewards()
+function pendingRewards(ledger, delegator, validator, { PRECISION_FACTOR }) {
+  const del = ledger.delegations[delegationKey(delegator, validator)];
+  if (!del) {
+    return 0n;
+  }
+  if (del.delegatedAmount === 0n) {
+    return del.pendingRewards;
+  }
+  const val = ledger.validators[validator];
+  return del.pendingRewards + (del.delegatedAmount * val.accRewardPerStake) / PRECISION_FACTOR - del.rewardDebt;
+}
+
+module.exports = {
+  addInitialValidators,
+  applyEvent,
+  delegatedAmount,
+  delegationKey,
+  emptyLedger,
+  pendingRewards
+};
@@ -0,0 +1,627 @@
+// scripts/lib/staking-model.js
+// Reference model of the staking accounting in Validators.sol, in plain JS
+// with the contract's integer rounding: reward and slash accumulators per
+// validator, delegators' reward and slash debts, commission on
+// COMMISSION_BASE and the reward remainder flushed in _handleRemainder.
+//
+// The functions below are the contract's private helpers one to one and are
+// shared with the event ledger (staking-ledger.js). StakingModel applies whole
+// calls on top of them, including their require()s and checked arithmetic; a
+// call that would revert throws ModelRevert and leaves the model unchanged.
+// Access control (coinbase, admin, Slash-only, epoch blocks, pauses) is not
+// modelled: callers only apply calls that pass it.
+
+const fs = require("fs");
+const path = require("path");
+
+const VALIDATORS_SOURCE = path.join(__dirname, "../../contracts/Validators.sol");
+const STAKING_CONSTANTS = [
+  "MAX_VALIDATOR_NUM",
+  "STAKING_LOCK_PERIOD",
+  "WITHDRAW_REWARD_PERIOD",
+  "MIN_DELEGATOR_STAKE",
+  "MIN_VALIDATOR_TOTAL_STAKE",
+  "VALIDATOR_SLASH_PENALTY",
+  "MAX_COMMISSION_RATE",
+  "DEFAULT_COMMISSION_RATE",
+  "MAX_UNBONDING_ENTRIES",
+  "PRECISION_FACTOR",
+  "COMMISSION_BASE",
+  "REMAINDER_THRESHOLD"
+];
+const PANIC_UNDERFLOW = 0x11;
+// delInfo.index of a delegator that is not in val.delegators
+const NO_INDEX = 2n ** 256n - 1n;
+
+// Values of the constants above, including the private ones, from Validators.sol
+function readStakingConstants(sourcePath = VALIDATORS_SOURCE) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const constants = {};
+  for (const name of STAKING_CONSTANTS) {
+    const match = source.match(new RegExp(`constant\\s+${name}\\s*=\\s*(\\d+)(?:e(\\d+))?(\\s+ether)?\\s*;`));
+    if (!match) {
+      throw new Error(`Could not find ${name} in ${path.basename(sourcePath)}`);
+    }
+    const exponent = BigInt(match[2] || 0) + (match[3] ? 18n : 0n);
+    constants[name] = BigInt(match[1]) * 10n ** exponent;
+  }
+  return constants;
+}
+
+// A require() failure (`reason`) or a Solidity panic (`panic` code) the contract would revert with
+class ModelRevert extends Error {
+  constructor(reason, panic) {
+    super(panic ? `panic code 0x${panic.toString(16)}` : reason);
+    this.name = "ModelRevert";
+    this.reason = reason;
+    this.panic = panic;
+  }
+}
+
+function check(condition, reason) {
+  if (!condition) {
+    throw new ModelRevert(reason);
+  }
+}
+
+// Checked subtraction, as in Solidity 0.8
+function sub(a, b) {
+  if (b > a) {
+    throw new ModelRevert(undefined, PANIC_UNDERFLOW);
+  }
+  return a - b;
+}
+
+function delegationKey(delegator, validator) {
+  return `${delegator}/${validator}`;
+}
+
+function emptyState() {
+  return {
+    validators: {},
+    delegations: {},
+    activeSet: [],
+    candidates: [],
+    totalNetworkStaked: 0n,
+    totalRewardRemainder: 0n
+  };
+}
+
+function newValidator(address, constants) {
+  return {
+    rewardAddr: address,
+    status: "Staked",
+    totalStaked: 0n,
+    rewardAmount: 0n,
+    slashAmount: 0n,
+    commissionRate: constants.DEFAULT_COMMISSION_RATE,
+    delegatorRewardPool: 0n,
+    accRewardPerStake: 0n,
+    slashFactor: 0n,
+    slashEpoch: 0n,
+    lastWithdrawRewardTimestamp: 0n,
+    delegators: []
+  };
+}
+
+function newDelegation(delegator, validator) {
+  return {
+    delegator,
+    validator,
+    delegatedAmount: 0n,
+    unbonding: [],
+    index: 0n,
+    rewardDebt: 0n,
+    pendingRewards: 0n,
+    slashFactor: 0n,
+    slashEpoch: 0n,
+    redelegationLockEnd: 0n
+  };
+}
+
+// Swap-and-pop removal, as the contract does for its address arrays
+function removeSwap(list, item) {
+  const index = list.indexOf(item);
+  if (index !== -1) {
+    list[index] = list[list.length - 1];
+    list.pop();
+  }
+}
+
+// deactivateValidator: never empties the set
+function deactivate(state, address) {
+  if (state.activeSet.length > 1) {
+    removeSwap(state.activeSet, address);
+  }
+}
+
+// _processStaking: a new slash epoch before the first stake and once slashes left nothing
+function startSlashEpoch(val, { PRECISION_FACTOR }) {
+  if (val.slashFactor === 0n) {
+    val.slashFactor = PRECISION_FACTOR;
+    val.slashEpoch += 1n;
+  }
+}
+
+// slashValidator: each slash takes its share of what the earlier ones left
+function applySlash(val, amount) {
+  val.slashFactor = (val.slashFactor * (val.totalStaked - amount)) / val.totalStaked;
+  val.totalStaked -= amount;
+}
+
+// _applyPendingSlash: only reduces the delegation, as slashValidator() already
+// took the penalty from totalStaked
+function applyPendingSlash(val, del, { PRECISION_FACTOR }) {
+  const amount = slashedAmount(val, del);
+  if (amount !== del.delegatedAmount) {
+    del.delegatedAmount = amount;
+    del.rewardDebt = (val.accRewardPerStake * amount) / PRECISION_FACTOR;
+  }
+  del.slashFactor = val.slashFactor;
+  del.slashEpoch = val.slashEpoch;
+}
+
+// _slashedAmount: the delegation less the slashes since its slashFactor, rounded
+// down; nothing is left from an earlier slash epoch
+function slashedAmount(val, del) {
+  if (del.delegatedAmount === 0n || del.slashEpoch !== val.slashEpoch) {
+    return 0n;
+  }
+  return (del.delegatedAmount * val.slashFactor) / del.slashFactor;
+}
+
+// _updatePendingRewards: unbonding entries are out of delegatedAmount and earn nothing
+function updatePendingRewards(val, del, constants) {
+  applyPendingSlash(val, del, constants);
+  if (del.delegatedAmount > 0n) {
+    const pending = sub((del.delegatedAmount * val.accRewardPerStake) / constants.PRECISION_FACTOR, del.rewardDebt);
+    if (pending > 0n) {
+      del.pendingRewards += pending;
+    }
+  }
+}
+
+// _distributeValidatorReward
+function distributeValidatorReward(val, reward, { COMMISSION_BASE, PRECISION_FACTOR }) {
+  if (reward === 0n) {
+    return;
+  }
+  const commission = (reward * val.commissionRate) / COMMISSION_BASE;
+  const delegatorReward = reward - commission;
+  val.rewardAmount += commission;
+  if (val.totalStaked > 0n && delegatorReward > 0n) {
+    val.delegatorRewardPool += delegatorReward;
+    val.accRewardPerStake += (delegatorReward * PRECISION_FACTOR) / val.totalStaked;
+  }
+}
+
+/**
+ * _processRewardDistribution and _handleRemainder: splits `amount` over the
+ * `addresses` by stake (evenly when nothing is staked) and flushes the
+ * accumulated remainder at REMAINDER_THRESHOLD or on every 100th block.
+ * Returns the reward of each validator, as RewardDistributed reports them.
+ */
+function splitReward(state, addresses, amount, blockNumber, constants) {
+  const vals = addresses.map(address => state.validators[address]);
+  const totalStake = vals.reduce((sum, val) => sum + val.totalStaked, 0n);
+
+  const rewards = vals.map(val => totalStake > 0n
+    ? (amount * val.totalStaked) / totalStake
+    : amount / BigInt(vals.length));
+  rewards.forEach((reward, i) => distributeValidatorReward(vals[i], reward, constants));
+
+  const remainder = amount - rewards.reduce((sum, reward) => sum + reward, 0n);
+  if (remainder > 0n && vals.length > 0) {
+    state.totalRewardRemainder += remainder;
+    if (state.totalRewardRemainder >= constants.REMAINDER_THRESHOLD || BigInt(blockNumber) % 100n === 0n) {
+      const flush = state.totalRewardRemainder;
+      state.totalRewardRemainder = 0n;
+      const perValidator = flush / BigInt(vals.length);
+      vals.forEach((val, i) => {
+        const extra = perValidator + (i === 0 ? flush - perValidator * BigInt(vals.length) : 0n);
+        distributeValidatorReward(val, extra, constants);
+        rewards[i] += extra;
+      });
+    }
+  }
+  return rewards;
+}
+
+class StakingModel {
+  constructor(constants) {
+    this.constants = constants;
+    this.state = emptyState();
+    // Ether held by the contract, and paid out of it per recipient
+    this.balance = 0n;
+    this.payouts = {};
+  }
+
+  // Runs `fn` on a copy of the model and keeps the copy only when it does not revert
+  transact(fn) {
+    const saved = structuredClone({ state: this.state, balance: this.balance, payouts: this.payouts });
+    try {
+      return fn();
+    } catch (error) {
+      Object.assign(this, saved);
+      throw error;
+    }
+  }
+
+  validator(address) {
+    return this.state.validators[address];
+  }
+
+  delegation(delegator, validator) {
+    const key = delegationKey(delegator, validator);
+    if (!this.state.delegations[key]) {
+      this.state.delegations[key] = newDelegation(delegator, validator);
+    }
+    return this.state.delegations[key];
+  }
+
+  requireValidator(address) {
+    const val = this.validator(address);
+    check(val, "Validator does not exist");
+    return val;
+  }
+
+  pay(to, amount) {
+    if (amount === 0n) {
+      return;
+    }
+    check(this.balance >= amount, "Insufficient balance");
+    this.balance -= amount;
+    this.payouts[to] = (this.payouts[to] || 0n) + amount;
+  }
+
+  initialize(addresses) {
+    return this.transact(() => {
+      check(addresses.length > 0 && BigInt(addresses.length) <= this.constants.MAX_VALIDATOR_NUM, "Invalid validator count");
+      for (const address of addresses) {
+        if (!this.state.candidates.includes(address)) {
+          this.state.candidates.push(address);
+        }
+        if (!this.state.activeSet.includes(address)) {
+          this.state.activeSet.push(address);
+        }
+        this.state.validators[address] = this.validator(address) || newValidator(address, this.constants);
+      }
+    });
+  }
+
+  // create() and createWithCommission(), without the description
+  create(sender, { rewardAddr, commissionRate = this.constants.DEFAULT_COMMISSION_RATE, value = 0n }) {
+    return this.transact(() => {
+      check(BigInt(rewardAddr) !== 0n, "Invalid address");
+      check(!this.validator(sender), "Validator already exists");
+      check(commissionRate <= this.constants.MAX_COMMISSION_RATE, "Commission rate too high");
+      this.state.validators[sender] = { ...newValidator(sender, this.constants), status: "Created", rewardAddr, commissionRate };
+      this.balance += value;
+      if (value > 0n) {
+        this.processStaking(sender, sender, value);
+        this.state.totalNetworkStaked += value;
+      }
+    });
+  }
+
+  stake(sender, validator, value) {
+    return this.transact(() => {
+      this.balance += value;
+      check(value > 0n, "Amount must be greater than 0");
+      this.requireValidator(validator);
+      this.processStaking(sender, validator, value);
+      this.state.totalNetworkStaked += value;
+    });
+  }
+
+  // _processStaking
+  processStaking(staker, validator, amount) {
+    const { constants } = this;
+    const val = this.validator(validator);
+    const del = this.delegation(staker, validator);
+    startSlashEpoch(val, constants);
+    applyPendingSlash(val, del, constants);
+    if (del.delegatedAmount === 0n) {
+      check(amount >= constants.MIN_DELEGATOR_STAKE, "Initial stake below minimum");
+    }
+    check(val.totalStaked + amount >= constants.MIN_VALIDATOR_TOTAL_STAKE, "Total stake below minimum threshold");
+
+    if (del.delegatedAmount === 0n) {
+      // A delegation that slashes took to 0 is still on the list
+      if (del.index >= BigInt(val.delegators.length) || val.delegators[Number(del.index)] !== staker) {
+        del.index = BigInt(val.delegators.length);
+        val.delegators.push(staker);
+      }
+      del.rewardDebt = (val.accRewardPerStake * amount) / constants.PRECISION_FACTOR;
+    } else {
+      if (del.index === NO_INDEX) {
+        del.index = BigInt(val.delegators.length);
+        val.delegators.push(staker);
+      }
+      updatePendingRewards(val, del, constants);
+      del.rewardDebt += (val.accRewardPerStake * amount) / constants.PRECISION_FACTOR;
+    }
+
+    val.totalStaked += amount;
+    del.delegatedAmount += amount;
+    if (val.status !== "Staked" && val.status !== "Jailed") {
+      val.status = "Staked";
+    }
+    if (val.status === "Staked") {
+      this.addToValidatorCandidate(validator, val.totalStaked);
+    }
+  }
+
+  // Returns the unstaked amount, now in a new unbonding entry
+  unstake(sender, validator, amount, { timestamp }) {
+    return this.transact(() => {
+      const { constants, state } = this;
+      this.requireValidator(validator);
+      const del = this.delegation(sender, validator);
+      check(amount > 0n, "Amount must be greater than 0");
+      check(BigInt(del.unbonding.length) < constants.MAX_UNBONDING_ENTRIES, "Too many unbonding entries");
+
+      this.removeStake(sender, validator, amount);
+      state.totalNetworkStaked = sub(state.totalNetworkStaked, amount);
+      del.unbonding.push({ amount, unlockTimestamp: BigInt(timestamp) + constants.STAKING_LOCK_PERIOD });
+      return amount;
+    });
+  }
+
+  // _removeStake
+  removeStake(staker, validator, amount) {
+    const { constants, state } = this;
+    const val = this.validator(validator);
+    const del = this.delegation(staker, validator);
+    updatePendingRewards(val, del, constants);
+    check(amount <= del.delegatedAmount, "Amount exceeds stake");
+    const remaining = del.delegatedAmount - amount;
+    check(remaining === 0n || remaining >= constants.MIN_DELEGATOR_STAKE, "Remaining stake below minimum");
+    check(!(state.activeSet.length === 1 && state.activeSet.includes(validator) &&
+      sub(val.totalStaked, amount) < constants.MIN_VALIDATOR_TOTAL_STAKE), "Cannot unstake: would disable last validator");
+
+    if (remaining === 0n) {
+      this.removeDelegator(val, del);
+    }
+    del.delegatedAmount = remaining;
+    del.rewardDebt = (val.accRewardPerStake * remaining) / constants.PRECISION_FACTOR;
+    val.totalStaked = sub(val.totalStaked, amount);
+
+    // A jailed validator stays jailed until unjailValidator()
+    if (val.status === "Staked" && val.totalStaked < constants.MIN_VALIDATOR_TOTAL_STAKE) {
+      val.status = "Unstake";
+    }
+    if (val.status !== "Staked") {
+      this.removeFromValidatorCandidate(validator);
+    }
+  }
+
+  // redelegate(). `missedBlocks` is the Slash record of `fromValidator`, which the model does not keep
+  redelegate(sender, fromValidator, toValidator, amount, { timestamp, missedBlocks = 0n }) {
+    return this.transact(() => {
+      this.requireValidator(fromValidator);
+      this.requireValidator(toValidator);
+      check(amount > 0n, "Amount must be greater than 0");
+      check(fromValidator !== toValidator, "Redelegation to same validator");
+      check(BigInt(timestamp) >= this.delegation(sender, fromValidator).redelegationLockEnd, "Redelegated stake still locked");
+      check(missedBlocks === 0n, "Source validator missed blocks");
+
+      this.removeStake(sender, fromValidator, amount);
+      this.processStaking(sender, toValidator, amount);
+      this.delegation(sender, toValidator).redelegationLockEnd = BigInt(timestamp) + this.constants.STAKING_LOCK_PERIOD;
+      return amount;
+    });
+  }
+
+  // _removeDelegatorFromList
+  removeDelegator(val, del) {
+    check(val.delegators.length > 0, "No delegators");
+    check(del.index < BigInt(val.delegators.length), "Invalid index");
+    const last = val.delegators.length - 1;
+    if (del.index !== BigInt(last)) {
+      const moved = val.delegators[last];
+      val.delegators[Number(del.index)] = moved;
+      this.delegation(moved, del.validator).index = del.index;
+    }
+    val.delegators.pop();
+    del.index = NO_INDEX;
+  }
+
+  withdrawStaking(sender, validator, { timestamp }) {
+    return this.transact(() => {
+      this.requireValidator(validator);
+      const del = this.delegation(sender, validator);
+      check(del.unbonding.length > 0, "Must unstake first");
+
+      const unlocked = entry => BigInt(timestamp) >= entry.unlockTimestamp;
+      const amount = del.unbonding.filter(unlocked).reduce((sum, entry) => sum + entry.amount, 0n);
+      check(amount > 0n, "Tokens still locked");
+      del.unbonding = del.unbonding.filter(entry => !unlocked(entry));
+      this.pay(sender, amount);
+      return amount;
+    });
+  }
+
+  claimDelegatorRewards(sender, validator) {
+    return this.transact(() => {
+      const { constants, state } = this;
+      const val = this.requireValidator(validator);
+      const del = this.delegation(sender, validator);
+      check(del.delegatedAmount > 0n || del.pendingRewards > 0n, "No stake with validator");
+
+      updatePendingRewards(val, del, constants);
+      const claimable = del.pendingRewards;
+      check(claimable > 0n, "No rewards to claim");
+
+      del.pendingRewards = 0n;
+      del.rewardDebt = (val.accRewardPerStake * del.delegatedAmount) / constants.PRECISION_FACTOR;
+      val.delegatorRewardPool = val.delegatorRewardPool >= claimable ? val.delegatorRewardPool - claimable : 0n;
+      this.pay(sender, claimable);
+      return claimable;
+    });
+  }
+
+  withdrawRewards(sender, validator, { timestamp }) {
+    return this.transact(() => {
+      const val = this.requireValidator(validator);
+      check(val.rewardAddr === sender, "Not reward recipient");
+      check(BigInt(timestamp) >= val.lastWithdrawRewardTimestamp + this.constants.WITHDRAW_REWARD_PERIOD, "Must wait before next withdrawal");
+      check(val.rewardAmount > 0n, "No rewards to withdraw");
+
+      const amount = val.rewardAmount;
+      val.rewardAmount = 0n;
+      val.lastWithdrawRewardTimestamp = BigInt(timestamp);
+      this.pay(sender, amount);
+      return amount;
+    });
+  }
+
+  // Returns the RewardDistributed rewards, or undefined when nothing was distributed
+  distributeBlockReward(value, { blockNumber }) {
+    return this.transact(() => {
+      this.balance += value;
+      return this.distributeRewards(value, undefined, blockNumber);
+    });
+  }
+
+  // _distributeRewards: active validators that are not jailed, except `exceptAddress`
+  distributeRewards(amount, exceptAddress, blockNumber) {
+    if (amount === 0n) {
+      return undefined;
+    }
+    const eligible = this.state.activeSet.filter(address =>
+      this.validator(address).status !== "Jailed" && address !== exceptAddress);
+    if (eligible.length === 0) {
+      return undefined;
+    }
+    return splitReward(this.state, eligible, amount, blockNumber, this.constants);
+  }
+
+  // slashValidator(), as called by Slash when the missed-block threshold is reached
+  slashValidator(validator, { blockNumber }) {
+    return this.transact(() => {
+      const { constants, state } = this;
+      check(BigInt(validator) !== 0n, "Invalid address");
+      if (!state.activeSet.includes(validator)) {
+        return 0n;
+      }
+
+      const val = this.validator(validator);
+      val.status = "Jailed";
+      deactivate(state, validator);
+      this.removeFromValidatorCandidate(validator);
+      if (val.totalStaked === 0n) {
+        return 0n;
+      }
+
+      const amount = val.totalStaked < constants.VALIDATOR_SLASH_PENALTY ? val.totalStaked : constants.VALIDATOR_SLASH_PENALTY;
+      applySlash(val, amount);
+      state.totalNetworkStaked = sub(state.totalNetworkStaked, amount);
+      val.slashAmount += amount;
+      this.distributeRewards(amount, validator, blockNumber);
+      return amount;
+    });
+  }
+
+  unjailValidator(sender) {
+    return this.transact(() => {
+      const val = this.validator(sender);
+      check(val && val.status === "Jailed", "Validator not jailed");
+      if (val.totalStaked >= this.constants.MIN_VALIDATOR_TOTAL_STAKE) {
+        val.status = "Staked";
+        this.addToValidatorCandidate(sender, val.totalStaked);
+      } else {
+        val.status = "Unstake";
+      }
+    });
+  }
+
+  updateActivatedValidators() {
+    return this.transact(() => {
+      check(this.state.candidates.length > 0, "Empty candidate set");
+      check(BigInt(this.state.candidates.length) <= this.constants.MAX_VALIDATOR_NUM, "Too many candidates");
+      this.state.activeSet = [...this.state.candidates];
+      return this.state.activeSet;
+    });
+  }
+
+  updateCommissionRate(sender, rate) {
+    return this.transact(() => {
+      const val = this.requireValidator(sender);
+      check(rate <= this.constants.MAX_COMMISSION_RATE, "Commission rate too high");
+      val.commissionRate = rate;
+    });
+  }
+
+  // addToValidatorCandidate: when the set is full, replaces the lowest stake if `staking` is higher
+  addToValidatorCandidate(validator, staking) {
+    const { candidates } = this.state;
+    if (candidates.includes(validator)) {
+      return true;
+    }
+    if (BigInt(candidates.length) < this.constants.MAX_VALIDATOR_NUM) {
+      candidates.push(validator);
+      return true;
+    }
+
+    let lowestIndex = 0;
+    candidates.forEach((address, i) => {
+      if (this.validator(address).totalStaked < this.validator(candidates[lowestIndex]).totalStaked) {
+        lowestIndex = i;
+      }
+    });
+    if (staking <= this.validator(candidates[lowestIndex]).totalStaked) {
+      return false;
+    }
+    candidates[lowestIndex] = validator;
+    return true;
+  }
+
+  // removeFromValidatorCandidate: never empties the set
+  removeFromValidatorCandidate(validator) {
+    if (this.state.candidates.length > 1) {
+      removeSwap(this.state.candidates, validator);
+    }
+  }
+
+  // getDelegation()
+  getDelegation(delegator, validator) {
+    const del = this.state.delegations[delegationKey(delegator, validator)];
+    if (!del) {
+      return { delegatedAmount: 0n, redelegationLockEnd: 0n };
+    }
+    return { delegatedAmount: slashedAmount(this.validator(validator), del), redelegationLockEnd: del.redelegationLockEnd };
+  }
+
+  // getPendingRewards()
+  pendingRewards(delegator, validator) {
+    const del = this.state.delegations[delegationKey(delegator, validator)];
+    if (!del) {
+      return 0n;
+    }
+    if (del.delegatedAmount === 0n) {
+      return del.pendingRewards;
+    }
+    const val = this.validator(validator);
+    return del.pendingRewards + sub((del.delegatedAmount * val.accRewardPerStake) / this.constants.PRECISION_FACTOR, del.rewardDebt);
+  }
+}
+
+module.exports = {
+  ModelRevert,
+  PANIC_UNDERFLOW,
+  StakingModel,
+  applyPendingSlash,
+  applySlash,
+  deactivate,
+  delegationKey,
+  distributeValidatorReward,
+  emptyState,
+  newValidator,
+  readStakingConstants,
+  removeSwap,
+  slashedAmount,
+  splitReward,
+  startSlashEpoch,
+  updatePendingRewards
+};
@@ -0,0 +1,342 @@
+// scripts/lib/staking.js
+// Reads the Validators state a staking action depends on and checks the
+// contract's preconditions up front, so interact.js can explain why an action
+// is not allowed yet instead of sending a transaction that reverts.
+
+const path = require("path");
+const { connectSlash } = require("../../sdk/contracts");
+const { StorageBuilder, readStorageLayout } = require("./storage-layout");
+
+const ARTIFACTS_PATH = path.join(__dirname, "../../artifacts/contracts");
+const CONSTANTS = [
+  "MIN_DELEGATOR_STAKE",
+  "MIN_VALIDATOR_TOTAL_STAKE",
+  "MAX_UNBONDING_ENTRIES",
+  "STAKING_LOCK_PERIOD",
+  "WITHDRAW_REWARD_PERIOD",
+  "MAX_COMMISSION_RATE"
+];
+
+/**
+ * State relevant to `account` acting on `validator` (either may be omitted).
+ * The delegated amount is getDelegation()'s, after any pending slash, as that
+ * is what unstake and redelegate can move. Reward-withdrawal timestamps are
+ * private in Validators, so they are read from storage through the compiler's layout.
+ */
+async function readStakingState(validators, { account, validator } = {}) {
+  const provider = validators.runner.provider;
+  const address = await validators.getAddress();
+  const block = await provider.getBlock("latest");
+
+  const state = {
+    now: BigInt(block.timestamp),
+    initialized: await validators.initialized(),
+    paused: await validators.paused(),
+    emergencyPaused: await validators.emergencyPaused(),
+    activeValidators: await validators.getActivatedValidators(),
+    constants: {}
+  };
+  for (const name of CONSTANTS) {
+    state.constants[name] = await validators[name]();
+  }
+
+  if (account) {
+    state.account = account;
+    state.balance = await provider.getBalance(account);
+  }
+  if (!validator) {
+    return state;
+  }
+
+  const info = await validators.getValidatorInfo(validator);
+  const storage = new StorageBuilder(readStorageLayout("Validators", ARTIFACTS_PATH));
+  const validatorRef = storage.entry(storage.variable("validatorInfo"), validator);
+  const refs = { lastWithdrawRewardTimestamp: storage.member(validatorRef, "lastWithdrawRewardTimestamp") };
+  // Factory deployments have no Slash at SlashContractAddr; missedBlocks is undefined there
+  const slashAddress = await validators.SlashContractAddr();
+  const slash = (await provider.getCode(slashAddress)) === "0x" ? undefined : connectSlash(slashAddress, provider);
+  await storage.fetch(provider, address, Object.values(refs));
+
+  state.validator = {
+    address: validator,
+    status: info.status,
+    rewardAddr: info.rewardAddr,
+    totalStaked: info.totalStaked,
+    rewardAmount: info.rewardAmount,
+    slashAmount: info.slashAmount,
+    commissionRate: info.commissionRate,
+    lastWithdrawRewardTimestamp: storage.get(refs.lastWithdrawRewardTimestamp),
+    missedBlocks: slash && await slash.getSlashRecord(validator),
+    activated: state.activeValidators.some(a => a.toLowerCase() === validator.toLowerCase())
+  };
+  if (account) {
+    const [delegatedAmount, redelegationLockEnd] = await validators.getDelegation(account, validator);
+    state.delegation = {
+      delegatedAmount,
+      redelegationLockEnd,
+      unbonding: (await validators.getUnbondingEntries(account, validator))
+        .map(({ amount, unlockTimestamp }) => ({ amount, unlockTimestamp })),
+      pendingRewards: await validators.getPendingRewards(account, validator)
+    };
+  }
+  return state;
+}
+
+function formatWait(seconds) {
+  const hours = Number(seconds) / 3600;
+  return hours >= 1 ? `${hours.toFixed(1)} h` : `${Math.ceil(Number(seconds) / 60)} min`;
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+function formatAmount(wei) {
+  const whole = wei / 10n ** 18n;
+  const fraction = (wei % 10n ** 18n).toString().padStart(18, "0").replace(/0+$/, "");
+  return `${whole}${fraction ? "." + fraction : ""}`;
+}
+
+function checkNotPaused(state, reasons, { systemPause = true } = {}) {
+  if (!state.initialized) {
+    reasons.push("Validators is not initialized yet");
+  }
+  if (systemPause && state.paused) {
+    reasons.push("Validators is paused by the admin");
+  }
+  if (state.emergencyPaused) {
+    reasons.push("Validators is emergency paused");
+  }
+}
+
+function checkExists(state, reasons) {
+  if (state.validator.status === "NotExist") {
+    reasons.push(`${state.validator.address} is not a validator`);
+    return false;
+  }
+  return true;
+}
+
+// Staking `amount` as `state.account` into `state.validator`, as _stake() checks it
+function checkStakeAmount(state, amount, reasons) {
+  const { MIN_DELEGATOR_STAKE, MIN_VALIDATOR_TOTAL_STAKE } = state.constants;
+  const delegated = state.delegation ? state.delegation.delegatedAmount : 0n;
+
+  if (amount <= 0n) {
+    reasons.push("the amount must be greater than 0");
+  }
+  if (delegated === 0n && amount < MIN_DELEGATOR_STAKE) {
+    reasons.push(`a first stake must be at least MIN_DELEGATOR_STAKE (${formatAmount(MIN_DELEGATOR_STAKE)}), got ${formatAmount(amount)}`);
+  }
+  const total = (state.validator ? state.validator.totalStaked : 0n) + amount;
+  if (total < MIN_VALIDATOR_TOTAL_STAKE) {
+    reasons.push(`the validator's total stake would be ${formatAmount(total)}, below MIN_VALIDATOR_TOTAL_STAKE (${formatAmount(MIN_VALIDATOR_TOTAL_STAKE)})`);
+  }
+  if (state.balance !== undefined && state.balance < amount) {
+    reasons.push(`${state.account} holds ${formatAmount(state.balance)}, less than ${formatAmount(amount)}`);
+  }
+}
+
+// Taking `amount` off `state.account`'s delegation with `state.validator`, as _removeStake() checks it
+// once it has applied the pending slash; state.delegation.delegatedAmount is already after it
+function checkStakeRemoval(state, amount, reasons) {
+  const { MIN_DELEGATOR_STAKE, MIN_VALIDATOR_TOTAL_STAKE } = state.constants;
+  const { delegatedAmount } = state.delegation;
+  if (amount > delegatedAmount) {
+    reasons.push(`${state.account} has ${formatAmount(delegatedAmount)} staked with ${state.validator.address}, less than ${formatAmount(amount)}`);
+  } else if (amount < delegatedAmount && delegatedAmount - amount < MIN_DELEGATOR_STAKE) {
+    reasons.push(`the stake left would be ${formatAmount(delegatedAmount - amount)}, below MIN_DELEGATOR_STAKE (${formatAmount(MIN_DELEGATOR_STAKE)}); move all of it or less`);
+  }
+  if (state.activeValidators.length === 1 && state.validator.activated &&
+      state.validator.totalStaked - amount < MIN_VALIDATOR_TOTAL_STAKE) {
+    reasons.push("this is the only active validator and its stake would drop below MIN_VALIDATOR_TOTAL_STAKE");
+  }
+}
+
+function checkDescription(limits, description, reasons) {
+  for (const [field, max] of Object.entries(limits)) {
+    const length = Buffer.byteLength(description[field] || "", "utf8");
+    if (length > max) {
+      reasons.push(`${field} is ${length} bytes, at most ${max} are allowed`);
+    }
+  }
+}
+
+function checkCommission(state, rate, reasons) {
+  if (rate > state.constants.MAX_COMMISSION_RATE) {
+    reasons.push(`commission rate ${rate} is above MAX_COMMISSION_RATE (${state.constants.MAX_COMMISSION_RATE}, in basis points)`);
+  }
+}
+
+// Precondition checks by interact.js command; each returns the reasons the action would revert
+const CHECKS = {
+  create(state, { commissionRate, stake = 0n, rewardAddr, description, descriptionLimits }) {
+    const reasons = [];
+    checkNotPaused(state, reasons);
+    if (state.validator.status !== "NotExist") {
+      reasons.push(`${state.account} is already a validator (status ${state.validator.status})`);
+    }
+    if (/^0x0{40}$/i.test(rewardAddr)) {
+      reasons.push("the reward address must not be the zero address");
+    }
+    if (commissionRate !== undefined) {
+      checkCommission(state, commissionRate, reasons);
+    }
+    checkDescription(descriptionLimits, description, reasons);
+    if (stake > 0n) {
+      checkStakeAmount(state, stake, reasons);
+    }
+    return reasons;
+  },
+
+  stake(state, { amount }) {
+    const reasons = [];
+    checkNotPaused(state, reasons);
+    if (checkExists(state, reasons)) {
+      checkStakeAmount(state, amount, reasons);
+    }
+    return reasons;
+  },
+
+  unstake(state, { amount }) {
+    const reasons = [];
+    checkNotPaused(state, reasons);
+    if (!checkExists(state, reasons)) {
+      return reasons;
+    }
+    const { MAX_UNBONDING_ENTRIES } = state.constants;
+    const { unbonding } = state.delegation;
+    if (amount <= 0n) {
+      reasons.push("the amount must be greater than 0");
+    }
+    if (BigInt(unbonding.length) >= MAX_UNBONDING_ENTRIES) {
+      reasons.push(`${state.account} already has MAX_UNBONDING_ENTRIES (${MAX_UNBONDING_ENTRIES}) unstakes waiting; ` +
+        `withdraw-staking becomes possible at ${formatTime(unbonding[0].unlockTimestamp)}`);
+    }
+    checkStakeRemoval(state, amount, reasons);
+    return reasons;
+  },
+
+  // `state` is read for the source validator, `destination` for the one the stake moves to
+  redelegate(state, { amount, destination }) {
+    const reasons = [];
+    checkNotPaused(state, reasons);
+    if ([state, destination].map(side => checkExists(side, reasons)).includes(false)) {
+      return reasons;
+    }
+    if (state.validator.address.toLowerCase() === destination.validator.address.toLowerCase()) {
+      reasons.push("the stake is already with that validator; redelegate to another one");
+      return reasons;
+    }
+    // Stake leaves the source as _removeStake() checks it and joins the destination as _processStaking() does
+    checkStakeAmount({ ...destination, balance: undefined }, amount, reasons);
+    checkStakeRemoval(state, amount, reasons);
+
+    const { redelegationLockEnd } = state.delegation;
+    if (state.now < redelegationLockEnd) {
+      reasons.push(`stake redelegated to ${state.validator.address} cannot move on for STAKING_LOCK_PERIOD ` +
+        `(${formatWait(state.constants.STAKING_LOCK_PERIOD)}); redelegating is possible at ${formatTime(redelegationLockEnd)}, ` +
+        `${formatWait(redelegationLockEnd - state.now)} from now`);
+    }
+    if (state.validator.missedBlocks === undefined) {
+      reasons.push("there is no Slash contract at SlashContractAddr, which redelegate asks for the missed blocks");
+    } else if (state.validator.missedBlocks > 0n) {
+      reasons.push(`${state.validator.address} has ${state.validator.missedBlocks} missed blocks on record, so stake cannot ` +
+        "leave it ahead of a slash; redelegating is possible once Slash has decreased them to 0");
+    }
+    return reasons;
+  },
+
+  "withdraw-staking"(state) {
+    const reasons = [];
+    checkNotPaused(state, reasons);
+    if (!checkExists(state, reasons)) {
+      return reasons;
+    }
+    const { unbonding } = state.delegation;
+    if (unbonding.length === 0) {
+      reasons.push(`${state.account} has nothing unstaked from ${state.validator.address}; run unstake first`);
+      return reasons;
+    }
+    // The oldest entry unlocks first
+    const unlock = unbonding[0].unlockTimestamp;
+    if (state.now < unlock) {
+      reasons.push(`unstaked tokens are locked for STAKING_LOCK_PERIOD (${formatWait(state.constants.STAKING_LOCK_PERIOD)}); ` +
+        `the first unlocks at ${formatTime(unlock)}, ${formatWait(unlock - state.now)} from now`);
+    }
+    return reasons;
+  },
+
+  "claim-rewards"(state) {
+    const reasons = [];
+    checkNotPaused(state, reasons, { systemPause: false });
+    if (!checkExists(state, reasons)) {
+      return reasons;
+    }
+    const { delegatedAmount, pendingRewards } = state.delegation;
+    if (delegatedAmount === 0n && pendingRewards === 0n) {
+      reasons.push(`${state.account} has no stake with ${state.validator.address}`);
+    } else if (pendingRewards === 0n) {
+      reasons.push("there are no pending rewards to claim");
+    }
+    return reasons;
+  },
+
+  "withdraw-rewards"(state) {
+    const reasons = [];
+    checkNotPaused(state, reasons, { systemPause: false });
+    if (!checkExists(state, reasons)) {
+      return reasons;
+    }
+    const { rewardAddr, lastWithdrawRewardTimestamp, rewardAmount } = state.validator;
+    if (rewardAddr.toLowerCase() !== state.account.toLowerCase()) {
+      reasons.push(`only the reward address ${rewardAddr} can withdraw the validator's rewards`);
+    }
+    const next = lastWithdrawRewardTimestamp + state.constants.WITHDRAW_REWARD_PERIOD;
+    if (state.now < next) {
+      reasons.push(`rewards can be withdrawn once per WITHDRAW_REWARD_PERIOD (${formatWait(state.constants.WITHDRAW_REWARD_PERIOD)}); ` +
+        `next withdrawal at ${formatTime(next)}, ${formatWait(next - state.now)} from now`);
+    }
+    if (rewardAmount === 0n) {
+      reasons.push("the validator has no rewards to withdraw");
+    }
+    return reasons;
+  },
+
+  edit(state, { rewardAddr, description, descriptionLimits }) {
+    const reasons = [];
+    checkNotPaused(state, reasons, { systemPause: false });
+    if (checkExists(state, reasons) && /^0x0{40}$/i.test(rewardAddr)) {
+      reasons.push("the reward address must not be the zero address");
+    }
+    checkDescription(descriptionLimits, description, reasons);
+    return reasons;
+  },
+
+  "set-commission"(state, { commissionRate }) {
+    const reasons = [];
+    checkNotPaused(state, reasons, { systemPause: false });
+    if (checkExists(state, reasons)) {
+      checkCommission(state, commissionRate, reasons);
+    }
+    return reasons;
+  },
+
+  unjail(state) {
+    const reasons = [];
+    checkNotPaused(state, reasons, { systemPause: false });
+    if (state.validator.status !== "Jailed") {
+      reasons.push(`${state.account} is not jailed (status ${state.validator.status})`);
+    }
+    return reasons;
+  }
+};
+CHECKS["create-with-commission"] = CHECKS.create;
+
+module.exports = {
+  CHECKS,
+  formatAmount,
+  formatTime,
+  formatWait,
+  readStakingState
+};
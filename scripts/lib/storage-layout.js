@@ -0,0 +1,189 @@
+// scripts/lib/storage-layout.js
+// Computes raw storage slots from solc's storageLayout output, so contract
+// state can be written directly into a genesis alloc (or via hardhat_setStorageAt),
+// or private state read back from a deployed contract.
+
+const fs = require("fs");
+const path = require("path");
+const { keccak256, toBeHex, zeroPadValue, concat, getAddress } = require("ethers");
+
+const WORD_BYTES = 32;
+
+function readStorageLayout(contractName, artifactsPath) {
+  const artifactDir = path.join(artifactsPath, `${contractName}.sol`);
+  const dbgPath = path.join(artifactDir, `${contractName}.dbg.json`);
+  if (!fs.existsSync(dbgPath)) {
+    throw new Error(`Debug artifact for ${contractName} not found. Run 'npx hardhat compile' first.`);
+  }
+
+  const { buildInfo } = JSON.parse(fs.readFileSync(dbgPath, "utf8"));
+  const build = JSON.parse(fs.readFileSync(path.resolve(artifactDir, buildInfo), "utf8"));
+  const sourceName = `contracts/${contractName}.sol`;
+  const layout = build.output.contracts[sourceName]?.[contractName]?.storageLayout;
+
+  if (!layout) {
+    throw new Error(`No storageLayout for ${contractName}. Add "storageLayout" to outputSelection and recompile.`);
+  }
+
+  return layout;
+}
+
+function toWord(value) {
+  return zeroPadValue(toBeHex(value), WORD_BYTES);
+}
+
+class StorageBuilder {
+  constructor(storageLayout) {
+    this.layout = storageLayout;
+    this.slots = new Map();
+  }
+
+  // Builder pre-loaded with a genesis `storage` object, for reading it back
+  static fromGenesisStorage(storageLayout, storage = {}) {
+    const builder = new StorageBuilder(storageLayout);
+    for (const [slot, value] of Object.entries(storage)) {
+      builder.slots.set(BigInt(slot), BigInt(value));
+    }
+    return builder;
+  }
+
+  // Reference to a top-level state variable
+  variable(label) {
+    const entry = this.layout.storage.find((item) => item.label === label);
+    if (!entry) {
+      throw new Error(`Unknown state variable: ${label}`);
+    }
+    return { slot: BigInt(entry.slot), offset: entry.offset, type: entry.type };
+  }
+
+  // Reference to a member of a struct reference
+  member(ref, label) {
+    const type = this._type(ref.type);
+    const member = (type.members || []).find((item) => item.label === label);
+    if (!member) {
+      throw new Error(`Unknown member ${label} of ${type.label}`);
+    }
+    return { slot: ref.slot + BigInt(member.slot), offset: member.offset, type: member.type };
+  }
+
+  // Reference to the value stored under `key` in a mapping reference
+  entry(ref, key) {
+    const type = this._type(ref.type);
+    if (type.encoding !== "mapping") {
+      throw new Error(`${type.label} is not a mapping`);
+    }
+    const slot = BigInt(keccak256(concat([this._encodeKey(type.key, key), toWord(ref.slot)])));
+    return { slot, offset: 0, type: type.value };
+  }
+
+  // Reference to element `index` of a dynamic array reference
+  element(ref, index) {
+    const type = this._type(ref.type);
+    if (type.encoding !== "dynamic_array") {
+      throw new Error(`${type.label} is not a dynamic array`);
+    }
+    const base = this._type(type.base);
+    const size = Number(base.numberOfBytes);
+    const dataSlot = BigInt(keccak256(toWord(ref.slot)));
+
+    if (size >= WORD_BYTES) {
+      return { slot: dataSlot + BigInt(index) * BigInt(size / WORD_BYTES), offset: 0, type: type.base };
+    }
+
+    const perSlot = Math.floor(WORD_BYTES / size);
+    return {
+      slot: dataSlot + BigInt(Math.floor(index / perSlot)),
+      offset: (index % perSlot) * size,
+      type: type.base
+    };
+  }
+
+  // Writes the full contents of a dynamic array
+  setArray(ref, values) {
+    this._write(ref.slot, 0, WORD_BYTES, BigInt(values.length));
+    values.forEach((value, index) => this.set(this.element(ref, index), value));
+  }
+
+  set(ref, value) {
+    const type = this._type(ref.type);
+    if (type.encoding !== "inplace" || type.members) {
+      throw new Error(`Cannot assign a value directly to ${type.label}`);
+    }
+    this._write(ref.slot, ref.offset, Number(type.numberOfBytes), this._encodeValue(ref.type, value));
+  }
+
+  get(ref) {
+    const type = this._type(ref.type);
+    const size = type.encoding === "inplace" && !type.members ? Number(type.numberOfBytes) : WORD_BYTES;
+    return this._read(ref.slot, ref.offset, size);
+  }
+
+  // Loads the slots behind `refs` from a deployed contract, so get() reads live state
+  async fetch(provider, address, refs) {
+    for (const ref of refs) {
+      this.slots.set(ref.slot, BigInt(await provider.getStorage(address, ref.slot)));
+    }
+    return this;
+  }
+
+  getArray(ref) {
+    const length = Number(this._read(ref.slot, 0, WORD_BYTES));
+    return Array.from({ length }, (_, index) => this.get(this.element(ref, index)));
+  }
+
+  // Non-zero slots as a genesis `storage` object, ordered by slot
+  toGenesisStorage() {
+    const storage = {};
+    [...this.slots.entries()]
+      .filter(([, value]) => value !== 0n)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .forEach(([slot, value]) => {
+        storage[toWord(slot)] = toWord(value);
+      });
+    return storage;
+  }
+
+  _type(typeId) {
+    const type = this.layout.types[typeId];
+    if (!type) {
+      throw new Error(`Unknown storage type: ${typeId}`);
+    }
+    return type;
+  }
+
+  _encodeValue(typeId, value) {
+    if (typeId === "t_bool") {
+      return value ? 1n : 0n;
+    }
+    if (typeId.startsWith("t_address") || typeId.startsWith("t_contract")) {
+      return BigInt(getAddress(value));
+    }
+    return BigInt(value);
+  }
+
+  _encodeKey(typeId, key) {
+    return toWord(this._encodeValue(typeId, key));
+  }
+
+  _read(slot, offset, size) {
+    const mask = (1n << BigInt(size * 8)) - 1n;
+    return ((this.slots.get(slot) || 0n) >> BigInt(offset * 8)) & mask;
+  }
+
+  _write(slot, offset, size, value) {
+    const bits = BigInt(size * 8);
+    if (value < 0n || value >= 1n << bits) {
+      throw new Error(`Value ${value} does not fit in ${size} bytes`);
+    }
+
+    const shift = BigInt(offset * 8);
+    const mask = ((1n << bits) - 1n) << shift;
+    const current = this.slots.get(slot) || 0n;
+    this.slots.set(slot, (current & ~mask) | (value << shift));
+  }
+}
+
+module.exports = {
+  StorageBuilder,
+  readStorageLayout
+};
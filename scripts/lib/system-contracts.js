@@ -0,0 +1,80 @@
+// scripts/lib/system-contracts.js
+// Places the system contracts' runtime code at their canonical addresses on
+// development chains, where a real network gets it from genesis.json.
+// Validators and Slash only accept calls from each other at those addresses
+// (onlySlashContract, onlyValidatorsContract), so slashing, clean() and
+// unjailValidator() need them there.
+
+const fs = require("fs");
+const path = require("path");
+const { readSystemAddresses } = require("../../generate-contracts");
+
+const DEPLOYMENTS_PATH = path.join(__dirname, "../../deployments");
+
+// JSON-RPC method that replaces an account's code, by web3_clientVersion
+const SET_CODE_METHODS = [
+  { client: /hardhat/i, method: "hardhat_setCode" },
+  { client: /anvil/i, method: "anvil_setCode" },
+  { client: /ganache/i, method: "evm_setAccountCode" }
+];
+
+function canonicalAddresses(systemPath) {
+  const addresses = readSystemAddresses(systemPath);
+  return {
+    Validators: addresses.ValidatorContractAddr,
+    Slash: addresses.SlashContractAddr
+  };
+}
+
+// Addresses recorded by deploy.js for `network`, else the canonical ones
+function deployedAddresses(network, deploymentsPath = DEPLOYMENTS_PATH) {
+  const addresses = canonicalAddresses();
+  const manifestPath = path.join(deploymentsPath, `${network}_deployment.json`);
+  if (fs.existsSync(manifestPath)) {
+    const { contracts = {} } = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    addresses.Validators = contracts.validators?.address || addresses.Validators;
+    addresses.Slash = contracts.slash?.address || addresses.Slash;
+  }
+  return addresses;
+}
+
+async function setCodeMethod(provider) {
+  const clientVersion = await provider.send("web3_clientVersion", []);
+  const entry = SET_CODE_METHODS.find(({ client }) => client.test(clientVersion));
+  if (!entry) {
+    throw new Error(
+      `${clientVersion} cannot replace account code. Start it from a genesis.json generated with ` +
+      "'npm run genesis:generate', which places the system contracts at their canonical addresses"
+    );
+  }
+  return entry.method;
+}
+
+/**
+ * Makes sure `artifact`'s runtime code is at `address`. Returns "present" when
+ * it already was (e.g. from genesis), "installed" when the account had no code
+ * and "replaced" when it had different code.
+ */
+async function installCode(provider, address, artifact) {
+  const expected = artifact.deployedBytecode.toLowerCase();
+  const current = (await provider.getCode(address)).toLowerCase();
+  if (current === expected) {
+    return "present";
+  }
+
+  const method = await setCodeMethod(provider);
+  await provider.send(method, [address, artifact.deployedBytecode]);
+
+  if ((await provider.getCode(address)).toLowerCase() !== expected) {
+    throw new Error(`${method} did not install ${artifact.contractName} at ${address}`);
+  }
+  return current === "0x" ? "installed" : "replaced";
+}
+
+module.exports = {
+  SET_CODE_METHODS,
+  canonicalAddresses,
+  deployedAddresses,
+  installCode,
+  setCodeMethod
+};
@@ -0,0 +1,257 @@
+// scripts/lint-genesis.js
+// Cross-checks genesis.json against hardhat.config.js and System.sol, so a
+// drift between them fails here instead of when the node stops sealing blocks.
+//
+// Usage: node scripts/lint-genesis.js [genesis.json] [--network oxt]
+
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { toBeHex, getAddress } = require("ethers");
+const {
+  parseExtraData,
+  readArtifact,
+  readConstant,
+  readSystemAddresses
+} = require("../generate-contracts");
+const { StorageBuilder, readStorageLayout } = require("./lib/storage-layout");
+const {
+  HARDFORKS,
+  activeGenesisHardfork,
+  defaultEvmVersion,
+  hardforkIndex
+} = require("./lib/hardforks");
+
+const ROOT = path.join(__dirname, "..");
+const USAGE = "node scripts/lint-genesis.js [genesis.json] [--network <name>]";
+
+function findAccount(alloc, address) {
+  const key = Object.keys(alloc || {}).find((item) => item.toLowerCase() === address.toLowerCase());
+  return key ? alloc[key] : undefined;
+}
+
+function sameAddresses(a, b) {
+  return a.length === b.length && a.every((item, i) => item.toLowerCase() === b[i].toLowerCase());
+}
+
+function checkChainId({ genesis, genesisConfig, networks, networkName }) {
+  const issues = [];
+  const chainId = genesis.config?.chainId;
+  const network = networks[networkName];
+
+  if (!network) {
+    issues.push(`hardhat.config.js has no network "${networkName}"`);
+  } else if (network.chainId !== chainId) {
+    issues.push(`genesis.json config.chainId is ${chainId} but hardhat.config.js networks.${networkName}.chainId is ${network.chainId}`);
+  }
+
+  if (genesisConfig && genesisConfig.chainId !== chainId) {
+    issues.push(`genesis.json config.chainId is ${chainId} but genesis-config.json chainId is ${genesisConfig.chainId}`);
+  }
+
+  return issues;
+}
+
+function checkEpoch({ genesis, systemPath }) {
+  const issues = [];
+  const senatus = genesis.config?.senatus;
+  const blockEpoch = Number(readConstant(systemPath, "BlockEpoch"));
+
+  if (!senatus) {
+    return ["genesis.json config has no senatus section"];
+  }
+  if (senatus.epoch !== blockEpoch) {
+    issues.push(`genesis.json config.senatus.epoch is ${senatus.epoch} but System.sol BlockEpoch is ${blockEpoch}`);
+  }
+  if (!(senatus.period > 0)) {
+    issues.push(`genesis.json config.senatus.period must be greater than 0, got ${senatus.period}`);
+  }
+
+  return issues;
+}
+
+function checkEvmVersion({ genesis, solidity }) {
+  const issues = [];
+  const active = activeGenesisHardfork(genesis.config || {});
+
+  if (!active) {
+    return ["genesis.json does not activate homesteadBlock at block 0"];
+  }
+
+  const compilers = [
+    ...solidity.compilers.map((compiler, i) => ({ label: `solidity.compilers[${i}]`, compiler })),
+    ...Object.entries(solidity.overrides || {}).map(([file, compiler]) => ({ label: `solidity.overrides["${file}"]`, compiler }))
+  ];
+
+  for (const { label, compiler } of compilers) {
+    const evmVersion = compiler.settings?.evmVersion || defaultEvmVersion(compiler.version);
+    const source = compiler.settings?.evmVersion ? "evmVersion" : "default evmVersion";
+
+    let index;
+    try {
+      index = hardforkIndex(evmVersion);
+    } catch (error) {
+      issues.push(`cannot check hardhat.config.js ${label} (solc ${compiler.version}) ${source} "${evmVersion}": ${error.message}`);
+      continue;
+    }
+    if (index > hardforkIndex(active)) {
+      const missing = HARDFORKS[hardforkIndex(active) + 1];
+      issues.push(
+        `hardhat.config.js ${label} (solc ${compiler.version}) uses ${source} "${evmVersion}" ` +
+        `but genesis.json only activates up to "${active}" (${missing.genesisKey} is not 0)`
+      );
+    }
+  }
+
+  return issues;
+}
+
+function checkSystemContracts({ genesis, systemPath, artifactsPath }) {
+  const issues = [];
+  const addresses = readSystemAddresses(systemPath);
+  const contracts = [
+    { name: "Validators", constant: "ValidatorContractAddr" },
+    { name: "Slash", constant: "SlashContractAddr" }
+  ];
+
+  for (const { name, constant } of contracts) {
+    const address = addresses[constant];
+    const account = findAccount(genesis.alloc, address);
+
+    if (!account || !account.code || account.code === "0x") {
+      issues.push(`genesis.json alloc has no code at ${address} (System.sol ${constant})`);
+      continue;
+    }
+
+    let artifact;
+    try {
+      artifact = readArtifact(name, artifactsPath);
+    } catch (error) {
+      issues.push(error.message);
+      continue;
+    }
+    if (account.code.toLowerCase() !== artifact.deployedBytecode.toLowerCase()) {
+      issues.push(`genesis.json code at ${address} does not match the compiled ${name} deployedBytecode. Run 'npm run genesis:generate'`);
+    }
+  }
+
+  return issues;
+}
+
+function checkSigners({ genesis, genesisConfig, systemPath, artifactsPath }) {
+  const issues = [];
+  let signers;
+
+  try {
+    signers = parseExtraData(genesis.extraData);
+  } catch (error) {
+    return [`genesis.json extraData is malformed: ${error.message}`];
+  }
+
+  if (signers.length === 0) {
+    return ["genesis.json extraData lists no signers"];
+  }
+
+  const unique = new Set(signers.map((signer) => signer.toLowerCase()));
+  if (unique.size !== signers.length) {
+    issues.push("genesis.json extraData lists the same signer more than once");
+  }
+
+  if (genesisConfig && !sameAddresses(signers, genesisConfig.signers || [])) {
+    issues.push(`genesis.json extraData signers [${signers.join(", ")}] differ from genesis-config.json signers [${(genesisConfig.signers || []).join(", ")}]`);
+  }
+
+  const { ValidatorContractAddr } = readSystemAddresses(systemPath);
+  const account = findAccount(genesis.alloc, ValidatorContractAddr);
+  if (account && account.storage) {
+    let validatorSet;
+    try {
+      const storage = StorageBuilder.fromGenesisStorage(readStorageLayout("Validators", artifactsPath), account.storage);
+      validatorSet = storage
+        .getArray(storage.variable("validatorSet"))
+        .map((value) => getAddress(toBeHex(value, 20)));
+    } catch (error) {
+      issues.push(`cannot read the pre-initialized validatorSet: ${error.message}`);
+      return issues;
+    }
+
+    if (!sameAddresses(signers, validatorSet)) {
+      issues.push(`genesis.json extraData signers [${signers.join(", ")}] differ from the pre-initialized validatorSet [${validatorSet.join(", ")}]`);
+    }
+  }
+
+  return issues;
+}
+
+const CHECKS = [
+  { name: "chainId", run: checkChainId },
+  { name: "senatus epoch", run: checkEpoch },
+  { name: "evmVersion", run: checkEvmVersion },
+  { name: "system contracts", run: checkSystemContracts },
+  { name: "signers", run: checkSigners }
+];
+
+function lintGenesis(context) {
+  return CHECKS.map(({ name, run }) => ({ name, issues: run(context) }));
+}
+
+function parseArgs(argv) {
+  const options = { genesisPath: path.join(ROOT, "genesis.json"), networkName: "oxt" };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--network") {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Missing value for --network\nUsage: ${USAGE}`);
+      }
+      options.networkName = value;
+    } else {
+      options.genesisPath = path.resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const { genesisPath, networkName } = parseArgs(process.argv.slice(2));
+  const genesisConfigPath = path.join(ROOT, "genesis-config.json");
+
+  console.log(`🔍 Linting ${path.relative(process.cwd(), genesisPath)} against network "${networkName}"\n`);
+
+  const results = lintGenesis({
+    genesis: JSON.parse(fs.readFileSync(genesisPath, "utf8")),
+    genesisConfig: fs.existsSync(genesisConfigPath) ? JSON.parse(fs.readFileSync(genesisConfigPath, "utf8")) : undefined,
+    networks: hre.config.networks,
+    networkName,
+    solidity: hre.config.solidity,
+    systemPath: path.join(ROOT, "contracts/System.sol"),
+    artifactsPath: hre.config.paths.artifacts + "/contracts"
+  });
+
+  let failed = 0;
+  for (const { name, issues } of results) {
+    if (issues.length === 0) {
+      console.log(`✅ ${name}`);
+      continue;
+    }
+    failed++;
+    console.log(`❌ ${name}`);
+    issues.forEach((issue) => console.log(`   - ${issue}`));
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} genesis check(s) failed`);
+    process.exit(1);
+  }
+  console.log("\n✅ Genesis is consistent with hardhat.config.js and System.sol");
+}
+
+module.exports = { lintGenesis, parseArgs };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Genesis lint failed:", error);
+    process.exitCode = 1;
+  });
+}
@@ -1,13 +1,49 @@
 // scripts/verify-bytecode.js
-// Script to verify that compiled contracts don't contain PUSH0 opcode (0x5f)
-// which is incompatible with pre-Shanghai Ethereum nodes
+// Script to verify that compiled contracts only use opcodes the target chain
+// supports, e.g. no PUSH0 (0x5f) on pre-Shanghai Ethereum nodes.
+// Code is disassembled into basic blocks; unreachable data and the CBOR
+// metadata trailer are skipped, and every reachable opcode is checked
+// against the opcode table of the target hardfork.
+//
+// Besides the compiled artifacts, it scans the code of every account in a
+// genesis alloc and, optionally, the code deployed at addresses on a live chain.
+//
+// Usage:
+//   node scripts/verify-bytecode.js [--genesis genesis.json] [--address 0x... ...] [--rpc http://...]
+//                                   [--fork istanbul|berlin|london|shanghai|cancun]
+//                                   [--format text|json|sarif|junit] [--out <file>]
+//                                   [--budgets contract-size-budgets.json] [--baseline <report.json>]
+//                                   [--update-baseline]
+//
+// --fork defaults to the latest hardfork the genesis config activates at block 0.
+// --address may be repeated. Without --rpc, code is fetched from the network
+// selected with HARDHAT_NETWORK.
+// --format text (default) prints a coloured report and saves the JSON report to
+// bytecode-verification-latest.json, which is not tracked. Other formats are
+// written to --out, or to stdout when --out is not given.
+// Deployed artifact sizes are checked against the EIP-170 limit and the budgets
+// file, and compared with --baseline (default: the committed
+// bytecode-verification-report.json) to show how many bytes each change added.
+// --update-baseline also rewrites bytecode-verification-report.json: do that once
+// in every commit that changes a contract, so the growth it records is that commit's.
 
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { disassemble } = require("./lib/disassembler");
+const { createSourceLocator, readBuildInfo } = require("./lib/source-map");
+const { FORMATTERS } = require("./lib/report-formats");
+const { checkSize, readBudgets, readPreviousSizes } = require("./lib/size-budget");
+const { activeGenesisHardfork, defaultEvmVersion, hardforkIndex } = require("./lib/hardforks");
+
+const DEFAULT_FORK = "istanbul";
+const FORMATS = ["text", ...Object.keys(FORMATTERS)];
+const REPORT_PATH = path.join(__dirname, "../bytecode-verification-latest.json");
+const BASELINE_PATH = path.join(__dirname, "../bytecode-verification-report.json");
 
 // Color codes for terminal output
-const colors = {
+const useColors = process.stdout.isTTY && !process.env.NO_COLOR;
+const colors = Object.fromEntries(Object.entries({
   reset: "\x1b[0m",
   bright: "\x1b[1m",
   red: "\x1b[31m",
@@ -15,12 +51,93 @@ const colors = {
   yellow: "\x1b[33m",
   blue: "\x1b[34m",
   cyan: "\x1b[36m"
-};
+}).map(([name, code]) => [name, useColors ? code : ""]));
+
+// Text report lines; echoed to the console unless a machine-readable format goes to stdout
+const textReport = [];
+let echo = true;
+
+function log(...args) {
+  const line = args.join(" ");
+  textReport.push(line.replace(/\x1b\[[0-9;]*m/g, ""));
+  if (echo) {
+    console.log(line);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    genesis: path.join(__dirname, "../genesis.json"),
+    addresses: [],
+    rpc: undefined,
+    fork: undefined,
+    format: "text",
+    out: undefined,
+    budgets: path.join(__dirname, "../contract-size-budgets.json"),
+    baseline: undefined,
+    updateBaseline: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (["--genesis", "--address", "--rpc", "--fork", "--format", "--out", "--budgets", "--baseline"].includes(arg) && value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+
+    if (arg === "--genesis") {
+      options.genesis = path.resolve(value);
+      i++;
+    } else if (arg === "--address") {
+      if (!hre.ethers.isAddress(value)) {
+        throw new Error(`Invalid address: ${value}`);
+      }
+      options.addresses.push(hre.ethers.getAddress(value));
+      i++;
+    } else if (arg === "--rpc") {
+      options.rpc = value;
+      i++;
+    } else if (arg === "--fork") {
+      hardforkIndex(value); // throws on unknown hardforks
+      options.fork = value;
+      i++;
+    } else if (arg === "--format") {
+      if (!FORMATS.includes(value)) {
+        throw new Error(`Unknown format: ${value} (expected ${FORMATS.join(", ")})`);
+      }
+      options.format = value;
+      i++;
+    } else if (arg === "--out") {
+      options.out = path.resolve(value);
+      i++;
+    } else if (arg === "--budgets") {
+      options.budgets = path.resolve(value);
+      i++;
+    } else if (arg === "--baseline") {
+      options.baseline = path.resolve(value);
+      i++;
+    } else if (arg === "--update-baseline") {
+      options.updateBaseline = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
 
 async function main() {
-  console.log(colors.cyan + "\n🔍 Bytecode Verification Tool" + colors.reset);
-  console.log("Checking for PUSH0 opcode (0x5f) compatibility with pre-Shanghai EVM\n");
-  console.log("=" + "=".repeat(70) + "\n");
+  const options = parseArgs(process.argv.slice(2));
+  const genesis = fs.existsSync(options.genesis) ? JSON.parse(fs.readFileSync(options.genesis, "utf8")) : undefined;
+  const fork = options.fork || (genesis && activeGenesisHardfork(genesis.config || {})) || DEFAULT_FORK;
+  echo = options.format === "text" || options.out !== undefined;
+  const budgets = readBudgets(options.budgets);
+  const baseline = options.baseline || (fs.existsSync(BASELINE_PATH) ? BASELINE_PATH : undefined);
+  const previousSizes = baseline ? readPreviousSizes(baseline) : undefined;
+
+  log(colors.cyan + "\n🔍 Bytecode Verification Tool" + colors.reset);
+  log(`Checking opcode compatibility with the ${fork} EVM\n`);
+  log("=" + "=".repeat(70) + "\n");
 
   // Get all contract artifacts
   const artifactsPath = path.join(__dirname, "../artifacts/contracts");
@@ -31,6 +148,7 @@ async function main() {
   }
 
   const results = [];
+  const locatorsByCode = new Map();
   const contractsToCheck = [
     "Validators.sol/Validators.json",
     "Slash.sol/Slash.json",
@@ -44,241 +162,328 @@ async function main() {
       const artifact = JSON.parse(fs.readFileSync(fullPath, "utf8"));
       const contractName = artifact.contractName;
       
-      console.log(colors.blue + `Checking ${contractName}...` + colors.reset);
+      log(colors.blue + `Checking ${contractName}...` + colors.reset);
       
-      const result = await checkContract(artifact);
+      const build = readBuildInfo(fullPath);
+      const locators = {
+        bytecode: createSourceLocator(build, artifact.sourceName, contractName, "bytecode"),
+        deployed: createSourceLocator(build, artifact.sourceName, contractName, "deployed")
+      };
+      if (artifact.deployedBytecode !== "0x") {
+        locatorsByCode.set(artifact.deployedBytecode.toLowerCase(), { deployed: locators.deployed });
+      }
+
+      const result = checkContract(artifact, fork, { contract: contractName, locators });
+      const compiler = checkCompilerSettings(fullPath, artifact, fork);
+      const size = checkSize(contractName, result.deployedSize, budgets, previousSizes);
       results.push({
         name: contractName,
-        ...result
+        source: "artifact",
+        file: path.relative(path.join(__dirname, ".."), fullPath),
+        sourceName: artifact.sourceName,
+        ...result,
+        incompatible: result.incompatible || compiler.issues.length > 0 || size.issues.some(i => i.level === "error"),
+        compiler,
+        size
       });
       
-      // Print result immediately
-      if (result.hasPush0) {
-        console.log(colors.red + `  ❌ PUSH0 opcode detected!` + colors.reset);
-        console.log(`     Locations: ${result.push0Locations.slice(0, 5).join(", ")}${result.push0Locations.length > 5 ? "..." : ""}`);
-      } else if (result.suspicious) {
-        console.log(colors.yellow + `  ⚠️  Contains "5f" but might not be PUSH0 opcode` + colors.reset);
-        console.log(`     Suspicious locations: ${result.suspiciousLocations.slice(0, 5).join(", ")}${result.suspiciousLocations.length > 5 ? "..." : ""}`);
-      } else {
-        console.log(colors.green + `  ✅ Compatible with pre-Shanghai EVM` + colors.reset);
-      }
-      
-      // Additional info
-      console.log(`     Bytecode size: ${result.bytecodeSize} bytes`);
-      console.log(`     Deployed size: ${result.deployedSize} bytes`);
-      console.log(`     Compiler: Solidity ${artifact.metadata ? JSON.parse(artifact.metadata).compiler.version : "unknown"}`);
-      console.log();
+      printResult(result);
+      printCompiler(compiler);
+      printSize(size);
+      log();
     } else {
-      console.log(colors.yellow + `⚠️  ${contractPath} not found` + colors.reset);
+      log(colors.yellow + `⚠️  ${contractPath} not found` + colors.reset);
     }
   }
 
-  // Summary
-  console.log("\n" + "=" + "=".repeat(70));
-  console.log(colors.cyan + "\n📊 SUMMARY" + colors.reset);
-  console.log("=" + "=".repeat(70) + "\n");
+  // Genesis alloc code
+  if (genesis) {
+    const genesisName = path.relative(process.cwd(), options.genesis);
+
+    for (const [account, { code }] of Object.entries(genesis.alloc || {})) {
+      if (!code || code === "0x") {
+        continue;
+      }
 
-  const incompatible = results.filter(r => r.hasPush0);
-  const suspicious = results.filter(r => r.suspicious && !r.hasPush0);
-  const compatible = results.filter(r => !r.hasPush0 && !r.suspicious);
+      log(colors.blue + `Checking ${genesisName} alloc ${account}...` + colors.reset);
 
-  if (incompatible.length > 0) {
-    console.log(colors.red + `❌ Incompatible contracts (${incompatible.length}):` + colors.reset);
-    incompatible.forEach(c => console.log(`   - ${c.name}`));
-    console.log();
+      const name = `${genesisName}:${account}`;
+      const result = checkContract({ bytecode: "0x", deployedBytecode: code }, fork, {
+        contract: name,
+        locators: locatorsByCode.get(code.toLowerCase())
+      });
+      results.push({
+        name,
+        source: "genesis",
+        file: path.relative(path.join(__dirname, ".."), options.genesis),
+        account,
+        ...result
+      });
+
+      printResult(result);
+      log();
+    }
+  } else {
+    log(colors.yellow + `⚠️  ${options.genesis} not found, skipping genesis alloc` + colors.reset);
   }
 
-  if (suspicious.length > 0) {
-    console.log(colors.yellow + `⚠️  Suspicious contracts (${suspicious.length}):` + colors.reset);
-    suspicious.forEach(c => console.log(`   - ${c.name}`));
-    console.log();
+  // Live chain code
+  if (options.addresses.length > 0) {
+    const provider = options.rpc ? new hre.ethers.JsonRpcProvider(options.rpc) : hre.ethers.provider;
+    const chainName = options.rpc || hre.network.name;
+
+    for (const account of options.addresses) {
+      log(colors.blue + `Checking ${account} on ${chainName}...` + colors.reset);
+
+      const code = await provider.getCode(account);
+      if (code === "0x") {
+        log(colors.yellow + `  ⚠️  No code at ${account}` + colors.reset);
+        log();
+        continue;
+      }
+
+      const name = `${chainName}:${account}`;
+      const result = checkContract({ bytecode: "0x", deployedBytecode: code }, fork, {
+        contract: name,
+        locators: locatorsByCode.get(code.toLowerCase())
+      });
+      results.push({
+        name,
+        source: "rpc",
+        account,
+        ...result
+      });
+
+      printResult(result);
+      log();
+    }
+  }
+
+  // Summary
+  log("\n" + "=" + "=".repeat(70));
+  log(colors.cyan + "\n📊 SUMMARY" + colors.reset);
+  log("=" + "=".repeat(70) + "\n");
+
+  const incompatible = results.filter(r => r.incompatible);
+  const compatible = results.filter(r => !r.incompatible);
+
+  if (incompatible.length > 0) {
+    log(colors.red + `❌ Incompatible contracts (${incompatible.length}):` + colors.reset);
+    incompatible.forEach(c => {
+      const reasons = [
+        summarizeFindings(c.findings),
+        ...(c.compiler ? c.compiler.issues : []),
+        ...(c.size ? c.size.issues.filter(i => i.level === "error").map(i => i.message) : [])
+      ].filter(Boolean);
+      log(`   - ${c.name}: ${reasons.join("; ")}`);
+    });
+    log();
   }
 
   if (compatible.length > 0) {
-    console.log(colors.green + `✅ Compatible contracts (${compatible.length}):` + colors.reset);
-    compatible.forEach(c => console.log(`   - ${c.name}`));
-    console.log();
+    log(colors.green + `✅ Compatible contracts (${compatible.length}):` + colors.reset);
+    compatible.forEach(c => log(`   - ${c.name}`));
+    log();
   }
 
   // Recommendations
   if (incompatible.length > 0) {
-    console.log(colors.red + "\n⚠️  RECOMMENDATIONS:" + colors.reset);
-    console.log("1. Ensure you're using Solidity 0.8.19 or lower");
-    console.log("2. Set evmVersion to 'istanbul' or 'berlin' in hardhat.config.js");
-    console.log("3. Recompile with: npx hardhat clean && npx hardhat compile");
-    console.log("4. If using OpenZeppelin, ensure version compatibility");
+    log(colors.red + "\n⚠️  RECOMMENDATIONS:" + colors.reset);
+    log("1. Ensure you're using Solidity 0.8.19 or lower");
+    log(`2. Set evmVersion to '${fork}' or earlier in hardhat.config.js`);
+    log("3. Recompile with: npx hardhat clean && npx hardhat compile");
+    log("4. If using OpenZeppelin, ensure version compatibility");
     
     // Check current config
-    console.log("\n" + colors.cyan + "Current Configuration:" + colors.reset);
-    checkCurrentConfig();
-  } else if (suspicious.length > 0) {
-    console.log(colors.yellow + "\n⚠️  Some contracts contain '5f' in bytecode." + colors.reset);
-    console.log("This might be data, not PUSH0 opcode. Deploy to testnet first to verify.");
+    log("\n" + colors.cyan + "Current Configuration:" + colors.reset);
+    checkCurrentConfig(fork);
   } else {
-    console.log(colors.green + "\n✅ All contracts are compatible with pre-Shanghai EVM!" + colors.reset);
-    console.log("You can safely deploy to networks running older Geth versions.");
+    log(colors.green + `\n✅ All contracts are compatible with the ${fork} EVM!` + colors.reset);
+    log("You can safely deploy to networks running older Geth versions.");
   }
 
   // Save report
-  const reportPath = path.join(__dirname, "../bytecode-verification-report.json");
-  fs.writeFileSync(reportPath, JSON.stringify(results, null, 2));
-  console.log(`\n📄 Detailed report saved to: ${reportPath}`);
+  if (options.format !== "text") {
+    const report = FORMATTERS[options.format](results, { fork });
+    if (options.out) {
+      fs.writeFileSync(options.out, report);
+      log(`\n📄 ${options.format.toUpperCase()} report saved to: ${options.out}`);
+    } else {
+      process.stdout.write(report);
+    }
+  } else if (options.out) {
+    fs.writeFileSync(options.out, textReport.join("\n") + "\n");
+    console.log(`\n📄 Text report saved to: ${options.out}`);
+  } else {
+    fs.writeFileSync(REPORT_PATH, FORMATTERS.json(results, { fork }));
+    log(`\n📄 Detailed report saved to: ${REPORT_PATH}`);
+  }
+  if (options.updateBaseline) {
+    fs.writeFileSync(BASELINE_PATH, FORMATTERS.json(results, { fork }));
+    log(`📄 Baseline updated: ${BASELINE_PATH}`);
+  }
 
   // Exit with appropriate code
   process.exit(incompatible.length > 0 ? 1 : 0);
 }
 
-function checkContract(artifact) {
-  const bytecode = artifact.bytecode;
-  const deployedBytecode = artifact.deployedBytecode;
-  
-  const result = {
-    hasPush0: false,
-    suspicious: false,
-    push0Locations: [],
-    suspiciousLocations: [],
-    bytecodeSize: bytecode.length / 2 - 1, // Remove 0x, divide by 2
-    deployedSize: deployedBytecode.length / 2 - 1
-  };
+function summarizeFindings(findings) {
+  const counts = new Map();
+  findings
+    .filter(f => f.reason === "unsupported")
+    .forEach(f => counts.set(f.name, (counts.get(f.name) || 0) + 1));
+  return [...counts.entries()].map(([name, count]) => `${name} x${count}`).join(", ");
+}
+
+function printResult(result) {
+  const unsupported = result.findings.filter(f => f.reason === "unsupported");
+  const undefinedOps = result.findings.filter(f => f.reason === "undefined");
+
+  if (unsupported.length > 0) {
+    log(colors.red + `  ❌ Opcodes not available on ${result.fork}: ${summarizeFindings(unsupported)}` + colors.reset);
+    unsupported.slice(0, 5).forEach(f => {
+      const source = f.sourceLocation ? ` at ${f.sourceLocation.file}:${f.sourceLocation.startLine}:${f.sourceLocation.startColumn}` : "";
+      log(`     ${f.location}:${f.offset} ${f.name} (${f.opcode}, introduced in ${f.since})${source}`);
+    });
+    if (unsupported.length > 5) {
+      log(`     ... and ${unsupported.length - 5} more`);
+    }
+  } else {
+    log(colors.green + `  ✅ Compatible with ${result.fork} EVM` + colors.reset);
+  }
+
+  if (undefinedOps.length > 0) {
+    log(colors.yellow + `  ⚠️  ${undefinedOps.length} undefined opcode(s) in reachable code, first at ${undefinedOps[0].location}:${undefinedOps[0].offset}` + colors.reset);
+  }
+
+  if (result.bytecodeSize > 0) {
+    log(`     Bytecode size: ${result.bytecodeSize} bytes`);
+  }
+  log(`     Deployed size: ${result.deployedSize} bytes (${result.deployedDataSize} bytes data, ${result.deployedMetadataSize} bytes metadata)`);
+}
+
+function checkContract(artifact, fork = DEFAULT_FORK, { contract, locators = {} } = {}) {
+  const findings = [];
+  const sections = {};
 
   // Check both creation and deployed bytecode
-  const push0InBytecode = findPush0Opcodes(bytecode);
-  const push0InDeployed = findPush0Opcodes(deployedBytecode);
-  
-  if (push0InBytecode.definite.length > 0 || push0InDeployed.definite.length > 0) {
-    result.hasPush0 = true;
-    result.push0Locations = [
-      ...push0InBytecode.definite.map(loc => `bytecode:${loc}`),
-      ...push0InDeployed.definite.map(loc => `deployed:${loc}`)
-    ];
+  for (const [location, code] of [["bytecode", artifact.bytecode], ["deployed", artifact.deployedBytecode]]) {
+    const disassembly = disassemble(code, { fork });
+    sections[location] = disassembly;
+
+    disassembly.findings.forEach(f => findings.push({
+      contract,
+      location,
+      offset: f.offset,
+      opcode: "0x" + f.opcode.toString(16).padStart(2, "0"),
+      name: f.name,
+      since: f.since,
+      reason: f.reason,
+      sourceLocation: locators[location] ? locators[location](f.index) : undefined
+    }));
   }
-  
-  if (push0InBytecode.suspicious.length > 0 || push0InDeployed.suspicious.length > 0) {
-    result.suspicious = true;
-    result.suspiciousLocations = [
-      ...push0InBytecode.suspicious.map(loc => `bytecode:${loc}`),
-      ...push0InDeployed.suspicious.map(loc => `deployed:${loc}`)
-    ];
+
+  const dataSize = ({ data }) => data
+    .filter(range => !range.metadata)
+    .reduce((total, range) => total + range.end - range.start, 0);
+
+  return {
+    fork,
+    incompatible: findings.some(f => f.reason === "unsupported"),
+    findings,
+    bytecodeSize: sections.bytecode.size,
+    deployedSize: sections.deployed.size,
+    deployedDataSize: dataSize(sections.deployed),
+    deployedMetadataSize: sections.deployed.metadataSize
+  };
+}
+
+// Compiler settings Hardhat uses for `sourceName`: a per-file override, or
+// the configured compiler whose version matches the one the artifact was built with
+function resolveCompilerConfig(sourceName, solcVersion) {
+  const { compilers, overrides } = hre.config.solidity;
+
+  if (overrides && overrides[sourceName]) {
+    return { origin: `overrides["${sourceName}"]`, ...overrides[sourceName] };
   }
-  
-  return result;
+
+  const index = compilers.findIndex(c => c.version === solcVersion);
+  if (index === -1) {
+    return undefined;
+  }
+  return { origin: `compilers[${index}]`, ...compilers[index] };
 }
 
-function findPush0Opcodes(bytecode) {
-  const result = {
-    definite: [],
-    suspicious: []
+function describeSettings(version, settings = {}) {
+  const optimizer = settings.optimizer || {};
+  return {
+    version,
+    evmVersion: settings.evmVersion || defaultEvmVersion(version),
+    optimizer: Boolean(optimizer.enabled),
+    runs: optimizer.enabled ? optimizer.runs : undefined
   };
-  
-  if (!bytecode || bytecode === "0x") {
-    return result;
+}
+
+function checkCompilerSettings(artifactPath, artifact, fork) {
+  const build = readBuildInfo(artifactPath);
+  const issues = [];
+
+  if (!build) {
+    return { issues: [`no build info for ${artifact.contractName}, recompile`] };
   }
-  
-  // Remove 0x prefix
-  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
-  
-  // Parse bytecode to identify actual opcodes vs data
-  let i = 0;
-  while (i < code.length) {
-    const byte = code.substr(i, 2);
-    
-    if (byte === "5f") {
-      // Found potential PUSH0
-      // Try to determine if it's an opcode or data
-      if (isLikelyOpcode(code, i)) {
-        result.definite.push(i / 2); // Position in bytes
-      } else {
-        result.suspicious.push(i / 2);
+
+  const built = describeSettings(build.solcVersion, build.input.settings);
+  const configured = resolveCompilerConfig(artifact.sourceName, build.solcVersion);
+
+  if (!configured) {
+    issues.push(`built with solc ${built.version}, which hardhat.config.js no longer configures`);
+  } else {
+    const expected = describeSettings(configured.version, configured.settings);
+    for (const key of ["evmVersion", "optimizer", "runs"]) {
+      if (expected[key] !== built[key]) {
+        issues.push(`built with ${key} ${built[key]} but solidity.${configured.origin} sets ${expected[key]} (stale artifact, recompile)`);
       }
     }
-    
-    // Skip PUSH operations and their data
-    const opcode = parseInt(byte, 16);
-    if (opcode >= 0x60 && opcode <= 0x7f) {
-      // PUSH1 to PUSH32
-      const dataBytes = (opcode - 0x60 + 1);
-      i += 2 + (dataBytes * 2); // Skip opcode + data
-    } else {
-      i += 2;
-    }
   }
-  
-  return result;
-}
 
-function isLikelyOpcode(code, position) {
-  // Heuristic to determine if a byte is likely an opcode
-  // This is not 100% accurate but helps reduce false positives
-  
-  // Check if it appears after a valid opcode sequence
-  if (position > 0) {
-    const prevByte = code.substr(position - 2, 2);
-    const prevOpcode = parseInt(prevByte, 16);
-    
-    // If previous byte is a STOP, RETURN, REVERT, or INVALID, less likely to be opcode
-    if (prevOpcode === 0x00 || prevOpcode === 0xf3 || prevOpcode === 0xfd || prevOpcode === 0xfe) {
-      return false;
-    }
+  if (hardforkIndex(built.evmVersion) > hardforkIndex(fork)) {
+    issues.push(`built for evmVersion ${built.evmVersion}, which the ${fork} chain cannot run`);
   }
-  
-  // Check context around the potential PUSH0
-  if (position < code.length - 2) {
-    const nextByte = code.substr(position + 2, 2);
-    const nextOpcode = parseInt(nextByte, 16);
-    
-    // Common opcodes that might follow PUSH0
-    const validFollowers = [
-      0x01, 0x02, 0x03, 0x04, // ADD, MUL, SUB, DIV
-      0x10, 0x11, 0x12, 0x13, // LT, GT, SLT, SGT
-      0x14, 0x15, 0x16, // EQ, ISZERO, AND
-      0x50, 0x51, 0x52, 0x53, 0x54, 0x55, 0x56, // POP, MLOAD, MSTORE, etc.
-      0x80, 0x81, 0x82, // DUP1, DUP2, DUP3
-      0x90, 0x91, 0x92  // SWAP1, SWAP2, SWAP3
-    ];
-    
-    if (validFollowers.includes(nextOpcode)) {
-      return true;
-    }
+
+  return { ...built, origin: configured && configured.origin, issues };
+}
+
+function printCompiler(compiler) {
+  if (compiler.version) {
+    const optimizer = compiler.optimizer ? `enabled, ${compiler.runs} runs` : "disabled";
+    log(`     Compiler: Solidity ${compiler.version}, evmVersion ${compiler.evmVersion}, optimizer ${optimizer}`);
   }
-  
-  // Default to suspicious if we can't determine
-  return false;
+  compiler.issues.forEach(issue => log(colors.red + `  ❌ ${issue}` + colors.reset));
 }
 
-function checkCurrentConfig() {
-  try {
-    const configPath = path.join(__dirname, "../hardhat.config.js");
-    if (fs.existsSync(configPath)) {
-      const configContent = fs.readFileSync(configPath, "utf8");
-      
-      // Check Solidity version
-      const versionMatch = configContent.match(/version:\s*["']([^"']+)["']/);
-      if (versionMatch) {
-        const version = versionMatch[1];
-        console.log(`  Solidity version: ${version}`);
-        
-        if (version >= "0.8.20") {
-          console.log(colors.red + "    ⚠️  Version 0.8.20+ uses PUSH0 by default!" + colors.reset);
-        }
-      }
-      
-      // Check EVM version
-      const evmMatch = configContent.match(/evmVersion:\s*["']([^"']+)["']/);
-      if (evmMatch) {
-        console.log(`  EVM version: ${evmMatch[1]}`);
-      } else {
-        console.log(`  EVM version: default (latest)`);
-        console.log(colors.yellow + "    ⚠️  Consider setting to 'istanbul' or 'berlin'" + colors.reset);
-      }
-      
-      // Check optimizer
-      const optimizerMatch = configContent.match(/optimizer:\s*{[^}]*enabled:\s*(true|false)/);
-      if (optimizerMatch) {
-        console.log(`  Optimizer: ${optimizerMatch[1]}`);
-      }
+function printSize(size) {
+  const budget = size.budget !== undefined ? ` / ${size.budget} budget` : "";
+  const delta = size.delta !== undefined ? `, ${size.delta >= 0 ? "+" : ""}${size.delta} bytes since previous report` : "";
+  log(`     Size: ${size.deployedSize} / ${size.limit} bytes limit${budget}${delta}`);
+  size.issues.forEach(issue => log(
+    (issue.level === "error" ? colors.red + "  ❌ " : colors.yellow + "  ⚠️  ") + issue.message + colors.reset
+  ));
+}
+
+function checkCurrentConfig(fork) {
+  const { compilers, overrides } = hre.config.solidity;
+  const entries = [
+    ...compilers.map((c, i) => [`compilers[${i}]`, c]),
+    ...Object.entries(overrides || {}).map(([file, c]) => [`overrides["${file}"]`, c])
+  ];
+
+  for (const [origin, compiler] of entries) {
+    const settings = describeSettings(compiler.version, compiler.settings);
+    log(`  ${origin}: Solidity ${settings.version}, evmVersion ${settings.evmVersion}${compiler.settings?.evmVersion ? "" : " (default)"}, optimizer ${settings.optimizer}`);
+
+    if (hardforkIndex(settings.evmVersion) > hardforkIndex(fork)) {
+      log(colors.red + `    ⚠️  evmVersion ${settings.evmVersion} is newer than ${fork}; set evmVersion to '${fork}'` + colors.reset);
     }
-  } catch (error) {
-    console.log("  Could not read hardhat.config.js");
   }
 }
 
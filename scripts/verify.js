@@ -0,0 +1,127 @@
+// scripts/verify.js - Checks deployed contracts against the compiled artifacts
+//
+// For every contract in deployments/<network>_deployment.json, compares the
+// runtime code at its address with the artifact's deployedBytecode, ignoring
+// the CBOR metadata solc appends. "exact" means byte-for-byte identical,
+// "match" identical apart from metadata.
+//
+// With --submit (or VERIFY_SUBMIT=true) the sources are also submitted to the
+// explorer configured for the network in etherscan.customChains (a Blockscout
+// or other Etherscan-compatible API), using the build-info's standard JSON
+// input. Contracts whose code does not match are never submitted.
+//
+// Usage: npm run hardhat:verify:oxt
+//        HARDHAT_NETWORK=oxt node scripts/verify.js --submit
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { compareRuntimeCode } = require("./lib/code-verification");
+const { contractUrl, explorerEndpoint, isVerified, submitSource, verificationStatus } = require("./lib/explorer");
+
+function submitRequested() {
+  return process.argv.includes("--submit") || ["1", "true"].includes(process.env.VERIFY_SUBMIT);
+}
+
+// Contract name, address and constructor args of each deploy:<Name> step
+function deployedContracts(manifest) {
+  return Object.entries(manifest.steps || {})
+    .filter(([step, record]) => step.startsWith("deploy:") && record.status === "done")
+    .map(([step, record]) => ({ name: step.slice("deploy:".length), address: record.address, args: record.args || [] }));
+}
+
+async function checkCode({ name, address }) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const build = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${name}`);
+  const output = build.output.contracts[artifact.sourceName][name];
+  const code = await hre.ethers.provider.getCode(address);
+
+  const result = compareRuntimeCode(code, artifact.deployedBytecode, {
+    immutableReferences: output.evm.deployedBytecode.immutableReferences
+  });
+  return { ...result, artifact, build };
+}
+
+async function submit(endpoint, contract, { artifact, build }) {
+  if (await isVerified(endpoint, contract.address)) {
+    console.log(`  ⏭️  Already verified on ${endpoint.browserURL}`);
+    return true;
+  }
+
+  const factory = await hre.ethers.getContractFactory(contract.name);
+  const guid = await submitSource(endpoint, {
+    address: contract.address,
+    buildInfo: build,
+    sourceName: artifact.sourceName,
+    contractName: contract.name,
+    constructorArguments: factory.interface.encodeDeploy(contract.args)
+  });
+  if (!guid) {
+    console.log(`  ⏭️  Already verified on ${endpoint.browserURL}`);
+    return true;
+  }
+
+  console.log(`  📤 Submitted (${guid}), waiting for the explorer...`);
+  const status = await verificationStatus(endpoint, guid);
+  if (!status.verified) {
+    console.error(`  ❌ Explorer verification failed: ${status.message}`);
+    return false;
+  }
+  console.log(`  ✅ ${status.message}: ${contractUrl(endpoint, contract.address)}`);
+  return true;
+}
+
+async function main() {
+  console.log("🔍 Verifying deployed contracts...\n");
+
+  const deploymentFile = path.join(__dirname, `../deployments/${hre.network.name}_deployment.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`${path.relative(process.cwd(), deploymentFile)} not found; run the deploy script first`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  if (manifest.chainId !== undefined && manifest.chainId !== chainId) {
+    throw new Error(`${path.basename(deploymentFile)} was written for chainId ${manifest.chainId}, but ${hre.network.name} is ${chainId}`);
+  }
+
+  const contracts = deployedContracts(manifest);
+  if (contracts.length === 0) {
+    throw new Error(`${path.basename(deploymentFile)} records no completed deploy steps`);
+  }
+
+  const endpoint = submitRequested()
+    ? explorerEndpoint(hre.config.etherscan, hre.network.name, chainId)
+    : undefined;
+  if (endpoint) {
+    console.log(`Explorer: ${endpoint.apiURL}\n`);
+  }
+
+  let failed = 0;
+  for (const contract of contracts) {
+    console.log(`${contract.name} at ${contract.address}`);
+    const result = await checkCode(contract);
+
+    if (result.status === "missing") {
+      console.error("  ❌ No code at this address");
+    } else if (result.status === "mismatch") {
+      console.error(`  ❌ Runtime code differs from the artifact at byte ${result.offset} ` +
+        `(${result.actualSize} bytes on chain, ${result.expectedSize} in the artifact); recompile or redeploy`);
+    } else {
+      console.log(`  ✅ Runtime code ${result.status === "exact" ? "matches the artifact exactly" : "matches the artifact (metadata differs)"}`);
+      if (!endpoint || await submit(endpoint, contract, result)) {
+        continue;
+      }
+    }
+    failed++;
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} of ${contracts.length} contracts failed verification`);
+  }
+  console.log("\n✅ Verification complete!");
+}
+
+main().catch((error) => {
+  console.error("❌", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,321 @@
+// sdk/client.js
+// High-level staking operations on the Validators contract: listing
+// validators, reading delegations and sending stakes and reward claims, with
+// reverts turned into StakingErrors and receipts into decoded events.
+
+const { ADDRESSES, connectSlash, connectValidators } = require("./contracts");
+const { decodeError } = require("./errors");
+const { decodeEvents } = require("./events");
+
+// Validators.Status by value
+const STATUSES = /** @type {const} */ (["NotExist", "Created", "Staked", "Unstake", "Jailed"]);
+// Entries requested per call of the paginated views
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Every entry of a paginated view, one page of `pageSize` at a time
+ * @template T
+ * @param {(offset: number, limit: number) => Promise<[T[], bigint]>} fetchPage resolves to [entries, total]
+ * @param {number} pageSize
+ * @returns {Promise<T[]>}
+ */
+async function readAllPages(fetchPage, pageSize) {
+  const entries = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const [page, total] = await fetchPage(offset, pageSize);
+    entries.push(...page);
+    if (page.length < pageSize || offset + pageSize >= Number(total)) {
+      return entries;
+    }
+  }
+}
+
+/**
+ * @param {import("./types/Validators").Validators.ValidatorSummaryStructOutput} summary
+ * @param {Set<string>} active
+ * @returns {ValidatorSummary}
+ */
+function toValidatorSummary(summary, active) {
+  return {
+    address: summary.validator,
+    status: STATUSES[Number(summary.status)],
+    rewardAddr: summary.rewardAddr,
+    totalStaked: summary.totalStaked,
+    rewardAmount: summary.rewardAmount,
+    slashAmount: summary.slashAmount,
+    commissionRate: summary.commissionRate,
+    delegatorCount: summary.delegatorCount,
+    activated: active.has(summary.validator),
+    candidate: summary.candidate
+  };
+}
+
+/**
+ * @typedef {object} ValidatorSummary
+ * @property {string} address
+ * @property {typeof STATUSES[number]} status
+ * @property {string} rewardAddr
+ * @property {bigint} totalStaked
+ * @property {bigint} rewardAmount unwithdrawn commission
+ * @property {bigint} slashAmount
+ * @property {bigint} commissionRate in basis points
+ * @property {bigint} delegatorCount delegators with stake left, the validator's own stake included
+ * @property {boolean} activated in the active set, producing blocks
+ * @property {boolean} candidate in the candidate set the next active set is chosen from
+ */
+
+/**
+ * @typedef {object} UnbondingEntry
+ * @property {bigint} amount
+ * @property {bigint} unlockTimestamp when withdrawStaking() pays it out
+ */
+
+/**
+ * @typedef {object} Delegation
+ * @property {string} delegator
+ * @property {string} validator
+ * @property {bigint} delegatedAmount still staked, after any pending slash: what unstake and redelegate can move
+ * @property {bigint} pendingRewards
+ * @property {UnbondingEntry[]} unbonding unstaked and not withdrawn yet, oldest first
+ * @property {bigint} redelegationLockEnd until then the delegation cannot be redelegated to
+ *   another validator, as it received a redelegation; 0 when it never did
+ */
+
+/**
+ * @typedef {object} SentTransaction
+ * @property {import("ethers").TransactionReceipt} receipt
+ * @property {import("./events").StakingEvent[]} events
+ */
+
+class StakingClient {
+  /**
+   * `runner` is a signer to send transactions with, or a provider for reads
+   * only. `addresses` defaults to the canonical system contract addresses.
+   * `pageSize` is how many entries each call of a paginated view asks for.
+   * @param {import("ethers").ContractRunner} runner
+   * @param {Partial<import("./contracts").SystemAddresses>} [addresses]
+   * @param {{ pageSize?: number }} [options]
+   */
+  constructor(runner, addresses = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    // Providers are their own `provider`
+    if (!runner.provider) {
+      throw new Error("The runner has no provider");
+    }
+    this.runner = runner;
+    this.provider = runner.provider;
+    this.addresses = { ...ADDRESSES, ...addresses };
+    this.validators = connectValidators(this.addresses.Validators, runner);
+    this.slash = connectSlash(this.addresses.Slash, runner);
+    this.pageSize = pageSize;
+    /** @type {Promise<{ STAKING_LOCK_PERIOD: bigint }> | undefined} */
+    this.constants = undefined;
+  }
+
+  // Constants are fixed in the bytecode, so they are read once
+  readConstants() {
+    if (!this.constants) {
+      this.constants = this.validators.STAKING_LOCK_PERIOD().then(STAKING_LOCK_PERIOD => ({ STAKING_LOCK_PERIOD }));
+    }
+    return this.constants;
+  }
+
+  /**
+   * @param {string} address
+   * @returns {Promise<ValidatorSummary>}
+   */
+  async getValidator(address) {
+    const [summary] = await this.validators.getValidatorSummaries([address]);
+    const active = await this.validators.isValidatorActivated(address);
+    return toValidatorSummary(summary, new Set(active ? [summary.validator] : []));
+  }
+
+  /**
+   * The active validators, then the other candidates. Jailed validators and
+   * validators below MIN_VALIDATOR_TOTAL_STAKE are in neither set.
+   * @returns {Promise<ValidatorSummary[]>}
+   */
+  async listValidators() {
+    const active = [...await this.validators.getActivatedValidators()];
+    const candidates = await readAllPages((offset, limit) => this.validators.getCandidates(offset, limit), this.pageSize);
+
+    // Validators that left the candidate set stay active until the next epoch
+    const summaries = new Map(candidates.map(summary => [summary.validator, summary]));
+    const missing = active.filter(address => !summaries.has(address));
+    if (missing.length > 0) {
+      for (const summary of await this.validators.getValidatorSummaries(missing)) {
+        summaries.set(summary.validator, summary);
+      }
+    }
+
+    const activeSet = new Set(active);
+    const others = candidates.map(summary => summary.validator).filter(address => !activeSet.has(address));
+    return [...active, ...others].map(address => toValidatorSummary(/** @type {any} */ (summaries.get(address)), activeSet));
+  }
+
+  /**
+   * The delegators of `validator` with stake left, with their delegated
+   * amounts after any pending slash
+   * @param {string} validator
+   * @returns {Promise<Array<{ delegator: string, delegatedAmount: bigint }>>}
+   */
+  listDelegators(validator) {
+    return readAllPages(async (offset, limit) => {
+      const [delegators, amounts, total] = await this.validators.getDelegators(validator, offset, limit);
+      return [delegators.map((delegator, i) => ({ delegator, delegatedAmount: amounts[i] })), total];
+    }, this.pageSize);
+  }
+
+  /**
+   * Every slash record, with its missed block counter
+   * @returns {Promise<Array<{ validator: string, missedBlocksCounter: bigint }>>}
+   */
+  listSlashRecords() {
+    return readAllPages(async (offset, limit) => {
+      const [validators, counters, total] = await this.slash.getSlashRecords(offset, limit);
+      return [validators.map((validator, i) => ({ validator, missedBlocksCounter: counters[i] })), total];
+    }, this.pageSize);
+  }
+
+  /**
+   * @param {string} delegator
+   * @param {string} validator
+   * @returns {Promise<Delegation>}
+   */
+  async getDelegation(delegator, validator) {
+    const [delegatedAmount, redelegationLockEnd] = await this.validators.getDelegation(delegator, validator);
+    const entries = await this.validators.getUnbondingEntries(delegator, validator);
+    return {
+      delegator,
+      validator,
+      delegatedAmount,
+      pendingRewards: await this.validators.getPendingRewards(delegator, validator),
+      unbonding: entries.map(({ amount, unlockTimestamp }) => ({ amount, unlockTimestamp })),
+      redelegationLockEnd
+    };
+  }
+
+  /**
+   * The unlock time an unstake sent now would get: the latest block's
+   * timestamp plus STAKING_LOCK_PERIOD
+   * @returns {Promise<bigint>}
+   */
+  async estimateUnlockTime() {
+    const block = await this.provider.getBlock("latest");
+    if (!block) {
+      throw new Error("The provider returned no latest block");
+    }
+    const { STAKING_LOCK_PERIOD } = await this.readConstants();
+    return BigInt(block.timestamp) + STAKING_LOCK_PERIOD;
+  }
+
+  /**
+   * Stakes `amount` wei with `validator` from the signer.
+   * @param {string} validator
+   * @param {bigint} amount
+   * @returns {Promise<SentTransaction>}
+   */
+  stake(validator, amount) {
+    return this.send(() => this.validators.stake(validator, { value: amount }));
+  }
+
+  /**
+   * Unstakes `amount` wei of the signer's stake with `validator` into a new
+   * unbonding entry; the rest stays staked.
+   * @param {string} validator
+   * @param {bigint} amount
+   * @returns {Promise<SentTransaction>}
+   */
+  unstake(validator, amount) {
+    return this.send(() => this.validators.unstake(validator, amount));
+  }
+
+  /**
+   * Moves `amount` wei of the signer's stake from `fromValidator` to
+   * `toValidator` right away, without an unbonding entry. Reverts while
+   * `fromValidator` has missed blocks on record, and for stake redelegated to
+   * `fromValidator` less than STAKING_LOCK_PERIOD ago.
+   * @param {string} fromValidator
+   * @param {string} toValidator
+   * @param {bigint} amount
+   * @returns {Promise<SentTransaction>}
+   */
+  redelegate(fromValidator, toValidator, amount) {
+    return this.send(() => this.validators.redelegate(fromValidator, toValidator, amount));
+  }
+
+  /**
+   * Withdraws every unbonding entry of the signer with `validator` that has unlocked.
+   * @param {string} validator
+   * @returns {Promise<SentTransaction>}
+   */
+  withdrawStaking(validator) {
+    return this.send(() => this.validators.withdrawStaking(validator));
+  }
+
+  /**
+   * Claims the signer's pending rewards from every validator in `validators`
+   * (by default listValidators()) where it has some. Stops at the first claim
+   * that reverts; the claims before it stay sent.
+   * @param {{ validators?: string[] }} [options]
+   * @returns {Promise<Array<SentTransaction & { validator: string, amount: bigint }>>}
+   */
+  async claimAll({ validators } = {}) {
+    const delegator = await this.signerAddress();
+    const targets = validators ?? (await this.listValidators()).map(v => v.address);
+
+    const claims = [];
+    for (const validator of targets) {
+      // Rewards settled by unstake() stay claimable after the whole stake is unstaked
+      if (await this.validators.getPendingRewards(delegator, validator) === 0n) {
+        continue;
+      }
+      const sent = await this.send(() => this.validators.claimDelegatorRewards(validator));
+      const claimed = sent.events.find(event => event.name === "ClaimDelegatorRewards");
+      claims.push({ ...sent, validator, amount: claimed ? claimed.args.amount : 0n });
+    }
+    return claims;
+  }
+
+  /**
+   * @param {import("ethers").TransactionReceipt} receipt
+   * @returns {import("./events").StakingEvent[]}
+   */
+  decodeEvents(receipt) {
+    return decodeEvents(receipt, this.addresses);
+  }
+
+  /** @returns {Promise<string>} */
+  async signerAddress() {
+    const signer = /** @type {Partial<import("ethers").Signer>} */ (this.runner);
+    if (typeof signer.getAddress !== "function") {
+      throw new Error("Sending transactions needs a signer; this client was created with a provider");
+    }
+    return signer.getAddress();
+  }
+
+  /**
+   * Sends a transaction and waits for it; reverts, whether at estimation or
+   * on chain, are thrown as StakingErrors.
+   * @param {() => Promise<import("ethers").ContractTransactionResponse>} sendTransaction
+   * @returns {Promise<SentTransaction>}
+   */
+  async send(sendTransaction) {
+    await this.signerAddress();
+    try {
+      const tx = await sendTransaction();
+      const receipt = await tx.wait();
+      if (!receipt) {
+        throw new Error(`No receipt for ${tx.hash}`);
+      }
+      return { receipt, events: this.decodeEvents(receipt) };
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+}
+
+module.exports = {
+  STATUSES,
+  StakingClient,
+  readAllPages
+};
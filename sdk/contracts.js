@@ -0,0 +1,41 @@
+// sdk/contracts.js
+// Addresses, ABIs and typed contract instances of the system contracts.
+// abi/*.json is written by scripts/build-sdk.js from the compiled artifacts.
+
+const { Contract } = require("ethers");
+const ValidatorsData = require("./abi/Validators.json");
+const SlashData = require("./abi/Slash.json");
+
+/** @typedef {{ Validators: string, Slash: string }} SystemAddresses */
+
+/** @type {SystemAddresses} */
+const ADDRESSES = {
+  Validators: ValidatorsData.address,
+  Slash: SlashData.address
+};
+
+/**
+ * @param {string} address
+ * @param {import("ethers").ContractRunner} runner
+ * @returns {import("./types").Validators}
+ */
+function connectValidators(address, runner) {
+  return /** @type {any} */ (new Contract(address, ValidatorsData.abi, runner));
+}
+
+/**
+ * @param {string} address
+ * @param {import("ethers").ContractRunner} runner
+ * @returns {import("./types").Slash}
+ */
+function connectSlash(address, runner) {
+  return /** @type {any} */ (new Contract(address, SlashData.abi, runner));
+}
+
+module.exports = {
+  ADDRESSES,
+  SlashData,
+  ValidatorsData,
+  connectSlash,
+  connectValidators
+};
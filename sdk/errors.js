@@ -0,0 +1,147 @@
+// sdk/errors.js
+// Turns reverts of the system contracts into StakingErrors with a stable
+// `code`, so callers can branch on the code instead of matching reason strings.
+
+const { AbiCoder, dataSlice, isHexString } = require("ethers");
+
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+// Every require() reason of Validators, Slash and System, by code
+const ERROR_CODES = {
+  ALREADY_DECREASED: "Already decreased in this block",
+  ALREADY_PAUSED: "Already paused",
+  ALREADY_SLASHED: "Already slashed in this block",
+  AMOUNT_EXCEEDS_STAKE: "Amount exceeds stake",
+  AMOUNT_ZERO: "Amount must be greater than 0",
+  BLOCK_ALREADY_REWARDED: "Block already rewarded",
+  BLOCK_EPOCH_ONLY: "Block epoch only",
+  REDELEGATE_TO_SAME_VALIDATOR: "Redelegation to same validator",
+  LAST_VALIDATOR: "Cannot unstake: would disable last validator",
+  COMMISSION_RATE_TOO_HIGH: "Commission rate too high",
+  EMERGENCY_PAUSED: "Contract emergency paused",
+  PAUSED: "Contract is paused",
+  DETAILS_TOO_LONG: "Details too long",
+  EMAIL_TOO_LONG: "Email too long",
+  EMPTY_CANDIDATE_SET: "Empty candidate set",
+  CLEAN_FAILED: "Failed to clean slash record",
+  INITIAL_STAKE_BELOW_MINIMUM: "Initial stake below minimum",
+  INSUFFICIENT_BALANCE: "Insufficient balance",
+  INVALID_ADDRESS: "Invalid address",
+  INVALID_ADMIN_ADDRESS: "Invalid admin address",
+  INVALID_DECREASE_RATE: "Invalid decrease rate",
+  INVALID_DESCRIPTION: "Invalid description",
+  INVALID_INDEX: "Invalid index",
+  INVALID_THRESHOLD: "Invalid threshold",
+  INVALID_VALIDATOR_ADDRESS: "Invalid validator address",
+  INVALID_VALIDATOR_COUNT: "Invalid validator count",
+  MONIKER_TOO_LONG: "Moniker too long",
+  NOT_UNSTAKING: "Must unstake first",
+  REWARD_WITHDRAWAL_TOO_SOON: "Must wait before next withdrawal",
+  NO_DELEGATORS: "No delegators",
+  NO_REWARDS_TO_CLAIM: "No rewards to claim",
+  NO_REWARDS_TO_WITHDRAW: "No rewards to withdraw",
+  NO_STAKE: "No stake with validator",
+  NOT_PAUSED: "Not paused",
+  NOT_REWARD_RECIPIENT: "Not reward recipient",
+  ONLY_ADMIN: "Only admin can call this function",
+  ONLY_EMERGENCY_ADMIN: "Only emergency admin",
+  REENTRANT_CALL: "ReentrancyGuard: reentrant call",
+  REDELEGATION_LOCKED: "Redelegated stake still locked",
+  REMAINING_STAKE_BELOW_MINIMUM: "Remaining stake below minimum",
+  THRESHOLD_BELOW_DECREASE_RATE: "Threshold must be >= decrease rate",
+  SOURCE_HAS_MISSED_BLOCKS: "Source validator missed blocks",
+  TOKENS_LOCKED: "Tokens still locked",
+  TOO_MANY_CANDIDATES: "Too many candidates",
+  TOO_MANY_UNBONDING_ENTRIES: "Too many unbonding entries",
+  TOTAL_STAKE_BELOW_MINIMUM: "Total stake below minimum threshold",
+  TRANSFER_FAILED: "Transfer failed",
+  TRANSFER_TO_ZERO_ADDRESS: "Transfer to zero address",
+  VALIDATOR_EXISTS: "Validator already exists",
+  VALIDATOR_NOT_FOUND: "Validator does not exist",
+  VALIDATOR_NOT_JAILED: "Validator not jailed",
+  VALIDATORS_ALREADY_UPDATED: "Validators already updated",
+  WEBSITE_TOO_LONG: "Website too long",
+  ALREADY_INITIALIZED: "the contract already initialized",
+  NOT_INITIALIZED: "the contract not init yet",
+  ONLY_SLASH_CONTRACT: "the message sender must be slash contract",
+  ONLY_BLOCK_PRODUCER: "the message sender must be the block producer",
+  ONLY_VALIDATORS_CONTRACT: "the message sender must be validator contract"
+};
+
+/** @type {Map<string, keyof typeof ERROR_CODES>} */
+const CODES_BY_REASON = new Map(Object.entries(ERROR_CODES).map(([code, reason]) => [reason, /** @type {any} */ (code)]));
+
+/**
+ * @typedef {keyof typeof ERROR_CODES | "PANIC" | "UNKNOWN_REVERT"} StakingErrorCode
+ */
+
+// A revert of a system contract: a require() reason, a panic or revert data that decodes to neither
+class StakingError extends Error {
+  /**
+   * @param {StakingErrorCode} code
+   * @param {{ reason?: string, panic?: bigint, data?: string, cause?: unknown }} details
+   */
+  constructor(code, { reason, panic, data, cause }) {
+    super(reason ?? (panic !== undefined ? `panic code 0x${panic.toString(16)}` : `reverted with data ${data}`), { cause });
+    this.name = "StakingError";
+    this.code = code;
+    this.reason = reason;
+    this.panic = panic;
+    this.data = data;
+  }
+}
+
+/**
+ * Revert data found on an ethers, Hardhat or JSON-RPC error, or on one of the errors it wraps
+ * @param {any} error
+ * @returns {string | undefined}
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 4) {
+    return undefined;
+  }
+  if (isHexString(error.data) && error.data.length >= 10) {
+    return error.data;
+  }
+  for (const inner of [error.error, error.info?.error, error.cause]) {
+    const data = findRevertData(inner, depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * The StakingError for a revert, or `error` itself when it is not one
+ * (a network failure, a rejected signature, ...).
+ * @param {unknown} error
+ * @returns {StakingError | unknown}
+ */
+function decodeError(error) {
+  if (error instanceof StakingError) {
+    return error;
+  }
+  const data = findRevertData(error);
+  if (!data) {
+    return error;
+  }
+
+  const selector = dataSlice(data, 0, 4);
+  if (selector === ERROR_SELECTOR) {
+    const [reason] = AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4));
+    return new StakingError(CODES_BY_REASON.get(reason) ?? "UNKNOWN_REVERT", { reason, data, cause: error });
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [panic] = AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4));
+    return new StakingError("PANIC", { panic, data, cause: error });
+  }
+  return new StakingError("UNKNOWN_REVERT", { data, cause: error });
+}
+
+module.exports = {
+  ERROR_CODES,
+  StakingError,
+  decodeError
+};
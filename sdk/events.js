@@ -0,0 +1,71 @@
+// sdk/events.js
+// Decodes the logs of the system contracts into plain { contract, name, args } objects.
+
+const { Interface } = require("ethers");
+const { ADDRESSES, SlashData, ValidatorsData } = require("./contracts");
+
+const INTERFACES = {
+  Validators: new Interface(ValidatorsData.abi),
+  Slash: new Interface(SlashData.abi)
+};
+
+/**
+ * @typedef {object} StakingEvent
+ * @property {"Validators" | "Slash"} contract
+ * @property {string} name event name, e.g. "Staking" or "ValidatorSlashed"
+ * @property {Record<string, any>} args arguments by name; arrays are plain arrays
+ * @property {string} address
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * The event of a Validators or Slash log, or undefined for logs of other contracts
+ * @param {import("ethers").Log} log
+ * @param {import("./contracts").SystemAddresses} [addresses]
+ * @returns {StakingEvent | undefined}
+ */
+function decodeLog(log, addresses = ADDRESSES) {
+  const contract = /** @type {const} */ (["Validators", "Slash"])
+    .find(name => addresses[name].toLowerCase() === log.address.toLowerCase());
+  const parsed = contract && INTERFACES[contract].parseLog(log);
+  if (!contract || !parsed) {
+    return undefined;
+  }
+
+  /** @type {Record<string, any>} */
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value?.toArray === "function" ? value.toArray() : value;
+  });
+  return {
+    contract,
+    name: parsed.name,
+    args,
+    address: log.address,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index
+  };
+}
+
+/**
+ * Every Validators and Slash event in a receipt, in log order
+ * @param {{ logs: readonly import("ethers").Log[] }} receipt
+ * @param {import("./contracts").SystemAddresses} [addresses]
+ * @returns {StakingEvent[]}
+ */
+function decodeEvents(receipt, addresses = ADDRESSES) {
+  return receipt.logs
+    .map(log => decodeLog(log, addresses))
+    .filter(/** @returns {event is StakingEvent} */ event => event !== undefined);
+}
+
+module.exports = {
+  decodeEvents,
+  decodeLog
+};
@@ -0,0 +1,27 @@
+// sdk/index.js - Staking SDK for the Validators and Slash system contracts
+//
+//   const { StakingClient } = require("<this package>");
+//   const client = new StakingClient(signer);
+//   const validators = await client.listValidators();
+//   await client.stake(validators[0].address, ethers.parseEther("1000"));
+//
+// Typed bindings for the contracts themselves are in types/ (typechain, ethers-v6).
+
+const { ADDRESSES, connectSlash, connectValidators } = require("./contracts");
+const { ERROR_CODES, StakingError, decodeError } = require("./errors");
+const { decodeEvents, decodeLog } = require("./events");
+const { STATUSES, StakingClient, readAllPages } = require("./client");
+
+module.exports = {
+  ADDRESSES,
+  ERROR_CODES,
+  STATUSES,
+  StakingClient,
+  StakingError,
+  connectSlash,
+  connectValidators,
+  decodeError,
+  decodeEvents,
+  decodeLog,
+  readAllPages
+};
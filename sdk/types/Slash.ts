@@ -0,0 +1,754 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export interface SlashInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "BlockEpoch"
+      | "DEFAULT_DECREASE_RATE"
+      | "DEFAULT_SLASH_THRESHOLD"
+      | "SlashContractAddr"
+      | "ValidatorContractAddr"
+      | "admin"
+      | "blocksUntilSlash"
+      | "changeAdmin"
+      | "clean"
+      | "decreaseMissedBlocksCounter"
+      | "decreaseRate"
+      | "getAllSlashValidators"
+      | "getSlashRecord"
+      | "getSlashRecords"
+      | "getSlashValidatorsLen"
+      | "initialize"
+      | "initialized"
+      | "pause"
+      | "paused"
+      | "slash"
+      | "slashRecordExists"
+      | "slashRecords"
+      | "slashThreshold"
+      | "slashValidators"
+      | "unpause"
+      | "updateSlashParameters"
+      | "validatorContract"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AdminChanged"
+      | "Paused"
+      | "SlashParametersUpdated"
+      | "SlashRecordCleared"
+      | "Unpaused"
+      | "ValidatorDecreasedMissedBlockCounter"
+      | "ValidatorMissedBlock"
+      | "ValidatorSlashed"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "BlockEpoch",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_DECREASE_RATE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_SLASH_THRESHOLD",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "SlashContractAddr",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ValidatorContractAddr",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "admin", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "blocksUntilSlash",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "changeAdmin",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "clean", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "decreaseMissedBlocksCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "decreaseRate",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAllSlashValidators",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSlashRecord",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSlashRecords",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSlashValidatorsLen",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialized",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(functionFragment: "slash", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "slashRecordExists",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "slashRecords",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "slashThreshold",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "slashValidators",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "updateSlashParameters",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validatorContract",
+    values?: undefined
+  ): string;
+
+  decodeFunctionResult(functionFragment: "BlockEpoch", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_DECREASE_RATE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_SLASH_THRESHOLD",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "SlashContractAddr",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "ValidatorContractAddr",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "admin", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "blocksUntilSlash",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "changeAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "clean", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "decreaseMissedBlocksCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "decreaseRate",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getAllSlashValidators",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSlashRecord",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSlashRecords",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSlashValidatorsLen",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "initialized",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "slash", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "slashRecordExists",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "slashRecords",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "slashThreshold",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "slashValidators",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updateSlashParameters",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validatorContract",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [];
+  export type OutputTuple = [];
+  export interface OutputObject {}
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SlashParametersUpdatedEvent {
+  export type InputTuple = [
+    newThreshold: BigNumberish,
+    newDecreaseRate: BigNumberish
+  ];
+  export type OutputTuple = [newThreshold: bigint, newDecreaseRate: bigint];
+  export interface OutputObject {
+    newThreshold: bigint;
+    newDecreaseRate: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace SlashRecordClearedEvent {
+  export type InputTuple = [validator: AddressLike];
+  export type OutputTuple = [validator: string];
+  export interface OutputObject {
+    validator: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [];
+  export type OutputTuple = [];
+  export interface OutputObject {}
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorDecreasedMissedBlockCounterEvent {
+  export type InputTuple = [
+    validators: AddressLike[],
+    missedBlockCounters: BigNumberish[],
+    decreasedCount: BigNumberish
+  ];
+  export type OutputTuple = [
+    validators: string[],
+    missedBlockCounters: bigint[],
+    decreasedCount: bigint
+  ];
+  export interface OutputObject {
+    validators: string[];
+    missedBlockCounters: bigint[];
+    decreasedCount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorMissedBlockEvent {
+  export type InputTuple = [validator: AddressLike, missedCount: BigNumberish];
+  export type OutputTuple = [validator: string, missedCount: bigint];
+  export interface OutputObject {
+    validator: string;
+    missedCount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorSlashedEvent {
+  export type InputTuple = [
+    validator: AddressLike,
+    missedBlocksCounter: BigNumberish
+  ];
+  export type OutputTuple = [validator: string, missedBlocksCounter: bigint];
+  export interface OutputObject {
+    validator: string;
+    missedBlocksCounter: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface Slash extends BaseContract {
+  connect(runner?: ContractRunner | null): Slash;
+  waitForDeployment(): Promise<this>;
+
+  interface: SlashInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  BlockEpoch: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_DECREASE_RATE: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_SLASH_THRESHOLD: TypedContractMethod<[], [bigint], "view">;
+
+  SlashContractAddr: TypedContractMethod<[], [string], "view">;
+
+  ValidatorContractAddr: TypedContractMethod<[], [string], "view">;
+
+  admin: TypedContractMethod<[], [string], "view">;
+
+  blocksUntilSlash: TypedContractMethod<
+    [validator: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  changeAdmin: TypedContractMethod<
+    [newAdmin: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  clean: TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+
+  decreaseMissedBlocksCounter: TypedContractMethod<[], [void], "nonpayable">;
+
+  decreaseRate: TypedContractMethod<[], [bigint], "view">;
+
+  getAllSlashValidators: TypedContractMethod<[], [string[]], "view">;
+
+  getSlashRecord: TypedContractMethod<
+    [validator: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getSlashRecords: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        validators: string[];
+        missedBlocksCounters: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getSlashValidatorsLen: TypedContractMethod<[], [bigint], "view">;
+
+  initialize: TypedContractMethod<[], [void], "nonpayable">;
+
+  initialized: TypedContractMethod<[], [boolean], "view">;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  slash: TypedContractMethod<[validator: AddressLike], [void], "nonpayable">;
+
+  slashRecordExists: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  slashRecords: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        missedBlocksCounter: bigint;
+        index: bigint;
+        decreasePrevNumber: bigint;
+        exist: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  slashThreshold: TypedContractMethod<[], [bigint], "view">;
+
+  slashValidators: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  updateSlashParameters: TypedContractMethod<
+    [newThreshold: BigNumberish, newDecreaseRate: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  validatorContract: TypedContractMethod<[], [string], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "BlockEpoch"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_DECREASE_RATE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_SLASH_THRESHOLD"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "SlashContractAddr"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "ValidatorContractAddr"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "admin"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "blocksUntilSlash"
+  ): TypedContractMethod<[validator: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "changeAdmin"
+  ): TypedContractMethod<[newAdmin: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "clean"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "decreaseMissedBlocksCounter"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "decreaseRate"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getAllSlashValidators"
+  ): TypedContractMethod<[], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getSlashRecord"
+  ): TypedContractMethod<[validator: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSlashRecords"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        validators: string[];
+        missedBlocksCounters: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSlashValidatorsLen"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "initialized"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "slash"
+  ): TypedContractMethod<[validator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "slashRecordExists"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "slashRecords"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        missedBlocksCounter: bigint;
+        index: bigint;
+        decreasePrevNumber: bigint;
+        exist: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "slashThreshold"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "slashValidators"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateSlashParameters"
+  ): TypedContractMethod<
+    [newThreshold: BigNumberish, newDecreaseRate: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "validatorContract"
+  ): TypedContractMethod<[], [string], "view">;
+
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SlashParametersUpdated"
+  ): TypedContractEvent<
+    SlashParametersUpdatedEvent.InputTuple,
+    SlashParametersUpdatedEvent.OutputTuple,
+    SlashParametersUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "SlashRecordCleared"
+  ): TypedContractEvent<
+    SlashRecordClearedEvent.InputTuple,
+    SlashRecordClearedEvent.OutputTuple,
+    SlashRecordClearedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorDecreasedMissedBlockCounter"
+  ): TypedContractEvent<
+    ValidatorDecreasedMissedBlockCounterEvent.InputTuple,
+    ValidatorDecreasedMissedBlockCounterEvent.OutputTuple,
+    ValidatorDecreasedMissedBlockCounterEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorMissedBlock"
+  ): TypedContractEvent<
+    ValidatorMissedBlockEvent.InputTuple,
+    ValidatorMissedBlockEvent.OutputTuple,
+    ValidatorMissedBlockEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorSlashed"
+  ): TypedContractEvent<
+    ValidatorSlashedEvent.InputTuple,
+    ValidatorSlashedEvent.OutputTuple,
+    ValidatorSlashedEvent.OutputObject
+  >;
+
+  filters: {
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "Paused()": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "SlashParametersUpdated(uint256,uint256)": TypedContractEvent<
+      SlashParametersUpdatedEvent.InputTuple,
+      SlashParametersUpdatedEvent.OutputTuple,
+      SlashParametersUpdatedEvent.OutputObject
+    >;
+    SlashParametersUpdated: TypedContractEvent<
+      SlashParametersUpdatedEvent.InputTuple,
+      SlashParametersUpdatedEvent.OutputTuple,
+      SlashParametersUpdatedEvent.OutputObject
+    >;
+
+    "SlashRecordCleared(address)": TypedContractEvent<
+      SlashRecordClearedEvent.InputTuple,
+      SlashRecordClearedEvent.OutputTuple,
+      SlashRecordClearedEvent.OutputObject
+    >;
+    SlashRecordCleared: TypedContractEvent<
+      SlashRecordClearedEvent.InputTuple,
+      SlashRecordClearedEvent.OutputTuple,
+      SlashRecordClearedEvent.OutputObject
+    >;
+
+    "Unpaused()": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "ValidatorDecreasedMissedBlockCounter(address[],uint256[],uint256)": TypedContractEvent<
+      ValidatorDecreasedMissedBlockCounterEvent.InputTuple,
+      ValidatorDecreasedMissedBlockCounterEvent.OutputTuple,
+      ValidatorDecreasedMissedBlockCounterEvent.OutputObject
+    >;
+    ValidatorDecreasedMissedBlockCounter: TypedContractEvent<
+      ValidatorDecreasedMissedBlockCounterEvent.InputTuple,
+      ValidatorDecreasedMissedBlockCounterEvent.OutputTuple,
+      ValidatorDecreasedMissedBlockCounterEvent.OutputObject
+    >;
+
+    "ValidatorMissedBlock(address,uint256)": TypedContractEvent<
+      ValidatorMissedBlockEvent.InputTuple,
+      ValidatorMissedBlockEvent.OutputTuple,
+      ValidatorMissedBlockEvent.OutputObject
+    >;
+    ValidatorMissedBlock: TypedContractEvent<
+      ValidatorMissedBlockEvent.InputTuple,
+      ValidatorMissedBlockEvent.OutputTuple,
+      ValidatorMissedBlockEvent.OutputObject
+    >;
+
+    "ValidatorSlashed(address,uint256)": TypedContractEvent<
+      ValidatorSlashedEvent.InputTuple,
+      ValidatorSlashedEvent.OutputTuple,
+      ValidatorSlashedEvent.OutputObject
+    >;
+    ValidatorSlashed: TypedContractEvent<
+      ValidatorSlashedEvent.InputTuple,
+      ValidatorSlashedEvent.OutputTuple,
+      ValidatorSlashedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,1720 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace Validators {
+  export type ValidatorSummaryStruct = {
+    validator: AddressLike;
+    rewardAddr: AddressLike;
+    status: BigNumberish;
+    totalStaked: BigNumberish;
+    rewardAmount: BigNumberish;
+    slashAmount: BigNumberish;
+    commissionRate: BigNumberish;
+    delegatorCount: BigNumberish;
+    candidate: boolean;
+  };
+
+  export type ValidatorSummaryStructOutput = [
+    validator: string,
+    rewardAddr: string,
+    status: bigint,
+    totalStaked: bigint,
+    rewardAmount: bigint,
+    slashAmount: bigint,
+    commissionRate: bigint,
+    delegatorCount: bigint,
+    candidate: boolean
+  ] & {
+    validator: string;
+    rewardAddr: string;
+    status: bigint;
+    totalStaked: bigint;
+    rewardAmount: bigint;
+    slashAmount: bigint;
+    commissionRate: bigint;
+    delegatorCount: bigint;
+    candidate: boolean;
+  };
+
+  export type UnbondingEntryStruct = {
+    amount: BigNumberish;
+    unlockTimestamp: BigNumberish;
+  };
+
+  export type UnbondingEntryStructOutput = [
+    amount: bigint,
+    unlockTimestamp: bigint
+  ] & { amount: bigint; unlockTimestamp: bigint };
+}
+
+export interface ValidatorsInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "BlockEpoch"
+      | "DEFAULT_COMMISSION_RATE"
+      | "MAX_COMMISSION_RATE"
+      | "MAX_UNBONDING_ENTRIES"
+      | "MAX_VALIDATOR_NUM"
+      | "MIN_DELEGATOR_STAKE"
+      | "MIN_VALIDATOR_TOTAL_STAKE"
+      | "STAKING_LOCK_PERIOD"
+      | "SlashContractAddr"
+      | "VALIDATOR_SLASH_PENALTY"
+      | "ValidatorContractAddr"
+      | "WITHDRAW_REWARD_PERIOD"
+      | "admin"
+      | "changeAdmin"
+      | "claimDelegatorRewards"
+      | "create"
+      | "createWithCommission"
+      | "distributeBlockReward"
+      | "edit"
+      | "emergencyAdmin"
+      | "emergencyPaused"
+      | "getActivatedValidators"
+      | "getCandidates"
+      | "getDelegation"
+      | "getDelegators"
+      | "getPendingRewards"
+      | "getTotalNetworkStaked"
+      | "getUnbondingEntries"
+      | "getValidatorInfo"
+      | "getValidatorSummaries"
+      | "initialize"
+      | "initialized"
+      | "isJailed"
+      | "isValidatorActivated"
+      | "isValidatorCandidate"
+      | "pause"
+      | "paused"
+      | "redelegate"
+      | "slashValidator"
+      | "stake"
+      | "toggleEmergencyPause"
+      | "unjailValidator"
+      | "unpause"
+      | "unstake"
+      | "updateActivatedValidators"
+      | "updateCommissionRate"
+      | "updateEmergencyAdmin"
+      | "validateDescription"
+      | "withdrawRewards"
+      | "withdrawStaking"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AddToValidatorCandidate"
+      | "AdminChanged"
+      | "ClaimDelegatorRewards"
+      | "CommissionRateUpdated"
+      | "EmergencyPauseToggled"
+      | "Paused"
+      | "Redelegate"
+      | "RemoveFromValidatorCandidate"
+      | "RewardDistributed"
+      | "Staking"
+      | "Unpaused"
+      | "Unstake"
+      | "ValidatorCreated"
+      | "ValidatorSetUpdated"
+      | "ValidatorSlash"
+      | "ValidatorUnjailed"
+      | "ValidatorUpdated"
+      | "WithdrawRewards"
+      | "WithdrawStaking"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "BlockEpoch",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "DEFAULT_COMMISSION_RATE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_COMMISSION_RATE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_UNBONDING_ENTRIES",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_VALIDATOR_NUM",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MIN_DELEGATOR_STAKE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MIN_VALIDATOR_TOTAL_STAKE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "STAKING_LOCK_PERIOD",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "SlashContractAddr",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "VALIDATOR_SLASH_PENALTY",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "ValidatorContractAddr",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "WITHDRAW_REWARD_PERIOD",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "admin", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "changeAdmin",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimDelegatorRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "create",
+    values: [AddressLike, string, string, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "createWithCommission",
+    values: [AddressLike, string, string, string, string, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "distributeBlockReward",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "edit",
+    values: [AddressLike, string, string, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyAdmin",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyPaused",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getActivatedValidators",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCandidates",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDelegation",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDelegators",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPendingRewards",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalNetworkStaked",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUnbondingEntries",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getValidatorInfo",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getValidatorSummaries",
+    values: [AddressLike[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [AddressLike[]]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initialized",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isJailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isValidatorActivated",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isValidatorCandidate",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "redelegate",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "slashValidator",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(functionFragment: "stake", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "toggleEmergencyPause",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unjailValidator",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "unstake",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateActivatedValidators",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateCommissionRate",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateEmergencyAdmin",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validateDescription",
+    values: [string, string, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawRewards",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "withdrawStaking",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "BlockEpoch", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "DEFAULT_COMMISSION_RATE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_COMMISSION_RATE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_UNBONDING_ENTRIES",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_VALIDATOR_NUM",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MIN_DELEGATOR_STAKE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "MIN_VALIDATOR_TOTAL_STAKE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "STAKING_LOCK_PERIOD",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "SlashContractAddr",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "VALIDATOR_SLASH_PENALTY",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "ValidatorContractAddr",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "WITHDRAW_REWARD_PERIOD",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "admin", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "changeAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimDelegatorRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "create", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "createWithCommission",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "distributeBlockReward",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "edit", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyPaused",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getActivatedValidators",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCandidates",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDelegation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDelegators",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPendingRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalNetworkStaked",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUnbondingEntries",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getValidatorInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getValidatorSummaries",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "initialized",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "isJailed", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isValidatorActivated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isValidatorCandidate",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "redelegate", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "slashValidator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "stake", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "toggleEmergencyPause",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "unjailValidator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "unstake", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "updateActivatedValidators",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateCommissionRate",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateEmergencyAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validateDescription",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawRewards",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "withdrawStaking",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AddToValidatorCandidateEvent {
+  export type InputTuple = [validator: AddressLike, totalStake: BigNumberish];
+  export type OutputTuple = [validator: string, totalStake: bigint];
+  export interface OutputObject {
+    validator: string;
+    totalStake: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminChangedEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimDelegatorRewardsEvent {
+  export type InputTuple = [
+    delegator: AddressLike,
+    validator: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    delegator: string,
+    validator: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    delegator: string;
+    validator: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CommissionRateUpdatedEvent {
+  export type InputTuple = [
+    validator: AddressLike,
+    oldRate: BigNumberish,
+    newRate: BigNumberish
+  ];
+  export type OutputTuple = [
+    validator: string,
+    oldRate: bigint,
+    newRate: bigint
+  ];
+  export interface OutputObject {
+    validator: string;
+    oldRate: bigint;
+    newRate: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyPauseToggledEvent {
+  export type InputTuple = [paused: boolean, admin: AddressLike];
+  export type OutputTuple = [paused: boolean, admin: string];
+  export interface OutputObject {
+    paused: boolean;
+    admin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [];
+  export type OutputTuple = [];
+  export interface OutputObject {}
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RedelegateEvent {
+  export type InputTuple = [
+    staker: AddressLike,
+    fromValidator: AddressLike,
+    toValidator: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    staker: string,
+    fromValidator: string,
+    toValidator: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    staker: string;
+    fromValidator: string;
+    toValidator: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RemoveFromValidatorCandidateEvent {
+  export type InputTuple = [validator: AddressLike];
+  export type OutputTuple = [validator: string];
+  export interface OutputObject {
+    validator: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RewardDistributedEvent {
+  export type InputTuple = [
+    validators: AddressLike[],
+    rewards: BigNumberish[],
+    totalAmount: BigNumberish,
+    remainder: BigNumberish
+  ];
+  export type OutputTuple = [
+    validators: string[],
+    rewards: bigint[],
+    totalAmount: bigint,
+    remainder: bigint
+  ];
+  export interface OutputObject {
+    validators: string[];
+    rewards: bigint[];
+    totalAmount: bigint;
+    remainder: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace StakingEvent {
+  export type InputTuple = [
+    staker: AddressLike,
+    validator: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [staker: string, validator: string, amount: bigint];
+  export interface OutputObject {
+    staker: string;
+    validator: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [];
+  export type OutputTuple = [];
+  export interface OutputObject {}
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnstakeEvent {
+  export type InputTuple = [
+    staker: AddressLike,
+    validator: AddressLike,
+    amount: BigNumberish,
+    unlockTimestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    staker: string,
+    validator: string,
+    amount: bigint,
+    unlockTimestamp: bigint
+  ];
+  export interface OutputObject {
+    staker: string;
+    validator: string;
+    amount: bigint;
+    unlockTimestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorCreatedEvent {
+  export type InputTuple = [
+    validator: AddressLike,
+    rewardAddr: AddressLike,
+    commissionRate: BigNumberish
+  ];
+  export type OutputTuple = [
+    validator: string,
+    rewardAddr: string,
+    commissionRate: bigint
+  ];
+  export interface OutputObject {
+    validator: string;
+    rewardAddr: string;
+    commissionRate: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorSetUpdatedEvent {
+  export type InputTuple = [
+    validators: AddressLike[],
+    blockNumber: BigNumberish
+  ];
+  export type OutputTuple = [validators: string[], blockNumber: bigint];
+  export interface OutputObject {
+    validators: string[];
+    blockNumber: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorSlashEvent {
+  export type InputTuple = [
+    validator: AddressLike,
+    amount: BigNumberish,
+    newTotalStake: BigNumberish
+  ];
+  export type OutputTuple = [
+    validator: string,
+    amount: bigint,
+    newTotalStake: bigint
+  ];
+  export interface OutputObject {
+    validator: string;
+    amount: bigint;
+    newTotalStake: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorUnjailedEvent {
+  export type InputTuple = [validator: AddressLike];
+  export type OutputTuple = [validator: string];
+  export interface OutputObject {
+    validator: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ValidatorUpdatedEvent {
+  export type InputTuple = [validator: AddressLike, rewardAddr: AddressLike];
+  export type OutputTuple = [validator: string, rewardAddr: string];
+  export interface OutputObject {
+    validator: string;
+    rewardAddr: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WithdrawRewardsEvent {
+  export type InputTuple = [
+    validator: AddressLike,
+    rewardAddress: AddressLike,
+    amount: BigNumberish,
+    nextWithdrawTimestamp: BigNumberish
+  ];
+  export type OutputTuple = [
+    validator: string,
+    rewardAddress: string,
+    amount: bigint,
+    nextWithdrawTimestamp: bigint
+  ];
+  export interface OutputObject {
+    validator: string;
+    rewardAddress: string;
+    amount: bigint;
+    nextWithdrawTimestamp: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace WithdrawStakingEvent {
+  export type InputTuple = [
+    staker: AddressLike,
+    validator: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [staker: string, validator: string, amount: bigint];
+  export interface OutputObject {
+    staker: string;
+    validator: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface Validators extends BaseContract {
+  connect(runner?: ContractRunner | null): Validators;
+  waitForDeployment(): Promise<this>;
+
+  interface: ValidatorsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  BlockEpoch: TypedContractMethod<[], [bigint], "view">;
+
+  DEFAULT_COMMISSION_RATE: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_COMMISSION_RATE: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_UNBONDING_ENTRIES: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_VALIDATOR_NUM: TypedContractMethod<[], [bigint], "view">;
+
+  MIN_DELEGATOR_STAKE: TypedContractMethod<[], [bigint], "view">;
+
+  MIN_VALIDATOR_TOTAL_STAKE: TypedContractMethod<[], [bigint], "view">;
+
+  STAKING_LOCK_PERIOD: TypedContractMethod<[], [bigint], "view">;
+
+  SlashContractAddr: TypedContractMethod<[], [string], "view">;
+
+  VALIDATOR_SLASH_PENALTY: TypedContractMethod<[], [bigint], "view">;
+
+  ValidatorContractAddr: TypedContractMethod<[], [string], "view">;
+
+  WITHDRAW_REWARD_PERIOD: TypedContractMethod<[], [bigint], "view">;
+
+  admin: TypedContractMethod<[], [string], "view">;
+
+  changeAdmin: TypedContractMethod<
+    [newAdmin: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  claimDelegatorRewards: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  create: TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string
+    ],
+    [boolean],
+    "payable"
+  >;
+
+  createWithCommission: TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string,
+      commissionRate: BigNumberish
+    ],
+    [boolean],
+    "payable"
+  >;
+
+  distributeBlockReward: TypedContractMethod<[], [void], "payable">;
+
+  edit: TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  emergencyAdmin: TypedContractMethod<[], [string], "view">;
+
+  emergencyPaused: TypedContractMethod<[], [boolean], "view">;
+
+  getActivatedValidators: TypedContractMethod<[], [string[]], "view">;
+
+  getCandidates: TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [Validators.ValidatorSummaryStructOutput[], bigint] & {
+        candidates: Validators.ValidatorSummaryStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDelegation: TypedContractMethod<
+    [delegator: AddressLike, validator: AddressLike],
+    [
+      [bigint, bigint] & {
+        delegatedAmount: bigint;
+        redelegationLockEnd: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getDelegators: TypedContractMethod<
+    [validator: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        delegators: string[];
+        amounts: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getPendingRewards: TypedContractMethod<
+    [staker: AddressLike, validator: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getTotalNetworkStaked: TypedContractMethod<[], [bigint], "view">;
+
+  getUnbondingEntries: TypedContractMethod<
+    [delegator: AddressLike, validator: AddressLike],
+    [Validators.UnbondingEntryStructOutput[]],
+    "view"
+  >;
+
+  getValidatorInfo: TypedContractMethod<
+    [validator: AddressLike],
+    [
+      [string, string, bigint, bigint, bigint, bigint] & {
+        rewardAddr: string;
+        status: string;
+        totalStaked: bigint;
+        rewardAmount: bigint;
+        slashAmount: bigint;
+        commissionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getValidatorSummaries: TypedContractMethod<
+    [validators: AddressLike[]],
+    [Validators.ValidatorSummaryStructOutput[]],
+    "view"
+  >;
+
+  initialize: TypedContractMethod<
+    [validators: AddressLike[]],
+    [void],
+    "nonpayable"
+  >;
+
+  initialized: TypedContractMethod<[], [boolean], "view">;
+
+  isJailed: TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+
+  isValidatorActivated: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isValidatorCandidate: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  pause: TypedContractMethod<[], [void], "nonpayable">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  redelegate: TypedContractMethod<
+    [
+      fromValidator: AddressLike,
+      toValidator: AddressLike,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  slashValidator: TypedContractMethod<
+    [validator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  stake: TypedContractMethod<[validator: AddressLike], [boolean], "payable">;
+
+  toggleEmergencyPause: TypedContractMethod<[], [void], "nonpayable">;
+
+  unjailValidator: TypedContractMethod<[], [boolean], "nonpayable">;
+
+  unpause: TypedContractMethod<[], [void], "nonpayable">;
+
+  unstake: TypedContractMethod<
+    [validator: AddressLike, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  updateActivatedValidators: TypedContractMethod<[], [string[]], "nonpayable">;
+
+  updateCommissionRate: TypedContractMethod<
+    [newRate: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+
+  updateEmergencyAdmin: TypedContractMethod<
+    [newAdmin: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  validateDescription: TypedContractMethod<
+    [moniker: string, website: string, email: string, details: string],
+    [boolean],
+    "view"
+  >;
+
+  withdrawRewards: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  withdrawStaking: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "BlockEpoch"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "DEFAULT_COMMISSION_RATE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_COMMISSION_RATE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_UNBONDING_ENTRIES"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_VALIDATOR_NUM"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MIN_DELEGATOR_STAKE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MIN_VALIDATOR_TOTAL_STAKE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "STAKING_LOCK_PERIOD"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "SlashContractAddr"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "VALIDATOR_SLASH_PENALTY"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "ValidatorContractAddr"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "WITHDRAW_REWARD_PERIOD"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "admin"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "changeAdmin"
+  ): TypedContractMethod<[newAdmin: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "claimDelegatorRewards"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "create"
+  ): TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string
+    ],
+    [boolean],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "createWithCommission"
+  ): TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string,
+      commissionRate: BigNumberish
+    ],
+    [boolean],
+    "payable"
+  >;
+  getFunction(
+    nameOrSignature: "distributeBlockReward"
+  ): TypedContractMethod<[], [void], "payable">;
+  getFunction(
+    nameOrSignature: "edit"
+  ): TypedContractMethod<
+    [
+      rewardAddr: AddressLike,
+      moniker: string,
+      website: string,
+      email: string,
+      details: string
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyAdmin"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "emergencyPaused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "getActivatedValidators"
+  ): TypedContractMethod<[], [string[]], "view">;
+  getFunction(
+    nameOrSignature: "getCandidates"
+  ): TypedContractMethod<
+    [offset: BigNumberish, limit: BigNumberish],
+    [
+      [Validators.ValidatorSummaryStructOutput[], bigint] & {
+        candidates: Validators.ValidatorSummaryStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDelegation"
+  ): TypedContractMethod<
+    [delegator: AddressLike, validator: AddressLike],
+    [
+      [bigint, bigint] & {
+        delegatedAmount: bigint;
+        redelegationLockEnd: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDelegators"
+  ): TypedContractMethod<
+    [validator: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], bigint[], bigint] & {
+        delegators: string[];
+        amounts: bigint[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPendingRewards"
+  ): TypedContractMethod<
+    [staker: AddressLike, validator: AddressLike],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTotalNetworkStaked"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getUnbondingEntries"
+  ): TypedContractMethod<
+    [delegator: AddressLike, validator: AddressLike],
+    [Validators.UnbondingEntryStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getValidatorInfo"
+  ): TypedContractMethod<
+    [validator: AddressLike],
+    [
+      [string, string, bigint, bigint, bigint, bigint] & {
+        rewardAddr: string;
+        status: string;
+        totalStaked: bigint;
+        rewardAmount: bigint;
+        slashAmount: bigint;
+        commissionRate: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getValidatorSummaries"
+  ): TypedContractMethod<
+    [validators: AddressLike[]],
+    [Validators.ValidatorSummaryStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<[validators: AddressLike[]], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "initialized"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isJailed"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isValidatorActivated"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isValidatorCandidate"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "redelegate"
+  ): TypedContractMethod<
+    [
+      fromValidator: AddressLike,
+      toValidator: AddressLike,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "slashValidator"
+  ): TypedContractMethod<[validator: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "stake"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "payable">;
+  getFunction(
+    nameOrSignature: "toggleEmergencyPause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unjailValidator"
+  ): TypedContractMethod<[], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unstake"
+  ): TypedContractMethod<
+    [validator: AddressLike, amount: BigNumberish],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateActivatedValidators"
+  ): TypedContractMethod<[], [string[]], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateCommissionRate"
+  ): TypedContractMethod<[newRate: BigNumberish], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "updateEmergencyAdmin"
+  ): TypedContractMethod<[newAdmin: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "validateDescription"
+  ): TypedContractMethod<
+    [moniker: string, website: string, email: string, details: string],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "withdrawRewards"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "withdrawStaking"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+
+  getEvent(
+    key: "AddToValidatorCandidate"
+  ): TypedContractEvent<
+    AddToValidatorCandidateEvent.InputTuple,
+    AddToValidatorCandidateEvent.OutputTuple,
+    AddToValidatorCandidateEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminChanged"
+  ): TypedContractEvent<
+    AdminChangedEvent.InputTuple,
+    AdminChangedEvent.OutputTuple,
+    AdminChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimDelegatorRewards"
+  ): TypedContractEvent<
+    ClaimDelegatorRewardsEvent.InputTuple,
+    ClaimDelegatorRewardsEvent.OutputTuple,
+    ClaimDelegatorRewardsEvent.OutputObject
+  >;
+  getEvent(
+    key: "CommissionRateUpdated"
+  ): TypedContractEvent<
+    CommissionRateUpdatedEvent.InputTuple,
+    CommissionRateUpdatedEvent.OutputTuple,
+    CommissionRateUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyPauseToggled"
+  ): TypedContractEvent<
+    EmergencyPauseToggledEvent.InputTuple,
+    EmergencyPauseToggledEvent.OutputTuple,
+    EmergencyPauseToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Redelegate"
+  ): TypedContractEvent<
+    RedelegateEvent.InputTuple,
+    RedelegateEvent.OutputTuple,
+    RedelegateEvent.OutputObject
+  >;
+  getEvent(
+    key: "RemoveFromValidatorCandidate"
+  ): TypedContractEvent<
+    RemoveFromValidatorCandidateEvent.InputTuple,
+    RemoveFromValidatorCandidateEvent.OutputTuple,
+    RemoveFromValidatorCandidateEvent.OutputObject
+  >;
+  getEvent(
+    key: "RewardDistributed"
+  ): TypedContractEvent<
+    RewardDistributedEvent.InputTuple,
+    RewardDistributedEvent.OutputTuple,
+    RewardDistributedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Staking"
+  ): TypedContractEvent<
+    StakingEvent.InputTuple,
+    StakingEvent.OutputTuple,
+    StakingEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unstake"
+  ): TypedContractEvent<
+    UnstakeEvent.InputTuple,
+    UnstakeEvent.OutputTuple,
+    UnstakeEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorCreated"
+  ): TypedContractEvent<
+    ValidatorCreatedEvent.InputTuple,
+    ValidatorCreatedEvent.OutputTuple,
+    ValidatorCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorSetUpdated"
+  ): TypedContractEvent<
+    ValidatorSetUpdatedEvent.InputTuple,
+    ValidatorSetUpdatedEvent.OutputTuple,
+    ValidatorSetUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorSlash"
+  ): TypedContractEvent<
+    ValidatorSlashEvent.InputTuple,
+    ValidatorSlashEvent.OutputTuple,
+    ValidatorSlashEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorUnjailed"
+  ): TypedContractEvent<
+    ValidatorUnjailedEvent.InputTuple,
+    ValidatorUnjailedEvent.OutputTuple,
+    ValidatorUnjailedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ValidatorUpdated"
+  ): TypedContractEvent<
+    ValidatorUpdatedEvent.InputTuple,
+    ValidatorUpdatedEvent.OutputTuple,
+    ValidatorUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "WithdrawRewards"
+  ): TypedContractEvent<
+    WithdrawRewardsEvent.InputTuple,
+    WithdrawRewardsEvent.OutputTuple,
+    WithdrawRewardsEvent.OutputObject
+  >;
+  getEvent(
+    key: "WithdrawStaking"
+  ): TypedContractEvent<
+    WithdrawStakingEvent.InputTuple,
+    WithdrawStakingEvent.OutputTuple,
+    WithdrawStakingEvent.OutputObject
+  >;
+
+  filters: {
+    "AddToValidatorCandidate(address,uint256)": TypedContractEvent<
+      AddToValidatorCandidateEvent.InputTuple,
+      AddToValidatorCandidateEvent.OutputTuple,
+      AddToValidatorCandidateEvent.OutputObject
+    >;
+    AddToValidatorCandidate: TypedContractEvent<
+      AddToValidatorCandidateEvent.InputTuple,
+      AddToValidatorCandidateEvent.OutputTuple,
+      AddToValidatorCandidateEvent.OutputObject
+    >;
+
+    "AdminChanged(address,address)": TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+    AdminChanged: TypedContractEvent<
+      AdminChangedEvent.InputTuple,
+      AdminChangedEvent.OutputTuple,
+      AdminChangedEvent.OutputObject
+    >;
+
+    "ClaimDelegatorRewards(address,address,uint256)": TypedContractEvent<
+      ClaimDelegatorRewardsEvent.InputTuple,
+      ClaimDelegatorRewardsEvent.OutputTuple,
+      ClaimDelegatorRewardsEvent.OutputObject
+    >;
+    ClaimDelegatorRewards: TypedContractEvent<
+      ClaimDelegatorRewardsEvent.InputTuple,
+      ClaimDelegatorRewardsEvent.OutputTuple,
+      ClaimDelegatorRewardsEvent.OutputObject
+    >;
+
+    "CommissionRateUpdated(address,uint256,uint256)": TypedContractEvent<
+      CommissionRateUpdatedEvent.InputTuple,
+      CommissionRateUpdatedEvent.OutputTuple,
+      CommissionRateUpdatedEvent.OutputObject
+    >;
+    CommissionRateUpdated: TypedContractEvent<
+      CommissionRateUpdatedEvent.InputTuple,
+      CommissionRateUpdatedEvent.OutputTuple,
+      CommissionRateUpdatedEvent.OutputObject
+    >;
+
+    "EmergencyPauseToggled(bool,address)": TypedContractEvent<
+      EmergencyPauseToggledEvent.InputTuple,
+      EmergencyPauseToggledEvent.OutputTuple,
+      EmergencyPauseToggledEvent.OutputObject
+    >;
+    EmergencyPauseToggled: TypedContractEvent<
+      EmergencyPauseToggledEvent.InputTuple,
+      EmergencyPauseToggledEvent.OutputTuple,
+      EmergencyPauseToggledEvent.OutputObject
+    >;
+
+    "Paused()": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "Redelegate(address,address,address,uint256)": TypedContractEvent<
+      RedelegateEvent.InputTuple,
+      RedelegateEvent.OutputTuple,
+      RedelegateEvent.OutputObject
+    >;
+    Redelegate: TypedContractEvent<
+      RedelegateEvent.InputTuple,
+      RedelegateEvent.OutputTuple,
+      RedelegateEvent.OutputObject
+    >;
+
+    "RemoveFromValidatorCandidate(address)": TypedContractEvent<
+      RemoveFromValidatorCandidateEvent.InputTuple,
+      RemoveFromValidatorCandidateEvent.OutputTuple,
+      RemoveFromValidatorCandidateEvent.OutputObject
+    >;
+    RemoveFromValidatorCandidate: TypedContractEvent<
+      RemoveFromValidatorCandidateEvent.InputTuple,
+      RemoveFromValidatorCandidateEvent.OutputTuple,
+      RemoveFromValidatorCandidateEvent.OutputObject
+    >;
+
+    "RewardDistributed(address[],uint256[],uint256,uint256)": TypedContractEvent<
+      RewardDistributedEvent.InputTuple,
+      RewardDistributedEvent.OutputTuple,
+      RewardDistributedEvent.OutputObject
+    >;
+    RewardDistributed: TypedContractEvent<
+      RewardDistributedEvent.InputTuple,
+      RewardDistributedEvent.OutputTuple,
+      RewardDistributedEvent.OutputObject
+    >;
+
+    "Staking(address,address,uint256)": TypedContractEvent<
+      StakingEvent.InputTuple,
+      StakingEvent.OutputTuple,
+      StakingEvent.OutputObject
+    >;
+    Staking: TypedContractEvent<
+      StakingEvent.InputTuple,
+      StakingEvent.OutputTuple,
+      StakingEvent.OutputObject
+    >;
+
+    "Unpaused()": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Unstake(address,address,uint256,uint256)": TypedContractEvent<
+      UnstakeEvent.InputTuple,
+      UnstakeEvent.OutputTuple,
+      UnstakeEvent.OutputObject
+    >;
+    Unstake: TypedContractEvent<
+      UnstakeEvent.InputTuple,
+      UnstakeEvent.OutputTuple,
+      UnstakeEvent.OutputObject
+    >;
+
+    "ValidatorCreated(address,address,uint256)": TypedContractEvent<
+      ValidatorCreatedEvent.InputTuple,
+      ValidatorCreatedEvent.OutputTuple,
+      ValidatorCreatedEvent.OutputObject
+    >;
+    ValidatorCreated: TypedContractEvent<
+      ValidatorCreatedEvent.InputTuple,
+      ValidatorCreatedEvent.OutputTuple,
+      ValidatorCreatedEvent.OutputObject
+    >;
+
+    "ValidatorSetUpdated(address[],uint256)": TypedContractEvent<
+      ValidatorSetUpdatedEvent.InputTuple,
+      ValidatorSetUpdatedEvent.OutputTuple,
+      ValidatorSetUpdatedEvent.OutputObject
+    >;
+    ValidatorSetUpdated: TypedContractEvent<
+      ValidatorSetUpdatedEvent.InputTuple,
+      ValidatorSetUpdatedEvent.OutputTuple,
+      ValidatorSetUpdatedEvent.OutputObject
+    >;
+
+    "ValidatorSlash(address,uint256,uint256)": TypedContractEvent<
+      ValidatorSlashEvent.InputTuple,
+      ValidatorSlashEvent.OutputTuple,
+      ValidatorSlashEvent.OutputObject
+    >;
+    ValidatorSlash: TypedContractEvent<
+      ValidatorSlashEvent.InputTuple,
+      ValidatorSlashEvent.OutputTuple,
+      ValidatorSlashEvent.OutputObject
+    >;
+
+    "ValidatorUnjailed(address)": TypedContractEvent<
+      ValidatorUnjailedEvent.InputTuple,
+      ValidatorUnjailedEvent.OutputTuple,
+      ValidatorUnjailedEvent.OutputObject
+    >;
+    ValidatorUnjailed: TypedContractEvent<
+      ValidatorUnjailedEvent.InputTuple,
+      ValidatorUnjailedEvent.OutputTuple,
+      ValidatorUnjailedEvent.OutputObject
+    >;
+
+    "ValidatorUpdated(address,address)": TypedContractEvent<
+      ValidatorUpdatedEvent.InputTuple,
+      ValidatorUpdatedEvent.OutputTuple,
+      ValidatorUpdatedEvent.OutputObject
+    >;
+    ValidatorUpdated: TypedContractEvent<
+      ValidatorUpdatedEvent.InputTuple,
+      ValidatorUpdatedEvent.OutputTuple,
+      ValidatorUpdatedEvent.OutputObject
+    >;
+
+    "WithdrawRewards(address,address,uint256,uint256)": TypedContractEvent<
+      WithdrawRewardsEvent.InputTuple,
+      WithdrawRewardsEvent.OutputTuple,
+      WithdrawRewardsEvent.OutputObject
+    >;
+    WithdrawRewards: TypedContractEvent<
+      WithdrawRewardsEvent.InputTuple,
+      WithdrawRewardsEvent.OutputTuple,
+      WithdrawRewardsEvent.OutputObject
+    >;
+
+    "WithdrawStaking(address,address,uint256)": TypedContractEvent<
+      WithdrawStakingEvent.InputTuple,
+      WithdrawStakingEvent.OutputTuple,
+      WithdrawStakingEvent.OutputObject
+    >;
+    WithdrawStaking: TypedContractEvent<
+      WithdrawStakingEvent.InputTuple,
+      WithdrawStakingEvent.OutputTuple,
+      WithdrawStakingEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,591 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type { Slash, SlashInterface } from "../Slash";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [],
+    name: "Paused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "newThreshold",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "newDecreaseRate",
+        type: "uint256",
+      },
+    ],
+    name: "SlashParametersUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "SlashRecordCleared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [],
+    name: "Unpaused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256[]",
+        name: "missedBlockCounters",
+        type: "uint256[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "decreasedCount",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorDecreasedMissedBlockCounter",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "missedCount",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorMissedBlock",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "missedBlocksCounter",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorSlashed",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "BlockEpoch",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_DECREASE_RATE",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_SLASH_THRESHOLD",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "SlashContractAddr",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "ValidatorContractAddr",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "blocksUntilSlash",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "changeAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "clean",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "decreaseMissedBlocksCounter",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "decreaseRate",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getAllSlashValidators",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getSlashRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getSlashRecords",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "missedBlocksCounters",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getSlashValidatorsLen",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "initialize",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "initialized",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "paused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "slash",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "slashRecordExists",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "slashRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "missedBlocksCounter",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "decreasePrevNumber",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exist",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "slashThreshold",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "slashValidators",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "unpause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "newThreshold",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "newDecreaseRate",
+        type: "uint256",
+      },
+    ],
+    name: "updateSlashParameters",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "validatorContract",
+    outputs: [
+      {
+        internalType: "contract IValidators",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b506118b1806100206000396000f3fe608060405234801561001057600080fd5b50600436106101a95760003560e01c80638456cb59116100f9578063d112194711610097578063ee29063211610071578063ee29063214610359578063f186b49e14610382578063f851a440146103b1578063fc99d7a5146103ca57600080fd5b8063d112194714610334578063e8a3298b14610349578063ea29ba5f1461035157600080fd5b8063b11b7e28116100d3578063b11b7e28146101d7578063c96be4cb146102ec578063ca342770146102ff578063cda2db1b1461032157600080fd5b80638456cb59146102b15780638f283970146102b957806399439089146102cc57600080fd5b80633f4ba83a116101665780635df415d9116101405780635df415d91461028f5780635e81f1f81461029857806367239a04146102a05780638129fc1c146102a957600080fd5b80633f4ba83a1461022b5780635b691dc6146102355780635c975abb1461027d57600080fd5b8063014667ba146101ae578063123bb007146101d7578063158ef93e146101df578063169b2623146101f95780632897183d1461020c5780633a061bd314610215575b600080fd5b6101c16101bc36600461114b565b6103dd565b6040516101ce919061117c565b60405180910390f35b6101c1603081565b6000546101ec9060ff1681565b6040516101ce9190611192565b6101ec61020736600461114b565b61041d565b6101c160025481565b61021e61100081565b6040516101ce91906111a9565b610233610617565b005b61026d61024336600461114b565b60046020526000908152604090208054600182015460028301546003909301549192909160ff1684565b6040516101ce94939291906111b7565b6000546101ec90610100900460ff1681565b6101c160015481565b6102336106a2565b61021e61100181565b610233610730565b610233610797565b6102336102c736600461114b565b610827565b6003546102df906001600160a01b031681565b6040516101ce919061121c565b6102336102fa36600461114b565b6108e6565b61031261030d36600461123b565b6109e4565b6040516101ce9392919061131d565b61021e61032f366004611351565b610b76565b61033c610ba0565b6040516101ce9190611372565b6101c160c881565b6005546101c1565b6101c161036736600461114b565b6001600160a01b031660009081526004602052604090205490565b6101ec61039036600461114b565b6001600160a01b031660009081526004602052604090206003015460ff1690565b60005461021e906201000090046001600160a01b031681565b6102336103d836600461123b565b610c02565b6001600160a01b03811660009081526004602052604081205460015481106104085750600092915050565b806001546104169190611399565b9392505050565b6000610427610cfc565b33611000146104515760405162461bcd60e51b8152600401610448906113f6565b60405180910390fd5b816001600160a01b0381166104785760405162461bcd60e51b81526004016104489061142a565b6001600160a01b0383166000908152600460205260409020600381015460ff1680156104a45750805415155b156104ae57600081555b600381015460ff1680156104c3575060055415155b1561060d576005546104d790600190611399565b81600101541461057c5760058054600091906104f590600190611399565b815481106105055761050561143a565b9060005260206000200160009054906101000a90046001600160a01b0316905080600583600101548154811061053d5761053d61143a565b600091825260208083209190910180546001600160a01b0319166001600160a01b03948516179055600185810154949093168252600490526040902001555b600580548061058d5761058d611450565b60008281526020808220830160001990810180546001600160a01b03191690559092019092556001600160a01b038616808352600490915260408083208381556001810184905560028101849055600301805460ff191690555190917f77eb05716cd087199d0dc3aef8de0da5d7bd3dca2a076f0f57807027f919c3db91a25b5060019392505050565b6000546201000090046001600160a01b031633146106475760405162461bcd60e51b8152600401610448906114a2565b600054610100900460ff1661066e5760405162461bcd60e51b8152600401610448906114d1565b6000805461ff00191681556040517fa45f47fdea8a1efdd9029a5691c7f759c32b7c698632b563573e155625d169339190a1565b3341146106c15760405162461bcd60e51b815260040161044890611529565b60075443116106e25760405162461bcd60e51b81526004016104489061156b565b6106ea610cfc565b6106f560c843611591565b156107125760405162461bcd60e51b8152600401610448906115ca565b61071a610d20565b6005541561072a5761072a610d48565b43600755565b60005460ff16156107535760405162461bcd60e51b81526004016104489061160a565b600380546001600160a01b031916611000179055603060018181556002919091556000805460ff196201000033021661ff01600160b01b0319909116179091179055565b6000546201000090046001600160a01b031633146107c75760405162461bcd60e51b8152600401610448906114a2565b600054610100900460ff16156107ef5760405162461bcd60e51b81526004016104489061163d565b6000805461ff0019166101001781556040517f9e87fac88ff661f02d44f95383c817fece4bce600a3dab7a54406878b965e7529190a1565b6000546201000090046001600160a01b031633146108575760405162461bcd60e51b8152600401610448906114a2565b6001600160a01b03811661087d5760405162461bcd60e51b815260040161044890611677565b600080546040516001600160a01b03808516936201000090930416917f7e644d79422f17c01e4894b5f4f588d331ebfa28653d42ae832dc59e38c9798f91a3600080546001600160a01b03909216620100000262010000600160b01b0319909216919091179055565b3341146109055760405162461bcd60e51b815260040161044890611529565b61090d610cfc565b600654431161092e5760405162461bcd60e51b8152600401610448906116b9565b610936610d20565b806001600160a01b03811661095d5760405162461bcd60e51b81526004016104489061142a565b600354604051631c8b8a3d60e01b81526001600160a01b0390911690631c8b8a3d9061098d9085906004016111a9565b602060405180830381865afa1580156109aa573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906109ce91906116dc565b156109dc576109dc82610f47565b505043600655565b600554606090819060006109f98287876110df565b90508067ffffffffffffffff811115610a1457610a146116fd565b604051908082528060200260200182016040528015610a3d578160200160208202803683370190505b5093508067ffffffffffffffff811115610a5957610a596116fd565b604051908082528060200260200182016040528015610a82578160200160208202803683370190505b50925060005b81811015610b6d576005610a9c8289611713565b81548110610aac57610aac61143a565b9060005260206000200160009054906101000a90046001600160a01b0316858281518110610adc57610adc61143a565b60200260200101906001600160a01b031690816001600160a01b03168152505060046000868381518110610b1257610b1261143a565b60200260200101516001600160a01b03166001600160a01b0316815260200190815260200160002060000154848281518110610b5057610b5061143a565b602090810291909101015280610b6581611726565b915050610a88565b50509250925092565b60058181548110610b8657600080fd5b6000918252602090912001546001600160a01b0316905081565b60606005805480602002602001604051908101604052809291908181526020018280548015610bf857602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311610bda575b5050505050905090565b6000546201000090046001600160a01b03163314610c325760405162461bcd60e51b8152600401610448906114a2565b610c3a610d20565b600082118015610c4b575060648211155b610c675760405162461bcd60e51b815260040161044890611765565b600081118015610c78575060648111155b610c945760405162461bcd60e51b81526004016104489061179f565b80821015610cb45760405162461bcd60e51b8152600401610448906117ec565b600182905560028190556040517ff6223ecd911e56a4b0cbe2de2af36e99a4edce1b98e459ae9282aee3c222752690610cf090849084906117fc565b60405180910390a15050565b60005460ff16610d1e5760405162461bcd60e51b815260040161044890611849565b565b600054610100900460ff1615610d1e5760405162461bcd60e51b815260040161044890611880565b60055460008167ffffffffffffffff811115610d6657610d666116fd565b604051908082528060200260200182016040528015610d8f578160200160208202803683370190505b50905060008267ffffffffffffffff811115610dad57610dad6116fd565b604051908082528060200260200182016040528015610dd6578160200160208202803683370190505b509050600080600254600154610dec9190611890565b905060005b85811015610efd57600060058281548110610e0e57610e0e61143a565b60009182526020808320909101546001600160a01b03168083526004909152604090912060038101549192509060ff168015610e4d5750438160020154105b15610ee8574360028201558054841015610e805783816000016000828254610e759190611399565b90915550610e859050565b600081555b81878681518110610e9857610e9861143a565b60200260200101906001600160a01b031690816001600160a01b0316815250508060000154868681518110610ecf57610ecf61143a565b602090810291909101015284610ee481611726565b9550505b50508080610ef590611726565b915050610df1565b508115610f40577f3e4ebe048d2e0b45269f37ccbfa8ef90af31aea2941cbc91615c150bbe2713f7848484604051610f379392919061131d565b60405180910390a15b5050505050565b6001600160a01b0381166000908152600460205260409020600381015460ff16610fcd5760058054600183810182905580820183556000929092527f036b6384b5eca791c62761152d0c79bb0604c104a5fb6f4eb0703f3154bb3db00180546001600160a01b0319166001600160a01b03851617905560038201805460ff191690911790555b8054816000610fdb83611726565b9190505550816001600160a01b03167faa05ad8bd5a439383515a4c1d513394bdc65d7afd3b2ce09f405b53efc6784ae826000015460405161101d919061117c565b60405180910390a26001548154106110db57600354604051632388fac360e11b81526001600160a01b0390911690634711f5869061105f9085906004016111a9565b600060405180830381600087803b15801561107957600080fd5b505af115801561108d573d6000803e3d6000fd5b50505050816001600160a01b03167f17bddadfd7ec8898c3b9eadd0cf5ae77ba8d5df3a50e96ab86ec2dd711aa8fbb82600001546040516110ce919061117c565b60405180910390a2600081555b5050565b60008383106110f057506000610416565b60006110fc8486611399565b905082811061110b578261110d565b805b95945050505050565b60006001600160a01b0382165b92915050565b61113281611116565b811461113d57600080fd5b50565b803561112381611129565b60006020828403121561116057611160600080fd5b600061116c8484611140565b949350505050565b805b82525050565b602081016111238284611174565b801515611176565b60208101611123828461118a565b61117681611116565b6020810161112382846111a0565b608081016111c58287611174565b6111d26020830186611174565b6111df6040830185611174565b61110d606083018461118a565b60006001600160a01b038216611123565b6000611123826111ec565b6000611123826111fd565b61117681611208565b602081016111238284611213565b80611132565b80356111238161122a565b6000806040838503121561125157611251600080fd5b600061125d8585611230565b925050602061126e85828601611230565b9150509250929050565b61128282826111a0565b5060200190565b60200190565b6000611299825190565b808452602093840193830160005b828110156112cc5781516112bb8782611278565b9650506020820191506001016112a7565b5093949350505050565b6112828282611174565b60006112ea825190565b808452602093840193830160005b828110156112cc57815161130c87826112d6565b9650506020820191506001016112f8565b6060808252810161132e818661128f565b9050818103602083015261134281856112e0565b905061116c6040830184611174565b60006020828403121561136657611366600080fd5b600061116c8484611230565b60208082528101610416818461128f565b634e487b7160e01b600052601160045260246000fd5b8181038181111561112357611123611383565b602d8152602081017f746865206d6573736167652073656e646572206d7573742062652076616c696481526c185d1bdc8818dbdb9d1c9858dd609a1b602082015290505b60400190565b60208082528101611123816113ac565b600f8152602081016e496e76616c6964206164647265737360881b81529050611289565b6020808252810161112381611406565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052603160045260246000fd5b60218152602081017f4f6e6c792061646d696e2063616e2063616c6c20746869732066756e6374696f8152603760f91b602082015290506113f0565b6020808252810161112381611466565b600a81526020810169139bdd081c185d5cd95960b21b81529050611289565b60208082528101611123816114b2565b602d8152602081017f746865206d6573736167652073656e646572206d75737420626520746865206281526c3637b1b590383937b23ab1b2b960991b602082015290506113f0565b60208082528101611123816114e1565b601f8152602081017f416c72656164792064656372656173656420696e207468697320626c6f636b0081529050611289565b6020808252810161112381611539565b634e487b7160e01b600052601260045260246000fd5b6000826115a0576115a061157b565b500690565b60108152602081016f426c6f636b2065706f6368206f6e6c7960801b81529050611289565b60208082528101611123816115a5565b60208082527f74686520636f6e747261637420616c726561647920696e697469616c697a65649101908152611289565b60208082528101611123816115da565b600e8152602081016d105b1c9958591e481c185d5cd95960921b81529050611289565b602080825281016111238161161a565b601581526020810174496e76616c69642061646d696e206164647265737360581b81529050611289565b602080825281016111238161164d565b601d8152602081017f416c726561647920736c617368656420696e207468697320626c6f636b00000081529050611289565b6020808252810161112381611687565b801515611132565b8051611123816116c9565b6000602082840312156116f1576116f1600080fd5b600061116c84846116d1565b634e487b7160e01b600052604160045260246000fd5b8082018082111561112357611123611383565b60006001820161173857611738611383565b5060010190565b601181526020810170125b9d985b1a59081d1a1c995cda1bdb19607a1b81529050611289565b602080825281016111238161173f565b601581526020810174496e76616c6964206465637265617365207261746560581b81529050611289565b6020808252810161112381611775565b60228152602081017f5468726573686f6c64206d757374206265203e3d206465637265617365207261815261746560f01b602082015290506113f0565b60208082528101611123816117af565b6040810161180a8285611174565b6104166020830184611174565b60198152602081017f74686520636f6e7472616374206e6f7420696e6974207965740000000000000081529050611289565b6020808252810161112381611817565b60128152602081017110dbdb9d1c9858dd081a5cc81c185d5cd95960721b81529050611289565b6020808252810161112381611859565b60008261189f5761189f61157b565b50049056fea164736f6c6343000813000a";
+
+type SlashConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: SlashConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class Slash__factory extends ContractFactory {
+  constructor(...args: SlashConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      Slash & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): Slash__factory {
+    return super.connect(runner) as Slash__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): SlashInterface {
+    return new Interface(_abi) as SlashInterface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): Slash {
+    return new Contract(address, _abi, runner) as unknown as Slash;
+  }
+}
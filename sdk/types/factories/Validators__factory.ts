@@ -0,0 +1,1500 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type { Validators, ValidatorsInterface } from "../Validators";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "totalStake",
+        type: "uint256",
+      },
+    ],
+    name: "AddToValidatorCandidate",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "delegator",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimDelegatorRewards",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "oldRate",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "newRate",
+        type: "uint256",
+      },
+    ],
+    name: "CommissionRateUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "paused",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "address",
+        name: "admin",
+        type: "address",
+      },
+    ],
+    name: "EmergencyPauseToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [],
+    name: "Paused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "staker",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "fromValidator",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "toValidator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Redelegate",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "RemoveFromValidatorCandidate",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256[]",
+        name: "rewards",
+        type: "uint256[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "totalAmount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "remainder",
+        type: "uint256",
+      },
+    ],
+    name: "RewardDistributed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "staker",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Staking",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [],
+    name: "Unpaused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "staker",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "unlockTimestamp",
+        type: "uint256",
+      },
+    ],
+    name: "Unstake",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "rewardAddr",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "commissionRate",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "blockNumber",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorSetUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "newTotalStake",
+        type: "uint256",
+      },
+    ],
+    name: "ValidatorSlash",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "ValidatorUnjailed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "rewardAddr",
+        type: "address",
+      },
+    ],
+    name: "ValidatorUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "rewardAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nextWithdrawTimestamp",
+        type: "uint256",
+      },
+    ],
+    name: "WithdrawRewards",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "staker",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "WithdrawStaking",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "BlockEpoch",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DEFAULT_COMMISSION_RATE",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_COMMISSION_RATE",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_UNBONDING_ENTRIES",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_VALIDATOR_NUM",
+    outputs: [
+      {
+        internalType: "uint16",
+        name: "",
+        type: "uint16",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MIN_DELEGATOR_STAKE",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MIN_VALIDATOR_TOTAL_STAKE",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "STAKING_LOCK_PERIOD",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "SlashContractAddr",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "VALIDATOR_SLASH_PENALTY",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "ValidatorContractAddr",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "WITHDRAW_REWARD_PERIOD",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "changeAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "claimDelegatorRewards",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address payable",
+        name: "rewardAddr",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "moniker",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "email",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "create",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address payable",
+        name: "rewardAddr",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "moniker",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "email",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "commissionRate",
+        type: "uint256",
+      },
+    ],
+    name: "createWithCommission",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "distributeBlockReward",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address payable",
+        name: "rewardAddr",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "moniker",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "email",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "edit",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getActivatedValidators",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getCandidates",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "validator",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "rewardAddr",
+            type: "address",
+          },
+          {
+            internalType: "enum Validators.Status",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "totalStaked",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "rewardAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "slashAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "commissionRate",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "delegatorCount",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "candidate",
+            type: "bool",
+          },
+        ],
+        internalType: "struct Validators.ValidatorSummary[]",
+        name: "candidates",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "delegator",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getDelegation",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "delegatedAmount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "redelegationLockEnd",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getDelegators",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "delegators",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "amounts",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "staker",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getPendingRewards",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getTotalNetworkStaked",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "delegator",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getUnbondingEntries",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "unlockTimestamp",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct Validators.UnbondingEntry[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getValidatorInfo",
+    outputs: [
+      {
+        internalType: "address",
+        name: "rewardAddr",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "status",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "totalStaked",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "rewardAmount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "slashAmount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "commissionRate",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+    ],
+    name: "getValidatorSummaries",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "validator",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "rewardAddr",
+            type: "address",
+          },
+          {
+            internalType: "enum Validators.Status",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "totalStaked",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "rewardAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "slashAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "commissionRate",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "delegatorCount",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "candidate",
+            type: "bool",
+          },
+        ],
+        internalType: "struct Validators.ValidatorSummary[]",
+        name: "summaries",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "validators",
+        type: "address[]",
+      },
+    ],
+    name: "initialize",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "initialized",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "isJailed",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "isValidatorActivated",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "isValidatorCandidate",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "paused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "fromValidator",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "toValidator",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "redelegate",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "slashValidator",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "stake",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "toggleEmergencyPause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "unjailValidator",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "unpause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "unstake",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "updateActivatedValidators",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "newRate",
+        type: "uint256",
+      },
+    ],
+    name: "updateCommissionRate",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "updateEmergencyAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "moniker",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "email",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "validateDescription",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "pure",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "withdrawRewards",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "withdrawStaking",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    stateMutability: "payable",
+    type: "receive",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50615bef80620000216000396000f3fe6080604052600436106102cc5760003560e01c80636bd8f80411610175578063a151bc22116100dc578063c2a672e011610095578063d6c0edad1161006f578063d6c0edad14610889578063e8a3298b14610891578063f851a440146108a6578063fd4facde146108cc57600080fd5b8063c2a672e01461083d578063ce5cf3771461085d578063d2f01a9b1461087257600080fd5b8063a151bc221461078f578063a224cee7146107bd578063a41fcdc3146107dd578063b7d02ce2146107f2578063b7dc5c4014610812578063b8db983e1461082757600080fd5b80638af0a8691161012e5780638af0a869146106cc5780638cab587d146106ee5780638f283970146107015780639b7fb06314610721578063a077474314610741578063a0c3f2d21461075657600080fd5b80636bd8f804146105f357806370905dce14610613578063798dacd7146106385780637a27db57146106655780638456cb59146106855780638a11d7c91461069a57600080fd5b80631c8b8a3d116102345780632b599c0d116101ed57806342d86693116101c757806342d866931461057e5780634711f5861461059e5780635c975abb146105be57806367239a04146105dd57600080fd5b80632b599c0d146105285780633a061bd3146105465780633f4ba83a1461056957600080fd5b80631c8b8a3d14610488578063207239c0146104a857806321974455146104be578063222d3b05146104db57806326476204146104fb57806327c830a91461050e57600080fd5b806314c57e931161028657806314c57e93146103a457806315049a5a146103c4578063158ef93e146103f257806315de53801461040c5780631a8d57bc1461043b5780631c7e75e71461045b57600080fd5b8062fa3d50146102d85780630b3a23231461030e5780630f95257314610330578063142d13c91461035a578063147e291f1461036d57806314bfb5271461038457600080fd5b366102d357005b600080fd5b3480156102e457600080fd5b506102f86102f33660046141bb565b6108e2565b60405161030591906141e6565b60405180910390f35b34801561031a57600080fd5b50610323606581565b60405161030591906141fe565b34801561033c57600080fd5b5061034d683635c9adc5dea0000081565b6040516103059190614212565b6102f861036836600461428f565b61098b565b34801561037957600080fd5b506103826109c6565b005b34801561039057600080fd5b506102f861039f366004614394565b610a46565b3480156103b057600080fd5b506103826103bf366004614394565b610a85565b3480156103d057600080fd5b506103e46103df3660046143b5565b610ae7565b6040516103059291906143f2565b3480156103fe57600080fd5b506000546102f89060ff1681565b34801561041857600080fd5b5061042c61042736600461440d565b610b37565b6040516103059392919061450b565b34801561044757600080fd5b506102f8610456366004614394565b610cfa565b34801561046757600080fd5b5061047b6104763660046143b5565b610e93565b60405161030591906145ac565b34801561049457600080fd5b506102f86104a3366004614394565b610f2d565b3480156104b457600080fd5b5061034d6103e881565b3480156104ca57600080fd5b5061034d681b1ae4d6e2ef50000081565b3480156104e757600080fd5b506102f86104f6366004614394565b610f96565b6102f8610509366004614394565b6111a9565b34801561051a57600080fd5b50600a546102f89060ff1681565b34801561053457600080fd5b5061034d69021e19e0c9bab240000081565b34801561055257600080fd5b5061055c61100081565b60405161030591906145bd565b34801561057557600080fd5b506103826111d6565b34801561058a57600080fd5b506102f8610599366004614394565b611261565b3480156105aa57600080fd5b506103826105b9366004614394565b61137e565b3480156105ca57600080fd5b506000546102f890610100900460ff1681565b3480156105e957600080fd5b5061055c61100181565b3480156105ff57600080fd5b506102f861060e3660046145cb565b6114f9565b34801561061f57600080fd5b50600a5461055c9061010090046001600160a01b031681565b34801561064457600080fd5b5061065861065336600461464a565b6116e7565b60405161030591906147ca565b34801561067157600080fd5b5061034d6106803660046143b5565b6117ae565b34801561069157600080fd5b50610382611848565b3480156106a657600080fd5b506106ba6106b5366004614394565b6118d8565b60405161030596959493929190614831565b3480156106d857600080fd5b506106e1611a94565b6040516103059190614892565b6102f86106fc3660046148a3565b611bf7565b34801561070d57600080fd5b5061038261071c366004614394565b611c33565b34801561072d57600080fd5b506102f861073c3660046148a3565b611cf2565b34801561074d57600080fd5b5060055461034d565b34801561076257600080fd5b506102f8610771366004614394565b6001600160a01b031660009081526009602052604090205460ff1690565b34801561079b57600080fd5b506107af6107aa366004614994565b611d81565b6040516103059291906149c7565b3480156107c957600080fd5b506103826107d836600461464a565b611e62565b3480156107e957600080fd5b5061034d600781565b3480156107fe57600080fd5b506102f861080d366004614adb565b611f60565b34801561081e57600080fd5b506106e1611ff9565b34801561083357600080fd5b5061034d6101f481565b34801561084957600080fd5b506102f8610858366004614ba6565b61205b565b34801561086957600080fd5b506102f86120fa565b34801561087e57600080fd5b5061034d6201518081565b61038261228a565b34801561089d57600080fd5b5061034d60c881565b3480156108b257600080fd5b5060005461055c906201000090046001600160a01b031681565b3480156108d857600080fd5b5061034d61708081565b60006108ec612311565b6108f4612335565b336108fe81612358565b6103e88311156109295760405162461bcd60e51b815260040161092090614bfa565b60405180910390fd5b3360008181526001602052604090819020600a01805490869055905182907f973d9fdad653ba8759dd3d5c02c1880b8663ab2ba904f94010dc32b69c47c9a59061097690849089906143f2565b60405180910390a26001935050505b50919050565b6000610995612311565b61099d6123ae565b6109a5612335565b6109b78b8b8b8b8b8b8b8b8b8b6123d6565b9b9a5050505050505050505050565b600a5461010090046001600160a01b031633146109f55760405162461bcd60e51b815260040161092090614c33565b600a805460ff19811660ff918216159081179092556040517f81fb10540499dac6157b25576349c719be885b5774e4a0dda606c2f33947d51f92610a3c9216903390614c43565b60405180910390a1565b600060046001600160a01b038316600090815260016020526040902054600160a01b900460ff166004811115610a7e57610a7e614691565b1492915050565b600a5461010090046001600160a01b03163314610ab45760405162461bcd60e51b815260040161092090614c33565b80610abe8161248d565b50600a80546001600160a01b0390921661010002610100600160a81b0319909216919091179055565b6001600160a01b0380831660009081526002602090815260408083209385168352928152828220600190915291812090918291610b259082906124b3565b816008015492509250505b9250929050565b6001600160a01b03831660009081526001602052604081206009018054606092839290610b658388886124fa565b9050806001600160401b03811115610b7f57610b7f6149e7565b604051908082528060200260200182016040528015610ba8578160200160208202803683370190505b509450806001600160401b03811115610bc357610bc36149e7565b604051908082528060200260200182016040528015610bec578160200160208202803683370190505b50935060005b81811015610cee5782610c05828a614c74565b81548110610c1557610c15614c87565b9060005260206000200160009054906101000a90046001600160a01b0316868281518110610c4557610c45614c87565b60200260200101906001600160a01b031690816001600160a01b031681525050610cbf60026000888481518110610c7e57610c7e614c87565b6020908102919091018101516001600160a01b0390811683528282019390935260409182016000908120938e168152928152818320600190915291206124b3565b858281518110610cd157610cd1614c87565b602090810291909101015280610ce681614c9d565b915050610bf2565b50505093509350939050565b6000610d04612533565b610d0c612335565b81610d1681612358565b3360008181526002602090815260408083206001600160a01b038816845290915290208054151580610d4c575060008160040154115b610d685760405162461bcd60e51b815260040161092090614ce8565b610d72828661255c565b600481015480610d945760405162461bcd60e51b815260040161092090614d20565b60006004830181905582546001600160a01b038816825260016020526040909120600c0154670de0b6b3a764000091610dcc91614d30565b610dd69190614d5d565b60038301554360078301556001600160a01b0386166000908152600160205260409020600b8101548211610e23578181600b016000828254610e189190614d71565b90915550610e2b9050565b6000600b8201555b610e3584836125fe565b866001600160a01b0316846001600160a01b03167fff939e4e10b7a7d5b84525f6fad2034ade34c1a43c8d4c314aff33eaed41b45984604051610e789190614212565b60405180910390a36001955050505050506001600c55919050565b6001600160a01b0380831660009081526002602090815260408083209385168352928152828220600101805484518184028101840190955280855260609493919290919084015b82821015610f2057838290600052602060002090600202016040518060400160405290816000820154815260200160018201548152505081526020019060010190610eda565b5050505090505b92915050565b6000805b600454811015610f8d57826001600160a01b031660048281548110610f5857610f58614c87565b6000918252602090912001546001600160a01b031603610f7b5750600192915050565b80610f8581614c9d565b915050610f31565b50600092915050565b6000610fa0612533565b610fa86123ae565b610fb0612335565b81610fba81612358565b3360008181526002602090815260408083206001600160a01b03881684529091529020600181018054610fff5760405162461bcd60e51b815260040161092090614dab565b60008060005b83548110156110dd5783818154811061102057611020614c87565b906000526020600020906002020160010154421061106e5783818154811061104a5761104a614c87565b906000526020600020906002020160000154836110679190614c74565b92506110cb565b83818154811061108057611080614c87565b906000526020600020906002020184838061109a90614c9d565b9450815481106110ac576110ac614c87565b6000918252602090912082546002909202019081556001918201549101555b806110d581614c9d565b915050611005565b50600082116110fe5760405162461bcd60e51b815260040161092090614de3565b825481101561113a578280548061111757611117614df3565b6000828152602081206002600019909301928302018181556001015590556110fe565b43600785015561114a85836125fe565b876001600160a01b0316856001600160a01b03167f3ca927248eb3fe77ad85f6de5853a874833484b0985cdb49c8ceaa326162456b8460405161118d9190614212565b60405180910390a3600196505050505050506001600c55919050565b60006111b3612311565b6111bb6123ae565b6111c3612335565b6111ce3383346126c8565b90505b919050565b6000546201000090046001600160a01b031633146112065760405162461bcd60e51b815260040161092090614e47565b600054610100900460ff1661122d5760405162461bcd60e51b815260040161092090614e76565b6000805461ff00191681556040517fa45f47fdea8a1efdd9029a5691c7f759c32b7c698632b563573e155625d169339190a1565b600061126b612533565b611273612335565b8161127d81612358565b6001600160a01b038084166000908152600160205260409020805433921682146112b95760405162461bcd60e51b815260040161092090614eaf565b61708081600801546112cb9190614c74565b4210156112ea5760405162461bcd60e51b815260040161092090614eef565b600081600601541161130e5760405162461bcd60e51b815260040161092090614f2a565b600681018054600090915542600883015561132983826125fe565b600061133761708042614c74565b9050836001600160a01b0316876001600160a01b03167ff4e9e956ba4b65051e84982c3ade043c89890cdbc452e9e446afe09cd4db40c88484604051610e789291906143f2565b336110011461139f5760405162461bcd60e51b815260040161092090614f7e565b806113a98161248d565b6113b282610f2d565b156114f5576001600160a01b0382166000908152600160205260409020805460ff60a01b1916600160a21b1781556113e9836127a8565b6113f2836128ce565b806001015460000361140357505050565b6001810154681b1ae4d6e2ef50000090811115611421575060018101545b6001820154806114318382614d71565b84600d01546114409190614d30565b61144a9190614d5d565b83600d0181905550818360010160008282546114669190614d71565b92505081905550816005600082825461147f9190614d71565b925050819055508183600701600082825461149a9190614c74565b909155506114aa90508286612a65565b846001600160a01b03167fa13f594c0411bd8ff8ba5c217cb05fe18c41f44e8176479aa2b084f3a74037b78385600101546040516114e99291906143f2565b60405180910390a25050505b5050565b6000611503612311565b61150b6123ae565b611513612335565b8361151d81612358565b8361152781612358565b600084116115475760405162461bcd60e51b815260040161092090614fc0565b846001600160a01b0316866001600160a01b0316036115785760405162461bcd60e51b815260040161092090615002565b3360009081526002602090815260408083206001600160a01b038a1684529091529020600801544210156115be5760405162461bcd60e51b815260040161092090615044565b600654604051637714831960e11b81526001600160a01b039091169063ee290632906115ee9089906004016145bd565b602060405180830381865afa15801561160b573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061162f919061505f565b1561164c5760405162461bcd60e51b8152600401610920906150b2565b611657338786612b55565b611662338686612d30565b61166f6201518042614c74565b3360008181526002602090815260408083206001600160a01b038b811680865291909352928190206008019490945592519092891691907f3ca49cdc02409b294ed8ec6b982a9785702a2ae85e08b6208625dd6beee36036906116d3908990614212565b60405180910390a450600195945050505050565b6060816001600160401b03811115611701576117016149e7565b60405190808252806020026020018201604052801561173a57816020015b6117276140f0565b81526020019060019003908161171f5790505b50905060005b828110156117a75761177784848381811061175d5761175d614c87565b90506020020160208101906117729190614394565b612ef7565b82828151811061178957611789614c87565b6020026020010181905250808061179f90614c9d565b915050611740565b5092915050565b6001600160a01b03808316600090815260026020908152604080832093851683529281528282206001909152918120825491929183036117f45750600401549050610f27565b60008260030154670de0b6b3a764000083600c015485600001546118189190614d30565b6118229190614d5d565b61182c9190614d71565b905080836004015461183e9190614c74565b9695505050505050565b6000546201000090046001600160a01b031633146118785760405162461bcd60e51b815260040161092090614e47565b600054610100900460ff16156118a05760405162461bcd60e51b8152600401610920906150e5565b6000805461ff0019166101001781556040517f9e87fac88ff661f02d44f95383c817fece4bce600a3dab7a54406878b965e7529190a1565b6001600160a01b0381166000908152600160205260408120606090829081908190819085828254600160a01b900460ff16600481111561191a5761191a614691565b036119445750604080518082019091526008815267139bdd115e1a5cdd60c21b6020820152611a5e565b60018254600160a01b900460ff16600481111561196357611963614691565b0361198c575060408051808201909152600781526610dc99585d195960ca1b6020820152611a5e565b60028254600160a01b900460ff1660048111156119ab576119ab614691565b036119d3575060408051808201909152600681526514dd185ad95960d21b6020820152611a5e565b60038254600160a01b900460ff1660048111156119f2576119f2614691565b03611a1b5750604080518082019091526007815266556e7374616b6560c81b6020820152611a5e565b60048254600160a01b900460ff166004811115611a3a57611a3a614691565b03611a5e575060408051808201909152600681526512985a5b195960d21b60208201525b8154600183015460068401546007850154600a909501546001600160a01b039093169c939b509099509750919550909350915050565b6060334114611ab55760405162461bcd60e51b81526004016109209061513d565b6008544311611ad65760405162461bcd60e51b81526004016109209061517f565b611ade612311565b611ae960c84361518f565b15611b065760405162461bcd60e51b8152600401610920906151c8565b600354611b255760405162461bcd60e51b815260040161092090615200565b60035460651015611b485760405162461bcd60e51b815260040161092090615238565b60038054611b589160049161413e565b507f1eb323543b198ba3bfd5228d5a306101a17cd1b64db20c53d442aa8c11c8b4a3600443604051611b8b92919061529a565b60405180910390a16004805480602002602001604051908101604052809291908181526020018280548015611be957602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311611bcb575b505050505090504360085590565b6000611c01612311565b611c096123ae565b611c11612335565b611c258a8a8a8a8a8a8a8a8a6101f46123d6565b9a9950505050505050505050565b6000546201000090046001600160a01b03163314611c635760405162461bcd60e51b815260040161092090614e47565b6001600160a01b038116611c895760405162461bcd60e51b8152600401610920906152d5565b600080546040516001600160a01b03808516936201000090930416917f7e644d79422f17c01e4894b5f4f588d331ebfa28653d42ae832dc59e38c9798f91a3600080546001600160a01b03909216620100000262010000600160b01b0319909216919091179055565b6000611cfc612311565b611d04612335565b33611d0e81612358565b336000818152600160205260409020611d2f908d8d8d8d8d8d8d8d8d612fbb565b8b6001600160a01b0316816001600160a01b03167fcfac5dc75b8d9a7e074162f59d9adcd33da59f0fe8dfb21580db298fc0fdad0d60405160405180910390a35060019b9a5050505050505050505050565b600354606090611d928185856124fa565b6001600160401b03811115611da957611da96149e7565b604051908082528060200260200182016040528015611de257816020015b611dcf6140f0565b815260200190600190039081611dc75790505b50915060005b8251811015611e5a57611e2a6003611e008388614c74565b81548110611e1057611e10614c87565b6000918252602090912001546001600160a01b0316612ef7565b838281518110611e3c57611e3c614c87565b60200260200101819052508080611e5290614c9d565b915050611de8565b509250929050565b60005460ff1615611e855760405162461bcd60e51b815260040161092090615315565b8015801590611e95575060658111155b611eb15760405162461bcd60e51b815260040161092090615357565b600680546110016001600160a01b03199091161790556000805462010000600160b01b03191633620100008102919091178255600a8054610100600160a81b0319166101009092029190911790556001600c555b81811015611f4e57611f3c838383818110611f2257611f22614c87565b9050602002016020810190611f379190614394565b61321d565b80611f4681614c9d565b915050611f05565b50506000805460ff1916600117905550565b6000608085511115611f845760405162461bcd60e51b81526004016109209061538c565b61010084511115611fa75760405162461bcd60e51b8152600401610920906153c1565b61010083511115611fca5760405162461bcd60e51b8152600401610920906153f4565b61040082511115611fed5760405162461bcd60e51b815260040161092090615429565b5060015b949350505050565b6060600480548060200260200160405190810160405280929190818152602001828054801561205157602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311612033575b5050505050905090565b6000612065612311565b61206d6123ae565b612075612335565b8261207f81612358565b6000831161209f5760405162461bcd60e51b815260040161092090614fc0565b3360009081526002602090815260408083206001600160a01b03881684529091529020600101546007116120e55760405162461bcd60e51b81526004016109209061546b565b6120f03385856133aa565b5060019392505050565b6000612104612311565b61210c612335565b33600081815260016020526040902054600490600160a01b900460ff168181111561213957612139614691565b146121565760405162461bcd60e51b8152600401610920906154a4565b60065460405163169b262360e01b81526001600160a01b039091169063169b2623906121869084906004016145bd565b6020604051808303816000875af11580156121a5573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906121c991906154c7565b6121e55760405162461bcd60e51b81526004016109209061551a565b6001600160a01b03811660009081526001602081905260409091209081015469021e19e0c9bab24000001161223b57805460ff60a01b1916600160a11b178155600181015461223590839061347b565b5061224d565b805460ff60a01b1916600360a01b1781555b6040516001600160a01b038316907f9390b453426557da5ebdc31f19a37753ca04addf656d32f35232211bb2af3f1990600090a260019250505090565b3341146122a95760405162461bcd60e51b81526004016109209061513d565b60075443116122ca5760405162461bcd60e51b815260040161092090615555565b6122d2612311565b6122dd60c84361518f565b156122fa5760405162461bcd60e51b8152600401610920906151c8565b341561230b5761230b346000612a65565b43600755565b60005460ff166123335760405162461bcd60e51b815260040161092090615597565b565b600a5460ff16156123335760405162461bcd60e51b8152600401610920906155d9565b60006001600160a01b038216600090815260016020526040902054600160a01b900460ff16600481111561238e5761238e614691565b036123ab5760405162461bcd60e51b81526004016109209061561b565b50565b600054610100900460ff16156123335760405162461bcd60e51b815260040161092090615652565b60008a6123e28161248d565b33600081815260016020526040812054600160a01b900460ff16600481111561240d5761240d614691565b1461242a5760405162461bcd60e51b815260040161092090615694565b6103e884111561244c5760405162461bcd60e51b815260040161092090614bfa565b61245f818e8e8e8e8e8e8e8e8e8e613739565b3415612478576124708182346126c8565b92505061247e565b60019250505b509a9950505050505050505050565b6001600160a01b0381166123ab5760405162461bcd60e51b8152600401610920906156c8565b81546000908015806124cd575082600e0154846006015414155b156124dc576000915050610f27565b6005840154600d8401546124f09083614d30565b611ff19190614d5d565b600083831061250b5750600061252c565b60006125178486614d71565b90508281106125265782612528565b805b9150505b9392505050565b600c546002036125555760405162461bcd60e51b81526004016109209061570a565b6002600c55565b61256682826137d1565b6001600160a01b038083166000908152600260209081526040808320938516835292815282822060019091529190208154156125f85760008260030154670de0b6b3a764000083600c015485600001546125c09190614d30565b6125ca9190614d5d565b6125d49190614d71565b905080156125f657808360040160008282546125f09190614c74565b90915550505b505b50505050565b8060000361260a575050565b6001600160a01b0382166126305760405162461bcd60e51b81526004016109209061574c565b804710156126505760405162461bcd60e51b815260040161092090615785565b6000826001600160a01b03168260405160006040518083038185875af1925050503d806000811461269d576040519150601f19603f3d011682016040523d82523d6000602084013e6126a2565b606091505b50509050806126c35760405162461bcd60e51b8152600401610920906157b9565b505050565b60006001600160a01b038416158015906126ea57506001600160a01b03831615155b6127065760405162461bcd60e51b8152600401610920906156c8565b600082116127265760405162461bcd60e51b815260040161092090614fc0565b61272f83612358565b61273a848484612d30565b816005600082825461274c9190614c74565b92505081905550826001600160a01b0316846001600160a01b03167f795c91e2fef542f2e8bccd08552a8961ecb158d0f47be08f5c44b349993b07a9846040516127969190614212565b60405180910390a35060019392505050565b60005b600454811080156127be57506004546001105b156114f557600481815481106127d6576127d6614c87565b6000918252602090912001546001600160a01b03908116908316036128bc5760045461280490600190614d71565b8114612885576004805461281a90600190614d71565b8154811061282a5761282a614c87565b600091825260209091200154600480546001600160a01b03909216918390811061285657612856614c87565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b031602179055505b600480548061289657612896614df3565b600082815260209020810160001990810180546001600160a01b03191690550190555050565b806128c681614c9d565b9150506127ab565b6001600160a01b03811660009081526009602052604090205460ff166128f15750565b60005b6003548110801561290757506003546001105b156114f557816001600160a01b03166003828154811061292957612929614c87565b6000918252602090912001546001600160a01b031603612a535760035461295290600190614d71565b81146129d3576003805461296890600190614d71565b8154811061297857612978614c87565b600091825260209091200154600380546001600160a01b0390921691839081106129a4576129a4614c87565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b031602179055505b60038054806129e4576129e4614df3565b60008281526020808220830160001990810180546001600160a01b03191690559092019092556001600160a01b03841680835260099091526040808320805460ff191690555190917f4fc54cda221fafc19baae2a4c79ae99dd0916c88b67ab97d3122a5afe333fc1d91a25050565b80612a5d81614c9d565b9150506128f4565b81600003612a71575050565b6000805b600454811015612b3c5760046001600060048481548110612a9857612a98614c87565b60009182526020808320909101546001600160a01b0316835282019290925260400190205460ff600160a01b909104166004811115612ad957612ad9614691565b14158015612b175750826001600160a01b031660048281548110612aff57612aff614c87565b6000918252602090912001546001600160a01b031614155b15612b2a5781612b2681614c9d565b9250505b80612b3481614c9d565b915050612a75565b5080600003612b4a57505050565b6126c383838361385c565b6001600160a01b03808416600090815260026020908152604080832093861683529281528282206001909152919020612b8e858561255c565b8154831115612baf5760405162461bcd60e51b8152600401610920906157f2565b8154600090612bbf908590614d71565b9050801580612bd75750683635c9adc5dea000008110155b612bf35760405162461bcd60e51b815260040161092090615834565b6004546001148015612c095750612c0985610f2d565b8015612c2d575069021e19e0c9bab2400000848360010154612c2b9190614d71565b105b15612c4a5760405162461bcd60e51b81526004016109209061588b565b80600003612c5c57612c5c8686613baa565b808355600c820154670de0b6b3a764000090612c79908390614d30565b612c839190614d5d565b6003840155436007840155600182018054859190600090612ca5908490614d71565b90915550600290508254600160a01b900460ff166004811115612cca57612cca614691565b148015612ce4575069021e19e0c9bab24000008260010154105b15612cfb57815460ff60a01b1916600360a01b1782555b60028254600160a01b900460ff166004811115612d1a57612d1a614691565b14612d2857612d28856128ce565b505050505050565b6001600160a01b038083166000818152600160209081526040808320948816835260028252808320938352929052908120600d830154909103612d9357670de0b6b3a7640000600d830155600e82018054906000612d8d83614c9d565b91905055505b612d9d85856137d1565b8054600003612dcf57683635c9adc5dea00000831015612dcf5760405162461bcd60e51b8152600401610920906158cd565b69021e19e0c9bab2400000838360010154612dea9190614c74565b1015612e085760405162461bcd60e51b81526004016109209061591b565b8054600003612e2157612e1c858585613d64565b612e2c565b612e2c858585613e50565b82826001016000828254612e409190614c74565b9091555050805483908290600090612e59908490614c74565b909155505043600782015560028254600160a01b900460ff166004811115612e8357612e83614691565b14158015612eae575060048254600160a01b900460ff166004811115612eab57612eab614691565b14155b15612ec557815460ff60a01b1916600160a11b1782555b60028254600160a01b900460ff166004811115612ee457612ee4614691565b036125f657612d2884836001015461347b565b612eff6140f0565b6001600160a01b038281166000818152600160209081526040918290208251610120810184529384528054948516918401919091529290820190600160a01b900460ff166004811115612f5457612f54614691565b81526001830154602080830191909152600684015460408084019190915260078501546060840152600a850154608084015260099485015460a08401526001600160a01b039096166000908152939052939091205460ff16151560c0909301929092525090565b61309688888080601f01602080910402602001604051908101604052809392919081815260200183838082843760009201919091525050604080516020601f8c018190048102820181019092528a815292508a915089908190840183828082843760009201919091525050604080516020601f8b01819004810282018101909252898152925089915088908190840183828082843760009201919091525050604080516020601f8a018190048102820181019092528881529250889150879081908401838280828437600092019190915250611f6092505050565b6130b25760405162461bcd60e51b815260040161092090615953565b89546001600160a01b0319166001600160a01b038a16178a55604080516020601f8a0181900402810160a09081019092526080810189815290918291908b908b9081908501838280828437600092019190915250505090825250604080516020601f8a0181900481028201810190925288815291810191908990899081908401838280828437600092019190915250505090825250604080516020601f880181900481028201810190925286815291810191908790879081908401838280828437600092019190915250505090825250604080516020601f8601819004810282018101909252848152918101919085908590819084018382808284376000920191909152505050915250805160028c019081906131cf9082615a33565b50602082015160018201906131e49082615a33565b50604082015160028201906131f99082615a33565b506060820151600382019061320e9082615a33565b50505050505050505050505050565b6001600160a01b0381166132435760405162461bcd60e51b815260040161092090615b24565b6001600160a01b03811660009081526009602052604090205460ff166132c7576003805460018082019092557fc2575a0e9e593c00f959f8c92f12db2869c3395a3b0502d05e2516446f71f85b0180546001600160a01b0319166001600160a01b0384169081179091556000908152600960205260409020805460ff191690911790555b6132d081610f2d565b61332057600480546001810182556000919091527f8a35acfbc15ff81a39ae7d344fd709f28e8600b4aa8c65c6b64bfe7fe36bd19b0180546001600160a01b0319166001600160a01b0383161790555b6001600160a01b038082166000908152600160205260409020805490911661335c5780546001600160a01b0319166001600160a01b0383161781555b60008154600160a01b900460ff16600481111561337b5761337b614691565b0361339257805460ff60a01b1916600160a11b1781555b80600a01546000036114f5576101f4600a8201555050565b6133b5838383612b55565b80600560008282546133c79190614d71565b90915550600090506133dc6201518042614c74565b6001600160a01b038086166000818152600260208181526040808420958a16808552958252808420815180830183528a81528084018981526001928301805480850182559088529490962090519390940290930191825592519101555192935090917f18edd09e80386cd99df397e2e0d87d2bb259423eae08645e776321a36fe680ef9061346d90869086906143f2565b60405180910390a350505050565b6001600160a01b03821660009081526009602052604081205460ff16156134a457506001610f27565b60035460651115613554576003805460018082019092557fc2575a0e9e593c00f959f8c92f12db2869c3395a3b0502d05e2516446f71f85b0180546001600160a01b0319166001600160a01b03861690811790915560008181526009602052604090819020805460ff191690931790925590517faa45e8a267cc523c778ebbbd8e3ecb5bf7627c28a8d043af282593529ea367ce90613544908590614212565b60405180910390a2506001610f27565b600060016000600360008154811061356e5761356e614c87565b60009182526020808320909101546001600160a01b03168352820192909252604001812060019081015492505b60035481101561360a57600060016000600384815481106135be576135be614c87565b60009182526020808320909101546001600160a01b031683528201929092526040019020600101549050838110156135f7578093508192505b508061360281614c9d565b91505061359b565b5081841161361d57600092505050610f27565b60006003828154811061363257613632614c87565b60009182526020822001546040516001600160a01b03909116925082917f4fc54cda221fafc19baae2a4c79ae99dd0916c88b67ab97d3122a5afe333fc1d91a2856001600160a01b03167faa45e8a267cc523c778ebbbd8e3ecb5bf7627c28a8d043af282593529ea367ce866040516136ab9190614212565b60405180910390a26001600160a01b0381166000908152600960205260409020805460ff1916905560038054879190849081106136ea576136ea614c87565b600091825260208083209190910180546001600160a01b0319166001600160a01b03948516179055979091168152600990965250506040909320805460ff191660019081179091559392505050565b6001600160a01b038b166000908152600160205260409020613763818c8c8c8c8c8c8c8c8c612fbb565b805460ff60a01b1916600160a01b178155600a81018290556040516001600160a01b038c811691908e16907f91ba9e4ee44dd0a1764da83d050d0e9b503df39488e5fa49093d6e7cf8fd92ca906137bb908690614212565b60405180910390a3505050505050505050505050565b6001600160a01b038083166000908152600260209081526040808320938516835292815282822060019091529181209061380b83836124b3565b8354909150811461384357808355600c820154670de0b6b3a764000090613833908390614d30565b61383d9190614d5d565b60038401555b50600d8101546005830155600e01546006909101555050565b6000816001600160401b03811115613876576138766149e7565b60405190808252806020026020018201604052801561389f578160200160208202803683370190505b5090506000826001600160401b038111156138bc576138bc6149e7565b6040519080825280602002602001820160405280156138e5578160200160208202803683370190505b50905060008060005b600454811015613a63576004600160006004848154811061391157613911614c87565b60009182526020808320909101546001600160a01b0316835282019290925260400190205460ff600160a01b90910416600481111561395257613952614691565b141580156139905750866001600160a01b03166004828154811061397857613978614c87565b6000918252602090912001546001600160a01b031614155b15613a5157600481815481106139a8576139a8614c87565b9060005260206000200160009054906101000a90046001600160a01b03168583815181106139d8576139d8614c87565b60200260200101906001600160a01b031690816001600160a01b0316815250506001600060048381548110613a0f57613a0f614c87565b60009182526020808320909101546001600160a01b03168352820192909252604001902060010154613a419084614c74565b925081613a4d81614c9d565b9250505b80613a5b81614c9d565b9150506138ee565b506000805b86811015613b455760008415613ad7578460016000898581518110613a8f57613a8f614c87565b60200260200101516001600160a01b03166001600160a01b03168152602001908152602001600020600101548b613ac69190614d30565b613ad09190614d5d565b9050613ae4565b613ae1888b614d5d565b90505b613b07878381518110613af957613af9614c87565b602002602001015182613f04565b80868381518110613b1a57613b1a614c87565b6020908102919091010152613b2f8184614c74565b9250508080613b3d90614c9d565b915050613a68565b50613b5a613b53828a614d71565b8686613fe9565b7fd71bb710cd55fd674b86b6d8349571d9467f07c45170642bf524ba287653d83785858a613b888582614d71565b604051613b989493929190615b34565b60405180910390a15050505050505050565b6001600160a01b038083166000908152600260209081526040808320938516835292815282822060019091529190206009810154613bfa5760405162461bcd60e51b815260040161092090615ba0565b6009810154600283015410613c215760405162461bcd60e51b815260040161092090615bd2565b6009810154613c3290600190614d71565b826002015414613d1e57600981018054613c4e90600190614d71565b81548110613c5e57613c5e614c87565b9060005260206000200160009054906101000a90046001600160a01b031681600901836002015481548110613c9557613c95614c87565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b0316021790555081600201546002600083600901856002015481548110613ce557613ce5614c87565b60009182526020808320909101546001600160a01b03908116845283820194909452604092830182209388168252929092529020600201555b80600901805480613d3157613d31614df3565b600082815260209020810160001990810180546001600160a01b0319169055908101909155600290920191909155505050565b6001600160a01b038083166000818152600160209081526040808320948816835260028083528184209484529390915290206009830154918101549091111580613de45750846001600160a01b031682600901826002015481548110613dcc57613dcc614c87565b6000918252602090912001546001600160a01b031614155b15613e215760098201805460028301819055600181018255600091825260209091200180546001600160a01b0319166001600160a01b0387161790555b670de0b6b3a76400008383600c0154613e3a9190614d30565b613e449190614d5d565b60039091015550505050565b6001600160a01b03808316600081815260016020818152604080842095891684526002808352818520958552949091529091209182015401613ec45760098201805460028301819055600181018255600091825260209091200180546001600160a01b0319166001600160a01b0387161790555b613ece858561255c565b670de0b6b3a76400008383600c0154613ee79190614d30565b613ef19190614d5d565b8160030160008282546125f09190614c74565b80600003613f10575050565b6001600160a01b0382166000908152600160205260408120600a81015490919061271090613f3e9085614d30565b613f489190614d5d565b90506000613f568285614d71565b905081836006016000828254613f6c9190614c74565b9091555050600183015415801590613f845750600081115b15613fdc578083600b016000828254613f9d9190614c74565b90915550506001830154613fb9670de0b6b3a764000083614d30565b613fc39190614d5d565b83600c016000828254613fd69190614c74565b90915550505b505043600f909101555050565b600083118015613ffa575060008251115b156126c35782600b60008282546140119190614c74565b9091555050600b5466038d7ea4c68000111580614036575061403460644361518f565b155b156126c357600b805460009182905583519091906140549083614d5d565b905060008451826140659190614d30565b61406f9084614d71565b905060005b85518110156140e757826000829003614094576140918382614c74565b90505b6140a9878381518110613af957613af9614c87565b808683815181106140bc576140bc614c87565b602002602001018181516140d09190614c74565b9052508190506140df81614c9d565b915050614074565b50505050505050565b60408051610120810182526000808252602082018190529091820190815260200160008152602001600081526020016000815260200160008152602001600081526020016000151581525090565b82805482825590600052602060002090810192821561417e5760005260206000209182015b8281111561417e578254825591600101919060010190614163565b5061418a92915061418e565b5090565b5b8082111561418a576000815560010161418f565b805b81146123ab57600080fd5b8035610f27816141a3565b6000602082840312156141d0576141d0600080fd5b6000611ff184846141b0565b8015155b82525050565b60208101610f2782846141dc565b61ffff81166141e0565b60208101610f2782846141f4565b806141e0565b60208101610f27828461420c565b60006001600160a01b0382166111ce565b6141a581614220565b8035610f2781614231565b60008083601f84011261425a5761425a600080fd5b5081356001600160401b0381111561427457614274600080fd5b602083019150836001820283011115610b3057610b30600080fd5b60008060008060008060008060008060c08b8d0312156142b1576142b1600080fd5b60006142bd8d8d61423a565b9a505060208b01356001600160401b038111156142dc576142dc600080fd5b6142e88d828e01614245565b995099505060408b01356001600160401b0381111561430957614309600080fd5b6143158d828e01614245565b975097505060608b01356001600160401b0381111561433657614336600080fd5b6143428d828e01614245565b955095505060808b01356001600160401b0381111561436357614363600080fd5b61436f8d828e01614245565b935093505060a06143828d828e016141b0565b9150509295989b9194979a5092959850565b6000602082840312156143a9576143a9600080fd5b6000611ff1848461423a565b600080604083850312156143cb576143cb600080fd5b60006143d7858561423a565b92505060206143e88582860161423a565b9150509250929050565b60408101614400828561420c565b61252c602083018461420c565b60008060006060848603121561442557614425600080fd5b6000614431868661423a565b9350506020614442868287016141b0565b9250506040614453868287016141b0565b9150509250925092565b6141e081614220565b614470828261445d565b5060200190565b60200190565b6000614487825190565b808452602093840193830160005b828110156144ba5781516144a98782614466565b965050602082019150600101614495565b5093949350505050565b614470828261420c565b60006144d8825190565b808452602093840193830160005b828110156144ba5781516144fa87826144c4565b9650506020820191506001016144e6565b6060808252810161451c818661447d565b9050818103602083015261453081856144ce565b9050611ff1604083018461420c565b805161454b838261420c565b5060208101516126c3602084018261420c565b614568828261453f565b5060400190565b6000614579825190565b808452602093840193830160005b828110156144ba57815161459b878261455e565b965050602082019150600101614587565b6020808252810161252c818461456f565b60208101610f27828461445d565b6000806000606084860312156145e3576145e3600080fd5b60006145ef868661423a565b93505060206144428682870161423a565b60008083601f84011261461557614615600080fd5b5081356001600160401b0381111561462f5761462f600080fd5b602083019150836020820283011115610b3057610b30600080fd5b6000806020838503121561466057614660600080fd5b82356001600160401b0381111561467957614679600080fd5b61468585828601614600565b92509250509250929050565b634e487b7160e01b600052602160045260246000fd5b600581106123ab576123ab614691565b806111d1816146a7565b60006111ce826146b7565b6141e0816146c1565b80516146e1838261445d565b5060208101516146f4602084018261445d565b50604081015161470760408401826146cc565b50606081015161471a606084018261420c565b50608081015161472d608084018261420c565b5060a081015161474060a084018261420c565b5060c081015161475360c084018261420c565b5060e081015161476660e084018261420c565b506101008101516126c36101008401826141dc565b61478582826146d5565b506101200190565b6000614797825190565b808452602093840193830160005b828110156144ba5781516147b9878261477b565b9650506020820191506001016147a5565b6020808252810161252c818461478d565b60005b838110156147f65781810151838201526020016147de565b50506000910152565b6000614809825190565b8084526020840193506148208185602086016147db565b601f01601f19169290920192915050565b60c0810161483f828961445d565b818103602083015261485181886147ff565b9050614860604083018761420c565b61486d606083018661420c565b61487a608083018561420c565b61488760a083018461420c565b979650505050505050565b6020808252810161252c818461447d565b600080600080600080600080600060a08a8c0312156148c4576148c4600080fd5b60006148d08c8c61423a565b99505060208a01356001600160401b038111156148ef576148ef600080fd5b6148fb8c828d01614245565b985098505060408a01356001600160401b0381111561491c5761491c600080fd5b6149288c828d01614245565b965096505060608a01356001600160401b0381111561494957614949600080fd5b6149558c828d01614245565b945094505060808a01356001600160401b0381111561497657614976600080fd5b6149828c828d01614245565b92509250509295985092959850929598565b600080604083850312156149aa576149aa600080fd5b60006149b685856141b0565b92505060206143e8858286016141b0565b604080825281016149d8818561478d565b905061252c602083018461420c565b634e487b7160e01b600052604160045260246000fd5b601f19601f83011681018181106001600160401b0382111715614a2257614a226149e7565b6040525050565b6000614a3460405190565b90506111d182826149fd565b60006001600160401b03821115614a5957614a596149e7565b601f19601f83011660200192915050565b82818337506000910152565b6000614a89614a8484614a40565b614a29565b905082815260208101848484011115614aa457614aa4600080fd5b614aaf848285614a6a565b509392505050565b600082601f830112614acb57614acb600080fd5b8135611ff1848260208601614a76565b60008060008060808587031215614af457614af4600080fd5b84356001600160401b03811115614b0d57614b0d600080fd5b614b1987828801614ab7565b94505060208501356001600160401b03811115614b3857614b38600080fd5b614b4487828801614ab7565b93505060408501356001600160401b03811115614b6357614b63600080fd5b614b6f87828801614ab7565b92505060608501356001600160401b03811115614b8e57614b8e600080fd5b614b9a87828801614ab7565b91505092959194509250565b60008060408385031215614bbc57614bbc600080fd5b60006149b6858561423a565b60188152602081017f436f6d6d697373696f6e207261746520746f6f2068696768000000000000000081529050614477565b602080825281016111ce81614bc8565b60148152602081017327b7363c9032b6b2b933b2b731bc9030b236b4b760611b81529050614477565b602080825281016111ce81614c0a565b60408101614c5182856141dc565b61252c602083018461445d565b634e487b7160e01b600052601160045260246000fd5b80820180821115610f2757610f27614c5e565b634e487b7160e01b600052603260045260246000fd5b600060018201614caf57614caf614c5e565b5060010190565b60178152602081017f4e6f207374616b6520776974682076616c696461746f7200000000000000000081529050614477565b602080825281016111ce81614cb6565b6013815260208101724e6f207265776172647320746f20636c61696d60681b81529050614477565b602080825281016111ce81614cf8565b8181028115828204841417610f2757610f27614c5e565b634e487b7160e01b600052601260045260246000fd5b600082614d6c57614d6c614d47565b500490565b81810381811115610f2757610f27614c5e565b601281526020810171135d5cdd081d5b9cdd185ad948199a5c9cdd60721b81529050614477565b602080825281016111ce81614d84565b601381526020810172151bdad95b9cc81cdd1a5b1b081b1bd8dad959606a1b81529050614477565b602080825281016111ce81614dbb565b634e487b7160e01b600052603160045260246000fd5b60218152602081017f4f6e6c792061646d696e2063616e2063616c6c20746869732066756e6374696f8152603760f91b602082015290505b60400190565b602080825281016111ce81614e09565b600a81526020810169139bdd081c185d5cd95960b21b81529050614477565b602080825281016111ce81614e57565b601481526020810173139bdd081c995dd85c99081c9958da5c1a595b9d60621b81529050614477565b602080825281016111ce81614e86565b60208082527f4d7573742077616974206265666f7265206e657874207769746864726177616c9101908152614477565b602080825281016111ce81614ebf565b6016815260208101754e6f207265776172647320746f20776974686472617760501b81529050614477565b602080825281016111ce81614eff565b60298152602081017f746865206d6573736167652073656e646572206d75737420626520736c6173688152680818dbdb9d1c9858dd60ba1b60208201529050614e41565b602080825281016111ce81614f3a565b601d8152602081017f416d6f756e74206d7573742062652067726561746572207468616e203000000081529050614477565b602080825281016111ce81614f8e565b601e8152602081017f526564656c65676174696f6e20746f2073616d652076616c696461746f72000081529050614477565b602080825281016111ce81614fd0565b601e8152602081017f526564656c656761746564207374616b65207374696c6c206c6f636b6564000081529050614477565b602080825281016111ce81615012565b8051610f27816141a3565b60006020828403121561507457615074600080fd5b6000611ff18484615054565b601e8152602081017f536f757263652076616c696461746f72206d697373656420626c6f636b73000081529050614477565b602080825281016111ce81615080565b600e8152602081016d105b1c9958591e481c185d5cd95960921b81529050614477565b602080825281016111ce816150c2565b602d8152602081017f746865206d6573736167652073656e646572206d75737420626520746865206281526c3637b1b590383937b23ab1b2b960991b60208201529050614e41565b602080825281016111ce816150f5565b601a8152602081017f56616c696461746f727320616c7265616479207570646174656400000000000081529050614477565b602080825281016111ce8161514d565b60008261519e5761519e614d47565b500690565b60108152602081016f426c6f636b2065706f6368206f6e6c7960801b81529050614477565b602080825281016111ce816151a3565b601381526020810172115b5c1d1e4818d85b991a59185d19481cd95d606a1b81529050614477565b602080825281016111ce816151d8565b601381526020810172546f6f206d616e792063616e6469646174657360681b81529050614477565b602080825281016111ce81615210565b60006111ce8254614220565b600061525e825490565b80845260008381526020808220950194905b828110156144ba5761528182615248565b61528b8782614466565b96505060019182019101615270565b604080825281016149d88185615254565b601581526020810174496e76616c69642061646d696e206164647265737360581b81529050614477565b602080825281016111ce816152ab565b60208082527f74686520636f6e747261637420616c726561647920696e697469616c697a65649101908152614477565b602080825281016111ce816152e5565b60178152602081017f496e76616c69642076616c696461746f7220636f756e7400000000000000000081529050614477565b602080825281016111ce81615325565b60108152602081016f4d6f6e696b657220746f6f206c6f6e6760801b81529050614477565b602080825281016111ce81615367565b60108152602081016f5765627369746520746f6f206c6f6e6760801b81529050614477565b602080825281016111ce8161539c565b600e8152602081016d456d61696c20746f6f206c6f6e6760901b81529050614477565b602080825281016111ce816153d1565b60108152602081016f44657461696c7320746f6f206c6f6e6760801b81529050614477565b602080825281016111ce81615404565b601a8152602081017f546f6f206d616e7920756e626f6e64696e6720656e747269657300000000000081529050614477565b602080825281016111ce81615439565b60148152602081017315985b1a59185d1bdc881b9bdd081a985a5b195960621b81529050614477565b602080825281016111ce8161547b565b8015156141a5565b8051610f27816154b4565b6000602082840312156154dc576154dc600080fd5b6000611ff184846154bc565b601c8152602081017f4661696c656420746f20636c65616e20736c617368207265636f72640000000081529050614477565b602080825281016111ce816154e8565b601681526020810175109b1bd8dac8185b1c9958591e481c995dd85c99195960521b81529050614477565b602080825281016111ce8161552a565b60198152602081017f74686520636f6e7472616374206e6f7420696e6974207965740000000000000081529050614477565b602080825281016111ce81615565565b60198152602081017f436f6e747261637420656d657267656e6379207061757365640000000000000081529050614477565b602080825281016111ce816155a7565b60188152602081017f56616c696461746f7220646f6573206e6f74206578697374000000000000000081529050614477565b602080825281016111ce816155e9565b60128152602081017110dbdb9d1c9858dd081a5cc81c185d5cd95960721b81529050614477565b602080825281016111ce8161562b565b60188152602081017f56616c696461746f7220616c726561647920657869737473000000000000000081529050614477565b602080825281016111ce81615662565b600f8152602081016e496e76616c6964206164647265737360881b81529050614477565b602080825281016111ce816156a4565b601f8152602081017f5265656e7472616e637947756172643a207265656e7472616e742063616c6c0081529050614477565b602080825281016111ce816156d8565b60188152602081017f5472616e7366657220746f207a65726f2061646472657373000000000000000081529050614477565b602080825281016111ce8161571a565b601481526020810173496e73756666696369656e742062616c616e636560601b81529050614477565b602080825281016111ce8161575c565b600f8152602081016e151c985b9cd9995c8819985a5b1959608a1b81529050614477565b602080825281016111ce81615795565b601481526020810173416d6f756e742065786365656473207374616b6560601b81529050614477565b602080825281016111ce816157c9565b601d8152602081017f52656d61696e696e67207374616b652062656c6f77206d696e696d756d00000081529050614477565b602080825281016111ce81615802565b602c8152602081017f43616e6e6f7420756e7374616b653a20776f756c642064697361626c65206c6181526b39ba103b30b634b230ba37b960a11b60208201529050614e41565b602080825281016111ce81615844565b601b8152602081017f496e697469616c207374616b652062656c6f77206d696e696d756d000000000081529050614477565b602080825281016111ce8161589b565b60238152602081017f546f74616c207374616b652062656c6f77206d696e696d756d207468726573688152621bdb1960ea1b60208201529050614e41565b602080825281016111ce816158dd565b60138152602081017224b73b30b634b2103232b9b1b934b83a34b7b760691b81529050614477565b602080825281016111ce8161592b565b634e487b7160e01b600052602260045260246000fd5b60028104600182168061598d57607f821691505b60208210810361098557610985615963565b60006111ce6159ab8381565b90565b6159b78361599f565b815460001960089490940293841b1916921b91909117905550565b60006126c38184846159ae565b818110156114f5576159f26000826159d2565b6001016159df565b601f8211156126c3576000818152602090206020601f85010481016020851015615a215750805b6125f66020601f8601048301826159df565b81516001600160401b03811115615a4c57615a4c6149e7565b615a568254615979565b615a618282856159fa565b506020601f821160018114615a965760008315615a7e5750848201515b600019600885021c19811660028502178555506125f6565b600084815260208120601f198516915b82811015615ac65787850151825560209485019460019092019101615aa6565b5084821015615ae35783870151600019601f87166008021c191681555b50505050600202600101905550565b60198152602081017f496e76616c69642076616c696461746f7220616464726573730000000000000081529050614477565b602080825281016111ce81615af2565b60808082528101615b45818761447d565b90508181036020830152615b5981866144ce565b9050615b68604083018561420c565b615b75606083018461420c565b95945050505050565b600d8152602081016c4e6f2064656c656761746f727360981b81529050614477565b602080825281016111ce81615b7e565b600d8152602081016c092dcecc2d8d2c840d2dcc8caf609b1b81529050614477565b602080825281016111ce81615bb056fea164736f6c6343000813000a";
+
+type ValidatorsConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: ValidatorsConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class Validators__factory extends ContractFactory {
+  constructor(...args: ValidatorsConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      Validators & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): Validators__factory {
+    return super.connect(runner) as Validators__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): ValidatorsInterface {
+    return new Interface(_abi) as ValidatorsInterface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): Validators {
+    return new Contract(address, _abi, runner) as unknown as Validators;
+  }
+}
@@ -0,0 +1,7 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export * as interfaces from "./interfaces";
+export { Slash__factory } from "./Slash__factory";
+export { System__factory } from "./System__factory";
+export { Validators__factory } from "./Validators__factory";
@@ -0,0 +1,57 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+import { Contract, Interface, type ContractRunner } from "ethers";
+import type { ISlash, ISlashInterface } from "../../interfaces/ISlash";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "clean",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "validator",
+        type: "address",
+      },
+    ],
+    name: "getSlashRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+export class ISlash__factory {
+  static readonly abi = _abi;
+  static createInterface(): ISlashInterface {
+    return new Interface(_abi) as ISlashInterface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): ISlash {
+    return new Contract(address, _abi, runner) as unknown as ISlash;
+  }
+}
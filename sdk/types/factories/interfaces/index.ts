@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export { ISlash__factory } from "./ISlash__factory";
+export { IValidators__factory } from "./IValidators__factory";
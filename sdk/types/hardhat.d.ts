@@ -0,0 +1,135 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+import { ethers } from "ethers";
+import {
+  DeployContractOptions,
+  FactoryOptions,
+  HardhatEthersHelpers as HardhatEthersHelpersBase,
+} from "@nomicfoundation/hardhat-ethers/types";
+
+import * as Contracts from ".";
+
+declare module "hardhat/types/runtime" {
+  interface HardhatEthersHelpers extends HardhatEthersHelpersBase {
+    getContractFactory(
+      name: "ISlash",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.ISlash__factory>;
+    getContractFactory(
+      name: "IValidators",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.IValidators__factory>;
+    getContractFactory(
+      name: "Slash",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.Slash__factory>;
+    getContractFactory(
+      name: "System",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.System__factory>;
+    getContractFactory(
+      name: "Validators",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.Validators__factory>;
+
+    getContractAt(
+      name: "ISlash",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.ISlash>;
+    getContractAt(
+      name: "IValidators",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.IValidators>;
+    getContractAt(
+      name: "Slash",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.Slash>;
+    getContractAt(
+      name: "System",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.System>;
+    getContractAt(
+      name: "Validators",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.Validators>;
+
+    deployContract(
+      name: "ISlash",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.ISlash>;
+    deployContract(
+      name: "IValidators",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.IValidators>;
+    deployContract(
+      name: "Slash",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.Slash>;
+    deployContract(
+      name: "System",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.System>;
+    deployContract(
+      name: "Validators",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.Validators>;
+
+    deployContract(
+      name: "ISlash",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.ISlash>;
+    deployContract(
+      name: "IValidators",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.IValidators>;
+    deployContract(
+      name: "Slash",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.Slash>;
+    deployContract(
+      name: "System",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.System>;
+    deployContract(
+      name: "Validators",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.Validators>;
+
+    // default types
+    getContractFactory(
+      name: string,
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<ethers.ContractFactory>;
+    getContractFactory(
+      abi: any[],
+      bytecode: ethers.BytesLike,
+      signer?: ethers.Signer
+    ): Promise<ethers.ContractFactory>;
+    getContractAt(
+      nameOrAbi: string | any[],
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<ethers.Contract>;
+    deployContract(
+      name: string,
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<ethers.Contract>;
+    deployContract(
+      name: string,
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<ethers.Contract>;
+  }
+}
@@ -0,0 +1,16 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type * as interfaces from "./interfaces";
+export type { interfaces };
+export type { Slash } from "./Slash";
+export type { System } from "./System";
+export type { Validators } from "./Validators";
+export * as factories from "./factories";
+export type { ISlash } from "./interfaces/ISlash";
+export { ISlash__factory } from "./factories/interfaces/ISlash__factory";
+export type { IValidators } from "./interfaces/IValidators";
+export { IValidators__factory } from "./factories/interfaces/IValidators__factory";
+export { Slash__factory } from "./factories/Slash__factory";
+export { System__factory } from "./factories/System__factory";
+export { Validators__factory } from "./factories/Validators__factory";
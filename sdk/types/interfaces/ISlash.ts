@@ -0,0 +1,102 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../common";
+
+export interface ISlashInterface extends Interface {
+  getFunction(nameOrSignature: "clean" | "getSlashRecord"): FunctionFragment;
+
+  encodeFunctionData(functionFragment: "clean", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "getSlashRecord",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "clean", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getSlashRecord",
+    data: BytesLike
+  ): Result;
+}
+
+export interface ISlash extends BaseContract {
+  connect(runner?: ContractRunner | null): ISlash;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISlashInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  clean: TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+
+  getSlashRecord: TypedContractMethod<
+    [validator: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "clean"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "nonpayable">;
+  getFunction(
+    nameOrSignature: "getSlashRecord"
+  ): TypedContractMethod<[validator: AddressLike], [bigint], "view">;
+
+  filters: {};
+}
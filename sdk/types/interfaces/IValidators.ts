@@ -0,0 +1,124 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../common";
+
+export interface IValidatorsInterface extends Interface {
+  getFunction(
+    nameOrSignature: "isJailed" | "isValidatorActivated" | "slashValidator"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "isJailed",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isValidatorActivated",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "slashValidator",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "isJailed", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "isValidatorActivated",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "slashValidator",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IValidators extends BaseContract {
+  connect(runner?: ContractRunner | null): IValidators;
+  waitForDeployment(): Promise<this>;
+
+  interface: IValidatorsInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  isJailed: TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+
+  isValidatorActivated: TypedContractMethod<
+    [validator: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  slashValidator: TypedContractMethod<
+    [validator: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "isJailed"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isValidatorActivated"
+  ): TypedContractMethod<[validator: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "slashValidator"
+  ): TypedContractMethod<[validator: AddressLike], [void], "nonpayable">;
+
+  filters: {};
+}
@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export type { ISlash } from "./ISlash";
+export type { IValidators } from "./IValidators";
@@ -0,0 +1,125 @@
+// test/BlockProducer.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { BlockProducer } = require("../scripts/lib/block-producer");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+const { artifacts, ethers, network } = hre;
+
+describe("Block producer simulator", function () {
+  const epochReward = ethers.parseEther("3");
+  let validators;
+  let slash;
+  let order;
+
+  // Fresh chain with three validators at the canonical addresses
+  async function setup(options = {}) {
+    await network.provider.send("hardhat_reset");
+    const addresses = canonicalAddresses();
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+
+    const signers = (await ethers.getSigners()).slice(1, 4);
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    slash = await ethers.getContractAt("Slash", addresses.Slash);
+    await validators.initialize(signers.map(s => s.address));
+    await slash.initialize();
+
+    order = signers.map(s => s.address).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    return BlockProducer.attach(hre, { epochReward, ...options });
+  }
+
+  it("Should rotate the coinbase through the active set in turn order", async function () {
+    const producer = await setup();
+    const records = await producer.mineBlocks(6);
+
+    for (const record of records) {
+      const block = await ethers.provider.getBlock(record.number);
+      expect(block.miner).to.equal(order[record.number % 3]);
+      expect(record).to.include({ coinbase: record.inTurn, missed: false });
+      expect(record.calls).to.deep.equal([]);
+    }
+  });
+
+  it("Should send the validator-set update, counter decrease and reward on epoch blocks", async function () {
+    const producer = await setup();
+    const record = await producer.mineToEpoch();
+
+    expect(record.number).to.equal(200);
+    expect(record.coinbase).to.equal(order[200 % 3]);
+    expect(record.calls.map(c => c.method)).to.deep.equal(["updateActivatedValidators", "decreaseMissedBlocksCounter", "distributeBlockReward"]);
+    expect(record.calls.every(c => c.receipt.blockNumber === 200)).to.equal(true);
+
+    // Nothing is staked, so the reward is split evenly and each validator keeps its 5% commission
+    for (const address of order) {
+      expect((await validators.getValidatorInfo(address)).rewardAmount).to.equal(epochReward / 3n / 20n);
+    }
+    expect(await ethers.provider.getBalance(validators.target)).to.equal(epochReward);
+
+    const [second] = await producer.mineEpochs(1);
+    expect(second.number).to.equal(400);
+    expect(await ethers.provider.getBalance(validators.target)).to.equal(2n * epochReward);
+  });
+
+  it("Should slash an offline validator on each missed slot and jail it at the threshold", async function () {
+    const producer = await setup();
+    await slash.updateSlashParameters(3, 1);
+    const offline = order[1];
+    producer.setOffline(offline);
+
+    const records = await producer.mineBlocks(9);
+    const missed = records.filter(r => r.missed);
+    expect(missed.map(r => r.number % 3)).to.deep.equal([1, 1, 1]);
+    for (const record of missed) {
+      expect(record.inTurn).to.equal(offline);
+      expect(record.coinbase).to.equal(order[2]);
+      expect(record.calls.map(c => [c.method, c.args])).to.deep.equal([["slash", [offline]]]);
+    }
+
+    expect(await validators.isJailed(offline)).to.equal(true);
+    expect(await validators.getActivatedValidators()).to.not.include(offline);
+
+    // Turn order only changes at the epoch; afterwards the jailed validator has no slot
+    expect(producer.turnOrder).to.include(offline);
+    await producer.mineToEpoch();
+    expect(producer.turnOrder).to.deep.equal([order[0], order[2]]);
+    const after = await producer.mineBlocks(4);
+    expect(after.every(r => !r.missed)).to.equal(true);
+  });
+
+  it("Should decrease missed block counters at epoch boundaries", async function () {
+    const producer = await setup();
+    await slash.updateSlashParameters(10, 5);
+    producer.setOffline(order[0]);
+
+    const records = await producer.mineBlocks(9);
+    expect(records.filter(r => r.missed)).to.have.lengthOf(3);
+    expect(await slash.getSlashRecord(order[0])).to.equal(3n);
+
+    producer.setOnline(order[0]);
+    await producer.mineToEpoch();
+    expect(await slash.getSlashRecord(order[0])).to.equal(1n);
+    expect(await validators.isJailed(order[0])).to.equal(false);
+  });
+
+  it("Should replay a scenario deterministically", async function () {
+    async function run() {
+      const producer = await setup({ offline: [(await ethers.getSigners())[3].address] });
+      await producer.mineBlocks(5);
+      await producer.mineToEpoch();
+      return producer.history.map(({ number, inTurn, coinbase, missed, calls }) => ({ number, inTurn, coinbase, missed, calls: calls.map(c => c.method) }));
+    }
+
+    expect(await run()).to.deep.equal(await run());
+  });
+
+  it("Should refuse to produce when every validator is offline", async function () {
+    const producer = await setup();
+    order.forEach(address => producer.setOffline(address));
+    await producer.mineBlock().then(
+      () => expect.fail("expected the chain to halt"),
+      error => expect(error.message).to.match(/every validator is offline/)
+    );
+  });
+});
@@ -0,0 +1,60 @@
+// test/DeployPlan.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadPlan, readLimits, validatePlan } = require("../scripts/lib/deploy-plan");
+
+describe("Deployment plan", function () {
+  const validator = "0x72d9327a7485A6170fB54977E9a5839dC22cD414";
+  const limits = readLimits();
+
+  it("Should read the limits from Validators.sol", function () {
+    expect(limits).to.deep.equal({
+      maxValidators: 101,
+      maxCommissionRate: 1000,
+      description: { moniker: 128, website: 256, email: 256, details: 1024 }
+    });
+  });
+
+  it("Should accept the example plan", function () {
+    const plan = loadPlan(path.join(__dirname, "../deploy-plan.example.json"));
+    expect(validatePlan(plan, limits)).to.deep.equal([]);
+  });
+
+  it("Should load YAML plans", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "plan-"));
+    const planPath = path.join(dir, "plan.yaml");
+    fs.writeFileSync(planPath, `validators:\n  - address: "${validator}"\n    commissionRate: 250\n`);
+
+    try {
+      expect(loadPlan(planPath)).to.deep.equal({ validators: [{ address: validator, commissionRate: 250 }] });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject plans the contracts would revert on", function () {
+    const issues = validatePlan({
+      admin: "0x0000000000000000000000000000000000000000",
+      validators: [
+        { address: validator, commissionRate: 1001, description: { moniker: "m".repeat(129), twitter: "@x" } },
+        { address: validator.toLowerCase(), rewardAddr: "0x1234" }
+      ]
+    }, limits);
+
+    expect(issues).to.deep.equal([
+      "admin must not be the zero address",
+      "validators[0].commissionRate must be an integer between 0 and MAX_COMMISSION_RATE (1000), got 1001",
+      "validators[0].description.moniker is 129 bytes, validateDescription allows 128",
+      "validators[0].description.twitter is not a description field (moniker, website, email, details)",
+      "validators[1].rewardAddr is not an address: 0x1234",
+      `validators[1].address ${validator.toLowerCase()} is listed twice`
+    ]);
+  });
+
+  it("Should enforce MAX_VALIDATOR_NUM", function () {
+    const validators = Array.from({ length: 102 }, (_, i) => ({ address: "0x" + (i + 1).toString(16).padStart(40, "0") }));
+    expect(validatePlan({ validators }, limits)).to.deep.equal(["validators lists 102 entries, MAX_VALIDATOR_NUM is 101"]);
+  });
+});
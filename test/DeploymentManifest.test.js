@@ -0,0 +1,41 @@
+// test/DeploymentManifest.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DeploymentManifest } = require("../scripts/lib/deployment-manifest");
+
+describe("Deployment manifest", function () {
+  const chain = { network: "devnet", chainId: 982025, genesisHash: "0x01", deployer: "0x02", mode: "factory" };
+  let dir;
+  let filePath;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+    filePath = path.join(dir, "deployments", "devnet_deployment.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should write every step as it completes", function () {
+    const manifest = DeploymentManifest.load(filePath, chain);
+    manifest.pending("deploy:Validators", { txHash: "0xaa" });
+    expect(JSON.parse(fs.readFileSync(filePath, "utf8")).steps["deploy:Validators"].status).to.equal("pending");
+
+    manifest.complete("deploy:Validators", { address: "0x03", blockNumber: 7 });
+    const step = DeploymentManifest.load(filePath, chain).step("deploy:Validators");
+    expect(step).to.include({ status: "done", txHash: "0xaa", address: "0x03", blockNumber: 7 });
+    expect(step).to.not.have.property("sentAt");
+  });
+
+  it("Should resume only on the chain and mode it was written for", function () {
+    DeploymentManifest.load(filePath, chain).complete("deploy:Slash", {});
+
+    expect(DeploymentManifest.load(filePath, chain).isDone("deploy:Slash")).to.equal(true);
+    expect(() => DeploymentManifest.load(filePath, { ...chain, genesisHash: "0x09" })).to.throw(/genesisHash/);
+    expect(() => DeploymentManifest.load(filePath, { ...chain, mode: "canonical" })).to.throw(/mode/);
+    expect(DeploymentManifest.load(filePath, { ...chain, mode: "canonical" }, { fresh: true }).isDone("deploy:Slash")).to.equal(false);
+  });
+});
@@ -0,0 +1,47 @@
+// test/Disassembler.test.js
+const { expect } = require("chai");
+const { disassemble } = require("../scripts/lib/disassembler");
+
+describe("Disassembler", function () {
+  const names = (result) => result.findings.map((f) => f.name);
+
+  it("Should flag PUSH0 only when it is executed as an opcode", function () {
+    // PUSH1 0x5f, POP, PUSH0, STOP
+    expect(names(disassemble("0x605f505f00", { fork: "istanbul" }))).to.deep.equal(["PUSH0"]);
+    expect(disassemble("0x605f505f00", { fork: "shanghai" }).findings).to.deep.equal([]);
+  });
+
+  it("Should treat bytes after a terminator as data until the next JUMPDEST", function () {
+    // STOP, <data: PUSH0 BASEFEE>, JUMPDEST, PUSH0, STOP
+    const result = disassemble("0x005f485b5f00", { fork: "istanbul" });
+
+    expect(result.data).to.deep.equal([{ start: 1, end: 3 }]);
+    expect(result.findings.map((f) => [f.offset, f.name])).to.deep.equal([[4, "PUSH0"]]);
+  });
+
+  it("Should strip the CBOR metadata trailer", function () {
+    // STOP, then {"solc": 0.8.19} with the two-byte length suffix
+    const result = disassemble("0x00a164736f6c6343000813000a", { fork: "istanbul" });
+
+    expect(result.metadataSize).to.equal(12);
+    expect(result.instructions).to.have.length(1);
+    expect(result.findings).to.deep.equal([]);
+  });
+
+  it("Should apply per-hardfork opcode rules", function () {
+    // BASEFEE, TLOAD, TSTORE, MCOPY, BLOBHASH, STOP
+    const code = "0x485c5d5e4900";
+
+    expect(names(disassemble(code, { fork: "berlin" }))).to.deep.equal(["BASEFEE", "TLOAD", "TSTORE", "MCOPY", "BLOBHASH"]);
+    expect(names(disassemble(code, { fork: "london" }))).to.deep.equal(["TLOAD", "TSTORE", "MCOPY", "BLOBHASH"]);
+    expect(names(disassemble(code, { fork: "shanghai" }))).to.deep.equal(["TLOAD", "TSTORE", "MCOPY", "BLOBHASH"]);
+    expect(disassemble(code, { fork: "cancun" }).findings).to.deep.equal([]);
+  });
+
+  it("Should split code into basic blocks at JUMPDEST and after jumps", function () {
+    // PUSH1 0x05, JUMPI, JUMPDEST, STOP
+    const result = disassemble("0x6005575b00", { fork: "istanbul" });
+
+    expect(result.blocks.map((b) => [b.start, b.end, b.reachable])).to.deep.equal([[0, 3, true], [3, 5, true]]);
+  });
+});
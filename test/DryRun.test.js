@@ -0,0 +1,51 @@
+// test/DryRun.test.js
+const { expect } = require("chai");
+const { artifacts, ethers } = require("hardhat");
+const { chainHardfork, checkDryRun, describeTransaction } = require("../scripts/lib/dry-run");
+const genesis = require("../genesis.json");
+
+describe("Deployment dry run", function () {
+  const deployer = "0x72d9327a7485A6170fB54977E9a5839dC22cD414";
+  const validator = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const gasPrice = 20000000000n;
+  const gasCap = 6721975n;
+
+  const tx = (from, gasUsed) => ({ from, action: "deploy Validators", gasUsed, cost: gasUsed * gasPrice });
+
+  it("Should flag transactions over the gas cap", function () {
+    const { issues } = checkDryRun([tx(deployer, 7000000n)], { gasCap, gasPrice, balances: new Map([[deployer, 10n ** 21n]]) });
+    expect(issues).to.deep.equal(["#1 deploy Validators needs 7000000 gas, over the 6721975 gas cap"]);
+  });
+
+  it("Should require each sender to cover its cost and the last gas reservation", function () {
+    const transactions = [tx(deployer, 5000000n), tx(deployer, 100000n), tx(validator, 50000n)];
+    const required = (5100000n + gasCap - 100000n) * gasPrice;
+    const { accounts, issues } = checkDryRun(transactions, {
+      gasCap,
+      gasPrice,
+      balances: new Map([[deployer, required], [validator, 0n]])
+    });
+
+    expect(accounts.map((a) => [a.address, a.cost, a.required])).to.deep.equal([
+      [deployer, 5100000n * gasPrice, required],
+      [validator, 50000n * gasPrice, gasCap * gasPrice]
+    ]);
+    expect(issues).to.deep.equal([`${validator} holds 0 wei but needs ${gasCap * gasPrice} wei`]);
+  });
+
+  it("Should describe deployments and decoded calls", async function () {
+    const artifact = await artifacts.readArtifact("Slash");
+    const contracts = [{ name: "Slash", artifact, iface: new ethers.Interface(artifact.abi) }];
+
+    expect(describeTransaction({ to: null, data: artifact.bytecode }, contracts)).to.equal("deploy Slash");
+    const data = contracts[0].iface.encodeFunctionData("updateSlashParameters", [24, 12]);
+    expect(describeTransaction({ to: deployer, data, value: 0n }, contracts)).to.equal("Slash.updateSlashParameters(24, 12)");
+  });
+
+  it("Should fork the chain genesis.json describes at its hardfork", function () {
+    expect(chainHardfork(genesis, genesis.config.chainId)).to.equal("istanbul");
+    expect(chainHardfork(genesis, 1337)).to.equal(undefined);
+    expect(chainHardfork({ config: { ...genesis.config, berlinBlock: 0, londonBlock: 0, mergeNetsplitBlock: 0 } }, genesis.config.chainId))
+      .to.equal("merge");
+  });
+});
@@ -0,0 +1,203 @@
+// test/EventIndexer.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { BlockProducer } = require("../scripts/lib/block-producer");
+const { EventIndexer, reconcile } = require("../scripts/lib/event-indexer");
+const { delegatedAmount } = require("../scripts/lib/staking-ledger");
+const { readStakingConstants } = require("../scripts/lib/staking-model");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+const { artifacts, ethers, network } = hre;
+
+describe("Event indexer", function () {
+  const constants = readStakingConstants();
+  const addresses = canonicalAddresses();
+  let validators;
+  let slash;
+  let producer;
+  let order;
+  let delegator;
+
+  function indexer(options = {}) {
+    return new EventIndexer(ethers.provider, addresses, { reorgDepth: 5, constants, ...options });
+  }
+
+  async function expectReconciled(idx) {
+    const differences = await reconcile(idx.state(), { validators, slash }, idx.data.head.number, constants);
+    expect(differences).to.deep.equal([]);
+    expect(idx.state().inconsistencies).to.deep.equal([]);
+  }
+
+  // Three staked validators producing blocks and one delegator
+  beforeEach(async function () {
+    await network.provider.send("hardhat_reset");
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+    const signers = await ethers.getSigners();
+    const stakers = signers.slice(1, 4);
+    delegator = signers[4];
+    for (const account of [...stakers, delegator]) {
+      await network.provider.send("hardhat_setBalance", [account.address, ethers.toQuantity(ethers.parseEther("100000"))]);
+    }
+
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    slash = await ethers.getContractAt("Slash", addresses.Slash);
+    await validators.initialize(stakers.map(s => s.address));
+    await slash.initialize();
+    for (const staker of stakers) {
+      await validators.connect(staker).stake(staker.address, { value: ethers.parseEther("10000") });
+    }
+
+    order = stakers.map(s => s.address).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    producer = await BlockProducer.attach(hre, { epochReward: ethers.parseEther("3") });
+  });
+
+  it("Should rebuild validator and delegator state that matches the contracts", async function () {
+    await validators.connect(delegator).stake(order[0], { value: ethers.parseEther("2000") });
+    await producer.mineEpochs(2);
+    await validators.connect(delegator).claimDelegatorRewards(order[0]);
+    // Only the first of the two unstakes has unlocked when withdrawing
+    await validators.connect(delegator).unstake(order[0], ethers.parseEther("500"));
+    await network.provider.send("evm_increaseTime", [Number(constants.STAKING_LOCK_PERIOD)]);
+    await validators.connect(delegator).unstake(order[0], ethers.parseEther("1500"));
+    await validators.connect(delegator).withdrawStaking(order[0]);
+
+    await slash.updateSlashParameters(3, 1);
+    producer.setOffline(order[2]);
+    await producer.mineEpochs(1);
+    expect(await validators.isJailed(order[2])).to.equal(true);
+
+    const idx = indexer({ batchSize: 100 });
+    const result = await idx.sync();
+    expect(result).to.include({ from: 0, reorgAt: undefined });
+    expect(idx.data.initialValidators).to.have.members(order);
+    await expectReconciled(idx);
+
+    const ledger = idx.state();
+    expect(ledger.validators[order[2]].status).to.equal("Jailed");
+    expect(ledger.activeSet).to.not.include(order[2]);
+    const delegation = ledger.delegations[`${delegator.address}/${order[0]}`];
+    expect(delegation.history.map(h => h.event)).to.deep.equal(["Staking", "ClaimDelegatorRewards", "Unstake", "Unstake", "WithdrawStaking"]);
+    expect(delegation.unbonding.map(entry => entry.amount)).to.deep.equal([ethers.parseEther("1500")]);
+    const rewardBlocks = ledger.validators[order[0]].history.filter(h => h.event === "RewardDistributed").map(h => h.block);
+    expect(rewardBlocks).to.include.members([200, 400, 600]);
+  });
+
+  it("Should follow redelegations on both validators", async function () {
+    await validators.connect(delegator).stake(order[0], { value: ethers.parseEther("3000") });
+    await producer.mineEpochs(1);
+    await validators.connect(delegator).redelegate(order[0], order[1], ethers.parseEther("1000"));
+    await producer.mineEpochs(1);
+
+    const idx = indexer({ batchSize: 100 });
+    await idx.sync();
+    await expectReconciled(idx);
+
+    const ledger = idx.state();
+    const from = ledger.delegations[`${delegator.address}/${order[0]}`];
+    const to = ledger.delegations[`${delegator.address}/${order[1]}`];
+    expect(from.delegatedAmount).to.equal(ethers.parseEther("2000"));
+    expect(to.delegatedAmount).to.equal(ethers.parseEther("1000"));
+    expect(from.history.map(h => h.event)).to.deep.equal(["Staking", "Redelegate"]);
+    expect(to.history.map(h => h.event)).to.deep.equal(["Redelegate"]);
+    expect(ledger.validators[order[1]].history.map(h => h.event)).to.include("Redelegate");
+    expect(ledger.totalNetworkStaked).to.equal(await validators.getTotalNetworkStaked());
+  });
+
+  it("Should reconcile delegations whose slash is not applied yet", async function () {
+    const staked = ethers.parseEther("2000");
+    await validators.connect(delegator).stake(order[2], { value: staked });
+    await slash.updateSlashParameters(3, 1);
+    producer.setOffline(order[2]);
+    await producer.mineEpochs(1);
+    expect(await validators.isJailed(order[2])).to.equal(true);
+
+    const idx = indexer({ batchSize: 100 });
+    await idx.sync();
+    await expectReconciled(idx);
+
+    // The delegation still stores the stake from before the slash; getDelegation() and the ledger take it off
+    const ledger = idx.state();
+    expect(ledger.delegations[`${delegator.address}/${order[2]}`].delegatedAmount).to.equal(staked);
+    const [onchain] = await validators.getDelegation(delegator.address, order[2]);
+    expect(onchain).to.be.below(staked);
+    expect(delegatedAmount(ledger, delegator.address, order[2])).to.equal(onchain);
+  });
+
+  it("Should only scan new blocks and keep its state in the store", async function () {
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "index-")), "index.json");
+    await producer.mineToEpoch();
+    const first = await indexer({ storePath }).sync();
+
+    await validators.connect(delegator).stake(order[1], { value: ethers.parseEther("1500") });
+    await producer.mineToEpoch();
+
+    const reopened = indexer({ storePath });
+    expect(reopened.data.finalized.number).to.equal(first.to - 5);
+    const second = await reopened.sync();
+    expect(second.from).to.equal(first.to + 1);
+    expect(reopened.state().delegations[`${delegator.address}/${order[1]}`].delegatedAmount).to.equal(ethers.parseEther("1500"));
+    await expectReconciled(reopened);
+
+    // Another chain or contract is refused instead of mixed in
+    const moved = new EventIndexer(ethers.provider, { ...addresses, Slash: delegator.address }, { storePath, constants });
+    await moved.sync().then(
+      () => expect.fail("expected a different address to be refused"),
+      error => expect(error.message).to.match(/built for Slash/)
+    );
+  });
+
+  it("Should drop and re-scan blocks replaced by a reorg", async function () {
+    await producer.mineBlocks(3);
+    const idx = indexer();
+    await idx.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await validators.connect(delegator).stake(order[0], { value: ethers.parseEther("1000") });
+    await producer.mineBlocks(2);
+    await idx.sync();
+    expect(idx.state().delegations).to.have.property(`${delegator.address}/${order[0]}`);
+
+    // The other branch stakes with another validator instead
+    await network.provider.send("evm_revert", [snapshot]);
+    await validators.connect(delegator).stake(order[1], { value: ethers.parseEther("1200") });
+    await producer.mineBlocks(3);
+    const result = await idx.sync();
+
+    expect(result.reorgAt).to.be.a("number");
+    const delegations = Object.keys(idx.state().delegations);
+    expect(delegations).to.include(`${delegator.address}/${order[1]}`);
+    expect(delegations).to.not.include(`${delegator.address}/${order[0]}`);
+    await expectReconciled(idx);
+  });
+
+  it("Should refuse a reorg deeper than the re-checked blocks", async function () {
+    const snapshot = await network.provider.send("evm_snapshot");
+    await producer.mineBlocks(10);
+    const idx = indexer({ reorgDepth: 2 });
+    await idx.sync();
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await validators.connect(delegator).stake(order[0], { value: ethers.parseEther("1000") });
+    await producer.mineBlocks(12);
+    await idx.sync().then(
+      () => expect.fail("expected the deep reorg to be refused"),
+      error => expect(error.message).to.match(/changed although it is 2 blocks deep/)
+    );
+  });
+
+  it("Should report where the index and the contracts disagree", async function () {
+    await validators.connect(delegator).stake(order[0], { value: ethers.parseEther("2000") });
+    await producer.mineToEpoch();
+    const idx = indexer();
+    await idx.sync();
+
+    idx.state().validators[order[0]].totalStaked += 1n;
+    const differences = await reconcile(idx.state(), { validators, slash }, idx.data.head.number, constants);
+    expect(differences.map(d => [d.subject, d.field])).to.deep.include([order[0], "totalStaked"]);
+  });
+});
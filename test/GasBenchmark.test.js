@@ -0,0 +1,99 @@
+// test/GasBenchmark.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  checkGas,
+  formatTable,
+  measureScenario,
+  readGasBudgets,
+  readPreviousGas,
+  scenarioGrid
+} = require("../scripts/lib/gas-benchmark");
+
+describe("Gas benchmarks for epoch operations", function () {
+  const budgets = {
+    blockGasLimit: 42000000,
+    maxBlockShare: 0.5,
+    maxGrowth: 0.05,
+    operations: { distributeBlockReward: 12000000 }
+  };
+  // A 101-validator measurement; the epoch block total defaults to the sum of the operations
+  function result(overrides, total) {
+    const gas = { updateActivatedValidators: 600000, decreaseMissedBlocksCounter: 2900000, distributeBlockReward: 10500000, ...overrides };
+    return {
+      scenario: { validators: 101, delegators: 0, slashRecords: 101 },
+      gas,
+      total: total ?? Object.values(gas).reduce((a, b) => a + b, 0)
+    };
+  }
+
+  it("Should measure more gas as validators and slash records grow, but not delegators", async function () {
+    this.timeout(120000);
+    const small = await measureScenario(hre, { validators: 2, delegators: 0, slashRecords: 0 });
+    const large = await measureScenario(hre, { validators: 6, delegators: 0, slashRecords: 0 });
+    const delegated = await measureScenario(hre, { validators: 6, delegators: 2, slashRecords: 0 });
+    const slashed = await measureScenario(hre, { validators: 6, delegators: 0, slashRecords: 6 });
+
+    expect(large.gas.updateActivatedValidators).to.be.above(small.gas.updateActivatedValidators);
+    expect(large.gas.distributeBlockReward).to.be.above(small.gas.distributeBlockReward);
+    // Rewards go to an accumulator per validator, so delegators cost nothing at epochs
+    expect(delegated.gas).to.deep.equal(large.gas);
+    expect(slashed.gas.decreaseMissedBlocksCounter).to.be.above(large.gas.decreaseMissedBlocksCounter);
+  });
+
+  it("Should cap slash records at the number of validators", function () {
+    const scenarios = scenarioGrid({ validators: [1, 101], delegators: [0], slashRecords: [0, 101] });
+
+    expect(scenarios.map(s => [s.validators, s.slashRecords])).to.deep.equal([[1, 0], [1, 1], [101, 0], [101, 101]]);
+  });
+
+  it("Should pass results within every budget", function () {
+    expect(checkGas(result({}), budgets, new Map([["101v/0d/101s/distributeBlockReward", 10400000]]))).to.deep.equal([]);
+  });
+
+  it("Should fail operations over their budget and epoch blocks over their share of the block gas limit", function () {
+    const issues = checkGas(result({ distributeBlockReward: 12500000 }, 22000000), budgets);
+
+    expect(issues.map(issue => issue.level)).to.deep.equal(["error", "error"]);
+    expect(issues[0].message).to.include("exceeds its 12000000-gas budget by 500000");
+    expect(issues[1].message).to.include("52.4% of the 42000000 block gas limit");
+  });
+
+  it("Should fail operations that grew past the regression budget", function () {
+    const previous = new Map([["101v/0d/101s/decreaseMissedBlocksCounter", 2500000]]);
+    const issues = checkGas(result({}), budgets, previous);
+
+    expect(issues).to.have.length(1);
+    expect(issues[0].message).to.include("16.0% more than the previous 2500000, over the 5.0% regression budget");
+  });
+
+  it("Should read budgets and a previous report, and reject invalid budgets", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-benchmark-"));
+    const write = (name, content) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, JSON.stringify(content));
+      return file;
+    };
+
+    expect(readGasBudgets(write("budgets.json", { operations: { distributeBlockReward: 100 } })))
+      .to.deep.include({ maxBlockShare: 0.5, operations: { distributeBlockReward: 100 } });
+    expect(() => readGasBudgets(write("share.json", { maxBlockShare: 2 }))).to.throw(/maxBlockShare/);
+    expect(() => readGasBudgets(write("unknown.json", { operations: { slash: 100 } }))).to.throw(/unknown operation slash/);
+
+    const previous = readPreviousGas(write("report.json", { results: [result({})] }));
+    expect(previous.get("101v/0d/101s/updateActivatedValidators")).to.equal(600000);
+  });
+
+  it("Should format a table with the share of the block gas limit and changes since the baseline", function () {
+    const table = formatTable([result({})], {
+      blockGasLimit: 42000000,
+      previous: new Map([["101v/0d/101s/distributeBlockReward", 10000000]])
+    }).split("\n");
+
+    expect(table[0]).to.equal("| Validators | Delegators | Slash records | updateActivatedValidators | decreaseMissedBlocksCounter | distributeBlockReward | Epoch block | Of block limit |");
+    expect(table[2]).to.equal("| 101 | 0 | 101 | 600000 | 2900000 | 10500000 (+5.0%) | 14000000 | 33.33% |");
+  });
+});
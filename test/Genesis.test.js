@@ -0,0 +1,112 @@
+// test/Genesis.test.js
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { renderGenesis } = require("../generate-contracts");
+const genesisConfig = require("../genesis-config.json");
+
+const VALIDATOR_CONTRACT_ADDR = "0x0000000000000000000000000000000000001000";
+const SLASH_CONTRACT_ADDR = "0x0000000000000000000000000000000000001001";
+
+async function loadAlloc(alloc) {
+  for (const [address, account] of Object.entries(alloc)) {
+    await network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(BigInt(account.balance))]);
+    if (account.code) {
+      await network.provider.send("hardhat_setCode", [address, account.code]);
+    }
+    for (const [slot, value] of Object.entries(account.storage || {})) {
+      await network.provider.send("hardhat_setStorageAt", [address, slot, value]);
+    }
+  }
+}
+
+// Non-zero slots a transaction wrote at `address`, with the values they hold afterwards
+async function writtenStorage(txHash, address) {
+  const { structLogs } = await network.provider.send("debug_traceTransaction", [txHash, { disableMemory: true, disableStorage: true }]);
+  const slots = new Set(structLogs
+    .filter((log) => log.op === "SSTORE" && log.depth === 1)
+    .map((log) => ethers.toBeHex(BigInt("0x" + log.stack[log.stack.length - 1].replace(/^0x/, "")), 32)));
+
+  const storage = {};
+  for (const slot of slots) {
+    const value = await ethers.provider.getStorage(address, slot);
+    if (BigInt(value) !== 0n) {
+      storage[slot] = value;
+    }
+  }
+  return storage;
+}
+
+describe("Genesis", function () {
+  let genesis;
+  let validators;
+  let slash;
+
+  before(async function () {
+    genesis = JSON.parse(renderGenesis());
+    await loadAlloc(genesis.alloc);
+
+    validators = await ethers.getContractAt("Validators", VALIDATOR_CONTRACT_ADDR);
+    slash = await ethers.getContractAt("Slash", SLASH_CONTRACT_ADDR);
+  });
+
+  it("Should embed the compiled runtime bytecode", async function () {
+    const artifact = require("../artifacts/contracts/Validators.sol/Validators.json");
+    expect(genesis.alloc[VALIDATOR_CONTRACT_ADDR].code).to.equal(artifact.deployedBytecode);
+  });
+
+  it("Should start Validators initialized with the signer set", async function () {
+    const signers = genesisConfig.signers.map((signer) => ethers.getAddress(signer));
+
+    expect(await validators.initialized()).to.equal(true);
+    expect(await validators.admin()).to.equal(ethers.getAddress(genesisConfig.systemContracts.admin));
+    expect(await validators.emergencyAdmin()).to.equal(ethers.getAddress(genesisConfig.systemContracts.admin));
+    expect(await validators.getActivatedValidators()).to.deep.equal(signers);
+
+    for (const signer of signers) {
+      expect(await validators.isValidatorCandidate(signer)).to.equal(true);
+      const info = await validators.getValidatorInfo(signer);
+      expect(info.rewardAddr).to.equal(signer);
+      expect(info.status).to.equal("Staked");
+      expect(info.commissionRate).to.equal(500n);
+    }
+  });
+
+  it("Should start Slash initialized against the Validators contract", async function () {
+    expect(await slash.initialized()).to.equal(true);
+    expect(await slash.admin()).to.equal(ethers.getAddress(genesisConfig.systemContracts.admin));
+    expect(await slash.validatorContract()).to.equal(VALIDATOR_CONTRACT_ADDR);
+    expect(await slash.slashThreshold()).to.equal(48n);
+    expect(await slash.decreaseRate()).to.equal(48n);
+  });
+
+  it("Should match the storage written by initialize()", async function () {
+    const admin = genesisConfig.systemContracts.admin;
+    const target = "0x0000000000000000000000000000000000002000";
+
+    await network.provider.send("hardhat_setCode", [target, genesis.alloc[VALIDATOR_CONTRACT_ADDR].code]);
+    await network.provider.send("hardhat_impersonateAccount", [admin]);
+    await network.provider.send("hardhat_setBalance", [admin, ethers.toQuantity(ethers.parseEther("1"))]);
+
+    const adminSigner = await ethers.getSigner(admin);
+    const fresh = await ethers.getContractAt("Validators", target, adminSigner);
+    const tx = await fresh.initialize(genesisConfig.signers);
+    await network.provider.send("hardhat_stopImpersonatingAccount", [admin]);
+
+    // The same slots both ways, with the same values
+    const genesisStorage = Object.fromEntries(Object.entries(genesis.alloc[VALIDATOR_CONTRACT_ADDR].storage)
+      .filter(([, value]) => BigInt(value) !== 0n)
+      .map(([slot, value]) => [ethers.toBeHex(BigInt(slot), 32), ethers.toBeHex(BigInt(value), 32)]));
+    expect(await writtenStorage(tx.hash, target)).to.deep.equal(genesisStorage);
+  });
+
+  it("Should not allow anyone to re-initialize after launch", async function () {
+    const [attacker] = await ethers.getSigners();
+
+    await expect(
+      validators.connect(attacker).initialize([attacker.address])
+    ).to.be.revertedWith("the contract already initialized");
+    await expect(
+      slash.connect(attacker).initialize()
+    ).to.be.revertedWith("the contract already initialized");
+  });
+});
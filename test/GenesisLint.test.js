@@ -0,0 +1,94 @@
+// test/GenesisLint.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const path = require("path");
+const { lintGenesis, parseArgs } = require("../scripts/lint-genesis");
+
+describe("Genesis lint", function () {
+  let context;
+
+  function issuesFor(overrides, name) {
+    const results = lintGenesis({ ...context, ...overrides });
+    return results.find((result) => result.name === name).issues;
+  }
+
+  beforeEach(function () {
+    context = {
+      genesis: JSON.parse(JSON.stringify(require("../genesis.json"))),
+      genesisConfig: require("../genesis-config.json"),
+      networks: hre.config.networks,
+      networkName: "oxt",
+      solidity: hre.config.solidity,
+      systemPath: path.join(__dirname, "../contracts/System.sol"),
+      artifactsPath: path.join(hre.config.paths.artifacts, "contracts")
+    };
+  });
+
+  it("Should pass on the committed genesis", function () {
+    const failing = lintGenesis(context).filter((result) => result.issues.length > 0);
+    expect(failing).to.deep.equal([]);
+  });
+
+  it("Should report a chainId mismatch with the network config", function () {
+    context.genesis.config.chainId = 1337;
+    expect(issuesFor({}, "chainId")).to.include(
+      "genesis.json config.chainId is 1337 but hardhat.config.js networks.oxt.chainId is 982025"
+    );
+  });
+
+  it("Should report an epoch that differs from BlockEpoch", function () {
+    context.genesis.config.senatus.epoch = 100;
+    expect(issuesFor({}, "senatus epoch")).to.deep.equal([
+      "genesis.json config.senatus.epoch is 100 but System.sol BlockEpoch is 200"
+    ]);
+  });
+
+  it("Should report an evmVersion newer than the genesis forks", function () {
+    const solidity = {
+      compilers: [{ version: "0.8.20", settings: {} }],
+      overrides: {}
+    };
+    expect(issuesFor({ solidity }, "evmVersion")).to.deep.equal([
+      'hardhat.config.js solidity.compilers[0] (solc 0.8.20) uses default evmVersion "shanghai" ' +
+      'but genesis.json only activates up to "istanbul" (berlinBlock is not 0)'
+    ]);
+  });
+
+  it("Should report an evmVersion it does not know instead of throwing", function () {
+    const solidity = {
+      compilers: [{ version: "0.8.30", settings: { evmVersion: "prague" } }],
+      overrides: {}
+    };
+    expect(issuesFor({ solidity }, "evmVersion")).to.deep.equal([
+      'cannot check hardhat.config.js solidity.compilers[0] (solc 0.8.30) evmVersion "prague": Unknown hardfork: prague'
+    ]);
+  });
+
+  it("Should report missing system contract code", function () {
+    delete context.genesis.alloc["0x0000000000000000000000000000000000001001"];
+    expect(issuesFor({}, "system contracts")).to.deep.equal([
+      "genesis.json alloc has no code at 0x0000000000000000000000000000000000001001 (System.sol SlashContractAddr)"
+    ]);
+  });
+
+  it("Should report signers that differ from the initial validator set", function () {
+    const extra = context.genesis.extraData;
+    context.genesis.extraData = extra.slice(0, 66) + "11".repeat(20) + extra.slice(106);
+    const issues = issuesFor({}, "signers");
+    expect(issues).to.have.length(2);
+    expect(issues[1]).to.match(/differ from the pre-initialized validatorSet/);
+  });
+
+  it("Should report a Validators storage layout it cannot read instead of throwing", function () {
+    const issues = issuesFor({ artifactsPath: path.join(__dirname, "missing-artifacts") }, "signers");
+    expect(issues).to.deep.equal([
+      "cannot read the pre-initialized validatorSet: Debug artifact for Validators not found. Run 'npx hardhat compile' first."
+    ]);
+  });
+
+  it("Should reject --network without a value", function () {
+    expect(parseArgs(["genesis.json", "--network", "localhost"])).to.deep.include({ networkName: "localhost" });
+    expect(() => parseArgs(["--network"])).to.throw(/^Missing value for --network\nUsage: /);
+    expect(() => parseArgs(["--network", "--network"])).to.throw(/^Missing value for --network/);
+  });
+});
@@ -0,0 +1,58 @@
+// test/LocalDeployment.test.js
+const { expect } = require("chai");
+const { artifacts, ethers, network } = require("hardhat");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+describe("Local deployment at canonical addresses", function () {
+  let addresses;
+  let validators;
+  let slash;
+  let producer;
+  let validator;
+  let other;
+
+  before(async function () {
+    // Other suites leave code and storage at the system addresses
+    await network.provider.send("hardhat_reset");
+    [, producer, validator, other] = await ethers.getSigners();
+    addresses = canonicalAddresses();
+
+    for (const name of ["Validators", "Slash"]) {
+      expect(await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name))).to.equal("installed");
+    }
+
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    slash = await ethers.getContractAt("Slash", addresses.Slash);
+    await validators.initialize([validator.address, other.address]);
+    await slash.initialize();
+  });
+
+  it("Should report code that is already in place", async function () {
+    expect(await installCode(ethers.provider, addresses.Slash, await artifacts.readArtifact("Slash"))).to.equal("present");
+  });
+
+  it("Should wire Slash to the Validators contract", async function () {
+    expect(await validators.initialized()).to.equal(true);
+    expect(await slash.validatorContract()).to.equal(addresses.Validators);
+    expect(await validators.getActivatedValidators()).to.deep.equal([validator.address, other.address]);
+  });
+
+  it("Should jail a validator through Slash and unjail it through Validators", async function () {
+    await slash.updateSlashParameters(2, 1);
+    await network.provider.send("hardhat_setCoinbase", [producer.address]);
+
+    await slash.connect(producer).slash(validator.address);
+    await expect(slash.connect(producer).slash(validator.address))
+      .to.emit(slash, "ValidatorSlashed")
+      .withArgs(validator.address, 2n);
+
+    expect(await validators.isJailed(validator.address)).to.equal(true);
+    expect(await validators.getActivatedValidators()).to.deep.equal([other.address]);
+
+    await expect(validators.connect(validator).unjailValidator())
+      .to.emit(slash, "SlashRecordCleared")
+      .withArgs(validator.address);
+    expect(await slash.slashRecordExists(validator.address)).to.equal(false);
+    expect(await validators.isJailed(validator.address)).to.equal(false);
+  });
+});
@@ -0,0 +1,61 @@
+// test/ReportFormats.test.js
+const { expect } = require("chai");
+const { formatJunit, formatSarif } = require("../scripts/lib/report-formats");
+const { createSourceLocator, parseSourceMap } = require("../scripts/lib/source-map");
+
+describe("Report formats", function () {
+  const finding = {
+    contract: "Validators",
+    location: "deployed",
+    offset: 42,
+    opcode: "0x5f",
+    name: "PUSH0",
+    since: "shanghai",
+    reason: "unsupported",
+    sourceLocation: { file: "contracts/Validators.sol", startLine: 3, startColumn: 5, endLine: 3, endColumn: 9 }
+  };
+  const results = [
+    { name: "Validators", source: "artifact", sourceName: "contracts/Validators.sol", fork: "istanbul", incompatible: true, findings: [finding], compiler: { issues: [] } },
+    { name: "Slash", source: "artifact", sourceName: "contracts/Slash.sol", fork: "istanbul", incompatible: false, findings: [], compiler: { issues: [] } }
+  ];
+
+  it("Should expand compressed source maps", function () {
+    expect(parseSourceMap("1:2:0:-;;5::1;:3").map((e) => [e.start, e.length, e.file])).to.deep.equal([
+      [1, 2, 0], [1, 2, 0], [5, 2, 1], [5, 3, 1]
+    ]);
+  });
+
+  it("Should map instruction indexes to source lines", function () {
+    const build = {
+      input: { sources: { "A.sol": { content: "contract A {\n  uint x;\n}\n" } } },
+      output: {
+        sources: { "A.sol": { id: 0 } },
+        contracts: { "A.sol": { A: { evm: { deployedBytecode: { sourceMap: "0:25:0;15:6;-1:-1:-1" } } } } }
+      }
+    };
+    const locate = createSourceLocator(build, "A.sol", "A", "deployed");
+
+    expect(locate(1)).to.deep.equal({ file: "A.sol", startLine: 2, startColumn: 3, endLine: 2, endColumn: 9 });
+    expect(locate(2)).to.equal(undefined);
+  });
+
+  it("Should emit one SARIF result per finding with its source region", function () {
+    const sarif = JSON.parse(formatSarif(results, { fork: "istanbul" }));
+    const [result] = sarif.runs[0].results;
+
+    expect(sarif.version).to.equal("2.1.0");
+    expect(sarif.runs[0].results).to.have.length(1);
+    expect(result.ruleId).to.equal("EVM001");
+    expect(result.locations[0].physicalLocation.artifactLocation.uri).to.equal("contracts/Validators.sol");
+    expect(result.locations[0].physicalLocation.region.startLine).to.equal(3);
+    expect(result.properties).to.include({ contract: "Validators", offset: 42, opcode: "0x5f" });
+  });
+
+  it("Should emit a JUnit testcase per contract and fail incompatible ones", function () {
+    const xml = formatJunit(results, { fork: "istanbul" });
+
+    expect(xml).to.include('<testsuites name="verify-bytecode" tests="2" failures="1">');
+    expect(xml).to.include('<testcase classname="verify-bytecode.artifact" name="Slash"/>');
+    expect(xml).to.match(/<failure [^>]*type="UnsupportedOpcode">Validators: PUSH0 .*\[contracts\/Validators.sol:3:5\]<\/failure>/);
+  });
+});
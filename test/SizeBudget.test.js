@@ -0,0 +1,32 @@
+// test/SizeBudget.test.js
+const { expect } = require("chai");
+const { EIP170_LIMIT, checkSize } = require("../scripts/lib/size-budget");
+
+describe("Size budgets", function () {
+  const budgets = { limit: EIP170_LIMIT, warnAt: 0.9, maxGrowth: 1024, contracts: { Validators: 23552 } };
+  const levels = (size) => size.issues.map((issue) => issue.level);
+
+  it("Should pass contracts well under the limit and their budget", function () {
+    expect(checkSize("Slash", 5890, budgets).issues).to.deep.equal([]);
+  });
+
+  it("Should warn as a contract approaches the EIP-170 limit", function () {
+    const size = checkSize("Validators", 22439, budgets);
+
+    expect(levels(size)).to.deep.equal(["warning"]);
+    expect(size.issues[0].message).to.include("2137 bytes left");
+  });
+
+  it("Should fail contracts over their budget or the limit", function () {
+    expect(levels(checkSize("Validators", 23600, budgets))).to.deep.equal(["warning", "error"]);
+    expect(levels(checkSize("Slash", EIP170_LIMIT + 1, budgets))).to.deep.equal(["error"]);
+  });
+
+  it("Should report growth against a previous report", function () {
+    const size = checkSize("Validators", 22439, budgets, new Map([["Validators", 20391]]));
+
+    expect(size.delta).to.equal(2048);
+    expect(size.issues[1].message).to.include("grew by 2048 bytes");
+    expect(checkSize("Validators", 22439, budgets, new Map([["Validators", 22000]])).issues).to.have.length(1);
+  });
+});
@@ -0,0 +1,419 @@
+// test/Slashing.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { BlockProducer } = require("../scripts/lib/block-producer");
+const { readStakingConstants } = require("../scripts/lib/staking-model");
+const { readStakingState } = require("../scripts/lib/staking");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+const { artifacts, ethers, network } = hre;
+
+// Slash.slash → Validators.slashValidator → unjailValidator → Slash.clean, with
+// both contracts at the addresses their onlySlashContract and
+// onlyValidatorsContract checks expect
+describe("Slashing lifecycle at canonical addresses", function () {
+  const constants = readStakingConstants();
+  const { MIN_VALIDATOR_TOTAL_STAKE, PRECISION_FACTOR, VALIDATOR_SLASH_PENALTY, COMMISSION_BASE } = constants;
+  const THRESHOLD = 4n;
+  const DECREASE_RATE = 2n;
+  const stakes = { first: ethers.parseEther("3000"), second: ethers.parseEther("2000") };
+
+  let validators;
+  let slash;
+  let producer;
+  let order;
+  let target;
+  let delegators;
+  // slashFactor after the slash, as slashValidator() rounds it
+  let slashFactor;
+
+  async function delegatedAmount(account, validator) {
+    return (await readStakingState(validators, { account, validator })).delegation.delegatedAmount;
+  }
+
+  // What the slash takes from `amount` once applied
+  function share(amount) {
+    return amount - (amount * slashFactor) / PRECISION_FACTOR;
+  }
+
+  function parseLogs(contract, receipt, name) {
+    return receipt.logs
+      .filter(log => log.address === contract.target)
+      .map(log => contract.interface.parseLog(log))
+      .filter(event => event.name === name);
+  }
+
+  // Mines until the offline target has missed `count` more slots and returns those blocks
+  async function missSlots(count) {
+    const missed = [];
+    while (missed.length < count) {
+      const record = await producer.mineBlock();
+      if (record.missed) {
+        missed.push(record);
+      }
+    }
+    return missed;
+  }
+
+  before(async function () {
+    await network.provider.send("hardhat_reset");
+    const addresses = canonicalAddresses();
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+
+    const signers = await ethers.getSigners();
+    const initial = signers.slice(1, 4);
+    delegators = signers.slice(4, 6);
+    for (const signer of [...initial, ...delegators]) {
+      await network.provider.send("hardhat_setBalance", [signer.address, ethers.toQuantity(ethers.parseEther("100000"))]);
+    }
+
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    slash = await ethers.getContractAt("Slash", addresses.Slash);
+    await validators.initialize(initial.map(s => s.address));
+    await slash.initialize();
+    await slash.updateSlashParameters(THRESHOLD, DECREASE_RATE);
+
+    for (const signer of initial) {
+      await validators.connect(signer).stake(signer.address, { value: MIN_VALIDATOR_TOTAL_STAKE });
+    }
+    order = initial.map(s => s.address).sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    target = initial.find(s => s.address === order[1]);
+    await validators.connect(delegators[0]).stake(target.address, { value: stakes.first });
+    await validators.connect(delegators[1]).stake(target.address, { value: stakes.second });
+
+    producer = await BlockProducer.attach(hre);
+  });
+
+  it("Should only take slashValidator() from Slash and clean() from Validators", async function () {
+    await expect(validators.slashValidator(target.address))
+      .to.be.revertedWith("the message sender must be slash contract");
+    await expect(slash.clean(target.address))
+      .to.be.revertedWith("the message sender must be validator contract");
+  });
+
+  it("Should count blocksUntilSlash down on each missed slot", async function () {
+    expect(await slash.blocksUntilSlash(target.address)).to.equal(THRESHOLD);
+    producer.setOffline(target.address);
+
+    const missed = await missSlots(Number(THRESHOLD) - 1);
+    for (const [i, record] of missed.entries()) {
+      const [event] = parseLogs(slash, record.calls[0].receipt, "ValidatorMissedBlock");
+      expect(event.args).to.deep.equal([target.address, BigInt(i + 1)]);
+    }
+    expect(await slash.getSlashRecord(target.address)).to.equal(THRESHOLD - 1n);
+    const records = await slash.getSlashRecords(0, 10);
+    expect(records.validators).to.deep.equal([target.address]);
+    expect(records.missedBlocksCounters).to.deep.equal([THRESHOLD - 1n]);
+    expect(await slash.blocksUntilSlash(target.address)).to.equal(1n);
+    expect(await validators.isJailed(target.address)).to.equal(false);
+
+    // Stake cannot hop away from the slash these missed blocks lead to
+    const other = order.find(address => address !== target.address);
+    await expect(validators.connect(delegators[0]).redelegate(target.address, other, stakes.first))
+      .to.be.revertedWith("Source validator missed blocks");
+    producer.setOnline(target.address);
+  });
+
+  it("Should decrease missed block counters at epochs", async function () {
+    const decrease = THRESHOLD / DECREASE_RATE;
+    const record = await producer.mineToEpoch();
+    const call = record.calls.find(c => c.method === "decreaseMissedBlocksCounter");
+    const [event] = parseLogs(slash, call.receipt, "ValidatorDecreasedMissedBlockCounter");
+
+    expect(event.args.validators[0]).to.equal(target.address);
+    expect(event.args.missedBlockCounters[0]).to.equal(THRESHOLD - 1n - decrease);
+    expect(event.args.decreasedCount).to.equal(1n);
+    expect(await slash.blocksUntilSlash(target.address)).to.equal(1n + decrease);
+
+    // Counters stop at zero, and the record stays until the validator is cleaned
+    await producer.mineToEpoch();
+    expect(await slash.getSlashRecord(target.address)).to.equal(0n);
+    expect(await slash.slashRecordExists(target.address)).to.equal(true);
+  });
+
+  it("Should jail at the threshold, deduct VALIDATOR_SLASH_PENALTY and redistribute it", async function () {
+    const totalStaked = MIN_VALIDATOR_TOTAL_STAKE + stakes.first + stakes.second;
+    const networkStaked = await validators.getTotalNetworkStaked();
+    const balance = await ethers.provider.getBalance(validators.target);
+    const others = order.filter(address => address !== target.address);
+
+    producer.setOffline(target.address);
+    const missed = await missSlots(Number(THRESHOLD));
+    producer.setOnline(target.address);
+    const { receipt } = missed[missed.length - 1].calls[0];
+
+    expect(parseLogs(slash, receipt, "ValidatorSlashed")[0].args).to.deep.equal([target.address, THRESHOLD]);
+    const [slashed] = parseLogs(validators, receipt, "ValidatorSlash");
+    expect(slashed.args).to.deep.equal([target.address, VALIDATOR_SLASH_PENALTY, totalStaked - VALIDATOR_SLASH_PENALTY]);
+
+    const info = await validators.getValidatorInfo(target.address);
+    expect(info.status).to.equal("Jailed");
+    expect(info.totalStaked).to.equal(totalStaked - VALIDATOR_SLASH_PENALTY);
+    expect(info.slashAmount).to.equal(VALIDATOR_SLASH_PENALTY);
+    expect(await validators.getTotalNetworkStaked()).to.equal(networkStaked - VALIDATOR_SLASH_PENALTY);
+    expect([...await validators.getActivatedValidators()]).to.have.members(others);
+    expect(await validators.isValidatorCandidate(target.address)).to.equal(false);
+    expect(await slash.blocksUntilSlash(target.address)).to.equal(THRESHOLD);
+
+    // _distributeRewards pays the penalty to the other active validators, out of ether the contract already holds
+    const [distributed] = parseLogs(validators, receipt, "RewardDistributed");
+    expect([...distributed.args.validators]).to.have.members(others);
+    expect(distributed.args.totalAmount).to.equal(VALIDATOR_SLASH_PENALTY);
+    expect(distributed.args.rewards.reduce((sum, reward) => sum + reward, 0n)).to.equal(VALIDATOR_SLASH_PENALTY);
+    for (const [i, address] of distributed.args.validators.entries()) {
+      const reward = distributed.args.rewards[i];
+      const { commissionRate, rewardAmount } = await validators.getValidatorInfo(address);
+      const commission = (reward * commissionRate) / COMMISSION_BASE;
+      expect(rewardAmount).to.equal(commission);
+      expect(await validators.getPendingRewards(address, address)).to.be.within(reward - commission - 10n, reward - commission);
+    }
+    expect(await ethers.provider.getBalance(validators.target)).to.equal(balance);
+
+    slashFactor = (PRECISION_FACTOR * (totalStaked - VALIDATOR_SLASH_PENALTY)) / totalStaked;
+  });
+
+  it("Should reduce delegators' stakes lazily when they next act", async function () {
+    const [first, second] = delegators;
+    // getDelegation(), and so the CLI, and getDelegators() already report what the pending slash leaves
+    for (const [signer, staked] of [[first, stakes.first], [second, stakes.second]]) {
+      const [amount] = await validators.getDelegation(signer.address, target.address);
+      expect(amount).to.equal(staked - share(staked));
+      expect(await delegatedAmount(signer.address, target.address)).to.equal(amount);
+    }
+    const { delegators: listed, amounts } = await validators.getDelegators(target.address, 0, 10);
+    expect([...listed]).to.deep.equal([target.address, first.address, second.address]);
+    expect([...amounts]).to.deep.equal([MIN_VALIDATOR_TOTAL_STAKE, stakes.first, stakes.second].map(staked => staked - share(staked)));
+
+    // Unstaking applies the pending slash first, so the stake from before the slash is no longer there
+    await expect(validators.connect(first).unstake(target.address, stakes.first)).to.be.revertedWith("Amount exceeds stake");
+
+    // totalStaked already lost the penalty and only drops by what is unstaked
+    const before = (await validators.getValidatorInfo(target.address)).totalStaked;
+    const left = stakes.first - share(stakes.first);
+    await expect(validators.connect(first).unstake(target.address, left))
+      .to.emit(validators, "Unstake")
+      .withArgs(first.address, target.address, left, unlock => unlock > 0n);
+    expect(await delegatedAmount(first.address, target.address)).to.equal(0n);
+    const [entry] = await validators.getUnbondingEntries(first.address, target.address);
+    expect(entry.amount).to.equal(left);
+    expect((await validators.getValidatorInfo(target.address)).totalStaked).to.equal(before - left);
+
+    expect(await delegatedAmount(second.address, target.address)).to.equal(stakes.second - share(stakes.second));
+  });
+
+  it("Should unjail through Validators and clean the Slash record", async function () {
+    expect(await slash.slashRecordExists(target.address)).to.equal(true);
+    const records = await slash.getSlashValidatorsLen();
+
+    await expect(validators.connect(target).unjailValidator())
+      .to.emit(slash, "SlashRecordCleared").withArgs(target.address)
+      .and.to.emit(validators, "ValidatorUnjailed").withArgs(target.address);
+    expect(await slash.slashRecordExists(target.address)).to.equal(false);
+    expect(await slash.getSlashValidatorsLen()).to.equal(records - 1n);
+    expect((await slash.getSlashRecords(0, 10)).validators).to.not.include(target.address);
+    expect((await validators.getValidatorInfo(target.address)).status).to.equal("Staked");
+    expect(await validators.isValidatorCandidate(target.address)).to.equal(true);
+    await expect(validators.connect(target).unjailValidator()).to.be.revertedWith("Validator not jailed");
+
+    // Back in the active set and the turn order at the next epoch
+    expect(await validators.isValidatorActivated(target.address)).to.equal(false);
+    await producer.mineToEpoch();
+    expect(await validators.isValidatorActivated(target.address)).to.equal(true);
+    expect(producer.turnOrder).to.include(target.address);
+  });
+
+  it("Should pay out what the slash left to everyone who leaves the slashed validator", async function () {
+    const [first, second] = delegators;
+    for (const [signer, staked] of [[second, stakes.second], [target, MIN_VALIDATOR_TOTAL_STAKE]]) {
+      await validators.connect(signer).unstake(target.address, staked - share(staked));
+    }
+    await network.provider.send("evm_increaseTime", [Number(constants.STAKING_LOCK_PERIOD)]);
+
+    let paid = 0n;
+    for (const signer of [first, second, target]) {
+      const [{ amount }] = await validators.getUnbondingEntries(signer.address, target.address);
+      // The validator may be producing the block, so only the contract's side of the transfer is exact
+      const tx = validators.connect(signer).withdrawStaking(target.address);
+      await expect(tx).to.changeEtherBalance(validators, -amount);
+      await expect(tx).to.emit(validators, "WithdrawStaking").withArgs(signer.address, target.address, amount);
+      paid += amount;
+    }
+
+    // Rounding the delegations down leaves dust behind: at most a wei per PRECISION_FACTOR staked, plus one per delegator
+    const staked = MIN_VALIDATOR_TOTAL_STAKE + stakes.first + stakes.second;
+    const remaining = (await validators.getValidatorInfo(target.address)).totalStaked;
+    expect(remaining).to.equal(staked - VALIDATOR_SLASH_PENALTY - paid);
+    expect(remaining).to.be.at.most(staked / PRECISION_FACTOR + 3n);
+
+    let sum = 0n;
+    for (const address of order) {
+      sum += (await validators.getValidatorInfo(address)).totalStaked;
+    }
+    expect(await validators.getTotalNetworkStaked()).to.equal(sum);
+  });
+});
+
+// The slash accounting on its own: slashValidator() takes the penalty off totalStaked and
+// totalNetworkStaked once, and each slash takes its share of what the earlier ones left
+describe("Slash accounting", function () {
+  const { MIN_VALIDATOR_TOTAL_STAKE, PRECISION_FACTOR, VALIDATOR_SLASH_PENALTY } = readStakingConstants();
+  // Amounts that do not divide the penalty evenly
+  const stakes = [ethers.parseEther("1000") + 1n, ethers.parseEther("1333") + 7n, ethers.parseEther("2999")];
+
+  let validators;
+  let addresses;
+  let target;
+  let other;
+  let delegators;
+
+  // Staked amount of each delegator with the target, as getDelegation() reports it
+  async function delegated() {
+    return Promise.all(delegators.map(async d => (await validators.getDelegation(d.address, target.address))[0]));
+  }
+
+  // Called as the Slash contract, without the missed-block bookkeeping in front of it
+  async function slashTarget(validator = target) {
+    await network.provider.send("hardhat_impersonateAccount", [addresses.Slash]);
+    await network.provider.send("hardhat_setBalance", [addresses.Slash, ethers.toQuantity(ethers.parseEther("1"))]);
+    await validators.connect(await ethers.getSigner(addresses.Slash)).slashValidator(validator.address);
+    await network.provider.send("hardhat_stopImpersonatingAccount", [addresses.Slash]);
+  }
+
+  // Every delegation with the target, the target's own first
+  async function delegations() {
+    return [(await validators.getDelegation(target.address, target.address))[0], ...await delegated()];
+  }
+
+  beforeEach(async function () {
+    await network.provider.send("hardhat_reset");
+    addresses = canonicalAddresses();
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+
+    const signers = await ethers.getSigners();
+    [target, other] = signers.slice(1, 3);
+    delegators = signers.slice(3, 3 + stakes.length);
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    await validators.initialize([target.address, other.address]);
+    await (await ethers.getContractAt("Slash", addresses.Slash)).initialize();
+    for (const validator of [target, other]) {
+      await validators.connect(validator).stake(validator.address, { value: MIN_VALIDATOR_TOTAL_STAKE });
+    }
+    for (const [i, delegator] of delegators.entries()) {
+      await validators.connect(delegator).stake(target.address, { value: stakes[i] });
+    }
+    await slashTarget();
+  });
+
+  it("Should take the penalty off totalStaked once, not again when delegators act", async function () {
+    const staked = MIN_VALIDATOR_TOTAL_STAKE + stakes.reduce((sum, stake) => sum + stake, 0n);
+    expect((await validators.getValidatorInfo(target.address)).totalStaked).to.equal(staked - VALIDATOR_SLASH_PENALTY);
+    const networkStaked = await validators.getTotalNetworkStaked();
+    expect(networkStaked).to.equal(staked + MIN_VALIDATOR_TOTAL_STAKE - VALIDATOR_SLASH_PENALTY);
+
+    // Topping up applies the delegator's pending slash, which only lowers the delegation
+    const [before] = await delegated();
+    const topUp = ethers.parseEther("10");
+    await validators.connect(delegators[0]).stake(target.address, { value: topUp });
+    expect((await delegated())[0]).to.equal(before + topUp);
+    expect((await validators.getValidatorInfo(target.address)).totalStaked).to.equal(staked - VALIDATOR_SLASH_PENALTY + topUp);
+    expect(await validators.getTotalNetworkStaked()).to.equal(networkStaked + topUp);
+  });
+
+  it("Should round the delegations down so together they bear the whole penalty", async function () {
+    const amounts = await delegations();
+    const original = [MIN_VALIDATOR_TOTAL_STAKE, ...stakes];
+    const borne = original.reduce((sum, stake, i) => sum + stake - amounts[i], 0n);
+
+    // At least the penalty, and at most a wei per delegation and per PRECISION_FACTOR wei staked over it
+    expect(borne).to.be.at.least(VALIDATOR_SLASH_PENALTY);
+    const staked = original.reduce((sum, stake) => sum + stake, 0n);
+    expect(borne - VALIDATOR_SLASH_PENALTY).to.be.at.most(staked / PRECISION_FACTOR + BigInt(original.length));
+
+    // So the delegations never add up to more than the validator's totalStaked
+    const totalStaked = (await validators.getValidatorInfo(target.address)).totalStaked;
+    expect(amounts.reduce((sum, amount) => sum + amount, 0n)).to.be.at.most(totalStaked);
+
+    // Everyone can leave with what getDelegation() reports
+    for (const [i, account] of [target, ...delegators].entries()) {
+      await validators.connect(account).unstake(target.address, amounts[i]);
+    }
+    expect((await validators.getValidatorInfo(target.address)).totalStaked).to.equal(totalStaked - amounts.reduce((a, b) => a + b, 0n));
+  });
+
+  it("Should leave delegations that add up to totalStaked after a second slash", async function () {
+    // Back in the active set, then slashed again before anyone acts
+    await validators.connect(target).unjailValidator();
+    await (await BlockProducer.attach(hre)).mineToEpoch();
+    expect(await validators.isValidatorActivated(target.address)).to.equal(true);
+    await slashTarget();
+
+    const staked = MIN_VALIDATOR_TOTAL_STAKE + stakes.reduce((sum, stake) => sum + stake, 0n);
+    const totalStaked = (await validators.getValidatorInfo(target.address)).totalStaked;
+    expect(totalStaked).to.equal(staked - 2n * VALIDATOR_SLASH_PENALTY);
+
+    // Short only by rounding: at most a wei per delegation and per PRECISION_FACTOR wei staked
+    const amounts = await delegations();
+    const sum = amounts.reduce((total, amount) => total + amount, 0n);
+    expect(sum).to.be.at.most(totalStaked);
+    expect(totalStaked - sum).to.be.at.most(staked / PRECISION_FACTOR + BigInt(amounts.length));
+
+    for (const [i, account] of [target, ...delegators].entries()) {
+      await validators.connect(account).unstake(target.address, amounts[i]);
+    }
+    expect((await validators.getValidatorInfo(target.address)).totalStaked).to.equal(totalStaked - sum);
+  });
+
+  it("Should keep a validator jailed when redelegation takes it below the minimum", async function () {
+    // The two larger delegations and part of the target's own stake
+    const amounts = await delegations();
+    const moves = [[target, ethers.parseEther("5000")], [delegators[1], amounts[2]], [delegators[2], amounts[3]]];
+    for (const [account, amount] of moves) {
+      await validators.connect(account).redelegate(target.address, other.address, amount);
+    }
+    const info = await validators.getValidatorInfo(target.address);
+    expect(info.totalStaked).to.be.below(MIN_VALIDATOR_TOTAL_STAKE);
+    expect(info.status).to.equal("Jailed");
+
+    // So it can still be unjailed, which cleans its Slash record
+    await expect(validators.connect(target).unjailValidator()).to.emit(validators, "ValidatorUnjailed").withArgs(target.address);
+    expect((await validators.getValidatorInfo(target.address)).status).to.equal("Unstake");
+    expect(await validators.isValidatorCandidate(target.address)).to.equal(false);
+  });
+
+  it("Should check and list a delegation that slashes took to 0 like a new one", async function () {
+    const [delegator] = delegators;
+    const staked = MIN_VALIDATOR_TOTAL_STAKE - VALIDATOR_SLASH_PENALTY;
+    const producer = await BlockProducer.attach(hre);
+    await validators.connect(delegator).stake(other.address, { value: ethers.parseEther("1000") });
+    // The target back in the active set, so `other` is not the last validator
+    await validators.connect(target).unjailValidator();
+    await producer.mineToEpoch();
+
+    // Twice: `other` stays active with its own stake withdrawn until it is slashed
+    for (let round = 0; round < 2; round++) {
+      const [own] = await validators.getDelegation(other.address, other.address);
+      await validators.connect(other).unstake(other.address, own);
+      await slashTarget(other);
+      if (round === 0) {
+        await validators.connect(other).stake(other.address, { value: staked });
+        await validators.connect(other).unjailValidator();
+        await producer.mineToEpoch();
+        expect(await validators.isValidatorActivated(other.address)).to.equal(true);
+      }
+    }
+    expect((await validators.getValidatorInfo(other.address)).totalStaked).to.equal(0n);
+    expect((await validators.getDelegation(delegator.address, other.address))[0]).to.equal(0n);
+    expect([...(await validators.getDelegators(other.address, 0, 10)).delegators]).to.deep.equal([delegator.address]);
+
+    await expect(validators.connect(delegator).stake(other.address, { value: ethers.parseEther("500") }))
+      .to.be.revertedWith("Initial stake below minimum");
+    await validators.connect(delegator).stake(other.address, { value: MIN_VALIDATOR_TOTAL_STAKE });
+    const { delegators: listed, amounts } = await validators.getDelegators(other.address, 0, 10);
+    expect([...listed]).to.deep.equal([delegator.address]);
+    expect([...amounts]).to.deep.equal([MIN_VALIDATOR_TOTAL_STAKE]);
+  });
+});
@@ -0,0 +1,197 @@
+// test/Staking.test.js
+const { expect } = require("chai");
+const { artifacts, ethers, network } = require("hardhat");
+const { readLimits } = require("../scripts/lib/deploy-plan");
+const { CHECKS, formatAmount, readStakingState } = require("../scripts/lib/staking");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+describe("Staking CLI preconditions", function () {
+  const descriptionLimits = readLimits().description;
+  const emptyDescription = { moniker: "", website: "", email: "", details: "" };
+  let validators;
+  let validator;
+  let delegator;
+  let outsider;
+
+  function read(account, target = validator.address) {
+    return readStakingState(validators, { account: account.address, validator: target });
+  }
+
+  // slashValidator() as Slash calls it once `target` has missed too many blocks
+  async function slashValidator(target) {
+    const slashAddress = canonicalAddresses().Slash;
+    await network.provider.send("hardhat_impersonateAccount", [slashAddress]);
+    await network.provider.send("hardhat_setBalance", [slashAddress, ethers.toQuantity(ethers.parseEther("1"))]);
+    await validators.connect(await ethers.getSigner(slashAddress)).slashValidator(target.address);
+    await network.provider.send("hardhat_stopImpersonatingAccount", [slashAddress]);
+  }
+
+  before(async function () {
+    await network.provider.send("hardhat_reset");
+    [, validator, delegator, outsider] = await ethers.getSigners();
+    for (const account of [validator, delegator]) {
+      await network.provider.send("hardhat_setBalance", [account.address, ethers.toQuantity(ethers.parseEther("100000"))]);
+    }
+    const addresses = canonicalAddresses();
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    await validators.initialize([validator.address, outsider.address]);
+    await (await ethers.getContractAt("Slash", addresses.Slash)).initialize();
+    await validators.connect(validator).stake(validator.address, { value: ethers.parseEther("10000") });
+  });
+
+  it("Should read the delegation and validator state", async function () {
+    const state = await read(validator);
+    expect(state.delegation.delegatedAmount).to.equal(ethers.parseEther("10000"));
+    expect(state.delegation.unbonding).to.deep.equal([]);
+    expect(state.validator.totalStaked).to.equal(ethers.parseEther("10000"));
+    expect(state.validator.activated).to.equal(true);
+  });
+
+  it("Should explain a first stake below MIN_DELEGATOR_STAKE", async function () {
+    const reasons = CHECKS.stake(await read(delegator), { amount: ethers.parseEther("999") });
+    expect(reasons).to.have.lengthOf(1);
+    expect(reasons[0]).to.match(/MIN_DELEGATOR_STAKE \(1000\), got 999/);
+
+    expect(CHECKS.stake(await read(delegator), { amount: ethers.parseEther("1000") })).to.deep.equal([]);
+  });
+
+  it("Should explain a stake into a validator that would stay below MIN_VALIDATOR_TOTAL_STAKE", async function () {
+    const reasons = CHECKS.stake(await read(delegator, outsider.address), { amount: ethers.parseEther("1000") });
+    expect(reasons.join("\n")).to.match(/total stake would be 1000, below MIN_VALIDATOR_TOTAL_STAKE/);
+  });
+
+  it("Should explain unstakes over the stake or leaving less than MIN_DELEGATOR_STAKE", async function () {
+    await validators.connect(delegator).stake(validator.address, { value: ethers.parseEther("1500") });
+    const state = await read(delegator);
+
+    expect(CHECKS.unstake(state, { amount: ethers.parseEther("2000") })[0]).to.match(/has 1500 staked with .*, less than 2000/);
+    expect(CHECKS.unstake(state, { amount: ethers.parseEther("1000") })[0]).to.match(/stake left would be 500, below MIN_DELEGATOR_STAKE/);
+    expect(CHECKS.unstake(state, { amount: ethers.parseEther("500") })).to.deep.equal([]);
+    expect(CHECKS.unstake(state, { amount: ethers.parseEther("1500") })).to.deep.equal([]);
+  });
+
+  it("Should report the unlock time until the staking lock period has passed", async function () {
+    expect(CHECKS["withdraw-staking"](await read(delegator), {})[0]).to.match(/run unstake first/);
+    await validators.connect(delegator).unstake(validator.address, ethers.parseEther("1500"));
+
+    let reasons = CHECKS["withdraw-staking"](await read(delegator), {});
+    expect(reasons).to.have.lengthOf(1);
+    expect(reasons[0]).to.match(/locked for STAKING_LOCK_PERIOD \(24\.0 h\); the first unlocks at .*, 24\.0 h from now/);
+    // Unstaking no longer blocks staking again
+    expect(CHECKS.stake(await read(delegator), { amount: ethers.parseEther("1000") })).to.deep.equal([]);
+
+    await network.provider.send("evm_increaseTime", [86400]);
+    await network.provider.send("evm_mine");
+    reasons = CHECKS["withdraw-staking"](await read(delegator), {});
+    expect(reasons).to.deep.equal([]);
+    await validators.connect(delegator).withdrawStaking(validator.address);
+  });
+
+  it("Should only let the reward address withdraw rewards, with rewards available", async function () {
+    const reasons = CHECKS["withdraw-rewards"](await read(outsider), {});
+    expect(reasons.join("\n")).to.match(/only the reward address/);
+    expect(reasons.join("\n")).to.match(/no rewards to withdraw/);
+  });
+
+  it("Should explain why no delegator rewards can be claimed", async function () {
+    expect(CHECKS["claim-rewards"](await read(delegator), {})).to.deep.equal([`${delegator.address} has no stake with ${validator.address}`]);
+    expect(CHECKS["claim-rewards"](await read(validator), {})).to.deep.equal(["there are no pending rewards to claim"]);
+  });
+
+  it("Should mirror the create and edit argument checks", async function () {
+    const existing = CHECKS.create(await read(validator), {
+      rewardAddr: ethers.ZeroAddress,
+      commissionRate: 1001n,
+      description: { ...emptyDescription, moniker: "m".repeat(129) },
+      descriptionLimits
+    });
+    expect(existing).to.have.lengthOf(4);
+    expect(existing[0]).to.match(/already a validator/);
+    expect(existing[1]).to.match(/zero address/);
+    expect(existing[2]).to.match(/above MAX_COMMISSION_RATE \(1000/);
+    expect(existing[3]).to.equal("moniker is 129 bytes, at most 128 are allowed");
+
+    const fresh = await read(delegator, delegator.address);
+    expect(CHECKS.create(fresh, { rewardAddr: delegator.address, description: emptyDescription, descriptionLimits }))
+      .to.deep.equal([]);
+    expect(CHECKS.edit(fresh, { rewardAddr: delegator.address, description: emptyDescription, descriptionLimits })[0])
+      .to.match(/is not a validator/);
+  });
+
+  it("Should refuse actions while the contract is paused", async function () {
+    await validators.pause();
+    const state = await read(delegator);
+    expect(CHECKS.stake(state, { amount: ethers.parseEther("1000") })).to.include("Validators is paused by the admin");
+    expect(CHECKS["set-commission"](await read(validator, validator.address), { commissionRate: 100n })).to.deep.equal([]);
+    expect(CHECKS.unjail(await read(validator, validator.address), {})[0]).to.match(/not jailed/);
+    await validators.unpause();
+  });
+
+  it("Should explain redelegations the contract would refuse", async function () {
+    await network.provider.send("hardhat_setBalance", [outsider.address, ethers.toQuantity(ethers.parseEther("100000"))]);
+    await validators.connect(outsider).stake(outsider.address, { value: ethers.parseEther("10000") });
+    await validators.connect(delegator).stake(validator.address, { value: ethers.parseEther("2000") });
+    const check = async (from, to, amount) =>
+      CHECKS.redelegate(await read(delegator, from.address), { amount, destination: await read(delegator, to.address) });
+
+    expect(await check(validator, validator, ethers.parseEther("1000")))
+      .to.deep.equal(["the stake is already with that validator; redelegate to another one"]);
+    expect((await check(validator, outsider, ethers.parseEther("1500")))[0]).to.match(/stake left would be 500, below MIN_DELEGATOR_STAKE/);
+    expect((await check(validator, outsider, ethers.parseEther("500")))[0]).to.match(/a first stake must be at least MIN_DELEGATOR_STAKE/);
+    expect(await check(validator, outsider, ethers.parseEther("1000"))).to.deep.equal([]);
+
+    await validators.connect(delegator).redelegate(validator.address, outsider.address, ethers.parseEther("1000"));
+    const reasons = await check(outsider, validator, ethers.parseEther("1000"));
+    expect(reasons).to.have.lengthOf(1);
+    expect(reasons[0]).to.match(/cannot move on for STAKING_LOCK_PERIOD \(24\.0 h\); redelegating is possible at .*, 24\.0 h from now/);
+
+    const state = await read(delegator);
+    expect(state.validator.missedBlocks).to.equal(0n);
+    state.validator.missedBlocks = 2n;
+    expect(CHECKS.redelegate(state, { amount: ethers.parseEther("1000"), destination: await read(delegator, outsider.address) }))
+      .to.deep.equal([`${validator.address} has 2 missed blocks on record, so stake cannot leave it ahead of a slash; ` +
+        "redelegating is possible once Slash has decreased them to 0"]);
+  });
+
+  it("Should check unstakes against the stake a pending slash leaves", async function () {
+    const staked = ethers.parseEther("10000");
+    await slashValidator(validator);
+    const state = await read(validator);
+    const { delegatedAmount } = state.delegation;
+    expect(delegatedAmount).to.be.below(staked);
+
+    // The stake from before the slash is too much, and what looked like enough to keep is not
+    expect(CHECKS.unstake(state, { amount: staked })[0])
+      .to.match(new RegExp(`has ${formatAmount(delegatedAmount)} staked with .*, less than 10000`));
+    expect(CHECKS.unstake(state, { amount: ethers.parseEther("9000") })[0])
+      .to.match(new RegExp(`stake left would be ${formatAmount(delegatedAmount - ethers.parseEther("9000"))}, below MIN_DELEGATOR_STAKE`));
+
+    // unstake without an amount sends the whole delegation as read here
+    expect(CHECKS.unstake(state, { amount: delegatedAmount })).to.deep.equal([]);
+    await expect(validators.connect(validator).unstake(validator.address, delegatedAmount))
+      .to.emit(validators, "Unstake").withArgs(validator.address, validator.address, delegatedAmount, unlock => unlock > 0n);
+    expect((await read(validator)).delegation.delegatedAmount).to.equal(0n);
+  });
+
+  it("Should check redelegations against the stake a pending slash leaves", async function () {
+    // The delegator's 1000 left with the validator slashed above
+    const stored = ethers.parseEther("1000");
+    const state = await read(delegator);
+    const { delegatedAmount } = state.delegation;
+    expect(delegatedAmount).to.be.below(stored);
+    const destination = await read(delegator, outsider.address);
+
+    expect(CHECKS.redelegate(state, { amount: stored, destination })[0])
+      .to.match(new RegExp(`has ${formatAmount(delegatedAmount)} staked with .*, less than 1000`));
+
+    // redelegate without an amount sends the whole delegation as read here
+    expect(CHECKS.redelegate(state, { amount: delegatedAmount, destination })).to.deep.equal([]);
+    await expect(validators.connect(delegator).redelegate(validator.address, outsider.address, delegatedAmount))
+      .to.emit(validators, "Redelegate").withArgs(delegator.address, validator.address, outsider.address, delegatedAmount);
+    expect((await read(delegator)).delegation.delegatedAmount).to.equal(0n);
+  });
+});
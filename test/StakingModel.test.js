@@ -0,0 +1,476 @@
+// test/StakingModel.test.js
+const { expect } = require("chai");
+const path = require("path");
+const hre = require("hardhat");
+const { BlockProducer } = require("../scripts/lib/block-producer");
+const { generator } = require("../scripts/lib/fuzz");
+const { ModelRevert, StakingModel, delegationKey, readStakingConstants } = require("../scripts/lib/staking-model");
+const { StorageBuilder, readStorageLayout } = require("../scripts/lib/storage-layout");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+
+const { artifacts, ethers, network } = hre;
+
+// Whole ether plus dust, so the integer divisions leave remainders
+function randomEther(rand, min, max) {
+  return ethers.parseEther(String(min + rand.int(max - min + 1))) + BigInt(rand.int(1e9));
+}
+
+const WEIGHTS = {
+  stake: 5,
+  unstake: 2,
+  redelegate: 2,
+  withdrawStaking: 2,
+  claimDelegatorRewards: 2,
+  withdrawRewards: 1,
+  advanceTime: 2,
+  epoch: 2,
+  slashValidator: 1,
+  unjailValidator: 1,
+  updateCommissionRate: 1,
+  createWithCommission: 1
+};
+
+describe("Staking reference model", function () {
+  const constants = readStakingConstants();
+  const layout = readStorageLayout("Validators", path.join(__dirname, "../artifacts/contracts"));
+  const addresses = canonicalAddresses();
+  let validators;
+  let slash;
+  let slashSigner;
+  let producer;
+  let model;
+  let actors;
+  let initialBalances;
+  let sent;
+  let pendingAdvance;
+
+  beforeEach(async function () {
+    await network.provider.send("hardhat_reset");
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+    const signers = await ethers.getSigners();
+    actors = {
+      validators: signers.slice(1, 4),
+      delegators: signers.slice(4, 8),
+      creator: signers[8]
+    };
+    for (const signer of signers.slice(1, 9)) {
+      await network.provider.send("hardhat_setBalance", [signer.address, ethers.toQuantity(ethers.parseEther("1000000"))]);
+    }
+
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    await validators.initialize(actors.validators.map(s => s.address));
+    slash = await ethers.getContractAt("Slash", addresses.Slash);
+    await slash.initialize();
+    slashSigner = await ethers.getImpersonatedSigner(addresses.Slash);
+    producer = await BlockProducer.attach(hre);
+
+    model = new StakingModel(constants);
+    model.initialize(actors.validators.map(s => s.address));
+    initialBalances = {};
+    for (const signer of signers.slice(1, 9)) {
+      initialBalances[signer.address] = await ethers.provider.getBalance(signer.address);
+    }
+    sent = {};
+    pendingAdvance = 0;
+  });
+
+  // Sends one call in its own block, with a known timestamp and no fees; reverted calls are mined too
+  async function send(signer, method, args, value = 0n) {
+    const latest = await ethers.provider.getBlock("latest");
+    const block = { blockNumber: latest.number + 1, timestamp: latest.timestamp + 1 + pendingAdvance };
+    pendingAdvance = 0;
+    await network.provider.send("evm_setNextBlockTimestamp", [block.timestamp]);
+    await network.provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+    try {
+      await (await validators.connect(signer)[method](...args, { value, gasPrice: 0, gasLimit: 5000000 })).wait();
+      sent[signer.address] = (sent[signer.address] || 0n) + value;
+      return { block };
+    } catch (error) {
+      return { block, error };
+    }
+  }
+
+  function attempt(fn) {
+    try {
+      return { value: fn() };
+    } catch (error) {
+      if (error instanceof ModelRevert) {
+        return { revert: error };
+      }
+      throw error;
+    }
+  }
+
+  function expectSameOutcome(chain, expected, step) {
+    if (expected.revert) {
+      expect(chain.error, `${step}: the model reverts with ${expected.revert.message}`).to.not.equal(undefined);
+      const text = expected.revert.panic
+        ? `panic code 0x${expected.revert.panic.toString(16)}`
+        : `reverted with reason string '${expected.revert.reason}'`;
+      expect(chain.error.message, step).to.include(text);
+    } else if (chain.error) {
+      expect.fail(`${step}: the model accepts it, the contract reverted: ${chain.error.message}`);
+    }
+  }
+
+  // Runs one generated operation on the contract and the model
+  async function apply(op) {
+    const { name } = op;
+    if (name === "advanceTime") {
+      pendingAdvance += op.seconds;
+      return;
+    }
+    if (name === "epoch") {
+      producer.epochReward = op.reward;
+      const record = await producer.mineToEpoch();
+      model.updateActivatedValidators();
+      model.distributeBlockReward(op.reward, { blockNumber: record.number });
+      return;
+    }
+
+    let chain;
+    let expected;
+    if (name === "slashValidator") {
+      chain = await send(slashSigner, name, [op.validator]);
+      expected = attempt(() => model.slashValidator(op.validator, chain.block));
+    } else if (name === "stake") {
+      chain = await send(op.signer, name, [op.validator], op.value);
+      expected = attempt(() => model.stake(op.signer.address, op.validator, op.value));
+    } else if (name === "createWithCommission") {
+      chain = await send(op.signer, name, [op.signer.address, "", "", "", "", op.rate], op.value);
+      expected = attempt(() => model.create(op.signer.address, { rewardAddr: op.signer.address, commissionRate: op.rate, value: op.value }));
+    } else if (name === "unjailValidator") {
+      chain = await send(op.signer, name, []);
+      expected = attempt(() => model.unjailValidator(op.signer.address));
+    } else if (name === "unstake") {
+      chain = await send(op.signer, name, [op.validator, op.amount]);
+      expected = attempt(() => model.unstake(op.signer.address, op.validator, op.amount, chain.block));
+    } else if (name === "redelegate") {
+      // The model does not follow Slash, so it is given the source's missed blocks
+      const missedBlocks = await slash.getSlashRecord(op.validator);
+      chain = await send(op.signer, name, [op.validator, op.toValidator, op.amount]);
+      expected = attempt(() => model.redelegate(op.signer.address, op.validator, op.toValidator, op.amount, { ...chain.block, missedBlocks }));
+    } else if (name === "updateCommissionRate") {
+      chain = await send(op.signer, name, [op.rate]);
+      expected = attempt(() => model.updateCommissionRate(op.signer.address, op.rate));
+    } else {
+      chain = await send(op.signer, name, [op.validator]);
+      expected = attempt(() => model[name](op.signer.address, op.validator, chain.block));
+    }
+    expectSameOutcome(chain, expected, describeOp(op));
+  }
+
+  function describeOp({ name, signer, validator, toValidator, value, amount, rate, seconds, reward }) {
+    const details = { from: signer?.address, validator, toValidator, value, amount, rate, seconds, reward };
+    return `${name} ${Object.entries(details).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}=${v}`).join(" ")}`;
+  }
+
+  function nextOperation(rand) {
+    const name = rand.weighted(WEIGHTS);
+    const stakers = [...actors.validators, ...actors.delegators, actors.creator];
+    const targets = Object.keys(model.state.validators);
+    const validatorSigners = [...actors.validators, actors.creator];
+
+    switch (name) {
+      case "stake":
+        return { name, signer: rand.pick(stakers), validator: rand.pick(targets), value: rand.pick([constants.MIN_DELEGATOR_STAKE, randomEther(rand, 900, 12000), randomEther(rand, 10000, 30000)]) };
+      case "advanceTime":
+        return { name, seconds: rand.pick([600, Number(constants.WITHDRAW_REWARD_PERIOD), Number(constants.STAKING_LOCK_PERIOD)]) };
+      case "epoch":
+        return { name, reward: rand.pick([0n, randomEther(rand, 0, 5), randomEther(rand, 1, 50)]) };
+      case "slashValidator":
+        return { name, validator: rand.pick(targets) };
+      case "unjailValidator":
+        return { name, signer: rand.pick(validatorSigners) };
+      case "updateCommissionRate":
+        return { name, signer: rand.pick(validatorSigners), rate: BigInt(rand.pick([0, 1, 333, 500, 1000, 1001])) };
+      case "createWithCommission":
+        return { name, signer: actors.creator, rate: BigInt(rand.int(1001)), value: rand.pick([0n, constants.MIN_VALIDATOR_TOTAL_STAKE]) };
+      case "withdrawRewards":
+        return { name, signer: rand.pick(validatorSigners), validator: rand.pick(targets) };
+      default: {
+        // Mostly an existing delegation, otherwise the calls rarely get past their first require()
+        const delegations = Object.values(model.state.delegations).filter(d => d.delegatedAmount > 0n || d.unbonding.length > 0);
+        let op = { name, signer: rand.pick(stakers), validator: rand.pick(targets) };
+        if (delegations.length > 0 && rand.int(5) > 0) {
+          const { delegator, validator } = rand.pick(delegations);
+          op = { name, signer: stakers.find(s => s.address === delegator), validator };
+        }
+        if (name === "unstake" || name === "redelegate") {
+          // All of it as getDelegation() reports it, the stored amount (too much while a slash is pending),
+          // or a part that may leave less than MIN_DELEGATOR_STAKE
+          const del = model.state.delegations[delegationKey(op.signer.address, op.validator)];
+          op.amount = rand.pick([
+            model.getDelegation(op.signer.address, op.validator).delegatedAmount,
+            del ? del.delegatedAmount : 0n,
+            constants.MIN_DELEGATOR_STAKE,
+            randomEther(rand, 0, 3000)
+          ]);
+        }
+        if (name === "redelegate") {
+          op.toValidator = rand.pick(targets);
+        }
+        return op;
+      }
+    }
+  }
+
+  // Every stored field the model keeps, read from the contract's storage and views
+  async function readContract() {
+    const storage = new StorageBuilder(layout);
+    const refs = [];
+    const ref = r => { refs.push(r); return r; };
+    const totals = {
+      totalNetworkStaked: ref(storage.variable("totalNetworkStaked")),
+      totalRewardRemainder: ref(storage.variable("totalRewardRemainder"))
+    };
+    const candidatesRef = ref(storage.variable("validatorCandidateSet"));
+    const vals = {};
+    for (const address of Object.keys(model.state.validators)) {
+      const base = storage.entry(storage.variable("validatorInfo"), address);
+      vals[address] = Object.fromEntries(["delegatorRewardPool", "accRewardPerStake", "slashFactor", "slashEpoch", "lastWithdrawRewardTimestamp", "delegators"]
+        .map(field => [field, ref(storage.member(base, field))]));
+    }
+    const dels = {};
+    for (const { delegator, validator } of Object.values(model.state.delegations)) {
+      const base = storage.entry(storage.entry(storage.variable("delegatorInfo"), delegator), validator);
+      dels[delegationKey(delegator, validator)] = Object.fromEntries(["delegatedAmount", "index", "rewardDebt", "pendingRewards", "slashFactor", "slashEpoch", "redelegationLockEnd"]
+        .map(field => [field, ref(storage.member(base, field))]));
+    }
+    await storage.fetch(ethers.provider, addresses.Validators, refs);
+
+    // Array elements live behind their lengths
+    const arrays = [candidatesRef, ...Object.values(vals).map(v => v.delegators)];
+    const elements = arrays.flatMap(a => Array.from({ length: Number(storage.get(a)) }, (_, i) => storage.element(a, i)));
+    await storage.fetch(ethers.provider, addresses.Validators, elements);
+    const addressArray = a => storage.getArray(a).map(value => ethers.getAddress(ethers.toBeHex(value, 20)));
+
+    const state = {
+      totalNetworkStaked: storage.get(totals.totalNetworkStaked),
+      totalRewardRemainder: storage.get(totals.totalRewardRemainder),
+      activeSet: [...await validators.getActivatedValidators()],
+      candidates: addressArray(candidatesRef),
+      balance: await ethers.provider.getBalance(addresses.Validators),
+      validators: {},
+      delegations: {},
+      accounts: {}
+    };
+    for (const [address, fields] of Object.entries(vals)) {
+      const info = await validators.getValidatorInfo(address);
+      state.validators[address] = {
+        rewardAddr: info.rewardAddr,
+        status: info.status,
+        totalStaked: info.totalStaked,
+        rewardAmount: info.rewardAmount,
+        slashAmount: info.slashAmount,
+        commissionRate: info.commissionRate,
+        delegatorRewardPool: storage.get(fields.delegatorRewardPool),
+        accRewardPerStake: storage.get(fields.accRewardPerStake),
+        slashFactor: storage.get(fields.slashFactor),
+        slashEpoch: storage.get(fields.slashEpoch),
+        lastWithdrawRewardTimestamp: storage.get(fields.lastWithdrawRewardTimestamp),
+        delegators: addressArray(fields.delegators)
+      };
+    }
+    for (const [key, fields] of Object.entries(dels)) {
+      const { delegator, validator } = model.state.delegations[key];
+      state.delegations[key] = Object.fromEntries(Object.entries(fields).map(([field, r]) => [field, storage.get(r)]));
+      state.delegations[key].unbonding = (await validators.getUnbondingEntries(delegator, validator))
+        .map(({ amount, unlockTimestamp }) => ({ amount, unlockTimestamp }));
+      state.delegations[key].getPendingRewards = await validators.getPendingRewards(delegator, validator);
+      const [delegatedAmount, redelegationLockEnd] = await validators.getDelegation(delegator, validator);
+      state.delegations[key].getDelegation = { delegatedAmount, redelegationLockEnd };
+    }
+    for (const address of Object.keys(initialBalances)) {
+      state.accounts[address] = await ethers.provider.getBalance(address);
+    }
+    return state;
+  }
+
+  function modelState() {
+    const { state } = model;
+    const expected = {
+      totalNetworkStaked: state.totalNetworkStaked,
+      totalRewardRemainder: state.totalRewardRemainder,
+      activeSet: state.activeSet,
+      candidates: state.candidates,
+      balance: model.balance,
+      validators: state.validators,
+      delegations: {},
+      accounts: {}
+    };
+    for (const [key, del] of Object.entries(state.delegations)) {
+      // Everything but the key fields is stored in delegatorInfo
+      const { delegator, validator, ...stored } = del;
+      expected.delegations[key] = {
+        ...stored,
+        getPendingRewards: model.pendingRewards(delegator, validator),
+        getDelegation: model.getDelegation(delegator, validator)
+      };
+    }
+    for (const [address, initial] of Object.entries(initialBalances)) {
+      expected.accounts[address] = initial - (sent[address] || 0n) + (model.payouts[address] || 0n);
+    }
+    return expected;
+  }
+
+  async function run(seed, steps) {
+    const rand = generator(seed);
+    const log = [];
+    for (let i = 0; i < steps; i++) {
+      const op = nextOperation(rand);
+      log.push(describeOp(op));
+      try {
+        await apply(op);
+        expect(await readContract()).to.deep.equal(modelState());
+      } catch (error) {
+        error.message = `seed ${seed}, step ${i + 1}\n  ${log.slice(-8).join("\n  ")}\n${error.message}`;
+        throw error;
+      }
+    }
+    return log;
+  }
+
+  for (const seed of [1, 2, 3, 4, 5]) {
+    it(`Should match the contract over a random sequence (seed ${seed})`, async function () {
+      this.timeout(120000);
+      await run(seed, 80);
+    });
+  }
+
+  it("Should revert with the contract's reason and leave the model unchanged", async function () {
+    const [validator] = actors.validators;
+    const before = structuredClone(model.state);
+    const chain = await send(actors.delegators[0], "stake", [validator.address], ethers.parseEther("999"));
+    const expected = attempt(() => model.stake(actors.delegators[0].address, validator.address, ethers.parseEther("999")));
+
+    expect(expected.revert.reason).to.equal("Initial stake below minimum");
+    expectSameOutcome(chain, expected, "stake below minimum");
+    expect(model.state).to.deep.equal(before);
+    expect(model.balance).to.equal(0n);
+  });
+
+  it("Should let a slashed delegator unstake what is left after the slash", async function () {
+    const [validator] = actors.validators;
+    const delegator = actors.delegators[0];
+    const amount = constants.MIN_VALIDATOR_TOTAL_STAKE;
+    for (const op of [
+      { name: "stake", signer: delegator, validator: validator.address, value: amount },
+      { name: "slashValidator", validator: validator.address }
+    ]) {
+      await apply(op);
+    }
+
+    // The penalty is taken from totalStaked once, by slashValidator(), and from the delegation on unstake
+    let chain = await send(delegator, "unstake", [validator.address, amount]);
+    let expected = attempt(() => model.unstake(delegator.address, validator.address, amount, chain.block));
+    expect(expected.revert.reason).to.equal("Amount exceeds stake");
+    expectSameOutcome(chain, expected, "unstake the stake from before the slash");
+
+    const left = amount - constants.VALIDATOR_SLASH_PENALTY;
+    chain = await send(delegator, "unstake", [validator.address, left]);
+    expected = attempt(() => model.unstake(delegator.address, validator.address, left, chain.block));
+    expect(expected.value).to.equal(left);
+    expectSameOutcome(chain, expected, "unstake after slash");
+    expect(await readContract()).to.deep.equal(modelState());
+  });
+
+  it("Should slash the stake left after a partial unstake and not the unbonding entry", async function () {
+    const [validator] = actors.validators;
+    const delegator = actors.delegators[0];
+    const unstaked = ethers.parseEther("4000");
+    for (const op of [
+      { name: "stake", signer: validator, validator: validator.address, value: constants.MIN_VALIDATOR_TOTAL_STAKE },
+      { name: "stake", signer: delegator, validator: validator.address, value: ethers.parseEther("6000") },
+      { name: "epoch", reward: ethers.parseEther("7") },
+      { name: "unstake", signer: delegator, validator: validator.address, amount: unstaked },
+      { name: "epoch", reward: ethers.parseEther("7") },
+      { name: "slashValidator", validator: validator.address },
+      { name: "claimDelegatorRewards", signer: delegator, validator: validator.address },
+      { name: "advanceTime", seconds: Number(constants.STAKING_LOCK_PERIOD) },
+      { name: "withdrawStaking", signer: delegator, validator: validator.address }
+    ]) {
+      await apply(op);
+      expect(await readContract(), describeOp(op)).to.deep.equal(modelState());
+    }
+
+    const del = model.state.delegations[delegationKey(delegator.address, validator.address)];
+    expect(del.delegatedAmount).to.be.below(ethers.parseEther("2000"));
+    expect(model.payouts[delegator.address]).to.be.above(unstaked);
+  });
+
+  it("Should stop unstaked stake earning and pay the rewards unstake() settled once", async function () {
+    const [validator] = actors.validators;
+    const delegator = actors.delegators[0];
+    const staked = ethers.parseEther("6000");
+    for (const op of [
+      { name: "stake", signer: validator, validator: validator.address, value: constants.MIN_VALIDATOR_TOTAL_STAKE },
+      { name: "stake", signer: delegator, validator: validator.address, value: staked },
+      { name: "epoch", reward: ethers.parseEther("7") },
+      { name: "unstake", signer: delegator, validator: validator.address, amount: staked }
+    ]) {
+      await apply(op);
+    }
+    const pending = await validators.getPendingRewards(delegator.address, validator.address);
+    expect(pending).to.be.above(0n);
+
+    // The unbonding entry is out of totalStaked, so later epochs pay it nothing
+    await apply({ name: "epoch", reward: ethers.parseEther("7") });
+    expect(await validators.getPendingRewards(delegator.address, validator.address)).to.equal(pending);
+
+    const balance = await ethers.provider.getBalance(delegator.address);
+    await apply({ name: "claimDelegatorRewards", signer: delegator, validator: validator.address });
+    expect(await ethers.provider.getBalance(delegator.address)).to.equal(balance + pending);
+    expect(await validators.getPendingRewards(delegator.address, validator.address)).to.equal(0n);
+    expect(await readContract()).to.deep.equal(modelState());
+  });
+
+  it("Should settle the source's rewards and slash before redelegating, and lock the moved stake", async function () {
+    const [source, destination] = actors.validators;
+    const delegator = actors.delegators[0];
+    const staked = ethers.parseEther("6000");
+    const moved = ethers.parseEther("4000");
+    for (const op of [
+      { name: "stake", signer: source, validator: source.address, value: constants.MIN_VALIDATOR_TOTAL_STAKE },
+      { name: "stake", signer: destination, validator: destination.address, value: constants.MIN_VALIDATOR_TOTAL_STAKE },
+      { name: "stake", signer: delegator, validator: source.address, value: staked },
+      { name: "epoch", reward: ethers.parseEther("7") }
+    ]) {
+      await apply(op);
+    }
+    const networkStaked = model.state.totalNetworkStaked;
+    const pending = await validators.getPendingRewards(delegator.address, source.address);
+
+    await apply({ name: "redelegate", signer: delegator, validator: source.address, toValidator: destination.address, amount: moved });
+    expect(await readContract()).to.deep.equal(modelState());
+    const from = model.state.delegations[delegationKey(delegator.address, source.address)];
+    const to = model.state.delegations[delegationKey(delegator.address, destination.address)];
+    expect(from).to.deep.include({ delegatedAmount: staked - moved, pendingRewards: pending, unbonding: [] });
+    expect(to.delegatedAmount).to.equal(moved);
+    expect(model.state.totalNetworkStaked).to.equal(networkStaked);
+
+    // The moved stake cannot hop on until STAKING_LOCK_PERIOD has passed
+    let chain = await send(delegator, "redelegate", [destination.address, source.address, moved]);
+    let expected = attempt(() => model.redelegate(delegator.address, destination.address, source.address, moved, chain.block));
+    expect(expected.revert.reason).to.equal("Redelegated stake still locked");
+    expectSameOutcome(chain, expected, "redelegate on right away");
+
+    // A slash of the source is applied before what is left there can move
+    await apply({ name: "slashValidator", validator: source.address });
+    chain = await send(delegator, "redelegate", [source.address, destination.address, staked - moved]);
+    expected = attempt(() => model.redelegate(delegator.address, source.address, destination.address, staked - moved, chain.block));
+    expect(expected.revert.reason).to.equal("Amount exceeds stake");
+    expectSameOutcome(chain, expected, "redelegate the stake from before the slash");
+
+    for (const op of [
+      { name: "advanceTime", seconds: Number(constants.STAKING_LOCK_PERIOD) },
+      { name: "redelegate", signer: delegator, validator: destination.address, toValidator: source.address, amount: moved }
+    ]) {
+      await apply(op);
+      expect(await readContract(), describeOp(op)).to.deep.equal(modelState());
+    }
+    expect(model.state.delegations[delegationKey(delegator.address, destination.address)].delegatedAmount).to.equal(0n);
+  });
+});
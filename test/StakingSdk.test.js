@@ -0,0 +1,177 @@
+// test/StakingSdk.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { renderSdkArtifacts } = require("../scripts/build-sdk");
+const { BlockProducer } = require("../scripts/lib/block-producer");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
+const { ERROR_CODES, StakingClient, StakingError, decodeError } = require("../sdk");
+
+const { artifacts, ethers, network } = hre;
+
+describe("Staking SDK", function () {
+  const stake = ethers.parseEther("10000");
+  let validators;
+  let initial;
+  let newcomer;
+  let delegator;
+  let client;
+
+  // Reverts with StakingError `code`
+  async function expectStakingError(promise, code) {
+    const error = await promise.then(() => undefined, e => e);
+    expect(error).to.be.instanceOf(StakingError);
+    expect(error.code).to.equal(code);
+    return error;
+  }
+
+  before(async function () {
+    await network.provider.send("hardhat_reset");
+    const addresses = canonicalAddresses();
+    for (const name of ["Validators", "Slash"]) {
+      await installCode(ethers.provider, addresses[name], await artifacts.readArtifact(name));
+    }
+
+    const signers = await ethers.getSigners();
+    initial = signers.slice(1, 3);
+    [newcomer, delegator] = signers.slice(3, 5);
+    validators = await ethers.getContractAt("Validators", addresses.Validators);
+    await validators.initialize(initial.map(s => s.address));
+    await (await ethers.getContractAt("Slash", addresses.Slash)).initialize();
+    for (const signer of initial) {
+      await validators.connect(signer).stake(signer.address, { value: stake });
+    }
+    await validators.connect(newcomer).create(newcomer.address, "newcomer", "", "", "", { value: stake });
+
+    client = new StakingClient(delegator);
+  });
+
+  it("Should ship ABIs matching the compiled artifacts", function () {
+    for (const [file, content] of Object.entries(renderSdkArtifacts())) {
+      expect(fs.readFileSync(path.join(__dirname, "../sdk/abi", file), "utf8")).to.equal(content, `sdk/abi/${file} is out of date`);
+    }
+  });
+
+  it("Should have an error code for every require() reason in the contracts", function () {
+    const contracts = path.join(__dirname, "../contracts");
+    const reasons = new Set();
+    for (const file of ["Validators.sol", "Slash.sol", "System.sol"]) {
+      const source = fs.readFileSync(path.join(contracts, file), "utf8");
+      for (const [, reason] of source.matchAll(/require\([^;]*?"([^"]*)"\s*\)\s*;/g)) {
+        reasons.add(reason);
+      }
+    }
+
+    expect(reasons.size).to.be.above(50);
+    expect([...reasons].filter(reason => !Object.values(ERROR_CODES).includes(reason))).to.deep.equal([]);
+  });
+
+  it("Should list the active validators, then the other candidates", async function () {
+    const list = await client.listValidators();
+
+    expect(list.map(v => v.address)).to.deep.equal([...initial.map(s => s.address), newcomer.address]);
+    expect(list.map(v => v.activated)).to.deep.equal([true, true, false]);
+    expect(list.every(v => v.candidate && v.status === "Staked" && v.totalStaked === stake)).to.equal(true);
+    expect(list[2]).to.deep.include({ rewardAddr: newcomer.address, commissionRate: 500n, slashAmount: 0n });
+  });
+
+  it("Should read delegators and slash records across several pages", async function () {
+    const paged = new StakingClient(ethers.provider, {}, { pageSize: 1 });
+    const others = (await ethers.getSigners()).slice(5, 7);
+    for (const signer of others) {
+      await validators.connect(signer).stake(initial[1].address, { value: ethers.parseEther("1000") });
+    }
+
+    expect(await paged.listDelegators(initial[1].address)).to.deep.equal([
+      { delegator: initial[1].address, delegatedAmount: stake },
+      ...others.map(signer => ({ delegator: signer.address, delegatedAmount: ethers.parseEther("1000") }))
+    ]);
+    expect(await paged.listValidators()).to.deep.equal(await client.listValidators());
+    expect(await paged.listSlashRecords()).to.deep.equal([]);
+    expect((await client.getValidator(initial[1].address)).delegatorCount).to.equal(3n);
+  });
+
+  it("Should stake and return the decoded events", async function () {
+    const amount = ethers.parseEther("1000");
+    const { receipt, events } = await client.stake(initial[0].address, amount);
+
+    expect(receipt.status).to.equal(1);
+    expect(events).to.have.lengthOf(1);
+    expect(events[0]).to.deep.include({ contract: "Validators", name: "Staking", transactionHash: receipt.hash });
+    expect(events[0].args).to.deep.equal({ staker: delegator.address, validator: initial[0].address, amount });
+
+    const delegation = await client.getDelegation(delegator.address, initial[0].address);
+    expect(delegation).to.deep.include({ delegatedAmount: amount, unbonding: [] });
+  });
+
+  it("Should throw reverts as StakingErrors with the contract's reason", async function () {
+    const error = await expectStakingError(client.stake(initial[1].address, 1n), "INITIAL_STAKE_BELOW_MINIMUM");
+    expect(error.reason).to.equal("Initial stake below minimum");
+    expect(error.message).to.equal("Initial stake below minimum");
+
+    await expectStakingError(client.send(() => client.validators.unjailValidator()), "VALIDATOR_NOT_JAILED");
+    await expectStakingError(client.stake(delegator.address, ethers.parseEther("1000")), "VALIDATOR_NOT_FOUND");
+  });
+
+  it("Should claim pending rewards from every validator with some", async function () {
+    const producer = await BlockProducer.attach(hre, { epochReward: ethers.parseEther("3") });
+    await producer.mineEpochs(1);
+    const pending = await validators.getPendingRewards(delegator.address, initial[0].address);
+    expect(pending).to.be.above(0n);
+
+    const claims = await client.claimAll();
+    expect(claims).to.have.lengthOf(1);
+    expect(claims[0]).to.deep.include({ validator: initial[0].address, amount: pending });
+    expect(claims[0].events.map(e => e.name)).to.deep.equal(["ClaimDelegatorRewards"]);
+
+    expect(await client.claimAll()).to.deep.equal([]);
+  });
+
+  it("Should unstake into an unbonding entry that unlocks when estimated", async function () {
+    const lock = await validators.STAKING_LOCK_PERIOD();
+    const latest = await ethers.provider.getBlock("latest");
+    expect(await client.estimateUnlockTime()).to.equal(BigInt(latest.timestamp) + lock);
+
+    const amount = ethers.parseEther("1000");
+    const { receipt, events } = await client.unstake(initial[0].address, amount);
+    const { unlockTimestamp } = events.find(e => e.name === "Unstake").args;
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    expect(unlockTimestamp).to.equal(BigInt(block.timestamp) + lock);
+
+    const delegation = await client.getDelegation(delegator.address, initial[0].address);
+    expect(delegation).to.deep.include({ delegatedAmount: 0n, unbonding: [{ amount, unlockTimestamp }] });
+    await expectStakingError(client.withdrawStaking(initial[0].address), "TOKENS_LOCKED");
+  });
+
+  it("Should redelegate and report how long the moved stake is locked", async function () {
+    const amount = ethers.parseEther("1000");
+    await client.stake(initial[1].address, 2n * amount);
+    const { receipt, events } = await client.redelegate(initial[1].address, newcomer.address, amount);
+    expect(events.find(e => e.name === "Redelegate").args)
+      .to.deep.equal({ staker: delegator.address, fromValidator: initial[1].address, toValidator: newcomer.address, amount });
+
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const moved = await client.getDelegation(delegator.address, newcomer.address);
+    expect(moved).to.deep.include({ delegatedAmount: amount, unbonding: [], redelegationLockEnd: BigInt(timestamp) + await validators.STAKING_LOCK_PERIOD() });
+    expect((await client.getDelegation(delegator.address, initial[1].address)).redelegationLockEnd).to.equal(0n);
+    await expectStakingError(client.redelegate(newcomer.address, initial[1].address, amount), "REDELEGATION_LOCKED");
+  });
+
+  it("Should read with a provider and refuse to send without a signer", async function () {
+    const reader = new StakingClient(ethers.provider);
+
+    expect(await reader.listValidators()).to.have.lengthOf(3);
+    const error = await reader.stake(initial[0].address, 1n).then(() => undefined, e => e);
+    expect(error.message).to.match(/needs a signer/);
+  });
+
+  it("Should decode panics and pass other errors through", function () {
+    const panic = decodeError({ error: { data: "0x4e487b71" + ethers.toBeHex(0x11, 32).slice(2) } });
+    expect(panic).to.be.instanceOf(StakingError);
+    expect(panic).to.deep.include({ code: "PANIC", panic: 0x11n });
+
+    const failure = new Error("connection refused");
+    expect(decodeError(failure)).to.equal(failure);
+  });
+});
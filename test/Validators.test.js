@@ -1,7 +1,8 @@
 // test/Validators.test.js
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { BigNumber } = require("ethers");
+const { artifacts, ethers, network } = require("hardhat");
+const { readStakingState } = require("../scripts/lib/staking");
+const { canonicalAddresses, installCode } = require("../scripts/lib/system-contracts");
 
 describe("Validators Contract", function () {
   let validators;
@@ -15,26 +16,33 @@ describe("Validators Contract", function () {
   let addrs;
 
   // Constants from contract
-  const MIN_DELEGATOR_STAKE = ethers.utils.parseEther("1000");
-  const MIN_VALIDATOR_TOTAL_STAKE = ethers.utils.parseEther("10000");
-  const VALIDATOR_SLASH_PENALTY = ethers.utils.parseEther("500");
+  const MIN_DELEGATOR_STAKE = ethers.parseEther("1000");
+  const MIN_VALIDATOR_TOTAL_STAKE = ethers.parseEther("10000");
+  const VALIDATOR_SLASH_PENALTY = ethers.parseEther("500");
   const DEFAULT_COMMISSION_RATE = 500; // 5%
   const MAX_COMMISSION_RATE = 1000; // 10%
   const STAKING_LOCK_PERIOD = 86400; // 24 hours
   const WITHDRAW_REWARD_PERIOD = 28800; // 8 hours
 
+  // validator1 is one of the initial validators, so it stakes to itself instead of calling create()
+  async function stakeValidator1(amount) {
+    await validators.connect(validator1).stake(validator1.address, { value: amount });
+  }
+
   beforeEach(async function () {
+    // Every test starts from the configured account balances
+    await network.provider.send("hardhat_reset");
     [owner, validator1, validator2, delegator1, delegator2, coinbase, ...addrs] = await ethers.getSigners();
 
     // Deploy Validators contract
     const Validators = await ethers.getContractFactory("Validators");
     validators = await Validators.deploy();
-    await validators.deployed();
+    await validators.waitForDeployment();
 
     // Deploy Slash contract
     const Slash = await ethers.getContractFactory("Slash");
     slash = await Slash.deploy();
-    await slash.deployed();
+    await slash.waitForDeployment();
 
     // Initialize with initial validators
     await validators.initialize([validator1.address, validator2.address]);
@@ -65,7 +73,7 @@ describe("Validators Contract", function () {
 
   describe("Validator Creation", function () {
     it("Should create a new validator", async function () {
-      const stakeAmount = ethers.utils.parseEther("10000");
+      const stakeAmount = ethers.parseEther("10000");
       
       await expect(
         validators.connect(addrs[0]).create(
@@ -85,7 +93,7 @@ describe("Validators Contract", function () {
     });
 
     it("Should create validator with custom commission rate", async function () {
-      const stakeAmount = ethers.utils.parseEther("10000");
+      const stakeAmount = ethers.parseEther("10000");
       const customCommission = 800; // 8%
       
       await validators.connect(addrs[0]).createWithCommission(
@@ -111,7 +119,7 @@ describe("Validators Contract", function () {
           "test@test.com",
           "Test details",
           1001, // Above MAX_COMMISSION_RATE
-          { value: ethers.utils.parseEther("10000") }
+          { value: ethers.parseEther("10000") }
         )
       ).to.be.revertedWith("Commission rate too high");
     });
@@ -123,7 +131,7 @@ describe("Validators Contract", function () {
         "https://test.com",
         "test@test.com",
         "Test details",
-        { value: ethers.utils.parseEther("10000") }
+        { value: ethers.parseEther("10000") }
       );
 
       await expect(
@@ -133,7 +141,7 @@ describe("Validators Contract", function () {
           "https://test2.com",
           "test2@test.com",
           "Test details 2",
-          { value: ethers.utils.parseEther("10000") }
+          { value: ethers.parseEther("10000") }
         )
       ).to.be.revertedWith("Validator already exists");
     });
@@ -142,18 +150,11 @@ describe("Validators Contract", function () {
   describe("Staking", function () {
     beforeEach(async function () {
       // Create a validator first
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Validator 1 details",
-        { value: ethers.utils.parseEther("5000") }
-      );
+      await stakeValidator1(MIN_VALIDATOR_TOTAL_STAKE);
     });
 
     it("Should allow staking to a validator", async function () {
-      const stakeAmount = ethers.utils.parseEther("2000");
+      const stakeAmount = ethers.parseEther("2000");
       
       await expect(
         validators.connect(delegator1).stake(validator1.address, { value: stakeAmount })
@@ -161,11 +162,11 @@ describe("Validators Contract", function () {
         .withArgs(delegator1.address, validator1.address, stakeAmount);
 
       const info = await validators.getValidatorInfo(validator1.address);
-      expect(info.totalStaked).to.equal(ethers.utils.parseEther("7000")); // 5000 + 2000
+      expect(info.totalStaked).to.equal(MIN_VALIDATOR_TOTAL_STAKE + stakeAmount);
     });
 
     it("Should enforce minimum initial stake for delegators", async function () {
-      const belowMinimum = ethers.utils.parseEther("999");
+      const belowMinimum = ethers.parseEther("999");
       
       await expect(
         validators.connect(delegator1).stake(validator1.address, { value: belowMinimum })
@@ -176,33 +177,33 @@ describe("Validators Contract", function () {
       // First stake above minimum
       await validators.connect(delegator1).stake(
         validator1.address, 
-        { value: ethers.utils.parseEther("1000") }
+        { value: ethers.parseEther("1000") }
       );
 
       // Additional stake can be below minimum
       await expect(
         validators.connect(delegator1).stake(
           validator1.address, 
-          { value: ethers.utils.parseEther("100") }
+          { value: ethers.parseEther("100") }
         )
       ).to.not.be.reverted;
     });
 
     it("Should track total network staked", async function () {
       const initialTotal = await validators.getTotalNetworkStaked();
-      const stakeAmount = ethers.utils.parseEther("2000");
+      const stakeAmount = ethers.parseEther("2000");
       
       await validators.connect(delegator1).stake(validator1.address, { value: stakeAmount });
       
       const newTotal = await validators.getTotalNetworkStaked();
-      expect(newTotal.sub(initialTotal)).to.equal(stakeAmount);
+      expect(newTotal - initialTotal).to.equal(stakeAmount);
     });
 
     it("Should reject staking to non-existent validator", async function () {
       await expect(
         validators.connect(delegator1).stake(
-          addrs[5].address, 
-          { value: ethers.utils.parseEther("1000") }
+          addrs[3].address, 
+          { value: ethers.parseEther("1000") }
         )
       ).to.be.revertedWith("Validator does not exist");
     });
@@ -211,74 +212,88 @@ describe("Validators Contract", function () {
   describe("Unstaking", function () {
     beforeEach(async function () {
       // Setup validator with stake
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
       
       // Add delegator stake
       await validators.connect(delegator1).stake(
         validator1.address,
-        { value: ethers.utils.parseEther("2000") }
+        { value: ethers.parseEther("2000") }
       );
     });
 
-    it("Should allow unstaking", async function () {
-      await expect(
-        validators.connect(delegator1).unstake(validator1.address)
-      ).to.emit(validators, "Unstake");
+    async function delegationOf(account) {
+      return (await readStakingState(validators, { account: account.address, validator: validator1.address })).delegation;
+    }
 
-      // Check delegation info
-      const [amount, timestamp] = await validators.getStakingInfo(
-        delegator1.address,
-        validator1.address
-      );
-      
-      expect(amount).to.equal(ethers.utils.parseEther("2000"));
-      expect(timestamp).to.be.gt(0);
+    it("Should unstake part of a delegation into an unbonding entry", async function () {
+      const amount = ethers.parseEther("500");
+      const tx = await validators.connect(delegator1).unstake(validator1.address, amount);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      const unlockTimestamp = BigInt(timestamp + STAKING_LOCK_PERIOD);
+      await expect(tx).to.emit(validators, "Unstake")
+        .withArgs(delegator1.address, validator1.address, amount, unlockTimestamp);
+
+      const delegation = await delegationOf(delegator1);
+      expect(delegation.delegatedAmount).to.equal(ethers.parseEther("1500"));
+      expect(delegation.unbonding).to.deep.equal([{ amount, unlockTimestamp }]);
+      expect((await validators.getValidatorInfo(validator1.address)).totalStaked).to.equal(ethers.parseEther("11500"));
+      expect(await validators.getTotalNetworkStaked()).to.equal(ethers.parseEther("11500"));
     });
 
-    it("Should not allow unstaking twice", async function () {
-      await validators.connect(delegator1).unstake(validator1.address);
-      
+    it("Should keep several unbonding entries and allow staking meanwhile", async function () {
+      await validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("300"));
+      await validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("200"));
+      await validators.connect(delegator1).stake(validator1.address, { value: ethers.parseEther("1000") });
+
+      const delegation = await delegationOf(delegator1);
+      expect(delegation.delegatedAmount).to.equal(ethers.parseEther("2500"));
+      expect(delegation.unbonding.map(entry => entry.amount)).to.deep.equal([ethers.parseEther("300"), ethers.parseEther("200")]);
+    });
+
+    it("Should reject amounts over the stake or leaving less than the minimum", async function () {
       await expect(
-        validators.connect(delegator1).unstake(validator1.address)
-      ).to.be.revertedWith("Already unstaking");
+        validators.connect(delegator1).unstake(validator1.address, 0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+      await expect(
+        validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("2001"))
+      ).to.be.revertedWith("Amount exceeds stake");
+      await expect(
+        validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("1500"))
+      ).to.be.revertedWith("Remaining stake below minimum");
+      await expect(
+        validators.connect(delegator2).unstake(validator1.address, 1)
+      ).to.be.revertedWith("Amount exceeds stake");
     });
 
-    it("Should not allow staking while unstaking", async function () {
-      await validators.connect(delegator1).unstake(validator1.address);
-      
+    it("Should take a delegator that unstakes everything off the delegator list", async function () {
+      await validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("2000"));
+
+      expect((await delegationOf(delegator1)).delegatedAmount).to.equal(0);
+      expect([...(await validators.getDelegators(validator1.address, 0, 10)).delegators]).to.deep.equal([validator1.address]);
+    });
+
+    it("Should limit the unbonding entries per delegation", async function () {
+      const max = await validators.MAX_UNBONDING_ENTRIES();
+      for (let i = 0n; i < max; i++) {
+        await validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("1"));
+      }
+
       await expect(
-        validators.connect(delegator1).stake(
-          validator1.address,
-          { value: ethers.utils.parseEther("1000") }
-        )
-      ).to.be.revertedWith("Cannot stake while unstaking");
+        validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Too many unbonding entries");
     });
   });
 
   describe("Withdrawal", function () {
     beforeEach(async function () {
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
       
       await validators.connect(delegator1).stake(
         validator1.address,
-        { value: ethers.utils.parseEther("2000") }
+        { value: ethers.parseEther("2000") }
       );
       
-      await validators.connect(delegator1).unstake(validator1.address);
+      await validators.connect(delegator1).unstake(validator1.address, ethers.parseEther("2000"));
     });
 
     it("Should not allow withdrawal before lock period", async function () {
@@ -292,17 +307,17 @@ describe("Validators Contract", function () {
       await ethers.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD + 1]);
       await ethers.provider.send("evm_mine");
 
-      const balanceBefore = await delegator1.getBalance();
+      const balanceBefore = await ethers.provider.getBalance(delegator1.address);
       
       await expect(
         validators.connect(delegator1).withdrawStaking(validator1.address)
       ).to.emit(validators, "WithdrawStaking")
-        .withArgs(delegator1.address, validator1.address, ethers.utils.parseEther("2000"));
+        .withArgs(delegator1.address, validator1.address, ethers.parseEther("2000"));
 
-      const balanceAfter = await delegator1.getBalance();
-      expect(balanceAfter.sub(balanceBefore)).to.be.closeTo(
-        ethers.utils.parseEther("2000"),
-        ethers.utils.parseEther("0.01") // Account for gas
+      const balanceAfter = await ethers.provider.getBalance(delegator1.address);
+      expect(balanceAfter - balanceBefore).to.be.closeTo(
+        ethers.parseEther("2000"),
+        ethers.parseEther("0.01") // Account for gas
       );
     });
 
@@ -312,22 +327,127 @@ describe("Validators Contract", function () {
 
       await validators.connect(delegator1).withdrawStaking(validator1.address);
       
+      // Withdrawing removes the entries, so there is nothing left to withdraw
       await expect(
         validators.connect(delegator1).withdrawStaking(validator1.address)
-      ).to.be.revertedWith("No tokens to withdraw");
+      ).to.be.revertedWith("Must unstake first");
+    });
+
+    it("Should withdraw the entries that have unlocked and keep the others", async function () {
+      await validators.connect(delegator2).stake(validator1.address, { value: ethers.parseEther("3000") });
+      await validators.connect(delegator2).unstake(validator1.address, ethers.parseEther("1000"));
+      await ethers.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD / 2]);
+      await validators.connect(delegator2).unstake(validator1.address, ethers.parseEther("500"));
+      await ethers.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD / 2]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(validators.connect(delegator2).withdrawStaking(validator1.address))
+        .to.emit(validators, "WithdrawStaking")
+        .withArgs(delegator2.address, validator1.address, ethers.parseEther("1000"));
+      const [left] = await validators.getUnbondingEntries(delegator2.address, validator1.address);
+      expect(left.amount).to.equal(ethers.parseEther("500"));
+      await expect(
+        validators.connect(delegator2).withdrawStaking(validator1.address)
+      ).to.be.revertedWith("Tokens still locked");
+
+      await ethers.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD / 2]);
+      await expect(validators.connect(delegator2).withdrawStaking(validator1.address))
+        .to.emit(validators, "WithdrawStaking")
+        .withArgs(delegator2.address, validator1.address, ethers.parseEther("500"));
+      expect(await validators.getUnbondingEntries(delegator2.address, validator1.address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Redelegation", function () {
+    beforeEach(async function () {
+      // redelegate() asks Slash at SlashContractAddr for the source's missed blocks; none are recorded here
+      await installCode(ethers.provider, canonicalAddresses().Slash, await artifacts.readArtifact("Slash"));
+      await stakeValidator1(ethers.parseEther("10000"));
+      await validators.connect(validator2).stake(validator2.address, { value: ethers.parseEther("10000") });
+      await validators.connect(delegator1).stake(validator1.address, { value: ethers.parseEther("3000") });
+    });
+
+    it("Should move stake to another validator without an unbonding entry", async function () {
+      const amount = ethers.parseEther("1000");
+      await expect(validators.connect(delegator1).redelegate(validator1.address, validator2.address, amount))
+        .to.emit(validators, "Redelegate")
+        .withArgs(delegator1.address, validator1.address, validator2.address, amount);
+
+      expect((await validators.getValidatorInfo(validator1.address)).totalStaked).to.equal(ethers.parseEther("12000"));
+      expect((await validators.getValidatorInfo(validator2.address)).totalStaked).to.equal(ethers.parseEther("11000"));
+      expect(await validators.getTotalNetworkStaked()).to.equal(ethers.parseEther("23000"));
+      expect(await validators.getUnbondingEntries(delegator1.address, validator1.address)).to.deep.equal([]);
+      const { delegators, amounts } = await validators.getDelegators(validator2.address, 0, 10);
+      expect(delegators).to.deep.equal([validator2.address, delegator1.address]);
+      expect(amounts).to.deep.equal([ethers.parseEther("10000"), amount]);
+    });
+
+    it("Should move candidacy with the stake", async function () {
+      const newcomer = addrs[0];
+      const amount = ethers.parseEther("10000");
+      await validators.connect(newcomer).create(newcomer.address, "Newcomer", "", "", "");
+      await validators.connect(delegator2).stake(validator1.address, { value: amount });
+
+      await expect(validators.connect(delegator2).redelegate(validator1.address, newcomer.address, amount))
+        .to.emit(validators, "AddToValidatorCandidate").withArgs(newcomer.address, amount);
+      expect((await validators.getValidatorInfo(newcomer.address)).status).to.equal("Staked");
+      expect(await validators.isValidatorCandidate(newcomer.address)).to.equal(true);
+      expect([...(await validators.getDelegators(validator1.address, 0, 10)).delegators]).to.not.include(delegator2.address);
+
+      await network.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD]);
+      await expect(validators.connect(delegator2).redelegate(newcomer.address, validator2.address, amount))
+        .to.emit(validators, "RemoveFromValidatorCandidate").withArgs(newcomer.address);
+      expect((await validators.getValidatorInfo(newcomer.address)).status).to.equal("Unstake");
+      expect(await validators.isValidatorCandidate(newcomer.address)).to.equal(false);
+    });
+
+    it("Should reject redelegations that stake or unstake could not make", async function () {
+      const redelegate = (to, amount) => validators.connect(delegator1).redelegate(validator1.address, to, amount);
+      await expect(redelegate(validator1.address, ethers.parseEther("1000"))).to.be.revertedWith("Redelegation to same validator");
+      await expect(redelegate(validator2.address, 0)).to.be.revertedWith("Amount must be greater than 0");
+      await expect(redelegate(addrs[0].address, ethers.parseEther("1000"))).to.be.revertedWith("Validator does not exist");
+      await expect(redelegate(validator2.address, ethers.parseEther("3001"))).to.be.revertedWith("Amount exceeds stake");
+      await expect(redelegate(validator2.address, ethers.parseEther("2500"))).to.be.revertedWith("Remaining stake below minimum");
+      await expect(redelegate(validator2.address, ethers.parseEther("500"))).to.be.revertedWith("Initial stake below minimum");
+    });
+
+    it("Should keep redelegated stake from hopping on until the lock period has passed", async function () {
+      const amount = ethers.parseEther("1000");
+      await validators.connect(delegator1).redelegate(validator1.address, validator2.address, amount);
+
+      await expect(
+        validators.connect(delegator1).redelegate(validator2.address, validator1.address, amount)
+      ).to.be.revertedWith("Redelegated stake still locked");
+      // The stake left with the source, and unstaking, are not locked
+      await validators.connect(delegator1).redelegate(validator1.address, validator2.address, amount);
+      await expect(validators.connect(delegator1).unstake(validator2.address, amount)).to.emit(validators, "Unstake");
+
+      await network.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD]);
+      await expect(validators.connect(delegator1).redelegate(validator2.address, validator1.address, amount))
+        .to.emit(validators, "Redelegate");
+    });
+
+    it("Should lock the whole destination delegation, including stake it held before", async function () {
+      const amount = ethers.parseEther("1000");
+      await validators.connect(delegator1).stake(validator2.address, { value: ethers.parseEther("2000") });
+      await validators.connect(delegator1).redelegate(validator1.address, validator2.address, amount);
+
+      // Not only the moved 1000: the 2000 staked directly cannot leave by redelegation either
+      await expect(
+        validators.connect(delegator1).redelegate(validator2.address, validator1.address, amount)
+      ).to.be.revertedWith("Redelegated stake still locked");
+      await expect(validators.connect(delegator1).unstake(validator2.address, ethers.parseEther("2000")))
+        .to.emit(validators, "Unstake");
+
+      await network.provider.send("evm_increaseTime", [STAKING_LOCK_PERIOD]);
+      await expect(validators.connect(delegator1).redelegate(validator2.address, validator1.address, amount))
+        .to.emit(validators, "Redelegate");
     });
   });
 
   describe("Commission and Rewards", function () {
     it("Should update commission rate", async function () {
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
 
       const newRate = 700; // 7%
       
@@ -341,14 +461,7 @@ describe("Validators Contract", function () {
     });
 
     it("Should reject commission rate update above maximum", async function () {
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
 
       await expect(
         validators.connect(validator1).updateCommissionRate(1001)
@@ -365,7 +478,7 @@ describe("Validators Contract", function () {
       await expect(
         validators.connect(delegator1).stake(
           validator1.address,
-          { value: ethers.utils.parseEther("1000") }
+          { value: ethers.parseEther("1000") }
         )
       ).to.be.revertedWith("Contract is paused");
     });
@@ -402,14 +515,7 @@ describe("Validators Contract", function () {
 
   describe("View Functions", function () {
     beforeEach(async function () {
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Validator 1 details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
     });
 
     it("Should return validator info correctly", async function () {
@@ -417,7 +523,7 @@ describe("Validators Contract", function () {
       
       expect(info.rewardAddr).to.equal(validator1.address);
       expect(info.status).to.equal("Staked");
-      expect(info.totalStaked).to.equal(ethers.utils.parseEther("10000"));
+      expect(info.totalStaked).to.equal(ethers.parseEther("10000"));
       expect(info.rewardAmount).to.equal(0);
       expect(info.slashAmount).to.equal(0);
     });
@@ -444,7 +550,7 @@ describe("Validators Contract", function () {
 
     it("Should check if validator is activated", async function () {
       expect(await validators.isValidatorActivated(validator1.address)).to.equal(true);
-      expect(await validators.isValidatorActivated(addrs[5].address)).to.equal(false);
+      expect(await validators.isValidatorActivated(addrs[3].address)).to.equal(false);
     });
 
     it("Should check if validator is jailed", async function () {
@@ -454,7 +560,7 @@ describe("Validators Contract", function () {
     it("Should return pending rewards", async function () {
       await validators.connect(delegator1).stake(
         validator1.address,
-        { value: ethers.utils.parseEther("1000") }
+        { value: ethers.parseEther("1000") }
       );
 
       const pending = await validators.getPendingRewards(
@@ -463,31 +569,63 @@ describe("Validators Contract", function () {
       );
       expect(pending).to.equal(0); // No rewards distributed yet
     });
+
+    it("Should page through a validator's delegators", async function () {
+      const stake = ethers.parseEther("1000");
+      for (const delegator of [delegator1, delegator2, addrs[3]]) {
+        await validators.connect(delegator).stake(validator1.address, { value: stake });
+      }
+
+      const first = await validators.getDelegators(validator1.address, 0, 2);
+      expect(first.delegators).to.deep.equal([validator1.address, delegator1.address]);
+      expect(first.amounts).to.deep.equal([ethers.parseEther("10000"), stake]);
+      expect(first.total).to.equal(4);
+
+      // The last page is clipped to what is left, and pages past the end are empty
+      expect((await validators.getDelegators(validator1.address, 2, 10)).delegators)
+        .to.deep.equal([delegator2.address, addrs[3].address]);
+      const past = await validators.getDelegators(validator1.address, 4, 10);
+      expect(past.delegators).to.deep.equal([]);
+      expect(past.total).to.equal(4);
+
+      // Delegators that unstake everything leave the list
+      await validators.connect(delegator1).unstake(validator1.address, stake);
+      expect([...(await validators.getDelegators(validator1.address, 0, 10)).delegators])
+        .to.have.members([validator1.address, delegator2.address, addrs[3].address]);
+    });
+
+    it("Should page through candidates and summarize validators in one call", async function () {
+      const page = await validators.getCandidates(1, 10);
+      expect(page.total).to.equal(2);
+      expect(page.candidates.map(c => c.validator)).to.deep.equal([validator2.address]);
+      expect((await validators.getCandidates(2, 10)).candidates).to.deep.equal([]);
+
+      const [staked, unknown] = await validators.getValidatorSummaries([validator1.address, addrs[3].address]);
+      expect(staked.status).to.equal(2); // Staked
+      expect(staked.totalStaked).to.equal(ethers.parseEther("10000"));
+      expect(staked.delegatorCount).to.equal(1);
+      expect(staked.candidate).to.equal(true);
+      expect(unknown.status).to.equal(0); // NotExist
+      expect(unknown.candidate).to.equal(false);
+    });
   });
 
   describe("Edge Cases", function () {
     it("Should handle zero address properly", async function () {
       await expect(
         validators.connect(validator1).create(
-          ethers.constants.AddressZero,
+          ethers.ZeroAddress,
           "Validator",
           "https://test.com",
           "test@test.com",
           "Details",
-          { value: ethers.utils.parseEther("10000") }
+          { value: ethers.parseEther("10000") }
         )
       ).to.be.revertedWith("Invalid address");
     });
 
     it("Should handle zero stake amount", async function () {
-      await validators.connect(validator1).create(
-        validator1.address,
-        "Validator1",
-        "https://val1.com",
-        "val1@test.com",
-        "Details",
-        { value: ethers.utils.parseEther("10000") }
-      );
+      await stakeValidator1(ethers.parseEther("10000"));
 
       await expect(
         validators.connect(delegator1).stake(validator1.address, { value: 0 })
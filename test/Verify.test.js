@@ -0,0 +1,139 @@
+// test/Verify.test.js
+const { expect } = require("chai");
+const http = require("http");
+const { artifacts } = require("hardhat");
+const { compareRuntimeCode, maskImmutables, stripMetadata } = require("../scripts/lib/code-verification");
+const { contractUrl, explorerEndpoint, isVerified, submitSource, verificationStatus } = require("../scripts/lib/explorer");
+
+// Stands in for a Blockscout /api endpoint; records every request it gets
+function startExplorer(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      const params = Object.fromEntries(req.method === "POST"
+        ? new URLSearchParams(body)
+        : new URL(req.url, "http://localhost").searchParams);
+      requests.push({ method: req.method, params });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(handle(params, requests)));
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+    const apiURL = `http://127.0.0.1:${server.address().port}/api`;
+    resolve({ server, requests, endpoint: { apiURL, browserURL: "http://explorer.test/", apiKey: "" } });
+  }));
+}
+
+describe("Contract verification", function () {
+  const address = "0x0000000000000000000000000000000000001001";
+  let slash;
+
+  before(async function () {
+    slash = await artifacts.readArtifact("Slash");
+  });
+
+  describe("Runtime code comparison", function () {
+    it("Should strip the CBOR metadata solc appends", function () {
+      expect(stripMetadata("0x6001a164736f6c6343000813000a")).to.equal("0x6001");
+      // Not a CBOR map where the trailing length points: left alone
+      expect(stripMetadata("0x60016002")).to.equal("0x60016002");
+    });
+
+    it("Should accept code that only differs in metadata", function () {
+      const code = slash.deployedBytecode;
+      const otherCompiler = code.slice(0, -6) + "14000a";
+      expect(compareRuntimeCode(code, code)).to.deep.equal({ status: "exact" });
+      expect(compareRuntimeCode(otherCompiler, code)).to.deep.equal({ status: "match" });
+    });
+
+    it("Should report where code differs and when there is none", function () {
+      const code = slash.deployedBytecode;
+      const changed = code.slice(0, 12) + "ff" + code.slice(14);
+      const result = compareRuntimeCode(changed, code);
+      expect(result.status).to.equal("mismatch");
+      expect(result.offset).to.equal(5);
+      expect(compareRuntimeCode("0x", code)).to.deep.equal({ status: "missing" });
+    });
+
+    it("Should ignore immutable values", function () {
+      const references = { 7: [{ start: 1, length: 2 }] };
+      expect(maskImmutables("0x61abcd00", references)).to.equal("0x61000000");
+      expect(compareRuntimeCode("0x61abcd00", "0x61000000", { immutableReferences: references }).status).to.equal("match");
+    });
+  });
+
+  describe("Explorer submission", function () {
+    const etherscan = {
+      apiKey: { oxt: "" },
+      customChains: [{ network: "oxt", chainId: 982025, urls: { apiURL: "https://explorer.test/api", browserURL: "https://explorer.test" } }]
+    };
+    const buildInfo = { solcLongVersion: "0.8.19+commit.7dd6d404", input: { language: "Solidity", sources: {}, settings: {} } };
+    let explorer;
+
+    afterEach(function () {
+      explorer?.server.close();
+      explorer = undefined;
+    });
+
+    it("Should find the endpoint for a network in customChains", function () {
+      expect(explorerEndpoint(etherscan, "oxt", 982025)).to.deep.include({ apiURL: "https://explorer.test/api", apiKey: "" });
+      expect(explorerEndpoint(etherscan, "renamed", 982025).network).to.equal("oxt");
+      expect(() => explorerEndpoint(etherscan, "localhost", 31337)).to.throw(/No etherscan.customChains entry/);
+    });
+
+    it("Should submit the standard JSON input and poll until verified", async function () {
+      explorer = await startExplorer((params, requests) => {
+        if (params.action === "getsourcecode") {
+          return { status: "1", message: "OK", result: [{ SourceCode: "" }] };
+        }
+        if (params.action === "verifysourcecode") {
+          return { status: "1", message: "OK", result: "guid-1" };
+        }
+        const polls = requests.filter(r => r.params.action === "checkverifystatus").length;
+        return { status: polls < 2 ? "0" : "1", result: polls < 2 ? "Pending in queue" : "Pass - Verified" };
+      });
+
+      expect(await isVerified(explorer.endpoint, address)).to.equal(false);
+      const guid = await submitSource(explorer.endpoint, {
+        address, buildInfo, sourceName: "contracts/Slash.sol", contractName: "Slash", constructorArguments: "0x"
+      });
+      expect(guid).to.equal("guid-1");
+      expect(await verificationStatus(explorer.endpoint, guid, { interval: 1 })).to.deep.equal({ verified: true, message: "Pass - Verified" });
+
+      const submission = explorer.requests.find(r => r.params.action === "verifysourcecode");
+      expect(submission.method).to.equal("POST");
+      expect(submission.params).to.include({
+        module: "contract",
+        contractaddress: address,
+        codeformat: "solidity-standard-json-input",
+        contractname: "contracts/Slash.sol:Slash",
+        compilerversion: "v0.8.19+commit.7dd6d404",
+        constructorArguements: ""
+      });
+      expect(JSON.parse(submission.params.sourceCode)).to.deep.equal(buildInfo.input);
+      expect(contractUrl(explorer.endpoint, address)).to.equal(`http://explorer.test/address/${address}#code`);
+    });
+
+    it("Should treat an already verified contract as done and surface rejections", async function () {
+      explorer = await startExplorer(params => params.contractaddress === address
+        ? { status: "0", message: "NOTOK", result: "Smart-contract already verified." }
+        : { status: "0", message: "NOTOK", result: "Unable to locate ContractCode at " + params.contractaddress });
+
+      const request = { buildInfo, sourceName: "contracts/Slash.sol", contractName: "Slash" };
+      expect(await submitSource(explorer.endpoint, { ...request, address })).to.equal(undefined);
+      const other = "0x0000000000000000000000000000000000000abc";
+      await submitSource(explorer.endpoint, { ...request, address: other }).then(
+        () => expect.fail("expected a rejection"),
+        error => expect(error.message).to.match(/rejected Slash .*Unable to locate ContractCode/)
+      );
+    });
+
+    it("Should report a failed verification", async function () {
+      explorer = await startExplorer(() => ({ status: "0", result: "Fail - Unable to verify" }));
+      expect(await verificationStatus(explorer.endpoint, "guid-2", { interval: 1 }))
+        .to.deep.equal({ verified: false, message: "Fail - Unable to verify" });
+    });
+  });
+});